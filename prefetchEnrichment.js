@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+
+// 📥 Download species enrichment (GBIF, Trefle, iNaturalist) for a region,
+// so the app can show native status and photos there without a connection.
+// Usage: npm run prefetch:enrichment -- --lat -0.4 --lng 36.9 [--radius 50]
+//          [--country KE] [--species "Grevillea robusta,Croton megalocarpus"]
+//          [--cache .cache/enrichment-cache.json]
+// The cache file can be imported in the app (Offline data → Import cache file).
+// API URLs and keys are read from .env, as in the app.
+const root = __dirname;
+const defaultCacheFile = path.join(root, ".cache", "enrichment-cache.json");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith("--")) throw new Error(`Unexpected argument: ${argv[i]}`);
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+// Entry store backed by one JSON file in the app's export format
+function createFileStore(file) {
+  const entries = new Map();
+  if (fs.existsSync(file)) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    (data.entries || []).forEach((entry) => entries.set(entry.key, entry));
+    console.log(`📂 Loaded ${entries.size} cached entries from ${path.relative(root, file)}`);
+  }
+
+  return {
+    get: async (key) => entries.get(key) || null,
+    set: async (entry) => { entries.set(entry.key, entry); },
+    entries: async () => [...entries.values()],
+    clear: async () => entries.clear(),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const latitude = parseFloat(args.lat);
+  const longitude = parseFloat(args.lng);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    console.error("❌ --lat and --lng are required");
+    process.exitCode = 1;
+    return;
+  }
+  const radiusKm = args.radius ? parseFloat(args.radius) : 0;
+  const cacheFile = path.resolve(args.cache || defaultCacheFile);
+
+  // The services are ES modules inside src, so load them through Vite
+  const { createServer } = await import("vite");
+  const server = await createServer({
+    configFile: false,
+    root,
+    logLevel: "error",
+    server: { middlewareMode: true, hmr: false },
+    appType: "custom",
+    optimizeDeps: { noDiscovery: true },
+  });
+
+  try {
+    const cache = await server.ssrLoadModule("/src/services/enrichmentCacheService.js");
+    const { prefetchEnrichment } = await server.ssrLoadModule("/src/services/treeSpeciesAPI.js");
+    const { getCountrySpecies } = await server.ssrLoadModule("/src/services/treeDataService.js");
+
+    cache.setEnrichmentStore(createFileStore(cacheFile));
+
+    const trees = args.species
+      ? args.species.split(",").map((name) => ({ scientificName: name.trim() })).filter((tree) => tree.scientificName)
+      : getCountrySpecies(args.country || null);
+
+    let lastPercent = -1;
+    const result = await prefetchEnrichment({
+      latitude,
+      longitude,
+      radiusKm,
+      trees,
+      onProgress: ({ done, total }) => {
+        const percent = Math.floor((done / total) * 100);
+        if (percent % 10 === 0 && percent !== lastPercent) {
+          lastPercent = percent;
+          console.log(`   ${percent}% (${done}/${total})`);
+        }
+      },
+    });
+
+    if (!result.success) {
+      console.error(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(await cache.exportEnrichmentCache()));
+    const stats = await cache.getEnrichmentCacheStats();
+    console.log(`\n💾 ${stats.entries} entries (${stats.species} species, ${stats.cells} cells) saved to ${path.relative(root, cacheFile)}`);
+  } finally {
+    await server.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Prefetch failed:", err.message);
+  process.exitCode = 1;
+});
@@ -10,14 +10,18 @@ import {
 } from "lucide-react";
 
 import useReforestation from "./hooks/useReforestation";
+import useSiteComparison from "./hooks/useSiteComparison";
 
 // Import export helpers
 import {
   exportAsCSV,
   exportAsTXT,
   exportAsJSON,
+  exportAsGeoJSON,
+  exportAsKML,
   generateShareText,
 } from "./utils/exportHelpers";
+import { exportAsPDF } from "./services/pdfReportService";
 
 // Layout Components
 import Header from "./components/layout/Header";
@@ -25,12 +29,24 @@ import Footer from "./components/layout/Footer";
 
 // Feature Components
 import ImageUploader from "./components/upload/ImageUploader";
+import ProjectList from "./components/projects/ProjectList";
+import SiteComparison from "./components/comparison/SiteComparison";
+import BoundaryFileImporter from "./components/upload/BoundaryFileImporter";
+import PlanFileImporter from "./components/upload/PlanFileImporter";
+import SpeciesPackImporter from "./components/upload/SpeciesPackImporter";
+import NurseryStockImporter from "./components/upload/NurseryStockImporter";
 import ImagePreview from "./components/upload/ImagePreview";
 import LocationDisplay from "./components/location/LocationDisplay";
 import ManualLocationPicker from "./components/location/ManualLocationPicker";
+import SiteBoundaryEditor from "./components/location/SiteBoundaryEditor";
 import ClimateAnalysis from "./components/analysis/ClimateAnalysis";
 import TreeRecommendationList from "./components/recommendations/TreeRecommendationList";
+import ObjectiveSelector from "./components/recommendations/ObjectiveSelector";
 import ImpactVisualization from "./components/impact/ImpactVisualization";
+import EconomicsPanel from "./components/economics/EconomicsPanel";
+import ScenarioPanel from "./components/scenarios/ScenarioPanel";
+import OfflineDataPanel from "./components/offline/OfflineDataPanel";
+import MixEditor from "./components/recommendations/MixEditor";
 import PlantingGuide from "./components/guide/PlantingGuide";
 import ActionButton from "./components/action/ActionButton";
 
@@ -109,13 +125,22 @@ const ExportMenu = ({ plan, onExport }) => {
 
     switch (format) {
       case "csv":
-        exportAsCSV(plan, fileName);
+        exportAsCSV(plan, `${fileName}.csv`);
         break;
       case "txt":
-        exportAsTXT(plan, fileName);
+        exportAsTXT(plan, `${fileName}.txt`);
         break;
       case "json":
-        exportAsJSON(plan, fileName);
+        exportAsJSON(plan, `${fileName}.json`);
+        break;
+      case "geojson":
+        exportAsGeoJSON(plan, `${fileName}.geojson`);
+        break;
+      case "kml":
+        exportAsKML(plan, `${fileName}.kml`);
+        break;
+      case "pdf":
+        exportAsPDF(plan, `${fileName}.pdf`);
         break;
       case "share":
         const shareText = generateShareText(plan);
@@ -147,6 +172,12 @@ const ExportMenu = ({ plan, onExport }) => {
 
       {isOpen && (
         <div className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-lg border border-gray-200 py-2 z-10">
+          <button
+            onClick={() => handleExport("pdf")}
+            className="w-full text-left px-4 py-2 hover:bg-gray-50 transition-colors"
+          >
+            📑 PDF Report
+          </button>
           <button
             onClick={() => handleExport("txt")}
             className="w-full text-left px-4 py-2 hover:bg-gray-50 transition-colors"
@@ -165,6 +196,18 @@ const ExportMenu = ({ plan, onExport }) => {
           >
             💾 JSON File
           </button>
+          <button
+            onClick={() => handleExport("geojson")}
+            className="w-full text-left px-4 py-2 hover:bg-gray-50 transition-colors"
+          >
+            🗺️ GeoJSON Layout
+          </button>
+          <button
+            onClick={() => handleExport("kml")}
+            className="w-full text-left px-4 py-2 hover:bg-gray-50 transition-colors"
+          >
+            📍 KML (Google Earth)
+          </button>
           <div className="border-t border-gray-200 my-1"></div>
           <button
             onClick={() => handleExport("share")}
@@ -187,11 +230,39 @@ function App() {
     clearError,
     getCompletePlan,
     getProgress,
+    updateSoilPH,
+    updateEconomicAssumptions,
+    updateSiteBoundary,
+    updatePlantingApproach,
+    updateNurseryStock,
+    importSiteBoundary,
+    recalculateRecommendations,
+    openProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    importPlan,
+    refreshClimateData,
+    addScenario,
+    deleteScenario,
+    promoteScenario,
+    updateSpeciesMix,
   } = useReforestation();
+  const comparison = useSiteComparison();
 
   const [showExportSuccess, setShowExportSuccess] = useState(false);
+  // "workflow" (upload → results), "projects" or "comparison"
+  const [activeView, setActiveView] = useState("workflow");
+  const showWorkflow = activeView === "workflow";
   const [isDevelopment] = useState(process.env.NODE_ENV === "development");
 
+  const handleOpenProject = async (id) => {
+    if (await openProject(id)) {
+      setActiveView("workflow");
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    }
+  };
+
   const handleExport = (format) => {
     setShowExportSuccess(true);
     setTimeout(() => setShowExportSuccess(false), 3000);
@@ -451,7 +522,10 @@ function App() {
       className="min-h-screen flex flex-col"
       style={{ backgroundColor: COLORS.background }}
     >
-      <Header />
+      <Header
+        onProjectsClick={() => setActiveView("projects")}
+        onCompareClick={() => setActiveView("comparison")}
+      />
 
       <main className="flex-1 py-12 px-4">
         {/* Fixed Alert Display */}
@@ -472,8 +546,35 @@ function App() {
           </div>
         )}
 
+        {/* SAVED PROJECTS */}
+        {activeView === "projects" && (
+          <ProjectList
+            currentProjectId={state.projectId}
+            onOpen={handleOpenProject}
+            onRename={renameProject}
+            onDuplicate={duplicateProject}
+            onDelete={deleteProject}
+            onClose={() => setActiveView("workflow")}
+          />
+        )}
+
+        {/* SITE COMPARISON */}
+        {activeView === "comparison" && (
+          <SiteComparison
+            comparison={comparison}
+            options={{
+              objective: state.objective,
+              weights: state.customWeights,
+              economicAssumptions: state.economicAssumptions,
+              nurseryStock: state.nurseryStock,
+              nurseryMode: state.nurseryMode,
+            }}
+            onClose={() => setActiveView("workflow")}
+          />
+        )}
+
         {/* UPLOAD STEP */}
-        {state.currentStep === "upload" && (
+        {showWorkflow && state.currentStep === "upload" && (
           <>
             {/* Show loading during initial GPS check */}
             {state.isLoading && !state.needsManualLocation ? (
@@ -609,6 +710,30 @@ function App() {
                   isProcessing={state.isLoading}
                 />
 
+                {/* Boundary File Import - plan from a GIS file instead of a photo */}
+                <BoundaryFileImporter
+                  onImport={importSiteBoundary}
+                  isProcessing={state.isLoading}
+                />
+
+                {/* Plan Import - continue from a JSON export */}
+                <PlanFileImporter
+                  onImport={importPlan}
+                  isProcessing={state.isLoading}
+                />
+
+                {/* Species Pack Import - add local species to the catalogue */}
+                <SpeciesPackImporter isProcessing={state.isLoading} />
+
+                {/* Nursery Stock - limit or flag species by what the nursery supplies */}
+                <NurseryStockImporter
+                  stock={state.nurseryStock}
+                  mode={state.nurseryMode}
+                  economicAssumptions={state.economicAssumptions}
+                  onChange={updateNurseryStock}
+                  isProcessing={state.isLoading}
+                />
+
                 {/* How It Works Section */}
                 <div id="how-it-works" className="max-w-4xl mx-auto mt-16">
                   <h3
@@ -662,7 +787,7 @@ function App() {
         )}
 
         {/* PROCESSING STEP */}
-        {(state.currentStep === "processing" ||
+        {showWorkflow && (state.currentStep === "processing" ||
           state.currentStep === "analyzing") && (
           <div className="text-center py-12">
             {/* Show manual location picker if needed */}
@@ -920,10 +1045,10 @@ function App() {
         )}
 
         {/* RESULTS STEP */}
-        {state.currentStep === "results" && state.recommendations && (
+        {showWorkflow && state.currentStep === "results" && state.recommendations && (
           <div className="max-w-7xl mx-auto space-y-8">
             {/* GPS Warning if using fallback */}
-            {state.gpsData && !state.gpsData.hasGPS && (
+            {state.gpsData && !state.gpsData.hasGPS && state.gpsData.source !== "boundary" && (
               <Alert type="warning" title="⚠️ Default Location Used">
                 <p>
                   Your image didn't contain GPS data, so we used a default
@@ -933,6 +1058,46 @@ function App() {
               </Alert>
             )}
 
+            {/* Imported plan: recalculate with the stored climate or refresh it */}
+            {state.importedPlan && (
+              <Alert
+                type="info"
+                title={`📥 Imported plan: ${state.importedPlan.fileName}`}
+                action={
+                  <div className="flex gap-2 flex-wrap">
+                    <button
+                      onClick={() => recalculateRecommendations()}
+                      disabled={state.isLoading || !state.climateData}
+                      className="px-4 py-2 bg-blue-500 text-white rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors disabled:opacity-50"
+                    >
+                      🔁 Recalculate with stored climate
+                    </button>
+                    <button
+                      onClick={refreshClimateData}
+                      disabled={state.isLoading}
+                      className="px-4 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-50 transition-colors disabled:opacity-50"
+                    >
+                      🌦️ Refresh climate data
+                    </button>
+                  </div>
+                }
+              >
+                <p>
+                  {state.climateData?.fetchedAt
+                    ? `Climate data from ${new Date(state.climateData.fetchedAt).toLocaleString()}.`
+                    : "This plan has no climate snapshot."}
+                  {state.isLoading && ` ${state.loadingMessage}`}
+                </p>
+                {state.importedPlan.warnings.length > 0 && (
+                  <ul className="mt-2 text-xs list-disc list-inside">
+                    {state.importedPlan.warnings.map((warning, idx) => (
+                      <li key={idx}>{warning}</li>
+                    ))}
+                  </ul>
+                )}
+              </Alert>
+            )}
+
             {/* Nature validation confidence alert */}
             {state.natureValidation && state.natureValidation.confidence < 75 && (
               <Alert type="info" title="ℹ️ Image Quality Notice">
@@ -963,6 +1128,13 @@ function App() {
                     Found <strong>{state.recommendations.length}</strong>{" "}
                     suitable tree species for your location
                   </p>
+                  {state.projectId && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      💾 Saved as <strong>{state.projectName}</strong>
+                      {state.projectSavedAt &&
+                        ` · ${new Date(state.projectSavedAt).toLocaleTimeString()}`}
+                    </p>
+                  )}
                   {state.aiInsights && (
                     <p className="text-sm text-green-600 mt-2">
                       ✨ Enhanced with AI insights
@@ -998,6 +1170,19 @@ function App() {
                 suitability={state.suitability}
                 climateZone={state.climateData?.climateZone}
                 elevation={state.locationData?.elevation}
+                soilPH={state.siteConditions?.soilPH ?? null}
+                soilPHSource={state.siteConditions?.soilPHSource}
+                onSoilPHChange={updateSoilPH}
+              />
+            )}
+
+            {/* Site Boundary */}
+            {state.locationData?.coordinates && (
+              <SiteBoundaryEditor
+                center={state.locationData.coordinates}
+                boundary={state.siteBoundary}
+                onSave={updateSiteBoundary}
+                disabled={state.isLoading}
               />
             )}
 
@@ -1009,12 +1194,48 @@ function App() {
               />
             )}
 
+            {/* Planting Objective */}
+            <ObjectiveSelector
+              objective={state.objective}
+              customWeights={state.customWeights}
+              onChange={(objective, weights) =>
+                recalculateRecommendations({ objective, weights })
+              }
+              disabled={state.isLoading}
+            />
+
+            {/* Nursery Stock */}
+            <NurseryStockImporter
+              stock={state.nurseryStock}
+              mode={state.nurseryMode}
+              economicAssumptions={state.economicAssumptions}
+              onChange={updateNurseryStock}
+              isProcessing={state.isLoading}
+              layout="results"
+            />
+
+            {/* Offline Species Data */}
+            <OfflineDataPanel
+              location={state.locationData}
+              onUpdated={() => recalculateRecommendations()}
+              disabled={state.isLoading}
+            />
+
             {/* Tree Recommendations */}
             <TreeRecommendationList
               recommendations={state.recommendations}
+              excludedSpecies={state.excludedSpecies}
               aiEnhanced={!!state.aiInsights}
             />
 
+            {/* Species Mix Editor */}
+            <MixEditor
+              plan={state}
+              onChange={updateSpeciesMix}
+              onReset={() => recalculateRecommendations()}
+              disabled={state.isLoading}
+            />
+
             {/* Impact Visualization */}
             {state.impactMetrics && (
               <ImpactVisualization
@@ -1023,21 +1244,50 @@ function App() {
               />
             )}
 
+            {/* Project Economics */}
+            {state.impactMetrics && (
+              <EconomicsPanel
+                recommendations={state.recommendations}
+                plantingStrategy={state.plantingStrategy}
+                treesPerHectare={state.impactMetrics.density.treesPerHectare}
+                hectares={state.siteBoundary?.areaHectares}
+                assumptions={state.economicAssumptions}
+                onApply={updateEconomicAssumptions}
+                disabled={state.isLoading}
+              />
+            )}
+
+            {/* What-if Scenarios */}
+            <ScenarioPanel
+              plan={state}
+              scenarios={state.scenarios}
+              promotedScenarioId={state.promotedScenarioId}
+              onAdd={addScenario}
+              onDelete={deleteScenario}
+              onPromote={promoteScenario}
+              disabled={state.isLoading}
+            />
+
             {/* Planting Guide */}
             {state.recommendations.length > 0 && (
               <PlantingGuide
                 plantingStrategy={state.plantingStrategy}
                 recommendations={state.recommendations}
                 aiInsights={state.aiInsights}
+                plantingApproach={state.plantingApproach}
+                onApproachChange={updatePlantingApproach}
               />
             )}
 
             {/* Action Buttons */}
-            <div className="text-center space-y-4">
-              <ActionButton onClick={resetWorkflow}>
-                🔄 Start New Analysis
-              </ActionButton>
-            </div>
+            <ActionButton
+              recommendations={state.recommendations}
+              plantingStrategy={state.plantingStrategy}
+              impactMetrics={state.impactMetrics}
+              locationData={state.locationData}
+              plan={getCompletePlan()}
+              onStartOver={resetWorkflow}
+            />
           </div>
         )}
       </main>
@@ -10,12 +10,16 @@
 import React, { useState } from 'react';
 import { Download, Share2, Mail, Printer, Copy, Check, FileText } from 'lucide-react';
 import COLORS from '../../constants/colors';
+import { exportAsPDF } from '../../services/pdfReportService';
+import { generateJSON } from '../../utils/exportHelpers';
 
 const ActionButtons = ({ 
   recommendations = [], 
   plantingStrategy = {}, 
   impactMetrics = {},
-  locationData = {} 
+  locationData = {},
+  plan = null,
+  onStartOver = () => window.location.reload()
 }) => {
   const [copiedLink, setCopiedLink] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
@@ -57,14 +61,18 @@ Get your personalized tree recommendations at ReForest.AI!`;
   };
 
   // Handle PDF Export
-  const handleExportPDF = () => {
+  const handleExportPDF = async () => {
     setIsExporting(true);
-    
-    // In production, use a library like jsPDF or html2pdf
-    setTimeout(() => {
-      alert('PDF export will be implemented with jsPDF library.\n\nThis would generate a comprehensive report including:\n- Location analysis\n- Climate data\n- Top 5 tree recommendations\n- Planting guide\n- Impact metrics');
-      setIsExporting(false);
-    }, 1000);
+
+    // Full plan when available, otherwise what this panel was given
+    const reportPlan = plan || { recommendations, plantingStrategy, impactMetrics, location: locationData };
+    const fileName = `reforest-ai-${cityName.replace(/\s/g, '-')}-${Date.now()}.pdf`;
+    const result = await exportAsPDF(reportPlan, fileName);
+
+    if (!result.success) {
+      alert(`Failed to create PDF report: ${result.error}`);
+    }
+    setIsExporting(false);
   };
 
   // Handle Copy Link
@@ -113,7 +121,8 @@ Get your personalized tree recommendations at ReForest.AI!`;
   // Safe JSON download
   const handleDownloadJSON = () => {
     try {
-      const dataStr = JSON.stringify({
+      // The full versioned plan can be imported again; the summary is a fallback
+      const dataStr = plan ? generateJSON(plan) : JSON.stringify({
         location: locationData || {},
         recommendations: recommendations || [],
         plantingStrategy: plantingStrategy || {},
@@ -201,7 +210,7 @@ Get your personalized tree recommendations at ReForest.AI!`;
           <ActionButton
             icon={FileText}
             label="Start New Analysis"
-            onClick={() => window.location.reload()}
+            onClick={onStartOver}
             variant="outline"
           />
         </div>
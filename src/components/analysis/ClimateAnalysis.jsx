@@ -85,6 +85,11 @@ const ClimateAnalysis = ({ climateData, analysis }) => {
             <p className="text-lg font-semibold" style={{ color: COLORS.accent }}>
               {analysis.annualRainfall} mm
             </p>
+            <p className="text-xs text-gray-500">
+              {analysis.climateSource === 'normals' && analysis.normals
+                ? `${analysis.normals.period.startYear}–${analysis.normals.period.endYear} average`
+                : 'Estimated from 14-day forecast'}
+            </p>
           </div>
         </div>
 
@@ -0,0 +1,315 @@
+/**
+ * SiteComparison Component
+ * Analyse several candidate sites and compare climate, suitability,
+ * species, survival, carbon and cost side by side
+ */
+import React from 'react';
+import { GitCompare, Plus, Trash2, X, Download, MapPin, Camera, AlertCircle } from 'lucide-react';
+import { BarChart, Bar, ComposedChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import COLORS from '../../constants/colors';
+import { exportComparisonCSV } from '../../utils/exportHelpers';
+
+// Table rows: label, value getter, and which direction is better (for highlighting)
+const METRICS = [
+  { label: 'Location', get: row => row.place },
+  { label: 'Climate', get: row => row.climateType },
+  { label: 'Avg temperature', get: row => row.averageTemperature, unit: '°C' },
+  { label: 'Annual rainfall', get: row => row.annualRainfall, unit: 'mm' },
+  { label: 'Elevation', get: row => row.elevation, unit: 'm' },
+  { label: 'Location suitability', get: row => row.suitabilityScore, unit: '/100', better: 'high' },
+  { label: 'Suitability level', get: row => row.suitabilityLevel },
+  { label: 'Suitable species', get: row => row.speciesCount, better: 'high' },
+  { label: 'Top species', get: row => row.topSpecies?.join(', ') },
+  { label: 'Survival at year 10', get: row => row.survivalRate, unit: '%', better: 'high' },
+  { label: 'Carbon at year 10', get: row => row.carbonYear10, unit: 't CO₂/ha', better: 'high' },
+  { label: 'Carbon at year 40', get: row => row.carbonYear40, unit: 't CO₂/ha', better: 'high' },
+  { label: 'Total cost', get: row => row.totalCost, unit: '/ha', money: true, better: 'low' },
+  { label: 'Cost per t CO₂', get: row => row.costPerTonne, money: true, better: 'low' },
+  { label: 'NPV', get: row => row.npv, unit: '/ha', money: true, better: 'high' }
+];
+
+const formatMetric = (metric, row) => {
+  const value = metric.get(row);
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value !== 'number') return value;
+  const number = Math.round(value).toLocaleString();
+  return metric.money ? `${row.currency} ${number}${metric.unit || ''}` : `${number}${metric.unit ? ` ${metric.unit}` : ''}`;
+};
+
+const SiteComparison = ({ comparison, options, onClose }) => {
+  const { sites, rows, isRunning, progress, canAddSite, addSite, updateSite, removeSite, runComparison } = comparison;
+  const analysed = rows.filter(row => !row.error);
+  const failed = rows.filter(row => row.error);
+
+  // Best value per highlighted metric across the analysed sites
+  const bestValues = Object.fromEntries(METRICS.filter(metric => metric.better).map(metric => {
+    const values = analysed.map(metric.get).filter(Number.isFinite);
+    return [metric.label, metric.better === 'high' ? Math.max(...values) : Math.min(...values)];
+  }));
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold flex items-center gap-3" style={{ color: COLORS.primary }}>
+            <GitCompare className="w-8 h-8" />
+            Compare Sites
+          </h2>
+          <p className="text-gray-600 mt-1">
+            Analyse up to five candidate parcels with the same objective and cost assumptions
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+          aria-label="Close comparison"
+        >
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      {/* Site inputs */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-4">
+        {sites.map(site => (
+          <SiteInputRow
+            key={site.id}
+            site={site}
+            onChange={(updates) => updateSite(site.id, updates)}
+            onRemove={sites.length > 1 ? () => removeSite(site.id) : null}
+            disabled={isRunning}
+          />
+        ))}
+
+        <div className="flex flex-wrap items-center justify-between gap-3 pt-2">
+          <button
+            type="button"
+            onClick={addSite}
+            disabled={!canAddSite || isRunning}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add site
+          </button>
+          <div className="flex items-center gap-3">
+            {progress && (
+              <span className="text-sm text-gray-600">
+                Analysing {progress.label} ({progress.index + 1} of {progress.total})...
+              </span>
+            )}
+            <button
+              type="button"
+              onClick={() => runComparison(options)}
+              disabled={isRunning || sites.length < 2}
+              className="px-6 py-2 rounded-lg text-sm font-semibold text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.accent }}
+            >
+              {isRunning ? 'Comparing...' : `Compare ${sites.length} sites`}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {failed.length > 0 && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+          <ul className="text-sm text-red-800 space-y-1">
+            {failed.map(row => <li key={row.id}><strong>{row.label}:</strong> {row.error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {analysed.length > 0 && (
+        <>
+          {/* Comparison table */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold" style={{ color: COLORS.textDark }}>Side by side</h3>
+              <button
+                type="button"
+                onClick={() => exportComparisonCSV(rows)}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-white flex items-center gap-2"
+                style={{ backgroundColor: COLORS.primary }}
+              >
+                <Download className="w-4 h-4" />
+                Export CSV
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-2 pr-4 text-gray-500 font-medium">Metric</th>
+                    {analysed.map(row => (
+                      <th key={row.id} className="text-left py-2 px-3 font-semibold" style={{ color: COLORS.textDark }}>
+                        {row.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRICS.map(metric => (
+                    <tr key={metric.label} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 text-gray-600">{metric.label}</td>
+                      {analysed.map(row => {
+                        const isBest = metric.better && analysed.length > 1 && metric.get(row) === bestValues[metric.label];
+                        return (
+                          <td
+                            key={row.id}
+                            className={`py-2 px-3 ${isBest ? 'font-semibold' : ''}`}
+                            style={isBest ? { color: COLORS.success } : undefined}
+                          >
+                            {formatMetric(metric, row)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Per-hectare figures at the recommended density. Best value per row is highlighted.
+            </p>
+          </div>
+
+          {/* Charts */}
+          <div className="grid md:grid-cols-2 gap-6">
+            <ChartCard title="Climate">
+              <ComposedChart data={analysed}>
+                <XAxis dataKey="label" />
+                <YAxis yAxisId="left" label={{ value: 'mm', angle: -90, position: 'insideLeft' }} />
+                <YAxis yAxisId="right" orientation="right" label={{ value: '°C', angle: 90, position: 'insideRight' }} />
+                <Tooltip />
+                <Legend />
+                <Bar yAxisId="left" dataKey="annualRainfall" name="Annual rainfall (mm)" fill={COLORS.info} radius={[6, 6, 0, 0]} />
+                <Line yAxisId="right" dataKey="averageTemperature" name="Avg temperature (°C)" stroke={COLORS.warning} strokeWidth={2} />
+              </ComposedChart>
+            </ChartCard>
+            <ChartCard title="Suitability and survival">
+              <BarChart data={analysed}>
+                <XAxis dataKey="label" />
+                <YAxis domain={[0, 100]} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="suitabilityScore" name="Location suitability" fill={COLORS.secondary} radius={[6, 6, 0, 0]} />
+                <Bar dataKey="survivalRate" name="Survival at year 10 (%)" fill={COLORS.accent} radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ChartCard>
+            <ChartCard title="Carbon (t CO₂/ha)">
+              <BarChart data={analysed}>
+                <XAxis dataKey="label" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="carbonYear10" name="Year 10" fill={COLORS.light} radius={[6, 6, 0, 0]} />
+                <Bar dataKey="carbonYear40" name="Year 40" fill={COLORS.success} radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ChartCard>
+            <ChartCard title={`Cost per hectare (${analysed[0].currency})`}>
+              <BarChart data={analysed}>
+                <XAxis dataKey="label" />
+                <YAxis />
+                <Tooltip formatter={(value) => Math.round(value).toLocaleString()} />
+                <Legend />
+                <Bar dataKey="totalCost" name="Total cost" fill={COLORS.error} radius={[6, 6, 0, 0]} />
+                <Bar dataKey="costPerTonne" name="Cost per t CO₂" fill={COLORS.warning} radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Site Input Row Component
+const SiteInputRow = ({ site, onChange, onRemove, disabled }) => {
+  return (
+    <div className="flex flex-wrap items-center gap-3 p-3 rounded-lg" style={{ backgroundColor: COLORS.background }}>
+      <input
+        value={site.label}
+        onChange={(e) => onChange({ label: e.target.value })}
+        disabled={disabled}
+        className="w-32 px-2 py-1.5 border border-gray-300 rounded text-sm font-medium"
+        aria-label="Site name"
+      />
+
+      <div className="flex rounded-lg overflow-hidden border border-gray-300 text-sm">
+        {[
+          { mode: 'coordinates', label: 'Coordinates', icon: MapPin },
+          { mode: 'photo', label: 'Photo', icon: Camera }
+        ].map(({ mode, label, icon: Icon }) => (
+          <button
+            key={mode}
+            type="button"
+            onClick={() => onChange({ mode })}
+            disabled={disabled}
+            className="px-3 py-1.5 flex items-center gap-1"
+            style={site.mode === mode ? { backgroundColor: COLORS.secondary, color: COLORS.white } : { backgroundColor: COLORS.white }}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {site.mode === 'coordinates' ? (
+        <>
+          <input
+            type="number"
+            step="any"
+            placeholder="Latitude"
+            value={site.latitude}
+            onChange={(e) => onChange({ latitude: e.target.value })}
+            disabled={disabled}
+            className="w-32 px-2 py-1.5 border border-gray-300 rounded text-sm"
+          />
+          <input
+            type="number"
+            step="any"
+            placeholder="Longitude"
+            value={site.longitude}
+            onChange={(e) => onChange({ longitude: e.target.value })}
+            disabled={disabled}
+            className="w-32 px-2 py-1.5 border border-gray-300 rounded text-sm"
+          />
+        </>
+      ) : (
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/heic"
+          onChange={(e) => onChange({ file: e.target.files?.[0] || null })}
+          disabled={disabled}
+          className="text-sm flex-1 min-w-0"
+        />
+      )}
+
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          disabled={disabled}
+          className="ml-auto p-2 rounded-lg hover:bg-white transition-colors"
+          style={{ color: COLORS.error }}
+          aria-label={`Remove ${site.label}`}
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Chart Card Component
+const ChartCard = ({ title, children }) => {
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <h4 className="font-semibold text-gray-800 mb-4">{title}</h4>
+      <ResponsiveContainer width="100%" height={260}>
+        {children}
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default SiteComparison;
@@ -0,0 +1,244 @@
+/**
+ * EconomicsPanel Component
+ * Project cash flows with an editable cost sheet and revenue assumptions
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { Calculator, SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import COLORS from '../../constants/colors';
+import { REVENUE_STREAMS, COST_LABELS } from '../../constants/economics';
+import { calculateCashFlows, resolveEconomicAssumptions } from '../../utils/calculations';
+
+const STREAM_COLORS = {
+  timber: COLORS.secondary,
+  fruit: COLORS.warning,
+  fodder: COLORS.info,
+  carbon: COLORS.accent
+};
+
+const EconomicsPanel = ({ recommendations, plantingStrategy, treesPerHectare, hectares = null, assumptions, onApply, disabled = false }) => {
+  const [showEditor, setShowEditor] = useState(false);
+  const [draft, setDraft] = useState(() => resolveEconomicAssumptions(assumptions));
+
+  useEffect(() => {
+    setDraft(resolveEconomicAssumptions(assumptions));
+  }, [assumptions]);
+
+  // Recompute live from the draft so charts follow every edit
+  const economics = useMemo(() => calculateCashFlows(
+    recommendations || [],
+    plantingStrategy?.mixRatio,
+    treesPerHectare,
+    { assumptions: draft, hectares: hectares || 1 }
+  ), [recommendations, plantingStrategy, treesPerHectare, hectares, draft]);
+
+  if (!recommendations?.length) return null;
+
+  const setValue = (path, value) => {
+    setDraft(prev => {
+      const next = structuredClone(prev);
+      const parent = path.slice(0, -1).reduce((obj, key) => (obj[key] ??= {}), next);
+      parent[path[path.length - 1]] = value;
+      return next;
+    });
+  };
+
+  const chartData = economics.yearly.map(row => ({
+    year: row.year,
+    ...row.revenues,
+    costs: -row.totalCost,
+    cumulative: row.cumulativeDiscounted
+  }));
+  const activeStreams = Object.keys(REVENUE_STREAMS).filter(id => economics.totals.revenues[id] > 0);
+  const isEdited = JSON.stringify(draft) !== JSON.stringify(resolveEconomicAssumptions(assumptions));
+  const { currency } = economics.assumptions;
+
+  return (
+    <div className="w-full max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-bold mb-1 flex items-center gap-2" style={{ color: COLORS.textDark }}>
+        <Calculator className="w-5 h-5" style={{ color: COLORS.accent }} />
+        Project Economics
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Cash flows {hectares ? `for your ${hectares} ha site` : 'per hectare'} over {draft.projectYears} years at a {draft.discountRate}% discount rate ({currency})
+      </p>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+        <SummaryTile label="Net present value" value={formatMoney(economics.npv)} highlight />
+        <SummaryTile label="IRR" value={economics.irr !== null ? `${economics.irr}%` : 'n/a'} />
+        <SummaryTile
+          label="Payback"
+          value={economics.paybackYear !== null ? `Year ${economics.paybackYear}` : 'Not reached'}
+          detail={economics.discountedPaybackYear !== null ? `Discounted: year ${economics.discountedPaybackYear}` : null}
+        />
+        <SummaryTile label="Total costs" value={formatMoney(economics.totals.totalCost)} />
+        <SummaryTile label="Total revenue" value={formatMoney(economics.totals.totalRevenue)} />
+      </div>
+
+      {/* Cash Flow Chart */}
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={chartData} stackOffset="sign">
+          <XAxis dataKey="year" />
+          <YAxis />
+          <Tooltip formatter={(value) => formatMoney(value)} labelFormatter={(year) => `Year ${year}`} />
+          <Legend verticalAlign="top" />
+          <ReferenceLine y={0} stroke="#9CA3AF" />
+          {activeStreams.map(id => (
+            <Bar key={id} dataKey={id} name={REVENUE_STREAMS[id].label} stackId="cash" fill={STREAM_COLORS[id]} />
+          ))}
+          <Bar dataKey="costs" name="Costs" stackId="cash" fill={COLORS.error} />
+          <Line type="monotone" dataKey="cumulative" name="Cumulative (discounted)" stroke={COLORS.textDark} strokeWidth={2} dot={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      {/* Species Streams */}
+      <div className="mt-4 flex flex-wrap gap-2">
+        {economics.species.map(entry => (
+          <span key={entry.id} className="px-3 py-1 rounded-full bg-gray-100 text-xs text-gray-700">
+            <strong>{entry.commonName}</strong>: {entry.streams.map(id => REVENUE_STREAMS[id].label).join(', ') || 'no revenue'}
+            {entry.rotation && ` (harvest every ${entry.rotation} yrs)`}
+          </span>
+        ))}
+      </div>
+
+      {/* Cost Breakdown */}
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+        {Object.entries(COST_LABELS).map(([key, label]) => (
+          <div key={key} className="flex justify-between p-2 bg-gray-50 rounded">
+            <span className="text-gray-600">{label}</span>
+            <span className="font-medium">{formatMoney(economics.totals.costs[key])}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Assumptions Editor */}
+      <button
+        onClick={() => setShowEditor(!showEditor)}
+        className="mt-6 text-sm font-medium flex items-center gap-2 hover:underline"
+        style={{ color: COLORS.secondary }}
+      >
+        <SlidersHorizontal className="w-4 h-4" />
+        {showEditor ? 'Hide assumptions' : 'Edit costs and revenue assumptions'}
+      </button>
+
+      {showEditor && (
+        <div className="mt-4 p-4 rounded-lg space-y-5" style={{ backgroundColor: COLORS.background }}>
+          <EditorSection title="Project">
+            <NumberField label="Project length" unit="years" min={1} max={80} value={draft.projectYears} onChange={v => setValue(['projectYears'], Math.round(v))} />
+            <NumberField label="Discount rate" unit="%" step={0.5} value={draft.discountRate} onChange={v => setValue(['discountRate'], v)} />
+          </EditorSection>
+
+          <EditorSection title="Seedlings (per seedling)">
+            {economics.species.map(entry => (
+              <NumberField
+                key={entry.id}
+                label={entry.commonName}
+                unit={currency}
+                step={0.05}
+                value={entry.seedlingPrice}
+                onChange={v => setValue(['costs', 'seedlingPrices', entry.id], v)}
+              />
+            ))}
+          </EditorSection>
+
+          <EditorSection title="Establishment and running costs">
+            <NumberField label="Planting labour" unit="per tree" step={0.05} value={draft.costs.plantingLabour} onChange={v => setValue(['costs', 'plantingLabour'], v)} />
+            <NumberField label="Site preparation" unit="per ha" value={draft.costs.sitePreparation} onChange={v => setValue(['costs', 'sitePreparation'], v)} />
+            <NumberField label="Fencing" unit="per ha" value={draft.costs.fencing} onChange={v => setValue(['costs', 'fencing'], v)} />
+            <NumberField label="Maintenance" unit="per tree/yr" step={0.05} value={draft.costs.maintenance.perTree} onChange={v => setValue(['costs', 'maintenance', 'perTree'], v)} />
+            <NumberField label="Maintenance period" unit="years" value={draft.costs.maintenance.years} onChange={v => setValue(['costs', 'maintenance', 'years'], Math.round(v))} />
+            <NumberField label="Irrigation" unit="per ha/yr" value={draft.costs.irrigation.perHectare} onChange={v => setValue(['costs', 'irrigation', 'perHectare'], v)} />
+            <NumberField label="Irrigation period" unit="years" value={draft.costs.irrigation.years} onChange={v => setValue(['costs', 'irrigation', 'years'], Math.round(v))} />
+            <NumberField label="Monitoring" unit="per ha/yr" value={draft.costs.monitoring.perHectare} onChange={v => setValue(['costs', 'monitoring', 'perHectare'], v)} />
+          </EditorSection>
+
+          <EditorSection title="Revenue streams">
+            <StreamToggle id="timber" draft={draft} setValue={setValue} />
+            <NumberField label="Timber price" unit="per m³" value={draft.revenues.timber.pricePerCubicMetre} onChange={v => setValue(['revenues', 'timber', 'pricePerCubicMetre'], v)} />
+            <StreamToggle id="carbon" draft={draft} setValue={setValue} />
+            <NumberField label="Carbon price" unit="per t CO₂" value={draft.revenues.carbon.pricePerTonne} onChange={v => setValue(['revenues', 'carbon', 'pricePerTonne'], v)} />
+            <StreamToggle id="fruit" draft={draft} setValue={setValue} />
+            <NumberField label="Fruit value" unit="per tree/yr" step={0.5} value={draft.revenues.fruit.valuePerTree} onChange={v => setValue(['revenues', 'fruit', 'valuePerTree'], v)} />
+            <StreamToggle id="fodder" draft={draft} setValue={setValue} />
+            <NumberField label="Fodder value" unit="per tree/yr" step={0.5} value={draft.revenues.fodder.valuePerTree} onChange={v => setValue(['revenues', 'fodder', 'valuePerTree'], v)} />
+          </EditorSection>
+
+          <p className="text-xs text-gray-500">
+            Charts update as you edit. Apply to use these assumptions in the impact summary and exports.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onApply(draft)}
+              disabled={disabled || !isEdited}
+              className="px-4 py-2 rounded-lg text-sm font-medium text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.accent }}
+            >
+              Apply to plan
+            </button>
+            <button
+              onClick={() => onApply(null)}
+              disabled={disabled || !assumptions}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value)).toLocaleString()}`;
+
+// Summary Tile Component
+const SummaryTile = ({ label, value, detail, highlight = false }) => (
+  <div className={`p-3 rounded-lg text-center ${highlight ? 'bg-green-50 border-2 border-green-200' : 'bg-gray-50'}`}>
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-lg font-bold" style={{ color: COLORS.textDark }}>{value}</p>
+    {detail && <p className="text-xs text-gray-500">{detail}</p>}
+  </div>
+);
+
+// Editor Section Component
+const EditorSection = ({ title, children }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-800 mb-2">{title}</h4>
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">{children}</div>
+  </div>
+);
+
+// Number Field Component
+const NumberField = ({ label, unit, value, onChange, step = 1, min = 0, max }) => (
+  <label className="flex items-center justify-between gap-2 text-xs text-gray-700">
+    <span>{label}</span>
+    <span className="flex items-center gap-1">
+      <input
+        type="number"
+        value={value}
+        step={step}
+        min={min}
+        max={max}
+        onChange={(e) => e.target.value !== '' && onChange(Math.max(min, parseFloat(e.target.value)))}
+        className="w-24 px-2 py-1 border border-gray-300 rounded text-right"
+      />
+      <span className="w-20 text-gray-500">{unit}</span>
+    </span>
+  </label>
+);
+
+// Stream Toggle Component
+const StreamToggle = ({ id, draft, setValue }) => (
+  <label className="flex items-center gap-2 text-xs font-medium text-gray-800">
+    <input
+      type="checkbox"
+      checked={draft.revenues[id].enabled}
+      onChange={(e) => setValue(['revenues', id, 'enabled'], e.target.checked)}
+    />
+    Include {REVENUE_STREAMS[id].label.toLowerCase()}
+  </label>
+);
+
+export default EconomicsPanel;
@@ -1,13 +1,15 @@
 /**
  * PlantingGuide Component
- * Provides step-by-step planting instructions and care tips
+ * Provides step-by-step planting instructions, care tips and the planting phases
  */
 import React, { useState } from 'react';
-import { BookOpen, Calendar, Droplets, Sun, Scissors, Shield, CheckCircle, AlertCircle, Sparkles } from 'lucide-react';
+import { BookOpen, Calendar, Droplets, Sun, Scissors, Shield, CheckCircle, AlertCircle, Sparkles, Layers } from 'lucide-react';
 import COLORS from '../../constants/colors';
+import { MONTH_NAMES } from '../../constants/calendar';
+import { getPlantingSteps, CARE_SCHEDULE, WARNING_SIGNS } from '../../constants/careGuide';
 
-const PlantingGuide = ({ plantingStrategy, recommendations, aiInsights }) => {
-  const [activeTab, setActiveTab] = useState('steps'); // 'steps', 'calendar', 'care'
+const PlantingGuide = ({ plantingStrategy, recommendations, aiInsights, plantingApproach = 'auto', onApproachChange }) => {
+  const [activeTab, setActiveTab] = useState('steps'); // 'steps', 'calendar', 'phases', 'care'
 
   if (!plantingStrategy || !recommendations) {
     return (
@@ -58,6 +60,14 @@ const PlantingGuide = ({ plantingStrategy, recommendations, aiInsights }) => {
             icon={Calendar}
             label="Timing"
           />
+          {plantingStrategy.schedule && (
+            <TabButton
+              active={activeTab === 'phases'}
+              onClick={() => setActiveTab('phases')}
+              icon={Layers}
+              label="Phases"
+            />
+          )}
           <TabButton
             active={activeTab === 'care'}
             onClick={() => setActiveTab('care')}
@@ -123,7 +133,20 @@ const PlantingGuide = ({ plantingStrategy, recommendations, aiInsights }) => {
 
       {/* Tab Content */}
       {activeTab === 'steps' && <PlantingSteps recommendations={recommendations} />}
-      {activeTab === 'calendar' && <PlantingCalendar bestMonths={plantingStrategy.bestMonths} />}
+      {activeTab === 'calendar' && (
+        <PlantingCalendar
+          bestMonths={plantingStrategy.bestMonths}
+          plantingWindows={plantingStrategy.plantingWindows}
+          seasonality={plantingStrategy.seasonality}
+        />
+      )}
+      {activeTab === 'phases' && plantingStrategy.schedule && (
+        <PlantingPhases
+          schedule={plantingStrategy.schedule}
+          plantingApproach={plantingApproach}
+          onApproachChange={onApproachChange}
+        />
+      )}
       {activeTab === 'care' && <CareGuide recommendations={recommendations} />}
 
       {/* AI-Generated Advice */}
@@ -148,64 +171,8 @@ const PlantingGuide = ({ plantingStrategy, recommendations, aiInsights }) => {
 
 // Planting Steps Component
 const PlantingSteps = ({ recommendations }) => {
-  const steps = [
-    {
-      title: 'Site Preparation',
-      icon: Sun,
-      description: 'Clear the planting area of weeds and debris. Test and amend soil if needed.',
-      details: [
-        'Remove grass and weeds in a 1-meter diameter circle',
-        'Loosen soil to 30cm depth',
-        'Add compost or organic matter if soil quality is poor',
-        'Ensure good drainage - water should not pool'
-      ]
-    },
-    {
-      title: 'Digging Holes',
-      icon: Shield,
-      description: 'Prepare proper-sized holes for your seedlings.',
-      details: [
-        `Dig holes ${recommendations[0]?.maxHeight > 20 ? '60cm' : '45cm'} wide and deep`,
-        'Make holes 2-3 times wider than root ball',
-        'Keep topsoil and subsoil separate',
-        'Roughen hole sides to help roots penetrate'
-      ]
-    },
-    {
-      title: 'Planting',
-      icon: CheckCircle,
-      description: 'Carefully place seedlings and backfill with soil.',
-      details: [
-        'Remove seedling carefully from container',
-        'Place in center of hole at same depth as container',
-        'Backfill with topsoil, gently firming around roots',
-        'Create a small basin around tree to hold water',
-        'Water immediately after planting (10-20 liters)'
-      ]
-    },
-    {
-      title: 'Mulching',
-      icon: Droplets,
-      description: 'Apply mulch to retain moisture and suppress weeds.',
-      details: [
-        'Apply 5-10cm layer of organic mulch',
-        'Keep mulch 5cm away from tree trunk',
-        'Use grass clippings, leaves, or wood chips',
-        'Replenish mulch as it decomposes'
-      ]
-    },
-    {
-      title: 'Staking (if needed)',
-      icon: Shield,
-      description: 'Provide support for young trees in windy areas.',
-      details: [
-        'Use 2-3 stakes for larger seedlings',
-        'Tie with soft material (cloth strips)',
-        'Allow some movement for trunk strength',
-        'Remove stakes after 12 months'
-      ]
-    }
-  ];
+  const stepIcons = [Sun, Shield, CheckCircle, Droplets, Shield];
+  const steps = getPlantingSteps(recommendations).map((step, idx) => ({ ...step, icon: stepIcons[idx] }));
 
   return (
     <div className="bg-white rounded-xl shadow-lg p-6">
@@ -246,36 +213,96 @@ const PlantingSteps = ({ recommendations }) => {
 };
 
 // Planting Calendar Component
-const PlantingCalendar = ({ bestMonths }) => {
-  const allMonths = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
+const PlantingCalendar = ({ bestMonths, plantingWindows = [], seasonality = null }) => {
+  const confidenceColors = {
+    high: COLORS.success,
+    medium: COLORS.warning,
+    low: COLORS.error
+  };
+
+  // Map each month to its highest-confidence planting window
+  const windowByMonth = {};
+  plantingWindows.forEach(window => {
+    window.months.forEach(month => {
+      if (!windowByMonth[month] || windowByMonth[month].confidence < window.confidence) {
+        windowByMonth[month] = window;
+      }
+    });
+  });
+  const rainyMonths = new Set(seasonality?.seasons?.flatMap(season => season.months) || []);
+  const hasWindows = plantingWindows.length > 0;
 
   return (
     <div className="bg-white rounded-xl shadow-lg p-6">
-      <h3 className="text-xl font-bold mb-6" style={{ color: COLORS.textDark }}>
+      <h3 className="text-xl font-bold mb-2" style={{ color: COLORS.textDark }}>
         Planting Calendar
       </h3>
+      {seasonality && (
+        <p className="text-sm text-gray-600 mb-6 capitalize">
+          Rainfall pattern: <strong>{seasonality.pattern.replace(/-/g, ' ')}</strong>
+          {seasonality.seasons.length > 0 && (
+            <span className="normal-case">
+              {' '}({seasonality.seasons.map(season => `${season.name}: ${season.onset}–${season.cessation}`).join('; ')})
+            </span>
+          )}
+        </p>
+      )}
       <div className="grid grid-cols-3 md:grid-cols-4 gap-3">
-        {allMonths.map((month) => {
-          const isBest = bestMonths.includes(month);
+        {MONTH_NAMES.map((month) => {
+          const window = windowByMonth[month];
+          const isBest = hasWindows ? !!window : bestMonths.includes(month);
+          const isRainy = rainyMonths.has(month);
           return (
             <div
               key={month}
               className={`p-4 rounded-lg text-center transition-all ${
                 isBest
                   ? 'text-white font-bold shadow-lg'
+                  : isRainy
+                  ? 'bg-blue-50 text-blue-700'
                   : 'bg-gray-100 text-gray-500'
               }`}
-              style={isBest ? { backgroundColor: COLORS.accent } : {}}
+              style={isBest ? { backgroundColor: COLORS.accent, opacity: window ? 0.55 + window.confidence * 0.45 : 1 } : {}}
             >
               <p className="text-sm">{month}</p>
-              {isBest && <p className="text-xs mt-1">✓ Best</p>}
+              {isBest && (
+                <p className="text-xs mt-1">
+                  ✓ {window ? `${window.confidenceLevel} confidence` : 'Best'}
+                </p>
+              )}
+              {!isBest && isRainy && <p className="text-xs mt-1">🌧 Rainy</p>}
             </div>
           );
         })}
       </div>
+
+      {/* Planting Windows */}
+      {hasWindows && (
+        <div className="mt-6 space-y-3">
+          {plantingWindows.map((window, idx) => (
+            <div key={idx} className="p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-1">
+                <h4 className="font-semibold text-gray-800">
+                  {window.season}: {window.months.join(', ')}
+                </h4>
+                <span
+                  className="text-xs px-2 py-1 rounded-full font-medium text-white capitalize"
+                  style={{ backgroundColor: confidenceColors[window.confidenceLevel] }}
+                >
+                  {window.confidenceLevel} ({Math.round(window.confidence * 100)}%)
+                </span>
+              </div>
+              <p className="text-sm text-gray-600">{window.rationale}</p>
+              {window.requiresIrrigation && (
+                <p className="text-xs text-yellow-700 mt-1">
+                  ⚠️ Short or unreliable rains - plan supplementary watering
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="mt-6 p-4 bg-blue-50 rounded-lg">
         <p className="text-sm text-blue-800">
           <strong>💡 Tip:</strong> Plant at the start of the rainy season for best survival rates. 
@@ -286,43 +313,95 @@ const PlantingCalendar = ({ bestMonths }) => {
   );
 };
 
+// Planting Phases Component
+const PlantingPhases = ({ schedule, plantingApproach, onApproachChange }) => {
+  const approaches = [
+    { id: 'auto', label: 'Auto' },
+    { id: 'single', label: 'Single planting' },
+    { id: 'successional', label: 'Successional' }
+  ];
+  const roleLabels = {
+    pioneer: 'Pioneer',
+    nurse: 'Nurse tree',
+    enrichment: 'Enrichment'
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-2">
+        <h3 className="text-xl font-bold" style={{ color: COLORS.textDark }}>
+          Planting Phases
+        </h3>
+        {schedule.available && onApproachChange && (
+          <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+            {approaches.map(approach => (
+              <button
+                key={approach.id}
+                onClick={() => onApproachChange(approach.id)}
+                className={`px-3 py-1.5 text-sm font-medium transition-colors ${
+                  plantingApproach === approach.id ? 'text-white' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+                style={plantingApproach === approach.id ? { backgroundColor: COLORS.accent } : {}}
+              >
+                {approach.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        {schedule.successional
+          ? 'Pioneers and nurse trees go in first; enrichment species are planted under their canopy in later years. Carbon and costs for later phases start in their planting year.'
+          : schedule.available
+          ? 'All species are planted at once. Choose "Successional" to plant enrichment species under a nurse canopy instead; "Auto" phases planting on bare or sparsely vegetated land.'
+          : 'This mix is planted at once: phasing needs both pioneer or nurse species and enrichment species.'}
+      </p>
+
+      <ol className="relative border-l-2 border-gray-200 ml-3 space-y-6">
+        {schedule.phases.map(phase => (
+          <li key={phase.id} className="ml-6">
+            <span
+              className="absolute -left-3 w-6 h-6 rounded-full flex items-center justify-center text-white text-xs font-bold"
+              style={{ backgroundColor: COLORS.accent }}
+            >
+              {phase.year}
+            </span>
+            <div className="flex items-center gap-2 mb-1">
+              <h4 className="font-bold text-gray-800">{phase.label}</h4>
+              <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                Year {phase.year}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">{phase.description}</p>
+            <div className="flex flex-wrap gap-2">
+              {phase.species.map(species => (
+                <span
+                  key={species.id}
+                  className="text-sm px-3 py-1 rounded-full border"
+                  style={{ borderColor: `${COLORS.accent}60`, color: COLORS.textDark }}
+                >
+                  {species.commonName} · {species.share}%
+                  {schedule.successional && (
+                    <span className="text-xs text-gray-500"> ({roleLabels[species.role]})</span>
+                  )}
+                </span>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
 // Care Guide Component
 const CareGuide = ({ recommendations }) => {
-  const careInstructions = [
-    {
-      period: 'First 3 Months',
-      icon: Droplets,
-      color: COLORS.info,
-      tasks: [
-        'Water 2-3 times per week (10-15 liters)',
-        'Check for pest damage weekly',
-        'Remove competing weeds',
-        'Inspect stakes and ties'
-      ]
-    },
-    {
-      period: '3-12 Months',
-      icon: Sun,
-      color: COLORS.warning,
-      tasks: [
-        'Reduce watering to once per week',
-        'Replenish mulch layer',
-        'Prune dead or damaged branches',
-        'Monitor for diseases'
-      ]
-    },
-    {
-      period: 'Year 2+',
-      icon: Scissors,
-      color: COLORS.accent,
-      tasks: [
-        'Water only during dry spells',
-        'Annual pruning for shape',
-        'Remove stakes if still present',
-        'Monitor tree health and growth'
-      ]
-    }
+  const periodStyles = [
+    { icon: Droplets, color: COLORS.info },
+    { icon: Sun, color: COLORS.warning },
+    { icon: Scissors, color: COLORS.accent }
   ];
+  const careInstructions = CARE_SCHEDULE.map((period, idx) => ({ ...period, ...periodStyles[idx] }));
 
   return (
     <div className="space-y-4">
@@ -355,10 +434,7 @@ const CareGuide = ({ recommendations }) => {
           <div>
             <h4 className="font-bold text-red-900 mb-2">Warning Signs to Watch For</h4>
             <ul className="space-y-1 text-sm text-red-800">
-              <li>• Yellowing or wilting leaves (possible water stress)</li>
-              <li>• Holes in leaves or bark (pest damage)</li>
-              <li>• White or black spots on leaves (fungal disease)</li>
-              <li>• Stunted growth (nutrient deficiency)</li>
+              {WARNING_SIGNS.map((sign, idx) => <li key={idx}>• {sign}</li>)}
             </ul>
           </div>
         </div>
@@ -4,7 +4,7 @@
  */
 import React from 'react';
 import { Leaf, TrendingUp, DollarSign, Users, Heart } from 'lucide-react';
-import { PieChart, Pie, Cell, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, Legend } from 'recharts';
+import { PieChart, Pie, Cell, ResponsiveContainer, BarChart, Bar, AreaChart, Area, ComposedChart, Line, XAxis, YAxis, Tooltip, Legend } from 'recharts';
 import COLORS from '../../constants/colors';
 
 const ImpactVisualization = ({ impactMetrics, recommendations }) => {
@@ -17,15 +17,42 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
   }
 
   // Prepare chart data
+  const carbon = impactMetrics.carbonSequestration;
   const carbonData = [
-    { name: 'Year 1', value: impactMetrics.carbonSequestration.year1 },
-    { name: 'Year 10', value: impactMetrics.carbonSequestration.year10 }
+    { name: 'Year 1', value: carbon.year1 },
+    { name: 'Year 10', value: carbon.year10 }
   ];
+  const speciesNames = carbon.bySpecies?.map(s => s.commonName) || [];
+  const carbonTimeline = carbon.timeline?.map(({ year, bySpecies }) => ({
+    year,
+    ...Object.fromEntries(
+      Object.entries(bySpecies).map(([name, kg]) => [name, Math.round(kg / 100) / 10])
+    )
+  })) || [];
+  const carbonHorizons = [5, 10, 20, 40]
+    .filter(year => carbon[`year${year}`] !== undefined)
+    .map(year => ({ year, tons: carbon[`year${year}`] / 1000 }));
+  const speciesColors = [COLORS.success, COLORS.accent, COLORS.info, COLORS.warning, COLORS.secondary];
+
+  // P10/P50/P90 ranges from the Monte Carlo simulation (tonnes for the chart)
+  const uncertainty = impactMetrics.uncertainty;
+  const toTons = (kg) => Math.round(kg / 100) / 10;
+  const rangeTimeline = uncertainty?.carbon.timeline.map(({ year, p10, p50, p90 }) => ({
+    year,
+    range: [toTons(p10), toTons(p90)],
+    p50: toTons(p50)
+  })) || [];
 
+  const site = impactMetrics.site;
+  const phased = site?.seedlingOrder.some(entry => entry.plantingYear > 0);
+  const economic = impactMetrics.economicValue;
+  const horizonYears = economic.horizonYears || 10;
   const economicData = [
-    { name: 'Carbon Credits', value: impactMetrics.economicValue.carbonCredits, fill: COLORS.accent },
-    { name: 'Timber Value', value: impactMetrics.economicValue.timber, fill: COLORS.secondary }
-  ];
+    { key: 'carbonCredits', name: 'Carbon Credits', value: economic.carbonCredits, fill: COLORS.accent },
+    { key: 'timber', name: 'Timber Value', value: economic.timber, fill: COLORS.secondary },
+    { key: 'fruit', name: 'Fruit & Nuts', value: economic.fruit, fill: COLORS.warning },
+    { key: 'fodder', name: 'Fodder', value: economic.fodder, fill: COLORS.info }
+  ].filter(entry => entry.value > 0);
 
   const topTrees = recommendations?.slice(0, 5).map(tree => ({
     name: tree.commonName.substring(0, 15),
@@ -40,9 +67,51 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
         <h2 className="text-3xl font-bold mb-2">🌍 Environmental Impact</h2>
         <p className="text-green-100">
           Projected benefits from planting {impactMetrics.density.treesPerHectare} trees per hectare
+          {site && ` across your ${site.areaHectares} ha site (${site.totalTrees.toLocaleString()} trees)`}
         </p>
       </div>
 
+      {/* Site Totals */}
+      {site && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-bold mb-4" style={{ color: COLORS.textDark }}>
+            Your Site: {site.areaHectares} ha
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <SiteStat label="Trees to plant" value={site.totalTrees.toLocaleString()} />
+            <SiteStat label="Seedlings to order" value={site.totalSeedlings.toLocaleString()} />
+            <SiteStat label="CO₂ stored by year 10" value={`${(site.carbon.year10 / 1000).toFixed(1)} t`} />
+            <SiteStat label="CO₂ stored by year 40" value={`${(site.carbon.year40 / 1000).toFixed(1)} t`} />
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Species</th>
+                {phased && <th className="py-2 text-right">Plant in</th>}
+                <th className="py-2 text-right">Trees</th>
+                <th className="py-2 text-right">Spares</th>
+                <th className="py-2 text-right">Order</th>
+              </tr>
+            </thead>
+            <tbody>
+              {site.seedlingOrder.map(entry => (
+                <tr key={entry.id} className="border-b last:border-0">
+                  <td className="py-2 text-gray-800">{entry.commonName}</td>
+                  {phased && <td className="py-2 text-right text-gray-500">Year {entry.plantingYear}</td>}
+                  <td className="py-2 text-right">{entry.trees.toLocaleString()}</td>
+                  <td className="py-2 text-right text-gray-500">{entry.spares.toLocaleString()}</td>
+                  <td className="py-2 text-right font-semibold">{entry.total.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Spares replace seedlings lost in the first year. Economic values below are for the whole site;
+            carbon charts stay per hectare.
+          </p>
+        </div>
+      )}
+
       {/* Key Metrics Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
         <MetricCard
@@ -50,6 +119,7 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
           label="Carbon Captured (10 years)"
           value={`${(impactMetrics.carbonSequestration.year10 / 1000).toFixed(1)} tons`}
           subtitle={`${impactMetrics.carbonSequestration.year1} kg in year 1`}
+          range={uncertainty && formatRange(uncertainty.carbon.year10, v => `${(v / 1000).toFixed(1)} t`)}
           color={COLORS.success}
         />
         <MetricCard
@@ -57,6 +127,7 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
           label="Trees per Hectare"
           value={impactMetrics.density.treesPerHectare}
           subtitle={`${impactMetrics.density.survivalRate}% survival rate`}
+          range={uncertainty && `Survival ${formatRange(uncertainty.survival.year10, v => `${v}%`)}`}
           color={COLORS.accent}
         />
         <MetricCard
@@ -70,7 +141,8 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
           icon={DollarSign}
           label="Economic Value"
           value={`$${(impactMetrics.economicValue.total / 1000).toFixed(1)}k`}
-          subtitle="Over 10 years"
+          subtitle={`Revenue over ${horizonYears} years`}
+          range={uncertainty && formatRange(uncertainty.economicValue.total, v => `$${(v / 1000).toFixed(1)}k`)}
           color={COLORS.warning}
         />
       </div>
@@ -80,14 +152,81 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
         <h3 className="text-xl font-bold mb-4" style={{ color: COLORS.textDark }}>
           Carbon Sequestration Timeline
         </h3>
-        <ResponsiveContainer width="100%" height={250}>
-          <BarChart data={carbonData}>
-            <XAxis dataKey="name" />
-            <YAxis />
-            <Tooltip formatter={(value) => `${value} kg CO₂`} />
-            <Bar dataKey="value" fill={COLORS.success} radius={[8, 8, 0, 0]} />
-          </BarChart>
-        </ResponsiveContainer>
+        {carbonTimeline.length > 0 ? (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+              {carbonHorizons.map(({ year, tons }) => (
+                <div key={year} className="p-3 bg-gray-50 rounded-lg text-center">
+                  <p className="text-xs text-gray-500">Year {year}</p>
+                  <p className="text-lg font-bold" style={{ color: COLORS.success }}>
+                    {tons.toFixed(1)} t
+                  </p>
+                  <p className="text-xs text-gray-500">CO₂ stored</p>
+                </div>
+              ))}
+            </div>
+            <ResponsiveContainer width="100%" height={280}>
+              <AreaChart data={carbonTimeline}>
+                <XAxis dataKey="year" label={{ value: 'Years after planting', position: 'insideBottom', offset: -2 }} />
+                <YAxis label={{ value: 't CO₂/ha', angle: -90, position: 'insideLeft' }} />
+                <Tooltip formatter={(value) => `${value} t CO₂`} labelFormatter={(year) => `Year ${year}`} />
+                <Legend verticalAlign="top" />
+                {speciesNames.map((name, idx) => (
+                  <Area
+                    key={name}
+                    type="monotone"
+                    dataKey={name}
+                    stackId="carbon"
+                    stroke={speciesColors[idx % speciesColors.length]}
+                    fill={speciesColors[idx % speciesColors.length]}
+                    fillOpacity={0.6}
+                  />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+            <p className="text-xs text-gray-500 mt-2">
+              Stored CO₂ per hectare by species, from each species' height and diameter growth curve,
+              wood density and the planting mix. Model: {carbon.model}.
+            </p>
+            {carbon.genericCurveSpecies?.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                No fitted growth data yet for {carbon.genericCurveSpecies.join(', ')}; their curves are generic
+                for the species' growth rate, so treat their share as indicative.
+              </p>
+            )}
+          </>
+        ) : (
+          <ResponsiveContainer width="100%" height={250}>
+            <BarChart data={carbonData}>
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip formatter={(value) => `${value} kg CO₂`} />
+              <Bar dataKey="value" fill={COLORS.success} radius={[8, 8, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+        {rangeTimeline.length > 0 && (
+          <div className="mt-6">
+            <h4 className="font-semibold text-gray-800 mb-2">Projection range (P10–P90)</h4>
+            <ResponsiveContainer width="100%" height={240}>
+              <ComposedChart data={rangeTimeline}>
+                <XAxis dataKey="year" />
+                <YAxis label={{ value: 't CO₂/ha', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  formatter={(value, name) => Array.isArray(value) ? [`${value[0]}–${value[1]} t CO₂`, name] : [`${value} t CO₂`, name]}
+                  labelFormatter={(year) => `Year ${year}`}
+                />
+                <Legend verticalAlign="top" />
+                <Area type="monotone" dataKey="range" name="P10–P90" stroke="none" fill={COLORS.success} fillOpacity={0.25} />
+                <Line type="monotone" dataKey="p50" name="Median (P50)" stroke={COLORS.success} strokeWidth={2} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+            <p className="text-xs text-gray-500 mt-2">
+              {uncertainty.iterations} simulated plantings varying first-year survival, yearly mortality,
+              growth speed, drought years and carbon price. In 8 of 10 runs stored CO₂ falls inside the band.
+            </p>
+          </div>
+        )}
         <p className="text-sm text-gray-600 mt-4">
           Your trees will capture approximately <strong>{impactMetrics.carbonSequestration.perTree} kg of CO₂</strong> per tree annually.
           This is equivalent to driving a car for approximately <strong>{(impactMetrics.carbonSequestration.year10 / 0.4).toFixed(0)} km</strong>!
@@ -141,24 +280,36 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
             </ResponsiveContainer>
           </div>
           <div className="space-y-3">
-            <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-              <span className="text-gray-700">Carbon Credits</span>
-              <span className="font-bold" style={{ color: COLORS.accent }}>
-                ${impactMetrics.economicValue.carbonCredits.toLocaleString()}
-              </span>
-            </div>
-            <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-              <span className="text-gray-700">Timber Value</span>
-              <span className="font-bold" style={{ color: COLORS.secondary }}>
-                ${impactMetrics.economicValue.timber.toLocaleString()}
-              </span>
-            </div>
+            {economicData.map(entry => (
+              <div key={entry.key} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                <span className="text-gray-700">{entry.name}</span>
+                <span className="font-bold" style={{ color: entry.fill }}>
+                  ${entry.value.toLocaleString()}
+                  {uncertainty?.economicValue[entry.key] && (
+                    <span className="block text-xs font-normal text-gray-500 text-right">
+                      {formatRange(uncertainty.economicValue[entry.key], v => `$${v.toLocaleString()}`)}
+                    </span>
+                  )}
+                </span>
+              </div>
+            ))}
             <div className="flex justify-between items-center p-3 bg-green-50 rounded-lg border-2 border-green-200">
-              <span className="font-semibold text-green-800">Total Value</span>
+              <span className="font-semibold text-green-800">Total Revenue ({horizonYears} yrs)</span>
               <span className="font-bold text-xl text-green-700">
-                ${impactMetrics.economicValue.total.toLocaleString()}
+                ${economic.total.toLocaleString()}
               </span>
             </div>
+            {economic.npv !== undefined && (
+              <div className="flex justify-between items-center px-3 text-sm text-gray-600">
+                <span>Net present value after costs</span>
+                <strong>${economic.npv.toLocaleString()}</strong>
+              </div>
+            )}
+            {uncertainty && (
+              <p className="text-xs text-gray-500">
+                Ranges are P10–P90 across simulated survival, growth and carbon prices.
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -248,8 +399,19 @@ const ImpactVisualization = ({ impactMetrics, recommendations }) => {
   );
 };
 
+// Format a { p10, p90 } range as "P10–P90: low – high"
+const formatRange = ({ p10, p90 }, format) => `P10–P90: ${format(p10)} – ${format(p90)}`;
+
+// Site Stat Component
+const SiteStat = ({ label, value }) => (
+  <div className="p-3 bg-gray-50 rounded-lg text-center">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-lg font-bold" style={{ color: COLORS.textDark }}>{value}</p>
+  </div>
+);
+
 // Metric Card Component
-const MetricCard = ({ icon: Icon, label, value, subtitle, color }) => (
+const MetricCard = ({ icon: Icon, label, value, subtitle, range, color }) => (
   <div className="bg-white rounded-xl shadow-lg p-6">
     <div 
       className="w-12 h-12 rounded-lg flex items-center justify-center mb-4"
@@ -262,6 +424,7 @@ const MetricCard = ({ icon: Icon, label, value, subtitle, color }) => (
     </h3>
     <p className="text-sm font-medium text-gray-700 mb-1">{label}</p>
     <p className="text-xs text-gray-500 capitalize">{subtitle}</p>
+    {range && <p className="text-xs text-gray-400 mt-1">{range}</p>}
   </div>
 );
 
@@ -4,11 +4,11 @@
  * FIXED: Mobile menu now works properly with smooth scrolling
  */
 import React, { useState } from 'react';
-import { Leaf, Menu, X, Info, Heart } from 'lucide-react';
+import { Leaf, Menu, X, Info, Heart, FolderOpen, GitCompare } from 'lucide-react';
 import { COLORS } from '../../constants/colors';
 import CONFIG from '../../constants/config';
 
-const Header = () => {
+const Header = ({ onProjectsClick, onCompareClick }) => {
   // Internal state for mobile menu
   const [showMobileMenu, setShowMobileMenu] = useState(false);
 
@@ -26,6 +26,16 @@ const Header = () => {
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
+  const handleProjectsClick = () => {
+    closeMobileMenu();
+    onProjectsClick?.();
+  };
+
+  const handleCompareClick = () => {
+    closeMobileMenu();
+    onCompareClick?.();
+  };
+
   const handleHelpClick = () => {
     closeMobileMenu();
     // Scroll to "How It Works" section
@@ -71,6 +81,16 @@ const Header = () => {
             <NavLink onClick={handleHelpClick} icon={Heart}>
               How It Works
             </NavLink>
+            {onCompareClick && (
+              <NavLink onClick={handleCompareClick} icon={GitCompare}>
+                Compare Sites
+              </NavLink>
+            )}
+            {onProjectsClick && (
+              <NavLink onClick={handleProjectsClick} icon={FolderOpen}>
+                My Projects
+              </NavLink>
+            )}
           </nav>
 
           {/* Mobile Menu Button */}
@@ -98,6 +118,16 @@ const Header = () => {
               <MobileNavLink onClick={handleHelpClick} icon={Heart}>
                 How It Works
               </MobileNavLink>
+              {onCompareClick && (
+                <MobileNavLink onClick={handleCompareClick} icon={GitCompare}>
+                  Compare Sites
+                </MobileNavLink>
+              )}
+              {onProjectsClick && (
+                <MobileNavLink onClick={handleProjectsClick} icon={FolderOpen}>
+                  My Projects
+                </MobileNavLink>
+              )}
             </nav>
           </div>
         )}
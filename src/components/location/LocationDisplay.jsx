@@ -2,15 +2,18 @@
  * LocationDisplay Component
  * Shows location details with map embed and suitability assessment
  */
-import React from 'react';
-import { MapPin, Globe, Mountain, Thermometer, Droplets, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { MapPin, Globe, Mountain, Thermometer, Droplets, AlertTriangle, FlaskConical } from 'lucide-react';
 import COLORS from '../../constants/colors';
 
 const LocationDisplay = ({ 
   locationData, 
   suitability,
   climateZone,
-  elevation 
+  elevation,
+  soilPH = null,
+  soilPHSource = null,
+  onSoilPHChange
 }) => {
   if (!locationData || !locationData.success) {
     return (
@@ -63,7 +66,7 @@ const LocationDisplay = ({
         </div>
 
         {/* Location Details Grid */}
-        <div className="p-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="p-6 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <DetailCard
             icon={Globe}
             label="Climate Zone"
@@ -82,6 +85,11 @@ const LocationDisplay = ({
             value={country}
             color={COLORS.accent}
           />
+          <SoilPHCard
+            soilPH={soilPH}
+            source={soilPHSource}
+            onChange={onSoilPHChange}
+          />
         </div>
       </div>
 
@@ -180,4 +188,80 @@ const DetailCard = ({ icon: Icon, label, value, color }) => (
   </div>
 );
 
+const PH_SOURCE_LABELS = {
+  soilgrids: 'SoilGrids estimate',
+  user: 'Entered manually'
+};
+
+// Soil pH card with an optional field-measured override
+const SoilPHCard = ({ soilPH, source, onChange }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [inputValue, setInputValue] = useState(soilPH ?? '');
+
+  useEffect(() => {
+    setInputValue(soilPH ?? '');
+  }, [soilPH]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setIsEditing(false);
+    if (onChange && String(inputValue) !== String(soilPH ?? '')) {
+      onChange(inputValue);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-3 p-4 bg-gray-50 rounded-lg">
+      <div
+        className="p-2 rounded-lg"
+        style={{ backgroundColor: `${COLORS.primary}20` }}
+      >
+        <FlaskConical className="w-5 h-5" style={{ color: COLORS.primary }} />
+      </div>
+      <div className="flex-1">
+        <p className="text-xs text-gray-500">Soil pH</p>
+        {isEditing ? (
+          <form onSubmit={handleSubmit} className="flex items-center gap-2">
+            <input
+              type="number"
+              step="0.1"
+              min="3"
+              max="10"
+              value={inputValue}
+              onChange={(e) => setInputValue(e.target.value)}
+              className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
+              autoFocus
+            />
+            <button
+              type="submit"
+              className="text-xs font-semibold"
+              style={{ color: COLORS.accent }}
+            >
+              Save
+            </button>
+          </form>
+        ) : (
+          <>
+            <p className="text-sm font-semibold text-gray-800">
+              {soilPH !== null ? soilPH.toFixed(1) : 'Unknown'}
+              {onChange && (
+                <button
+                  onClick={() => setIsEditing(true)}
+                  className="ml-2 text-xs font-normal underline"
+                  style={{ color: COLORS.accent }}
+                >
+                  {soilPH !== null ? 'Edit' : 'Add'}
+                </button>
+              )}
+            </p>
+            {source && (
+              <p className="text-xs text-gray-400">{PH_SOURCE_LABELS[source] || source}</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export default LocationDisplay;
\ No newline at end of file
@@ -0,0 +1,288 @@
+/**
+ * SiteBoundaryEditor Component
+ * Draw the planting site on a map (or paste its corners) to plan for its real area
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Map as MapIcon, PenTool, Undo2, Trash2, Plus, Minus,
+  ArrowUp, ArrowDown, ArrowLeft, ArrowRight, ClipboardPaste, Save
+} from 'lucide-react';
+import COLORS from '../../constants/colors';
+import {
+  TILE_SIZE,
+  OSM_TILE_URL,
+  openRing,
+  validateRing,
+  createBoundary,
+  parseCoordinateList,
+  lonLatToPixel,
+  pixelToLonLat
+} from '../../utils/geometry';
+
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 400;
+const MIN_ZOOM = 10;
+const MAX_ZOOM = 19;
+const DEFAULT_ZOOM = 16;
+const PAN_STEP = MAP_WIDTH / 4;
+
+const SiteBoundaryEditor = ({ center, boundary, onSave, disabled = false }) => {
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const [mapCenter, setMapCenter] = useState(center);
+  const [points, setPoints] = useState(boundary ? openRing(boundary.coordinates[0]) : []);
+  const [source, setSource] = useState(boundary?.source || 'drawn');
+  const [mode, setMode] = useState('draw'); // draw, paste
+  const [pasteText, setPasteText] = useState('');
+  const [error, setError] = useState(null);
+
+  // Follow boundaries set elsewhere (e.g. imported files)
+  useEffect(() => {
+    setPoints(boundary ? openRing(boundary.coordinates[0]) : []);
+    setSource(boundary?.source || 'drawn');
+    if (boundary?.centroid) setMapCenter(boundary.centroid);
+  }, [boundary]);
+
+  useEffect(() => {
+    if (center && !mapCenter) setMapCenter(center);
+  }, [center, mapCenter]);
+
+  if (!mapCenter) return null;
+
+  // Top-left corner of the view in world pixels
+  const centerPixel = lonLatToPixel(mapCenter.longitude, mapCenter.latitude, zoom);
+  const origin = { x: centerPixel.x - MAP_WIDTH / 2, y: centerPixel.y - MAP_HEIGHT / 2 };
+  const tileCount = Math.pow(2, zoom);
+
+  const tiles = [];
+  for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + MAP_WIDTH) / TILE_SIZE); tx++) {
+    for (let ty = Math.floor(origin.y / TILE_SIZE); ty <= Math.floor((origin.y + MAP_HEIGHT) / TILE_SIZE); ty++) {
+      if (ty < 0 || ty >= tileCount) continue;
+      const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+      tiles.push({ key: `${tx}-${ty}`, url: `${OSM_TILE_URL}/${zoom}/${wrappedX}/${ty}.png`, x: tx * TILE_SIZE - origin.x, y: ty * TILE_SIZE - origin.y });
+    }
+  }
+
+  const toScreen = ([longitude, latitude]) => {
+    const pixel = lonLatToPixel(longitude, latitude, zoom);
+    return { x: pixel.x - origin.x, y: pixel.y - origin.y };
+  };
+  const screenPoints = points.map(toScreen);
+  const sitePin = center && toScreen([center.longitude, center.latitude]);
+
+  let preview = null;
+  if (points.length >= 3) {
+    try {
+      preview = createBoundary(points, source);
+    } catch {
+      preview = null;
+    }
+  }
+
+  const handleMapClick = (e) => {
+    if (disabled || mode !== 'draw') return;
+    const svg = e.currentTarget;
+    const point = svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    if (!points.length) setSource('drawn');
+    setPoints(prev => [...prev, pixelToLonLat(origin.x + x, origin.y + y, zoom)]);
+    setError(null);
+  };
+
+  const handlePan = (dx, dy) => {
+    const [longitude, latitude] = pixelToLonLat(centerPixel.x + dx, centerPixel.y + dy, zoom);
+    setMapCenter({ latitude, longitude });
+  };
+
+  const handleUsePasted = () => {
+    try {
+      const ring = parseCoordinateList(pasteText);
+      const pasted = createBoundary(ring, 'pasted');
+      setPoints(openRing(pasted.coordinates[0]));
+      setSource('pasted');
+      setMapCenter(pasted.centroid);
+      setMode('draw');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      const validation = validateRing(points);
+      if (!validation.valid) {
+        setError(validation.errors[0]);
+        return;
+      }
+      onSave(createBoundary(validation.ring, source));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = () => {
+    setPoints([]);
+    onSave(null);
+  };
+
+  return (
+    <div className="w-full max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <MapIcon className="w-5 h-5" style={{ color: COLORS.accent }} />
+            Site Boundary
+          </h3>
+          <p className="text-sm text-gray-600">
+            {boundary
+              ? `Planning for ${boundary.areaHectares} ha. Tree counts, seedling orders, costs and impact use this area.`
+              : 'Click the map to mark the corners of your site. Without a boundary, plans are per hectare.'}
+          </p>
+        </div>
+        <div className="flex gap-1">
+          <ModeButton active={mode === 'draw'} onClick={() => setMode('draw')} icon={PenTool} label="Draw" />
+          <ModeButton active={mode === 'paste'} onClick={() => setMode('paste')} icon={ClipboardPaste} label="Paste" />
+        </div>
+      </div>
+
+      {mode === 'draw' ? (
+        <div className="relative rounded-lg overflow-hidden border border-gray-200">
+          <svg
+            viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+            className="w-full h-auto block bg-gray-100"
+            style={{ cursor: disabled ? 'default' : 'crosshair' }}
+            onClick={handleMapClick}
+          >
+            {tiles.map(tile => (
+              <image key={tile.key} href={tile.url} x={tile.x} y={tile.y} width={TILE_SIZE} height={TILE_SIZE} />
+            ))}
+            {screenPoints.length >= 3 && (
+              <polygon
+                points={screenPoints.map(p => `${p.x},${p.y}`).join(' ')}
+                fill={COLORS.accent}
+                fillOpacity={0.3}
+                stroke={COLORS.primary}
+                strokeWidth={2}
+              />
+            )}
+            {screenPoints.length === 2 && (
+              <line x1={screenPoints[0].x} y1={screenPoints[0].y} x2={screenPoints[1].x} y2={screenPoints[1].y} stroke={COLORS.primary} strokeWidth={2} />
+            )}
+            {screenPoints.map((p, idx) => (
+              <circle key={idx} cx={p.x} cy={p.y} r={5} fill="white" stroke={COLORS.primary} strokeWidth={2} />
+            ))}
+            {sitePin && <circle cx={sitePin.x} cy={sitePin.y} r={4} fill={COLORS.error} />}
+          </svg>
+
+          {/* Map Controls */}
+          <div className="absolute top-2 right-2 flex flex-col gap-1">
+            <MapButton onClick={() => setZoom(z => Math.min(MAX_ZOOM, z + 1))} icon={Plus} label="Zoom in" />
+            <MapButton onClick={() => setZoom(z => Math.max(MIN_ZOOM, z - 1))} icon={Minus} label="Zoom out" />
+          </div>
+          <div className="absolute bottom-6 right-2 grid grid-cols-3 gap-1">
+            <span />
+            <MapButton onClick={() => handlePan(0, -PAN_STEP)} icon={ArrowUp} label="Pan north" />
+            <span />
+            <MapButton onClick={() => handlePan(-PAN_STEP, 0)} icon={ArrowLeft} label="Pan west" />
+            <span />
+            <MapButton onClick={() => handlePan(PAN_STEP, 0)} icon={ArrowRight} label="Pan east" />
+            <span />
+            <MapButton onClick={() => handlePan(0, PAN_STEP)} icon={ArrowDown} label="Pan south" />
+            <span />
+          </div>
+          <p className="absolute bottom-0 left-0 px-2 py-0.5 text-[10px] bg-white bg-opacity-80 text-gray-600">
+            © OpenStreetMap contributors
+          </p>
+        </div>
+      ) : (
+        <div>
+          <textarea
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            rows={6}
+            placeholder={'One corner per line as latitude, longitude\n-1.2921, 36.8219\n-1.2930, 36.8235\n-1.2945, 36.8220'}
+            className="w-full p-3 border border-gray-300 rounded-lg text-sm font-mono"
+          />
+          <button
+            onClick={handleUsePasted}
+            disabled={disabled || !pasteText.trim()}
+            className="mt-2 px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 disabled:opacity-50"
+          >
+            Show on map
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm mt-3" style={{ color: COLORS.error }}>{error}</p>}
+
+      {/* Boundary Summary */}
+      <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-4 text-sm text-gray-700">
+          <span><strong>{points.length}</strong> points</span>
+          {preview && (
+            <>
+              <span><strong>{preview.areaHectares}</strong> ha</span>
+              <span><strong>{preview.perimeterMetres.toLocaleString()}</strong> m perimeter</span>
+            </>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setPoints(prev => prev.slice(0, -1))}
+            disabled={disabled || !points.length}
+            className="px-3 py-2 rounded-lg text-sm bg-white border border-gray-300 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+          >
+            <Undo2 className="w-4 h-4" />
+            Undo
+          </button>
+          <button
+            onClick={handleRemove}
+            disabled={disabled || (!points.length && !boundary)}
+            className="px-3 py-2 rounded-lg text-sm bg-white border border-gray-300 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={disabled || !preview}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white flex items-center gap-1 disabled:opacity-50"
+            style={{ backgroundColor: COLORS.accent }}
+          >
+            <Save className="w-4 h-4" />
+            Use this boundary
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Mode Button Component
+const ModeButton = ({ active, onClick, icon: Icon, label }) => (
+  <button
+    onClick={onClick}
+    className={`px-3 py-1 rounded-lg text-xs font-medium flex items-center gap-1 border ${active ? 'text-white' : 'bg-white text-gray-700'}`}
+    style={{ backgroundColor: active ? COLORS.accent : undefined, borderColor: active ? COLORS.accent : '#D1D5DB' }}
+  >
+    <Icon className="w-3 h-3" />
+    {label}
+  </button>
+);
+
+// Map Button Component
+const MapButton = ({ onClick, icon: Icon, label }) => (
+  <button
+    onClick={onClick}
+    title={label}
+    aria-label={label}
+    className="w-8 h-8 bg-white rounded shadow flex items-center justify-center text-gray-700 hover:bg-gray-50"
+  >
+    <Icon className="w-4 h-4" />
+  </button>
+);
+
+export default SiteBoundaryEditor;
@@ -0,0 +1,185 @@
+/**
+ * OfflineDataPanel Component
+ * Manage the species enrichment cache: download data for the site's area,
+ * import a cache file from the prefetch script, and work offline from it
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { WifiOff, Download, Upload, Trash2, AlertCircle, CheckCircle } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import CONFIG from '../../constants/config';
+import {
+  isOfflineMode,
+  setOfflineMode,
+  getEnrichmentCacheStats,
+  importEnrichmentCache,
+  clearEnrichmentCache
+} from '../../services/enrichmentCacheService';
+import { prefetchEnrichment } from '../../services/treeSpeciesAPI';
+import { getCountrySpecies } from '../../services/treeDataService';
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+const PREFETCH_RADIUS_KM = 10; // Occurrence counts are cached per ~11 km cell, so keep the area small
+
+const OfflineDataPanel = ({ location, onUpdated, disabled = false }) => {
+  const [stats, setStats] = useState(null);
+  const [offline, setOffline] = useState(isOfflineMode);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refreshStats = () => getEnrichmentCacheStats().then(setStats);
+
+  useEffect(() => {
+    refreshStats();
+  }, []);
+
+  // Enrichment is off, so there is nothing to cache
+  if (!CONFIG.ENABLE_API_ENRICHMENT) return null;
+
+  const coordinates = location?.coordinates;
+  const isBusy = disabled || progress !== null;
+
+  const handleToggleOffline = () => {
+    setOfflineMode(!offline);
+    setOffline(isOfflineMode());
+  };
+
+  const handlePrefetch = async () => {
+    const trees = getCountrySpecies(location?.countryCode);
+    setMessage(null);
+    setProgress({ done: 0, total: trees.length });
+
+    const result = await prefetchEnrichment({
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      radiusKm: PREFETCH_RADIUS_KM,
+      trees,
+      onProgress: setProgress
+    });
+
+    setProgress(null);
+    await refreshStats();
+    if (result.success) {
+      setMessage({ type: 'success', text: `Saved data for ${result.species} species around this site` });
+      onUpdated?.();
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input value so the same file can be selected again
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_FILE_SIZE) {
+      setMessage({ type: 'error', text: 'Cache file is too large (max 50MB)' });
+      return;
+    }
+
+    let result;
+    try {
+      result = await importEnrichmentCache(JSON.parse(await file.text()));
+    } catch {
+      result = { success: false, error: 'The file is not valid JSON' };
+    }
+
+    await refreshStats();
+    if (result.success) {
+      setMessage({ type: 'success', text: `Imported ${result.imported} cached lookups` });
+      onUpdated?.();
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleClear = async () => {
+    await clearEnrichmentCache();
+    await refreshStats();
+    setMessage(null);
+  };
+
+  return (
+    <div className="w-full max-w-4xl mx-auto bg-white rounded-xl p-6 shadow-lg">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <WifiOff className="w-5 h-5" style={{ color: COLORS.secondary }} />
+            Offline data
+          </h3>
+          <p className="text-sm text-gray-600">
+            {stats?.entries
+              ? `${stats.species} species cached for ${stats.cells} area${stats.cells === 1 ? '' : 's'}, updated ${new Date(stats.newest).toLocaleDateString()}`
+              : 'No species data saved yet. Save it before going to the field to keep native status and photos offline.'}
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={offline}
+            onChange={handleToggleOffline}
+            disabled={disabled}
+          />
+          Work offline
+        </label>
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handlePrefetch}
+          disabled={isBusy || offline || !coordinates}
+          className="px-4 py-2 rounded-lg text-sm font-medium text-white flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ backgroundColor: COLORS.secondary }}
+        >
+          <Download className="w-4 h-4" />
+          {progress ? `Saving... ${progress.done}/${progress.total}` : 'Save species data for this area'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileSelect}
+          className="hidden"
+          disabled={isBusy}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isBusy}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Upload className="w-4 h-4" />
+          Import cache file
+        </button>
+        {stats?.entries > 0 && (
+          <button
+            type="button"
+            onClick={handleClear}
+            disabled={isBusy}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-gray-500 hover:text-gray-800 flex items-center gap-2 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div
+          className={`mt-4 p-3 rounded-lg flex items-start gap-2 border ${
+            message.type === 'error' ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'
+          }`}
+        >
+          {message.type === 'error'
+            ? <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+            : <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.success }} />}
+          <p className={`text-sm ${message.type === 'error' ? 'text-red-800' : 'text-green-800'}`}>{message.text}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineDataPanel;
@@ -0,0 +1,198 @@
+/**
+ * ProjectList Component
+ * Saved projects: reopen, rename, duplicate and delete
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { FolderOpen, Pencil, Copy, Trash2, X, Check, Trees, MapPin, AlertCircle } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import { listProjects } from '../../services/projectStorageService';
+
+const formatDate = (iso) =>
+  iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+
+const ProjectList = ({ currentProjectId, onOpen, onRename, onDuplicate, onDelete, onClose }) => {
+  const [projects, setProjects] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const refresh = useCallback(async () => {
+    const result = await listProjects();
+    setProjects(result.projects);
+    setError(result.success ? null : result.error);
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Run a project action, then reload the list
+  const runAction = async (action) => {
+    const result = await action();
+    if (result && result.success === false) {
+      setError(result.error);
+    }
+    await refresh();
+  };
+
+  const startRename = (project) => {
+    setEditingId(project.id);
+    setDraftName(project.name);
+  };
+
+  const submitRename = async (e) => {
+    e.preventDefault();
+    const id = editingId;
+    setEditingId(null);
+    await runAction(() => onRename(id, draftName));
+  };
+
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete "${project.name}"? This cannot be undone.`)) {
+      runAction(() => onDelete(project.id));
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-3xl font-bold flex items-center gap-3" style={{ color: COLORS.primary }}>
+            <FolderOpen className="w-8 h-8" />
+            My Projects
+          </h2>
+          <p className="text-gray-600 mt-1">
+            Plans are saved in this browser automatically
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+          aria-label="Close projects"
+        >
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-center text-gray-500 py-12">Loading projects...</p>
+      ) : projects.length === 0 ? (
+        <div className="text-center py-16 bg-white rounded-xl border border-gray-200">
+          <Trees className="w-12 h-12 mx-auto mb-3" style={{ color: COLORS.secondary }} />
+          <p className="font-medium" style={{ color: COLORS.textDark }}>No saved projects yet</p>
+          <p className="text-sm text-gray-600 mt-1">
+            Analyse a site and the plan will appear here
+          </p>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {projects.map(project => (
+            <li
+              key={project.id}
+              className="bg-white rounded-xl border p-4 flex items-center gap-4"
+              style={{ borderColor: project.id === currentProjectId ? COLORS.secondary : '#E5E7EB' }}
+            >
+              <ProjectThumbnail src={project.thumbnail} />
+
+              <div className="flex-1 min-w-0">
+                {editingId === project.id ? (
+                  <form onSubmit={submitRename} className="flex items-center gap-2">
+                    <input
+                      autoFocus
+                      value={draftName}
+                      onChange={(e) => setDraftName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                      aria-label="Project name"
+                    />
+                    <IconButton type="submit" icon={Check} label="Save name" disabled={!draftName.trim()} />
+                    <IconButton icon={X} label="Cancel rename" onClick={() => setEditingId(null)} />
+                  </form>
+                ) : (
+                  <button
+                    onClick={() => onOpen(project.id)}
+                    className="text-left font-semibold truncate block max-w-full hover:underline"
+                    style={{ color: COLORS.textDark }}
+                  >
+                    {project.name}
+                  </button>
+                )}
+
+                <div className="text-xs text-gray-500 mt-1 flex flex-wrap gap-x-3 gap-y-1">
+                  {project.location && (
+                    <span className="flex items-center gap-1">
+                      <MapPin className="w-3 h-3" />
+                      {project.location}
+                    </span>
+                  )}
+                  {project.topSpecies && (
+                    <span>{project.topSpecies}{project.speciesCount > 1 ? ` + ${project.speciesCount - 1} more` : ''}</span>
+                  )}
+                  {project.areaHectares && <span>{project.areaHectares.toFixed(2)} ha</span>}
+                  <span>Updated {formatDate(project.updatedAt)}</span>
+                </div>
+                {project.id === currentProjectId && (
+                  <span className="inline-block mt-1 text-xs font-medium" style={{ color: COLORS.secondary }}>
+                    Currently open
+                  </span>
+                )}
+              </div>
+
+              {editingId !== project.id && (
+                <div className="flex items-center gap-1">
+                  <IconButton icon={Pencil} label="Rename" onClick={() => startRename(project)} />
+                  <IconButton icon={Copy} label="Duplicate" onClick={() => runAction(() => onDuplicate(project.id))} />
+                  <IconButton icon={Trash2} label="Delete" onClick={() => handleDelete(project)} danger />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Project Thumbnail Component
+const ProjectThumbnail = ({ src }) => {
+  if (!src) {
+    return (
+      <div
+        className="w-16 h-16 rounded-lg flex items-center justify-center flex-shrink-0"
+        style={{ backgroundColor: COLORS.background }}
+      >
+        <MapPin className="w-6 h-6" style={{ color: COLORS.secondary }} />
+      </div>
+    );
+  }
+
+  return <img src={src} alt="" className="w-16 h-16 rounded-lg object-cover flex-shrink-0" />;
+};
+
+// Icon Button Component
+const IconButton = ({ icon: Icon, label, onClick, type = 'button', disabled = false, danger = false }) => {
+  return (
+    <button
+      type={type}
+      onClick={onClick}
+      disabled={disabled}
+      title={label}
+      aria-label={label}
+      className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors disabled:opacity-40"
+      style={danger ? { color: COLORS.error } : undefined}
+    >
+      <Icon className="w-4 h-4" />
+    </button>
+  );
+};
+
+export default ProjectList;
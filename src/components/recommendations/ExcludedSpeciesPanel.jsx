@@ -0,0 +1,66 @@
+/**
+ * ExcludedSpeciesPanel Component
+ * Explains why database species were not recommended for the site
+ */
+import React, { useState } from 'react';
+import { Ban, ChevronDown, ChevronUp } from 'lucide-react';
+import COLORS from '../../constants/colors';
+
+const ExcludedSpeciesPanel = ({ excludedSpecies }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (!excludedSpecies || excludedSpecies.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full p-6 flex items-center justify-between hover:bg-gray-50 transition-colors"
+      >
+        <div className="flex items-center gap-3 text-left">
+          <Ban className="w-5 h-5 text-gray-500" />
+          <div>
+            <h3 className="text-lg font-bold" style={{ color: COLORS.textDark }}>
+              Why other species were not recommended
+            </h3>
+            <p className="text-sm text-gray-600">
+              {excludedSpecies.length} species filtered out or ranked lower
+            </p>
+          </div>
+        </div>
+        {isExpanded ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+      </button>
+
+      {isExpanded && (
+        <div className="border-t border-gray-200 divide-y divide-gray-100">
+          {excludedSpecies.map(species => (
+            <div key={species.id} className="px-6 py-4">
+              <p className="font-medium text-gray-800">
+                {species.commonName}{' '}
+                <span className="text-sm text-gray-500 italic">{species.scientificName}</span>
+              </p>
+              <ul className="mt-1 space-y-1">
+                {species.reasons.length > 0 ? (
+                  species.reasons.map((reason, idx) => (
+                    <li key={idx} className="text-sm text-gray-600 flex items-start gap-2">
+                      <span className="text-red-500 mt-0.5">✗</span>
+                      <span>
+                        <strong>{reason.label}:</strong> {reason.message}
+                      </span>
+                    </li>
+                  ))
+                ) : (
+                  <li className="text-sm text-gray-600">Removed by an external check</li>
+                )}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExcludedSpeciesPanel;
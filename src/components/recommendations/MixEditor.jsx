@@ -0,0 +1,334 @@
+/**
+ * MixEditor Component
+ * Hand-pick the species mix: add species from the recommendations or the
+ * full database, remove them, lock percentages and re-balance the rest
+ * against the ecological mix rules, with a functional-diversity summary
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { Layers, Lock, Unlock, X, AlertTriangle, RotateCcw, CheckCircle } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import speciesMixService from '../../services/speciesMixService';
+
+const MixEditor = ({ plan, onChange, onReset, disabled = false }) => {
+  const recommendations = plan.recommendations || [];
+  const mixRatio = plan.plantingStrategy?.mixRatio || {};
+  const mixLocks = plan.mixLocks || {};
+  const isCustom = plan.plantingStrategy?.source === 'custom';
+
+  // Typed shares are applied on blur or Enter, so the plan is not rebuilt on every keystroke
+  const [drafts, setDrafts] = useState({});
+
+  useEffect(() => {
+    setDrafts({});
+  }, [plan.plantingStrategy]);
+
+  const candidates = useMemo(() => speciesMixService.getMixCandidates(plan), [plan]);
+  const warnings = useMemo(() => speciesMixService.getMixWarnings(plan), [plan]);
+
+  if (!recommendations.length) return null;
+
+  const speciesIds = recommendations.map(tree => tree.id);
+  const fitting = candidates.filter(entry => entry.warnings.length === 0);
+  const outside = candidates.filter(entry => entry.warnings.length > 0);
+  const mixWarnings = warnings.filter(warning => !warning.id);
+  const total = Object.values(mixRatio).reduce((sum, share) => sum + share, 0);
+
+  const addSpecies = (id) => {
+    if (id) onChange([...speciesIds, id], mixLocks);
+  };
+
+  const removeSpecies = (tree) => {
+    const { [tree.commonName]: _removed, ...locks } = mixLocks;
+    onChange(speciesIds.filter(id => id !== tree.id), locks);
+  };
+
+  const toggleLock = (tree) => {
+    if (Number.isFinite(mixLocks[tree.commonName])) {
+      const { [tree.commonName]: _unlocked, ...locks } = mixLocks;
+      onChange(speciesIds, locks);
+    } else {
+      onChange(speciesIds, { ...mixLocks, [tree.commonName]: mixRatio[tree.commonName] ?? 0 });
+    }
+  };
+
+  // Typing a share locks the species at that share
+  const applyShare = (tree) => {
+    const draft = drafts[tree.commonName];
+    if (draft === undefined) return;
+
+    const share = Math.max(0, Math.min(100, Math.round(Number(draft))));
+    if (draft === '' || !Number.isFinite(share) || share === mixRatio[tree.commonName]) {
+      setDrafts(prev => ({ ...prev, [tree.commonName]: undefined }));
+      return;
+    }
+    onChange(speciesIds, { ...mixLocks, [tree.commonName]: share });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div>
+          <h3 className="text-2xl font-bold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <Layers className="w-6 h-6" style={{ color: COLORS.secondary }} />
+            Species Mix
+            {isCustom && (
+              <span
+                className="px-2 py-0.5 rounded-full text-xs font-medium"
+                style={{ backgroundColor: `${COLORS.accent}20`, color: COLORS.accent }}
+              >
+                Custom
+              </span>
+            )}
+          </h3>
+          <p className="text-sm text-gray-600">
+            Add or remove species and lock their share; unlocked species are balanced for nitrogen fixers, canopy layers, pioneers and family diversity
+          </p>
+        </div>
+        {isCustom && (
+          <button
+            type="button"
+            onClick={onReset}
+            disabled={disabled}
+            className="px-4 py-2 rounded-lg text-sm font-medium border flex items-center gap-2 disabled:opacity-50"
+            style={{ borderColor: COLORS.primary, color: COLORS.primary }}
+          >
+            <RotateCcw className="w-4 h-4" />
+            Back to recommended mix
+          </button>
+        )}
+      </div>
+
+      {/* Current mix */}
+      <div className="space-y-2 mb-4">
+        {recommendations.map(tree => {
+          const isLocked = Number.isFinite(mixLocks[tree.commonName]);
+          const share = mixRatio[tree.commonName] ?? 0;
+          const treeWarnings = warnings.filter(warning => warning.id === tree.id);
+
+          return (
+            <div
+              key={tree.id}
+              className="p-3 rounded-lg border"
+              style={{ borderColor: treeWarnings.length ? COLORS.warning : '#E5E7EB' }}
+            >
+              <div className="flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium truncate" style={{ color: COLORS.textDark }}>
+                    {tree.commonName}
+                  </p>
+                  <p className="text-xs text-gray-500 italic truncate">{tree.scientificName}</p>
+                </div>
+
+                <div className="w-32 hidden sm:block">
+                  <div className="h-2 rounded-full bg-gray-200 overflow-hidden">
+                    <div
+                      className="h-full rounded-full"
+                      style={{ width: `${share}%`, backgroundColor: isLocked ? COLORS.secondary : COLORS.accent }}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={drafts[tree.commonName] ?? share}
+                    onChange={(e) => setDrafts(prev => ({ ...prev, [tree.commonName]: e.target.value }))}
+                    onBlur={() => applyShare(tree)}
+                    onKeyDown={(e) => e.key === 'Enter' && applyShare(tree)}
+                    disabled={disabled}
+                    className="w-16 px-2 py-1 border border-gray-300 rounded text-sm text-right"
+                    aria-label={`${tree.commonName} share`}
+                  />
+                  <span className="text-sm text-gray-500">%</span>
+                </div>
+
+                <IconButton
+                  onClick={() => toggleLock(tree)}
+                  disabled={disabled}
+                  label={isLocked ? 'Unlock share' : 'Lock share'}
+                  color={isLocked ? COLORS.secondary : '#9CA3AF'}
+                >
+                  {isLocked ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+                </IconButton>
+                <IconButton
+                  onClick={() => removeSpecies(tree)}
+                  disabled={disabled || recommendations.length <= 1}
+                  label="Remove from mix"
+                  color={COLORS.error}
+                >
+                  <X className="w-4 h-4" />
+                </IconButton>
+              </div>
+
+              {treeWarnings.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {treeWarnings.map((warning, idx) => (
+                    <li key={idx} className="text-xs flex items-start gap-1" style={{ color: COLORS.warning }}>
+                      <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                      {warning.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4 text-sm">
+        <span className="text-gray-600">
+          {recommendations.length} species · total {total}%
+          {describeSpacing(plan.plantingStrategy) && ` · ${describeSpacing(plan.plantingStrategy)}`}
+        </span>
+        <select
+          value=""
+          onChange={(e) => addSpecies(e.target.value)}
+          disabled={disabled || candidates.length === 0}
+          className="px-3 py-2 border border-gray-300 rounded text-sm bg-white disabled:opacity-50"
+          aria-label="Add species"
+        >
+          <option value="">+ Add species…</option>
+          {fitting.length > 0 && (
+            <optgroup label="Fits this site">
+              {fitting.map(({ tree, suitable, nurseryStatus }) => (
+                <option key={tree.id} value={tree.id}>
+                  {tree.commonName}{suitable ? ' (recommended)' : ''}{describeStock(nurseryStatus)}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {outside.length > 0 && (
+            <optgroup label="Outside the site's climate envelope">
+              {outside.map(({ tree, warnings: treeWarnings, nurseryStatus }) => (
+                <option key={tree.id} value={tree.id}>
+                  ⚠️ {tree.commonName} ({treeWarnings.map(reason => reason.label.toLowerCase()).join(', ')}){describeStock(nurseryStatus)}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      {mixWarnings.length > 0 && (
+        <div className="p-3 rounded-lg text-sm space-y-1" style={{ backgroundColor: `${COLORS.warning}15`, color: COLORS.textDark }}>
+          {mixWarnings.map((warning, idx) => (
+            <p key={idx} className="flex items-start gap-2">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" style={{ color: COLORS.warning }} />
+              {warning.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <FunctionalDiversity summary={plan.plantingStrategy?.functionalDiversity} />
+    </div>
+  );
+};
+
+// Suffix for species the nursery cannot supply, e.g. " · not stocked"
+const describeStock = (nurseryStatus) => {
+  if (!nurseryStatus || nurseryStatus.available) return '';
+  return nurseryStatus.stocked ? ' · out of stock' : ' · not stocked';
+};
+
+// Density and spacing of the rebuilt strategy, e.g. "300-400 trees/hectare, 3-4 meters apart"
+const describeSpacing = (strategy) => {
+  if (!strategy?.density) return null;
+  return strategy.spacing ? `${strategy.density}, ${strategy.spacing} apart` : strategy.density;
+};
+
+// Functional Diversity Component
+const FunctionalDiversity = ({ summary }) => {
+  if (!summary) return null;
+
+  const stats = [
+    { label: 'Families', value: summary.familyCount },
+    { label: 'Functional groups', value: summary.functionalGroupCount },
+    { label: 'Shannon index', value: summary.shannonIndex.toFixed(2) },
+    { label: 'Evenness', value: summary.evenness.toFixed(2) }
+  ];
+
+  return (
+    <div className="mt-6 pt-6 border-t border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold" style={{ color: COLORS.textDark }}>Functional Diversity</h4>
+        <span className="text-sm font-medium" style={{ color: summary.score >= 80 ? COLORS.success : COLORS.warning }}>
+          {summary.checksMet}/{summary.checks.length} design rules met
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        {stats.map(stat => (
+          <div key={stat.label} className="p-3 rounded-lg text-center" style={{ backgroundColor: COLORS.background }}>
+            <p className="text-lg font-bold" style={{ color: COLORS.primary }}>{stat.value}</p>
+            <p className="text-xs text-gray-600">{stat.label}</p>
+          </div>
+        ))}
+      </div>
+
+      <ul className="space-y-1 mb-4">
+        {summary.checks.map(check => (
+          <li key={check.id} className="text-sm flex items-start gap-2">
+            {check.met
+              ? <CheckCircle className="w-4 h-4 mt-0.5 flex-shrink-0" style={{ color: COLORS.success }} />
+              : <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" style={{ color: COLORS.warning }} />}
+            <span className="text-gray-700">{check.message}</span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <ShareBreakdown
+          title="Layers and succession"
+          rows={[
+            ...Object.entries(summary.strata).map(([key, share]) => ({ key, share })),
+            ...Object.entries(summary.succession).map(([key, share]) => ({ key, share }))
+          ]}
+        />
+        <ShareBreakdown
+          title="Families"
+          rows={summary.families.map(entry => ({ key: entry.family, share: entry.share }))}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Share Breakdown Component
+const ShareBreakdown = ({ title, rows }) => {
+  return (
+    <div>
+      <p className="text-xs font-medium text-gray-600 mb-2">{title}</p>
+      {rows.filter(row => row.share > 0).map(row => (
+        <div key={row.key} className="flex items-center gap-2 mb-1">
+          <span className="w-28 capitalize truncate text-gray-700">{row.key}</span>
+          <div className="flex-1 h-2 rounded-full bg-gray-200 overflow-hidden">
+            <div className="h-full rounded-full" style={{ width: `${row.share}%`, backgroundColor: COLORS.secondary }} />
+          </div>
+          <span className="w-12 text-right text-gray-600">{Math.round(row.share)}%</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Icon Button Component
+const IconButton = ({ onClick, disabled, label, color, children }) => {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      title={label}
+      aria-label={label}
+      className="p-2 rounded hover:bg-gray-100 disabled:opacity-40"
+      style={{ color }}
+    >
+      {children}
+    </button>
+  );
+};
+
+export default MixEditor;
@@ -0,0 +1,146 @@
+/**
+ * ObjectiveSelector Component
+ * Lets users pick a planting objective profile and fine-tune scoring weights
+ */
+import React, { useState, useEffect } from 'react';
+import { Target, SlidersHorizontal, RotateCcw } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import { OBJECTIVE_PROFILES, getObjectiveProfile } from '../../constants/objectiveProfiles';
+
+const WEIGHT_LABELS = {
+  temperature: 'Temperature',
+  rainfall: 'Rainfall',
+  altitude: 'Altitude',
+  soilType: 'Soil type',
+  soilPH: 'Soil pH',
+  moisture: 'Soil moisture',
+  native: 'Native species',
+  biodiversity: 'Biodiversity',
+  carbon: 'Carbon',
+  growthRate: 'Growth rate',
+  nitrogen: 'Nitrogen fixing',
+  uses: 'Objective uses'
+};
+
+const MAX_WEIGHT = 40;
+
+const ObjectiveSelector = ({ objective, customWeights, onChange, disabled = false }) => {
+  const [showWeights, setShowWeights] = useState(false);
+  const profile = getObjectiveProfile(objective);
+  const [draftWeights, setDraftWeights] = useState({ ...profile.weights, ...(customWeights || {}) });
+
+  useEffect(() => {
+    setDraftWeights({ ...getObjectiveProfile(objective).weights, ...(customWeights || {}) });
+  }, [objective, customWeights]);
+
+  const handleWeightChange = (key, value) => {
+    setDraftWeights(prev => ({ ...prev, [key]: Number(value) }));
+  };
+
+  const handleApplyWeights = () => {
+    onChange(objective, draftWeights);
+  };
+
+  const handleResetWeights = () => {
+    onChange(objective, null);
+  };
+
+  const totalWeight = Object.values(draftWeights).reduce((sum, w) => sum + w, 0);
+
+  return (
+    <div className="w-full max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-lg font-bold mb-1 flex items-center gap-2" style={{ color: COLORS.textDark }}>
+        <Target className="w-5 h-5" style={{ color: COLORS.accent }} />
+        Planting Objective
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">{profile.description}</p>
+
+      {/* Profile Buttons */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-2">
+        {Object.values(OBJECTIVE_PROFILES).map(option => {
+          const isActive = option.id === profile.id;
+          return (
+            <button
+              key={option.id}
+              onClick={() => !isActive && onChange(option.id)}
+              disabled={disabled}
+              className={`px-3 py-2 rounded-lg text-sm font-medium border-2 transition-colors disabled:opacity-50 ${
+                isActive ? 'text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+              style={{
+                borderColor: isActive ? COLORS.accent : '#E5E7EB',
+                backgroundColor: isActive ? COLORS.accent : undefined
+              }}
+            >
+              <span className="mr-1">{option.icon}</span>
+              {option.name}
+            </button>
+          );
+        })}
+      </div>
+
+      {customWeights && (
+        <p className="text-xs mt-3" style={{ color: COLORS.secondary }}>
+          Using custom weights for this objective
+        </p>
+      )}
+
+      {/* Weight Editor */}
+      <button
+        onClick={() => setShowWeights(!showWeights)}
+        className="mt-4 text-sm font-medium flex items-center gap-2 hover:underline"
+        style={{ color: COLORS.secondary }}
+      >
+        <SlidersHorizontal className="w-4 h-4" />
+        {showWeights ? 'Hide scoring weights' : 'Adjust scoring weights'}
+      </button>
+
+      {showWeights && (
+        <div className="mt-4 p-4 rounded-lg" style={{ backgroundColor: COLORS.background }}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+            {Object.keys(WEIGHT_LABELS).map(key => (
+              <label key={key} className="text-xs text-gray-700">
+                <span className="flex justify-between mb-1">
+                  <span>{WEIGHT_LABELS[key]}</span>
+                  <strong>{draftWeights[key] || 0}</strong>
+                </span>
+                <input
+                  type="range"
+                  min="0"
+                  max={MAX_WEIGHT}
+                  value={draftWeights[key] || 0}
+                  onChange={(e) => handleWeightChange(key, e.target.value)}
+                  disabled={disabled}
+                  className="w-full"
+                />
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Total {totalWeight} points. Scores are normalised to 0-100, so only the relative weights matter.
+          </p>
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={handleApplyWeights}
+              disabled={disabled || totalWeight === 0}
+              className="px-4 py-2 rounded-lg text-sm font-medium text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.accent }}
+            >
+              Apply weights
+            </button>
+            <button
+              onClick={handleResetWeights}
+              disabled={disabled || !customWeights}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 flex items-center gap-1 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reset to profile
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ObjectiveSelector;
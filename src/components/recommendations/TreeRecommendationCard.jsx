@@ -2,7 +2,7 @@
  * TreeRecommendationCard Component
  * Displays individual tree recommendation with details
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   TreePine,
   Droplets,
@@ -12,12 +12,30 @@ import {
   Award,
   ChevronDown,
   ChevronUp,
-  Sparkles
+  Sparkles,
+  HelpCircle,
+  AlertTriangle,
+  Store
 } from 'lucide-react';
 import COLORS from '../../constants/colors';
+import { getGrowthModel } from '../../constants/growthModels';
+import { predictTreeSize, calculateTreeCarbonStock, getGrowthAge } from '../../utils/calculations';
+import { getCachedSpeciesPhoto } from '../../services/treeSpeciesAPI';
 
 const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
   const [isExpanded, setIsExpanded] = useState(showDetails);
+  const [showWhy, setShowWhy] = useState(false);
+  const [cachedPhoto, setCachedPhoto] = useState(null);
+
+  // The thumbnail lives in the enrichment cache; the tree only holds its key
+  useEffect(() => {
+    let isCurrent = true;
+    setCachedPhoto(null);
+    getCachedSpeciesPhoto(tree.photoRef).then(dataUrl => {
+      if (isCurrent) setCachedPhoto(dataUrl);
+    });
+    return () => { isCurrent = false; };
+  }, [tree.photoRef]);
 
   // Get compatibility color
   const getScoreColor = (score) => {
@@ -28,7 +46,12 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
   };
 
   const displayScore = tree.finalScore || tree.compatibilityScore || 0;
+  const growthModel = getGrowthModel(tree);
+  // Same drought-adjusted ages as the stand projection
+  const sizeAt20 = predictTreeSize(growthModel, getGrowthAge(20));
   const scoreColor = getScoreColor(displayScore);
+  // Cached thumbnail first so the photo still shows offline
+  const photo = cachedPhoto || tree.observationPhotos?.[0] || tree.imageUrl;
 
   return (
     <div className="bg-white rounded-xl shadow-lg overflow-hidden hover:shadow-xl transition-shadow">
@@ -44,6 +67,15 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
               #{rank}
             </div>
 
+            {/* Species Photo */}
+            {photo && (
+              <img
+                src={photo}
+                alt={tree.commonName}
+                className="w-14 h-14 rounded-lg object-cover flex-shrink-0"
+              />
+            )}
+
             {/* Tree Info */}
             <div>
               <h3 className="text-xl font-bold mb-1 flex items-center gap-2" style={{ color: COLORS.textDark }}>
@@ -51,7 +83,9 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
                 {tree.commonName}
               </h3>
               <p className="text-sm text-gray-600 italic">{tree.scientificName}</p>
-              {tree.nativeRegions && tree.nativeRegions.length > 0 && (
+              {tree.nativeness ? (
+                <Nativeness nativeness={tree.nativeness} />
+              ) : tree.nativeRegions && tree.nativeRegions.length > 0 && (
                 <div className="flex items-center gap-1 mt-1">
                   <MapPin className="w-3 h-3 text-green-600" />
                   <span className="text-xs text-green-700 font-medium">
@@ -74,6 +108,12 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
           </div>
         </div>
 
+        {/* Invasive / Regulatory Warning */}
+        {tree.regulatoryStatus && <RegulatoryWarning status={tree.regulatoryStatus} />}
+
+        {/* Nursery Stock */}
+        {tree.nurseryStatus && <NurseryStock status={tree.nurseryStatus} />}
+
         {/* Quick Stats */}
         <div className="grid grid-cols-3 gap-3">
           <QuickStat
@@ -109,6 +149,24 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
           </div>
         )}
 
+        {/* Why This Tree */}
+        {tree.scoreBreakdown && (
+          <div className="mt-4 rounded-lg border border-gray-200">
+            <button
+              onClick={() => setShowWhy(!showWhy)}
+              className="w-full px-4 py-2 flex items-center justify-between text-sm font-medium hover:bg-gray-50"
+              style={{ color: COLORS.textDark }}
+            >
+              <span className="flex items-center gap-2">
+                <HelpCircle className="w-4 h-4" style={{ color: COLORS.accent }} />
+                Why this tree?
+              </span>
+              {showWhy ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+            {showWhy && <ScoreBreakdown breakdown={tree.scoreBreakdown} />}
+          </div>
+        )}
+
         {/* Expand Button */}
         <button
           onClick={() => setIsExpanded(!isExpanded)}
@@ -164,7 +222,19 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
                 label="Rainfall Range"
                 value={`${tree.rainfallRange.min} - ${tree.rainfallRange.max} mm/year`}
               />
+              {tree.altitudeRange && (
+                <DetailItem
+                  label="Altitude Range"
+                  value={`${tree.altitudeRange.min} - ${tree.altitudeRange.max} m`}
+                />
+              )}
               <DetailItem label="Soil Types" value={tree.soilTypes.join(', ')} />
+              {tree.soilPH && (
+                <DetailItem
+                  label="Soil pH"
+                  value={`${tree.soilPH.min} - ${tree.soilPH.max}`}
+                />
+              )}
               <DetailItem label="Water Needs" value={tree.waterNeeds} />
             </div>
           </div>
@@ -183,6 +253,15 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
                 value={`${tree.biodiversityValue}/100`}
                 icon={Award}
               />
+              <DetailItem
+                label="CO₂ Stored per Tree"
+                value={`${Math.round(calculateTreeCarbonStock(growthModel, getGrowthAge(10)))} kg at 10 yrs, ${Math.round(calculateTreeCarbonStock(growthModel, getGrowthAge(20)))} kg at 20 yrs`}
+                icon={Leaf}
+              />
+              <DetailItem
+                label="Size at 20 Years"
+                value={`${sizeAt20.height}m tall, ${sizeAt20.dbh}cm DBH (wood density ${growthModel.woodDensity} g/cm³${growthModel.isDefault ? `; generic ${tree.growthRate || 'moderate'} growth curve` : ''})`}
+              />
             </div>
           </div>
 
@@ -220,6 +299,77 @@ const TreeRecommendationCard = ({ tree, rank, showDetails = false }) => {
   );
 };
 
+// Regulatory Warning Component
+const RegulatoryWarning = ({ status }) => {
+  const color = status.status === 'watch' ? COLORS.warning : COLORS.error;
+
+  return (
+    <div
+      className="mb-4 p-3 rounded-lg border-2"
+      style={{ borderColor: color, backgroundColor: `${color}10` }}
+    >
+      <div className="flex items-start gap-2">
+        <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color }} />
+        <div>
+          <p className="text-sm font-bold" style={{ color }}>
+            {status.label} · {status.jurisdiction}
+          </p>
+          <p className="text-sm text-gray-700">{status.note}</p>
+          <p className="text-xs text-gray-500 mt-1">Source: {status.authority}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Nursery Stock Component
+const NurseryStock = ({ status }) => {
+  if (!status.available) {
+    return (
+      <div className="mb-4 px-3 py-2 rounded-lg text-sm flex items-center gap-2" style={{ backgroundColor: `${COLORS.warning}15`, color: COLORS.textDark }}>
+        <Store className="w-4 h-4 flex-shrink-0" style={{ color: COLORS.warning }} />
+        {status.message}
+      </div>
+    );
+  }
+
+  const details = [
+    status.price !== null ? `${status.price.toFixed(2)} per seedling` : null,
+    status.quantity !== null ? `${status.quantity.toLocaleString()} available` : null
+  ].filter(Boolean);
+
+  return (
+    <div className="mb-4 px-3 py-2 rounded-lg text-sm flex items-center gap-2" style={{ backgroundColor: COLORS.background, color: COLORS.textDark }}>
+      <Store className="w-4 h-4 flex-shrink-0" style={{ color: COLORS.secondary }} />
+      In nursery stock{details.length ? ` · ${details.join(' · ')}` : ''}
+    </div>
+  );
+};
+
+// Nativeness Component
+const NATIVENESS_COLORS = {
+  native: COLORS.success,
+  present: COLORS.info,
+  introduced: COLORS.warning
+};
+
+const Nativeness = ({ nativeness }) => {
+  const color = NATIVENESS_COLORS[nativeness.status];
+  if (!color) return null;
+
+  return (
+    <div
+      className="flex items-center gap-1 mt-1"
+      title={nativeness.evidence.map(item => `${item.source}: ${item.finding}`).join('\n')}
+    >
+      <MapPin className="w-3 h-3 flex-shrink-0" style={{ color }} />
+      <span className="text-xs font-medium" style={{ color }}>
+        {nativeness.summary}
+      </span>
+    </div>
+  );
+};
+
 // Quick Stat Component
 const QuickStat = ({ icon: Icon, label, value, color }) => (
   <div className="text-center p-3 bg-gray-50 rounded-lg">
@@ -229,6 +379,73 @@ const QuickStat = ({ icon: Icon, label, value, color }) => (
   </div>
 );
 
+// Format a species range or list for display
+const formatRange = (range, unit = '') => {
+  if (range === null || range === undefined) return '—';
+  if (Array.isArray(range)) return range.length ? range.join(', ') : 'none recorded';
+  if (typeof range === 'object') return `${range.min}–${range.max}${unit}`;
+  return String(range);
+};
+
+// Score Breakdown Component
+const ScoreBreakdown = ({ breakdown }) => {
+  const evaluated = breakdown.factors.filter(f => f.evaluated);
+  const earned = evaluated.reduce((sum, f) => sum + f.points, 0);
+  const available = evaluated.reduce((sum, f) => sum + f.maxPoints, 0);
+  const skipped = breakdown.factors.filter(f => !f.evaluated);
+
+  return (
+    <div className="px-4 pb-4 space-y-3">
+      {evaluated.map(factor => (
+        <div key={factor.key}>
+          <div className="flex items-center justify-between text-xs mb-1">
+            <span className="font-medium text-gray-700">{factor.label}</span>
+            <span className="font-semibold text-gray-800">
+              {factor.points}/{factor.maxPoints} pts
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-1.5 overflow-hidden">
+            <div
+              className="h-full rounded-full"
+              style={{
+                width: `${(factor.points / factor.maxPoints) * 100}%`,
+                backgroundColor: factor.points > 0 ? COLORS.accent : COLORS.error
+              }}
+            />
+          </div>
+          <div className="flex flex-wrap justify-between gap-2 mt-1 text-xs text-gray-500">
+            <span>{factor.detail}</span>
+            <span>
+              Site: <strong className="capitalize">{factor.value ?? '—'}{typeof factor.value === 'number' ? factor.unit : ''}</strong>
+              {' · '}Species: <strong className="capitalize">{formatRange(factor.range, factor.unit)}</strong>
+            </span>
+          </div>
+        </div>
+      ))}
+
+      {skipped.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Not scored (no data): {skipped.map(f => `${f.label} — ${f.detail}`).join('; ')}
+        </p>
+      )}
+
+      <div className="pt-3 border-t border-gray-200 text-xs text-gray-700 space-y-1">
+        <p>
+          Site match: <strong>{Math.round(earned * 10) / 10}</strong> of {available} available points
+          = <strong>{Math.round(breakdown.ruleScore)}</strong>/100
+        </p>
+        {breakdown.aiScore !== null && breakdown.aiScore !== undefined && (
+          <p className="text-purple-700">
+            Final score blends {Math.round((1 - breakdown.aiWeight) * 100)}% site match with{' '}
+            {Math.round(breakdown.aiWeight * 100)}% AI assessment ({breakdown.aiScore}/100)
+            {breakdown.finalScore !== undefined && ` = ${Math.round(breakdown.finalScore)}/100`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // Detail Item Component
 const DetailItem = ({ label, value, icon: Icon }) => (
   <div className="flex items-start gap-2">
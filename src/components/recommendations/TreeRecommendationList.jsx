@@ -5,9 +5,11 @@
 import React, { useState } from 'react';
 import { Filter, SortAsc, Sparkles } from 'lucide-react';
 import TreeRecommendationCard from './TreeRecommendationCard';
+import ExcludedSpeciesPanel from './ExcludedSpeciesPanel';
 import COLORS from '../../constants/colors';
+import { isNativeSpecies } from '../../utils/nativeness';
 
-const TreeRecommendationList = ({ recommendations, aiEnhanced = false }) => {
+const TreeRecommendationList = ({ recommendations, excludedSpecies = [], aiEnhanced = false }) => {
   const [sortBy, setSortBy] = useState('score'); // 'score', 'carbon', 'biodiversity'
   const [filterNative, setFilterNative] = useState(false);
 
@@ -24,9 +26,7 @@ const TreeRecommendationList = ({ recommendations, aiEnhanced = false }) => {
 
   // Apply native filter
   if (filterNative) {
-    displayTrees = displayTrees.filter(tree => 
-      tree.nativeRegions && tree.nativeRegions.length > 0
-    );
+    displayTrees = displayTrees.filter(isNativeSpecies);
   }
 
   // Apply sorting
@@ -126,6 +126,9 @@ const TreeRecommendationList = ({ recommendations, aiEnhanced = false }) => {
         )}
       </div>
 
+      {/* Excluded Species */}
+      <ExcludedSpeciesPanel excludedSpecies={excludedSpecies} />
+
       {/* Summary Stats */}
       <div className="bg-white rounded-xl shadow-lg p-6">
         <h3 className="text-lg font-bold mb-4" style={{ color: COLORS.textDark }}>
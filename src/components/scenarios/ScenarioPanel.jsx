@@ -0,0 +1,395 @@
+/**
+ * ScenarioPanel Component
+ * What-if scenarios for one site: vary objective, density, tolerance and
+ * species, compare them with the current plan and promote one as final
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { FlaskConical, Plus, Trash2, Star, ArrowRight, AlertCircle } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import { OBJECTIVE_PROFILES } from '../../constants/objectiveProfiles';
+import scenarioService, { MAX_SCENARIOS } from '../../services/scenarioService';
+
+const CURRENT_PLAN = 'current';
+
+const CHANGE_COLORS = {
+  better: COLORS.success,
+  worse: COLORS.error,
+  changed: COLORS.info,
+  same: '#6B7280'
+};
+
+const formatValue = (value, metric, currency) => {
+  if (value === null || value === undefined) return '—';
+  const number = Math.round(value).toLocaleString();
+  if (metric.money) return `${currency} ${number}`;
+  return metric.unit ? `${number} ${metric.unit}` : number;
+};
+
+const ScenarioPanel = ({ plan, scenarios = [], promotedScenarioId, onAdd, onDelete, onPromote, disabled = false }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [params, setParams] = useState(() => scenarioService.getDefaultScenarioParams(plan));
+  const [formError, setFormError] = useState(null);
+  const [compareA, setCompareA] = useState(CURRENT_PLAN);
+  const [compareB, setCompareB] = useState(null);
+
+  // Species that suit the site: the current mix plus those ranked below the cut-off
+  const candidateSpecies = useMemo(() => [
+    ...(plan.recommendations || []).map(tree => ({ id: tree.id, commonName: tree.commonName })),
+    ...(plan.excludedSpecies || [])
+      .filter(entry => entry.reasons?.[0]?.criterion === 'rank')
+      .map(entry => ({ id: entry.id, commonName: entry.commonName }))
+  ], [plan.recommendations, plan.excludedSpecies]);
+
+  useEffect(() => {
+    if (!scenarios.some(scenario => scenario.id === compareB)) {
+      setCompareB(scenarios[scenarios.length - 1]?.id || null);
+    }
+  }, [scenarios, compareB]);
+
+  const openForm = () => {
+    setParams(scenarioService.getDefaultScenarioParams(plan));
+    setName('');
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const setParam = (key, value) => setParams(prev => ({ ...prev, [key]: value }));
+
+  const toggleSpecies = (id) => {
+    setParams(prev => ({
+      ...prev,
+      speciesIds: prev.speciesIds.includes(id)
+        ? prev.speciesIds.filter(speciesId => speciesId !== id)
+        : [...prev.speciesIds, id]
+    }));
+  };
+
+  const handleObjectiveChange = (objective) => {
+    // Custom weights belong to the objective they were tuned for
+    setParams(prev => ({
+      ...prev,
+      objective,
+      weights: objective === plan.objective ? plan.customWeights : null
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const result = await onAdd(name, {
+      ...params,
+      density: params.density ? Number(params.density) : null,
+      toleranceBuffer: Number(params.toleranceBuffer) || 0
+    });
+    if (result?.success) {
+      setShowForm(false);
+      setCompareB(result.scenario.id);
+    } else {
+      setFormError(result?.error || 'Scenario failed');
+    }
+  };
+
+  const getResult = (id) => id === CURRENT_PLAN
+    ? plan
+    : scenarios.find(scenario => scenario.id === id)?.result;
+  const resultA = getResult(compareA);
+  const resultB = compareB && getResult(compareB);
+  const diff = resultA && resultB ? scenarioService.diffScenarios(resultA, resultB) : null;
+
+  const compareOptions = [
+    { id: CURRENT_PLAN, name: 'Current plan' },
+    ...scenarios.map(scenario => ({ id: scenario.id, name: scenario.name }))
+  ];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div>
+          <h3 className="text-2xl font-bold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <FlaskConical className="w-6 h-6" style={{ color: COLORS.secondary }} />
+            What-if Scenarios
+          </h3>
+          <p className="text-sm text-gray-600">
+            Try other objectives, densities or species mixes without losing the current plan
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={openForm}
+            disabled={disabled || scenarios.length >= MAX_SCENARIOS}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white flex items-center gap-2 disabled:opacity-50"
+            style={{ backgroundColor: COLORS.accent }}
+          >
+            <Plus className="w-4 h-4" />
+            New scenario
+          </button>
+        )}
+      </div>
+
+      {/* New scenario form */}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-8 p-4 rounded-lg space-y-4" style={{ backgroundColor: COLORS.background }}>
+          <div className="grid md:grid-cols-2 gap-4">
+            <Field label="Name">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={scenarioService.describeScenarioParams(params)}
+                className="w-full px-3 py-2 border border-gray-300 rounded text-sm"
+              />
+            </Field>
+            <Field label="Objective">
+              <select
+                value={params.objective}
+                onChange={(e) => handleObjectiveChange(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded text-sm bg-white"
+              >
+                {Object.values(OBJECTIVE_PROFILES).map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.icon} {profile.name}</option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Density (trees/ha)">
+              <input
+                type="number"
+                min="50"
+                max="5000"
+                step="10"
+                value={params.density ?? ''}
+                onChange={(e) => setParam('density', e.target.value)}
+                placeholder="Strategy default"
+                className="w-full px-3 py-2 border border-gray-300 rounded text-sm"
+              />
+            </Field>
+            <Field label="Relaxed matching">
+              <div className="flex items-center gap-3">
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={params.relaxed}
+                    onChange={(e) => setParam('relaxed', e.target.checked)}
+                  />
+                  Widen species ranges by
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="20"
+                  value={params.toleranceBuffer}
+                  onChange={(e) => setParam('toleranceBuffer', e.target.value)}
+                  disabled={!params.relaxed}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                  aria-label="Tolerance buffer"
+                />
+                <span className="text-xs text-gray-500">°C (rainfall and altitude ranges widen to match)</span>
+              </div>
+            </Field>
+          </div>
+
+          <Field label={`Species (${params.speciesIds.length} selected; none selected uses the top-ranked)`}>
+            <div className="flex flex-wrap gap-2">
+              {candidateSpecies.map(species => {
+                const isSelected = params.speciesIds.includes(species.id);
+                return (
+                  <button
+                    key={species.id}
+                    type="button"
+                    onClick={() => toggleSpecies(species.id)}
+                    className="px-3 py-1 rounded-full text-xs font-medium border"
+                    style={isSelected
+                      ? { backgroundColor: COLORS.secondary, borderColor: COLORS.secondary, color: COLORS.white }
+                      : { backgroundColor: COLORS.white, borderColor: '#D1D5DB', color: COLORS.textDark }}
+                  >
+                    {species.commonName}
+                  </button>
+                );
+              })}
+            </div>
+          </Field>
+
+          {formError && (
+            <p className="text-sm flex items-center gap-2" style={{ color: COLORS.error }}>
+              <AlertCircle className="w-4 h-4" />
+              {formError}
+            </p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={disabled}
+              className="px-4 py-2 rounded-lg text-sm font-medium text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.primary }}
+            >
+              {disabled ? 'Running...' : 'Run scenario'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Scenario list */}
+      {scenarios.length === 0 ? (
+        !showForm && <p className="text-sm text-gray-500">No scenarios yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-8">
+          {scenarios.map(scenario => {
+            const metrics = scenarioService.getScenarioMetrics(scenario.result);
+            const isPromoted = scenario.id === promotedScenarioId;
+            return (
+              <li
+                key={scenario.id}
+                className="flex flex-wrap items-center gap-3 p-3 rounded-lg border"
+                style={{ borderColor: isPromoted ? COLORS.accent : '#E5E7EB' }}
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold truncate" style={{ color: COLORS.textDark }}>
+                    {scenario.name}
+                    {isPromoted && (
+                      <span className="ml-2 text-xs font-medium px-2 py-0.5 rounded-full text-white" style={{ backgroundColor: COLORS.accent }}>
+                        Final plan
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {scenarioService.describeScenarioParams(scenario.params)} · {scenario.result.recommendations.map(tree => tree.commonName).join(', ')}
+                  </p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    {metrics.carbonYear40 ?? '—'} t CO₂/ha at 40 yr · {metrics.survivalRate ?? '—'}% survival · {metrics.currency} {Math.round(metrics.totalCost || 0).toLocaleString()} cost
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onPromote(scenario.id)}
+                  disabled={disabled || isPromoted}
+                  className="px-3 py-1.5 rounded-lg text-xs font-medium border flex items-center gap-1 disabled:opacity-50"
+                  style={{ borderColor: COLORS.accent, color: COLORS.accent }}
+                >
+                  <Star className="w-3 h-3" />
+                  {isPromoted ? 'Promoted' : 'Make final plan'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(scenario.id)}
+                  disabled={disabled}
+                  className="p-2 rounded-lg hover:bg-gray-100"
+                  style={{ color: COLORS.error }}
+                  aria-label={`Delete ${scenario.name}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Diff view */}
+      {diff && (
+        <div>
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <h4 className="font-semibold text-gray-800">Compare</h4>
+            <ScenarioSelect value={compareA} options={compareOptions} onChange={setCompareA} />
+            <ArrowRight className="w-4 h-4 text-gray-400" />
+            <ScenarioSelect value={compareB} options={compareOptions} onChange={setCompareB} />
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-500">
+                  <th className="text-left py-2 font-medium">Metric</th>
+                  <th className="text-right py-2 font-medium">Before</th>
+                  <th className="text-right py-2 font-medium">After</th>
+                  <th className="text-right py-2 font-medium">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.metrics.map(metric => (
+                  <tr key={metric.key} className="border-b border-gray-100">
+                    <td className="py-2 text-gray-700">{metric.label}</td>
+                    <td className="py-2 text-right">{formatValue(metric.a, metric, diff.currency)}</td>
+                    <td className="py-2 text-right">{formatValue(metric.b, metric, diff.currency)}</td>
+                    <td className="py-2 text-right font-medium" style={{ color: CHANGE_COLORS[metric.change] }}>
+                      {metric.delta ? `${metric.delta > 0 ? '+' : '−'}${Math.abs(Math.round(metric.delta)).toLocaleString()}` : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="space-y-4 text-sm">
+              <SpeciesChangeList title="Added" color={COLORS.success} species={diff.species.added} />
+              <SpeciesChangeList title="Removed" color={COLORS.error} species={diff.species.removed} />
+              {diff.species.kept.length > 0 && (
+                <div>
+                  <p className="font-medium text-gray-700 mb-1">Kept</p>
+                  <ul className="space-y-1">
+                    {diff.species.kept.map(tree => (
+                      <li key={tree.id} className="text-gray-600">
+                        {tree.commonName}: rank {tree.a.rank} → {tree.b.rank}, share {tree.a.share}% → {tree.b.share}%
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Field Component
+const Field = ({ label, children }) => {
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+      {children}
+    </div>
+  );
+};
+
+// Scenario Select Component
+const ScenarioSelect = ({ value, options, onChange }) => {
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-1.5 border border-gray-300 rounded text-sm bg-white"
+    >
+      {options.map(option => (
+        <option key={option.id} value={option.id}>{option.name}</option>
+      ))}
+    </select>
+  );
+};
+
+// Species Change List Component
+const SpeciesChangeList = ({ title, color, species }) => {
+  if (species.length === 0) return null;
+
+  return (
+    <div>
+      <p className="font-medium mb-1" style={{ color }}>{title}</p>
+      <ul className="space-y-1">
+        {species.map(tree => (
+          <li key={tree.id} className="text-gray-600">
+            {tree.commonName} (score {tree.score}, {tree.share}% of mix)
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,103 @@
+/**
+ * BoundaryFileImporter Component
+ * Start a plan from a site boundary file (GeoJSON, KML or GPX) instead of a photo
+ */
+import React, { useState, useRef } from 'react';
+import { FileUp, AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import { importBoundaryFile } from '../../services/boundaryImportService';
+
+const ACCEPTED_FILES = '.geojson,.json,.kml,.gpx,application/geo+json,application/vnd.google-earth.kml+xml,application/gpx+xml';
+
+const BoundaryFileImporter = ({ onImport, isProcessing = false }) => {
+  const [result, setResult] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input value so the same file can be selected again
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    setResult(await importBoundaryFile(file));
+    setIsReading(false);
+  };
+
+  const isDisabled = isProcessing || isReading;
+  const boundary = result?.success ? result.boundary : null;
+
+  return (
+    <div className="w-full max-w-2xl mx-auto mt-6 bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <FileUp className="w-5 h-5" style={{ color: COLORS.secondary }} />
+            Have a site boundary file?
+          </h3>
+          <p className="text-sm text-gray-600">
+            Import a GeoJSON (QGIS), KML (Google Earth) or GPX (GPS walk) file to plan for the whole site
+          </p>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_FILES}
+          onChange={handleFileSelect}
+          className="hidden"
+          disabled={isDisabled}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isDisabled}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isReading ? 'Reading...' : 'Import boundary'}
+        </button>
+      </div>
+
+      {result && !result.success && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+          <div className="text-sm text-red-800">
+            {result.errors.map((message, idx) => <p key={idx}>{message}</p>)}
+          </div>
+        </div>
+      )}
+
+      {result?.warnings?.length > 0 && (
+        <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start gap-2">
+          <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.warning }} />
+          <ul className="text-sm text-yellow-800 space-y-1">
+            {result.warnings.map((message, idx) => <li key={idx}>{message}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {boundary && (
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg" style={{ backgroundColor: COLORS.background }}>
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <CheckCircle className="w-5 h-5" style={{ color: COLORS.success }} />
+            <span>
+              <strong>{boundary.source}</strong>: {boundary.areaHectares} ha, {boundary.vertexCount} points,
+              centred on {boundary.centroid.latitude.toFixed(4)}, {boundary.centroid.longitude.toFixed(4)}
+            </span>
+          </div>
+          <button
+            type="button"
+            onClick={() => onImport(boundary)}
+            disabled={isDisabled}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white disabled:opacity-50"
+            style={{ backgroundColor: COLORS.accent }}
+          >
+            Analyse this site
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoundaryFileImporter;
@@ -0,0 +1,157 @@
+/**
+ * NurseryStockImporter Component
+ * Load a partner nursery's species list (CSV) so recommendations only use,
+ * or flag, what it can supply and its seedling prices go into the cost sheet
+ */
+import React, { useState, useRef } from 'react';
+import { Store, AlertCircle, AlertTriangle, X } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import { importNurseryFile, getNurseryCurrencyWarning } from '../../services/nurseryStockService';
+
+const MODES = [
+  { id: 'flag', label: 'Flag unavailable species' },
+  { id: 'restrict', label: 'Only recommend stocked species' }
+];
+
+// Shown on the upload page and, wider, among the results
+const LAYOUTS = {
+  upload: 'max-w-2xl mt-6 border border-gray-200',
+  results: 'max-w-4xl shadow-lg'
+};
+
+const NurseryStockImporter = ({
+  stock,
+  mode = 'flag',
+  economicAssumptions = null,
+  onChange,
+  isProcessing = false,
+  layout = 'upload'
+}) => {
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input value so the same file can be selected again
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    const result = await importNurseryFile(file);
+    setIsReading(false);
+
+    if (result.success) {
+      setError(null);
+      setWarnings([...result.warnings, getNurseryCurrencyWarning(economicAssumptions, result.stock)].filter(Boolean));
+      onChange(result.stock, mode);
+    } else {
+      setError(result.error);
+      setWarnings([]);
+    }
+  };
+
+  const handleClear = () => {
+    setWarnings([]);
+    onChange(null, mode);
+  };
+
+  const isDisabled = isProcessing || isReading;
+  const pricedCount = stock?.items.filter(item => item.price !== null).length || 0;
+  const pricesUsed = !getNurseryCurrencyWarning(economicAssumptions, stock);
+  const unavailableCount = stock?.items.filter(item => !item.available).length || 0;
+
+  return (
+    <div className={`w-full mx-auto bg-white rounded-xl p-6 ${LAYOUTS[layout]}`}>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <Store className="w-5 h-5" style={{ color: COLORS.secondary }} />
+            Nursery stock
+          </h3>
+          <p className="text-sm text-gray-600">
+            Upload a CSV of the species your nursery can supply, with optional price and availability columns
+          </p>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleFileSelect}
+          className="hidden"
+          disabled={isDisabled}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isDisabled}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isReading ? 'Reading...' : stock ? 'Replace list' : 'Import CSV'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {stock && (
+        <div className="mt-4 p-4 rounded-lg" style={{ backgroundColor: COLORS.background }}>
+          <div className="flex items-start justify-between gap-3">
+            <div className="text-sm">
+              <p className="font-medium" style={{ color: COLORS.textDark }}>{stock.name}</p>
+              <p className="text-gray-600">
+                {stock.items.length} species
+                {unavailableCount > 0 && ` (${unavailableCount} out of stock)`}
+                {pricedCount > 0 && ` · ${pricedCount} seedling price${pricedCount === 1 ? '' : 's'} ${pricesUsed ? 'added to the cost sheet' : `in ${stock.currency}, not used`}`}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={handleClear}
+              disabled={isDisabled}
+              className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-50"
+              title="Stop using this list"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            {MODES.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => option.id !== mode && onChange(stock, option.id)}
+                disabled={isDisabled}
+                className="px-3 py-1.5 rounded-full text-xs font-medium border transition-colors disabled:opacity-50"
+                style={option.id === mode
+                  ? { backgroundColor: COLORS.secondary, borderColor: COLORS.secondary, color: COLORS.white }
+                  : { backgroundColor: COLORS.white, borderColor: '#D1D5DB', color: COLORS.textLight }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="mt-3 space-y-1">
+          {warnings.map((message, idx) => (
+            <p key={idx} className="text-xs text-gray-600 flex items-start gap-2">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" style={{ color: COLORS.warning }} />
+              {message}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NurseryStockImporter;
@@ -0,0 +1,77 @@
+/**
+ * PlanFileImporter Component
+ * Reopen a previously exported JSON plan and continue working on it
+ */
+import React, { useState, useRef } from 'react';
+import { FileJson, AlertCircle } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import { importPlanFile } from '../../services/planImportService';
+
+const PlanFileImporter = ({ onImport, isProcessing = false }) => {
+  const [errors, setErrors] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input value so the same file can be selected again
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    const result = await importPlanFile(file);
+    setIsReading(false);
+
+    if (result.success) {
+      setErrors([]);
+      onImport(result);
+    } else {
+      setErrors(result.errors);
+    }
+  };
+
+  const isDisabled = isProcessing || isReading;
+
+  return (
+    <div className="w-full max-w-2xl mx-auto mt-6 bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <FileJson className="w-5 h-5" style={{ color: COLORS.secondary }} />
+            Continue an exported plan
+          </h3>
+          <p className="text-sm text-gray-600">
+            Load a ReForest.AI JSON export to review, recalculate or refresh its climate data
+          </p>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileSelect}
+          className="hidden"
+          disabled={isDisabled}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isDisabled}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isReading ? 'Reading...' : 'Import plan'}
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+          <div className="text-sm text-red-800">
+            {errors.map((message, idx) => <p key={idx}>{message}</p>)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlanFileImporter;
@@ -0,0 +1,183 @@
+/**
+ * SpeciesPackImporter Component
+ * Add a region pack of species to the catalogue, after checking it against the schema
+ */
+import React, { useState, useRef } from 'react';
+import { Leaf, AlertCircle, AlertTriangle, Trash2 } from 'lucide-react';
+import COLORS from '../../constants/colors';
+import speciesPackService from '../../services/speciesPackService';
+
+const MAX_LISTED_ISSUES = 8;
+
+const SpeciesPackImporter = ({ isProcessing = false }) => {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [importedPacks, setImportedPacks] = useState(() => speciesPackService.getImportedSpeciesPacks());
+  const fileInputRef = useRef(null);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input value so the same file can be selected again
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    const result = await speciesPackService.importSpeciesPackFile(file);
+    setIsReading(false);
+
+    setPending(result.report ? result : null);
+    setError(result.success ? null : result.error);
+  };
+
+  const handleAdd = () => {
+    const result = speciesPackService.addSpeciesPack(pending.pack);
+    if (result.success) {
+      setPending(null);
+      setImportedPacks(speciesPackService.getImportedSpeciesPacks());
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleRemove = (packId) => {
+    speciesPackService.removeSpeciesPack(packId);
+    setImportedPacks(speciesPackService.getImportedSpeciesPacks());
+  };
+
+  const isDisabled = isProcessing || isReading;
+
+  return (
+    <div className="w-full max-w-2xl mx-auto mt-6 bg-white rounded-xl border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2" style={{ color: COLORS.textDark }}>
+            <Leaf className="w-5 h-5" style={{ color: COLORS.secondary }} />
+            Add a species pack
+          </h3>
+          <p className="text-sm text-gray-600">
+            Load local species as a JSON region pack; records are checked before they are used
+          </p>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileSelect}
+          className="hidden"
+          disabled={isDisabled}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isDisabled}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isReading ? 'Checking...' : 'Import pack'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" style={{ color: COLORS.error }} />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {pending && (
+        <ValidationReport
+          result={pending}
+          onAdd={handleAdd}
+          onCancel={() => { setPending(null); setError(null); }}
+        />
+      )}
+
+      {importedPacks.length > 0 && (
+        <div className="mt-4 border-t border-gray-100 pt-4">
+          <p className="text-xs font-semibold text-gray-500 uppercase mb-2">Imported packs</p>
+          <ul className="space-y-2">
+            {importedPacks.map(pack => (
+              <li key={pack.id} className="flex items-center justify-between text-sm">
+                <span className="text-gray-700">
+                  {pack.name}
+                  <span className="text-gray-500"> · v{pack.version || '?'} · {pack.speciesCount} species</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(pack.id)}
+                  disabled={isProcessing}
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  title="Remove pack"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mt-2">Imported species are used from the next analysis or recalculation</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Validation Report Component
+const ValidationReport = ({ result, onAdd, onCancel }) => {
+  const { report, pack } = result;
+  const listed = report.issues.slice(0, MAX_LISTED_ISSUES);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <p className="text-sm font-medium" style={{ color: COLORS.textDark }}>
+        {pack?.name || pack?.id || result.fileName}: {report.validCount} of {report.recordCount} species valid
+        <span className="font-normal text-gray-600">
+          {' '}· {report.errorCount} error{report.errorCount === 1 ? '' : 's'}, {report.warningCount} warning{report.warningCount === 1 ? '' : 's'}
+        </span>
+      </p>
+
+      {listed.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {listed.map((entry, idx) => (
+            <li key={idx} className="text-xs flex items-start gap-2">
+              {entry.severity === 'error'
+                ? <AlertCircle className="w-4 h-4 flex-shrink-0" style={{ color: COLORS.error }} />
+                : <AlertTriangle className="w-4 h-4 flex-shrink-0" style={{ color: COLORS.warning }} />}
+              <span className="text-gray-700">
+                {entry.index !== null && <strong>#{entry.index + 1}{entry.id ? ` ${entry.id}` : ''}: </strong>}
+                {entry.field ? `${entry.field} ` : ''}{entry.message}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {report.issues.length > listed.length && (
+        <details className="mt-2 text-xs text-gray-600">
+          <summary className="cursor-pointer">Full report ({report.issues.length} issues)</summary>
+          <pre className="mt-2 whitespace-pre-wrap">{result.reportText}</pre>
+        </details>
+      )}
+
+      <div className="mt-4 flex gap-2">
+        {result.success && (
+          <button
+            type="button"
+            onClick={onAdd}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white"
+            style={{ backgroundColor: COLORS.secondary }}
+          >
+            Add {report.validCount} species
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          {result.success ? 'Cancel' : 'Dismiss'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpeciesPackImporter;
@@ -0,0 +1,9 @@
+/**
+ * Calendar constants shared by climate and planting modules
+ */
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export default MONTH_NAMES;
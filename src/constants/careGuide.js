@@ -0,0 +1,106 @@
+/**
+ * Planting and aftercare instructions
+ * Shared by the planting guide screen and the PDF report
+ */
+
+/**
+ * Step-by-step planting instructions
+ * @param {Array} recommendations - Recommended trees (hole size follows the tallest top pick)
+ * @returns {Array} Steps of { title, description, details }
+ */
+export const getPlantingSteps = (recommendations = []) => [
+  {
+    title: 'Site Preparation',
+    description: 'Clear the planting area of weeds and debris. Test and amend soil if needed.',
+    details: [
+      'Remove grass and weeds in a 1-meter diameter circle',
+      'Loosen soil to 30cm depth',
+      'Add compost or organic matter if soil quality is poor',
+      'Ensure good drainage - water should not pool'
+    ]
+  },
+  {
+    title: 'Digging Holes',
+    description: 'Prepare proper-sized holes for your seedlings.',
+    details: [
+      `Dig holes ${recommendations[0]?.maxHeight > 20 ? '60cm' : '45cm'} wide and deep`,
+      'Make holes 2-3 times wider than root ball',
+      'Keep topsoil and subsoil separate',
+      'Roughen hole sides to help roots penetrate'
+    ]
+  },
+  {
+    title: 'Planting',
+    description: 'Carefully place seedlings and backfill with soil.',
+    details: [
+      'Remove seedling carefully from container',
+      'Place in center of hole at same depth as container',
+      'Backfill with topsoil, gently firming around roots',
+      'Create a small basin around tree to hold water',
+      'Water immediately after planting (10-20 liters)'
+    ]
+  },
+  {
+    title: 'Mulching',
+    description: 'Apply mulch to retain moisture and suppress weeds.',
+    details: [
+      'Apply 5-10cm layer of organic mulch',
+      'Keep mulch 5cm away from tree trunk',
+      'Use grass clippings, leaves, or wood chips',
+      'Replenish mulch as it decomposes'
+    ]
+  },
+  {
+    title: 'Staking (if needed)',
+    description: 'Provide support for young trees in windy areas.',
+    details: [
+      'Use 2-3 stakes for larger seedlings',
+      'Tie with soft material (cloth strips)',
+      'Allow some movement for trunk strength',
+      'Remove stakes after 12 months'
+    ]
+  }
+];
+
+export const CARE_SCHEDULE = [
+  {
+    period: 'First 3 Months',
+    tasks: [
+      'Water 2-3 times per week (10-15 liters)',
+      'Check for pest damage weekly',
+      'Remove competing weeds',
+      'Inspect stakes and ties'
+    ]
+  },
+  {
+    period: '3-12 Months',
+    tasks: [
+      'Reduce watering to once per week',
+      'Replenish mulch layer',
+      'Prune dead or damaged branches',
+      'Monitor for diseases'
+    ]
+  },
+  {
+    period: 'Year 2+',
+    tasks: [
+      'Water only during dry spells',
+      'Annual pruning for shape',
+      'Remove stakes if still present',
+      'Monitor tree health and growth'
+    ]
+  }
+];
+
+export const WARNING_SIGNS = [
+  'Yellowing or wilting leaves (possible water stress)',
+  'Holes in leaves or bark (pest damage)',
+  'White or black spots on leaves (fungal disease)',
+  'Stunted growth (nutrient deficiency)'
+];
+
+export default {
+  getPlantingSteps,
+  CARE_SCHEDULE,
+  WARNING_SIGNS
+};
@@ -24,4 +24,16 @@ export const COLORS = {
   info: '#3B82F6'
 };
 
+// Distinct colors for species in maps and layout exports
+export const SPECIES_PALETTE = [
+  '#2E7D32',
+  '#F9A825',
+  '#1565C0',
+  '#C62828',
+  '#6A1B9A',
+  '#EF6C00',
+  '#00838F',
+  '#AD1457'
+];
+
 export default COLORS;
\ No newline at end of file
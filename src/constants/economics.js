@@ -0,0 +1,78 @@
+/**
+ * Project Economics Defaults
+ * Starting assumptions for the cash-flow model. All prices are USD and
+ * indicative for smallholder plantings in East Africa; users edit them in
+ * the economics panel.
+ *
+ * Costs:
+ * - seedlingPrices: per seedling, keyed by tree id (defaultSeedlingPrice otherwise)
+ * - plantingLabour: per tree planted (year 0)
+ * - sitePreparation, fencing: per hectare (year 0)
+ * - maintenance: per tree per year for the first `years` years (weeding, beating up)
+ * - irrigation: per hectare per year for the first `years` years
+ * - monitoring: per hectare per year for the whole project
+ *
+ * Revenue streams apply to species whose benefits match their keywords:
+ * - timber: surviving stem volume sold at the rotation age, then replanted
+ * - fruit, fodder: yearly value per surviving tree from startYear
+ * - carbon: credits on new CO2 stored, never re-crediting regrowth after harvest
+ */
+
+export const DEFAULT_ECONOMIC_ASSUMPTIONS = {
+  projectYears: 30,
+  discountRate: 8, // % per year
+  currency: 'USD',
+  costs: {
+    defaultSeedlingPrice: 0.5,
+    seedlingPrices: {
+      'grevillea-robusta': 0.4,
+      'acacia-mearnsii': 0.3,
+      'croton-megalocarpus': 0.5,
+      'melia-volkensii': 0.8,
+      'markhamia-lutea': 0.5
+    },
+    plantingLabour: 0.3,
+    sitePreparation: 150,
+    fencing: 400,
+    maintenance: { perTree: 0.2, years: 3 },
+    irrigation: { perHectare: 100, years: 2 },
+    monitoring: { perHectare: 30 }
+  },
+  revenues: {
+    timber: { enabled: true, pricePerCubicMetre: 50, defaultRotation: 20 },
+    fruit: { enabled: true, valuePerTree: 4, startYear: 4 },
+    fodder: { enabled: true, valuePerTree: 1.5, startYear: 2 },
+    carbon: { enabled: true, pricePerTonne: 10 }
+  }
+};
+
+// Which species benefits trigger each product stream
+export const REVENUE_STREAMS = {
+  timber: { label: 'Timber', keywords: ['timber', 'wood', 'pole'] },
+  fruit: { label: 'Fruit & nuts', keywords: ['fruit', 'nut', 'edible'] },
+  fodder: { label: 'Fodder', keywords: ['fodder', 'forage'] },
+  carbon: { label: 'Carbon credits', keywords: [] }
+};
+
+// Timber rotation age in years, keyed by tree id
+export const TIMBER_ROTATIONS = {
+  'grevillea-robusta': 15,
+  'croton-megalocarpus': 25,
+  'melia-volkensii': 12,
+  'markhamia-lutea': 20
+};
+
+// Merchantable stem volume = form factor × basal area × height
+export const STEM_FORM_FACTOR = 0.45;
+
+export const COST_LABELS = {
+  seedlings: 'Seedlings',
+  plantingLabour: 'Planting labour',
+  sitePreparation: 'Site preparation',
+  fencing: 'Fencing',
+  maintenance: 'Maintenance',
+  irrigation: 'Irrigation',
+  monitoring: 'Monitoring'
+};
+
+export default DEFAULT_ECONOMIC_ASSUMPTIONS;
@@ -0,0 +1,84 @@
+/**
+ * Species Growth Models
+ * Height and stem diameter (DBH) over age follow Chapman-Richards curves:
+ *   size(t) = max × (1 - e^(-k·t))^p
+ * Biomass comes from the pantropical allometry of Chave et al. (2014):
+ *   AGB (kg) = 0.0673 × (ρ · D² · H)^0.976   (ρ g/cm³, D cm, H m)
+ *
+ * Keys match TREE_DATABASE ids. Parameters are indicative values for
+ * smallholder plantings in East Africa and should be replaced with local
+ * growth data where available. Other species use a generic curve for their
+ * growth rate, and projections name them (carbonSequestration.genericCurveSpecies).
+ */
+
+export const CARBON_FRACTION = 0.47; // IPCC default carbon share of dry biomass
+export const CO2_PER_CARBON = 44 / 12;
+
+export const GROWTH_MODELS = {
+  'grevillea-robusta': {
+    woodDensity: 0.57,
+    height: { max: 30, k: 0.08, p: 1.3 },
+    dbh: { max: 60, k: 0.05, p: 1.2 },
+    rootShootRatio: 0.24,
+    source: 'Indicative; Kenyan farm woodlot growth data'
+  },
+  'acacia-mearnsii': {
+    woodDensity: 0.70,
+    height: { max: 25, k: 0.15, p: 1.2 },
+    dbh: { max: 40, k: 0.10, p: 1.2 },
+    rootShootRatio: 0.24,
+    source: 'Indicative; East African wattle plantation yield tables'
+  },
+  'croton-megalocarpus': {
+    woodDensity: 0.62,
+    height: { max: 35, k: 0.05, p: 1.4 },
+    dbh: { max: 80, k: 0.035, p: 1.3 },
+    rootShootRatio: 0.24,
+    source: 'Indicative; natural forest and farm tree measurements'
+  },
+  'melia-volkensii': {
+    woodDensity: 0.60,
+    height: { max: 20, k: 0.12, p: 1.2 },
+    dbh: { max: 45, k: 0.07, p: 1.2 },
+    rootShootRatio: 0.28,
+    source: 'Indicative; KEFRI dryland Melia trials'
+  },
+  'markhamia-lutea': {
+    woodDensity: 0.60,
+    height: { max: 25, k: 0.09, p: 1.3 },
+    dbh: { max: 50, k: 0.05, p: 1.2 },
+    rootShootRatio: 0.24,
+    source: 'Indicative; farm tree measurements in western Kenya'
+  }
+};
+
+// Generic curves by growth rate for species without a fitted model
+export const DEFAULT_GROWTH_MODELS = {
+  'very-fast': { woodDensity: 0.55, height: { max: 25, k: 0.15, p: 1.2 }, dbh: { max: 40, k: 0.10, p: 1.2 } },
+  'fast': { woodDensity: 0.58, height: { max: 25, k: 0.10, p: 1.3 }, dbh: { max: 45, k: 0.06, p: 1.2 } },
+  'moderate': { woodDensity: 0.62, height: { max: 25, k: 0.06, p: 1.4 }, dbh: { max: 50, k: 0.04, p: 1.3 } },
+  'slow': { woodDensity: 0.70, height: { max: 20, k: 0.04, p: 1.5 }, dbh: { max: 50, k: 0.025, p: 1.4 } }
+};
+
+/**
+ * Get the growth model for a tree, falling back to a generic curve for its growth rate
+ * @param {Object} tree - Tree data
+ * @returns {Object} Growth model (with isDefault when generic)
+ */
+export const getGrowthModel = (tree) => {
+  if (GROWTH_MODELS[tree.id]) {
+    return { ...GROWTH_MODELS[tree.id], isDefault: false };
+  }
+
+  const generic = DEFAULT_GROWTH_MODELS[tree.growthRate] || DEFAULT_GROWTH_MODELS.moderate;
+  return {
+    ...generic,
+    // Cap generic curves at the species' recorded height
+    height: tree.maxHeight ? { ...generic.height, max: tree.maxHeight } : generic.height,
+    rootShootRatio: 0.24,
+    source: `Generic ${tree.growthRate || 'moderate'} growth curve`,
+    isDefault: true
+  };
+};
+
+export default GROWTH_MODELS;
@@ -0,0 +1,73 @@
+/**
+ * Invasiveness and Regulatory Status
+ * Per-species status by jurisdiction, keyed by tree id. A jurisdiction is an
+ * ISO country code (as returned by reverseGeocode) and, optionally, a state or
+ * region name matched against the site's state.
+ * Statuses that exclude a species are never recommended there; the others
+ * show a warning on the species.
+ */
+
+export const REGULATORY_LEVELS = {
+  prohibited: { label: 'Prohibited', exclude: true, severity: 4 },
+  restricted: { label: 'Restricted (permit required)', exclude: true, severity: 3 },
+  invasive: { label: 'Declared invasive', exclude: false, severity: 2 },
+  watch: { label: 'Invasive elsewhere', exclude: false, severity: 1 }
+};
+
+export const SPECIES_REGULATORY_STATUS = {
+  'acacia-mearnsii': {
+    // Applies outside the listed jurisdictions and the native range
+    global: {
+      status: 'watch',
+      authority: 'IUCN Invasive Species Specialist Group',
+      note: 'One of the "100 of the World\'s Worst Invasive Alien Species"; spreads by long-lived seed banks into grassland and along rivers'
+    },
+    nativeCountries: ['AU'],
+    jurisdictions: [
+      {
+        countryCode: 'ZA',
+        status: 'restricted',
+        authority: 'NEMBA Alien and Invasive Species Lists, Category 2',
+        note: 'Planting needs a permit and is limited to demarcated plantation areas'
+      },
+      {
+        countryCode: 'PT',
+        status: 'prohibited',
+        authority: 'Decreto-Lei n.º 92/2019, invasive species list',
+        note: 'Cultivation and planting of listed invasive species is banned'
+      },
+      {
+        countryCode: 'KE',
+        status: 'invasive',
+        authority: 'Kenya Forest Service',
+        note: 'Naturalised and spreading in the highlands; plant only where it can be contained and managed'
+      },
+      {
+        countryCode: 'TZ',
+        status: 'invasive',
+        authority: 'Tanzania Forestry Research Institute',
+        note: 'Invading grassland and forest margins in the southern highlands'
+      },
+      {
+        countryCode: 'UG',
+        status: 'invasive',
+        authority: 'National Forestry Resources Research Institute',
+        note: 'Spreads from woodlots into grassland and along watercourses'
+      }
+    ]
+  },
+  'grevillea-robusta': {
+    nativeCountries: ['AU'],
+    jurisdictions: [
+      {
+        countryCode: 'US',
+        region: 'Hawaii',
+        status: 'invasive',
+        authority: 'Hawaii-Pacific Weed Risk Assessment, high risk',
+        note: 'Spreads into dry and mesic native forest'
+      }
+    ]
+  }
+};
+
+export default SPECIES_REGULATORY_STATUS;
@@ -0,0 +1,41 @@
+/**
+ * Ecological Mix Design Rules
+ * Targets for the share of planted trees (percent) in each functional group,
+ * read from tree database traits:
+ * - nitrogenFixer: nitrogenFixing
+ * - stratum: 'canopy' when maxHeight reaches CANOPY_MIN_HEIGHT, else 'understory'
+ *   (the canopy range also bounds the understory share)
+ * - succession: from growthRate (fast growers are pioneers, slow growers climax)
+ * - family: botanical family; no family may exceed maxFamilyShare
+ */
+
+export const CANOPY_MIN_HEIGHT = 25; // m
+
+export const SUCCESSION_BY_GROWTH_RATE = {
+  'very-fast': 'pioneer',
+  fast: 'pioneer',
+  moderate: 'intermediate',
+  slow: 'climax'
+};
+
+export const MIX_DESIGN_RULES = {
+  groups: [
+    { id: 'nitrogenFixers', label: 'Nitrogen fixers', trait: 'nitrogenFixer', value: true, min: 20, max: 40 },
+    { id: 'canopy', label: 'Canopy species', trait: 'stratum', value: 'canopy', min: 40, max: 70 },
+    { id: 'pioneers', label: 'Pioneer (fast-growing) species', trait: 'succession', value: 'pioneer', min: 30, max: 60 }
+  ],
+  maxFamilyShare: 40,
+  minFamilies: 3,
+  minSpeciesShare: 5
+};
+
+// Successional planting: pioneers and nurse trees first, enrichment species
+// under their canopy once it is tall enough to shade them
+export const SUCCESSIONAL_PLANTING = {
+  nurseCanopyHeight: 4, // m, average nurse-tree height before enrichment planting
+  enrichmentYears: { min: 2, max: 5 },
+  climaxDelay: 1, // Extra years before slow-growing climax species go in
+  degradedVegetation: ['bare', 'sparse'] // Image vegetation levels treated as degraded land
+};
+
+export default MIX_DESIGN_RULES;
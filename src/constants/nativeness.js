@@ -0,0 +1,38 @@
+/**
+ * Nativeness and Local Presence Rules
+ * How GBIF occurrence counts, establishment means and country checklists
+ * combine into a species' local-presence score (see utils/nativeness.js).
+ * - radiusBands: occurrence counts are taken within each radius of the site;
+ *   a band's share saturates (log scale) at `saturation` records and the
+ *   shares are combined with `weight` (weights sum to 1)
+ * - status: the verdict for the site's country, with its base score and the
+ *   part of the score earned by local occurrence density
+ */
+
+export const RADIUS_BANDS = [
+  { id: 'site', label: 'within 10 km', radiusKm: 10, saturation: 20, weight: 0.5 },
+  { id: 'local', label: 'within 50 km', radiusKm: 50, saturation: 100, weight: 0.3 },
+  { id: 'regional', label: 'within 200 km', radiusKm: 200, saturation: 500, weight: 0.2 }
+];
+
+// GBIF establishmentMeans values, grouped
+export const ESTABLISHMENT_MEANS = {
+  native: ['NATIVE'],
+  introduced: ['INTRODUCED', 'NATURALISED', 'INVASIVE', 'MANAGED', 'ASSISTED_COLONISATION', 'VAGRANT']
+};
+
+// Occurrences with a recorded establishment means needed before they count as evidence
+export const MIN_ESTABLISHMENT_RECORDS = 3;
+
+// Density assumed when occurrences were not checked (API enrichment off, or offline with nothing cached)
+export const UNCHECKED_DENSITY = 0.5;
+
+export const NATIVENESS_STATUSES = {
+  native: { label: 'Native', base: 0.6, presenceShare: 0.4 },
+  present: { label: 'Recorded nearby', base: 0.25, presenceShare: 0.35 },
+  introduced: { label: 'Introduced', base: 0, presenceShare: 0.1 },
+  absent: { label: 'Not recorded nearby', base: 0, presenceShare: 0 },
+  unknown: { label: 'Unknown', base: 0, presenceShare: 0 }
+};
+
+export default NATIVENESS_STATUSES;
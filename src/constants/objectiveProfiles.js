@@ -0,0 +1,183 @@
+/**
+ * Planting Objective Profiles
+ * Each profile sets the maximum points per scoring factor and hard
+ * constraints that candidate species must meet
+ *
+ * Scoring factors:
+ * - temperature, rainfall, altitude, soilPH: fit within the species range
+ * - soilType, moisture: site soil and moisture match
+ * - native, biodiversity, carbon: species value
+ * - growthRate: faster growth scores higher
+ * - nitrogen: nitrogen-fixing species
+ * - uses: species benefits matching the profile's useKeywords
+ *
+ * Constraints (all optional):
+ * - minCarbonSequestration: kg CO2/year
+ * - minBiodiversityValue: 0-100
+ * - requireUseMatch: at least one benefit must match useKeywords
+ * - excludeGrowthRates: growth rates to reject
+ * - excludeWaterNeeds: water needs to reject
+ */
+
+export const DEFAULT_OBJECTIVE = 'balanced';
+
+export const OBJECTIVE_PROFILES = {
+  balanced: {
+    id: 'balanced',
+    name: 'Balanced',
+    icon: '⚖️',
+    description: 'General reforestation: site fit first, with some weight on native and ecological value',
+    weights: {
+      temperature: 25,
+      rainfall: 20,
+      altitude: 10,
+      soilType: 10,
+      soilPH: 5,
+      moisture: 10,
+      native: 10,
+      biodiversity: 5,
+      carbon: 5
+    },
+    useKeywords: [],
+    constraints: {}
+  },
+  carbon: {
+    id: 'carbon',
+    name: 'Carbon offset',
+    icon: '🌍',
+    description: 'Maximise CO₂ removal with fast-growing, high-sequestration species',
+    weights: {
+      temperature: 20,
+      rainfall: 15,
+      altitude: 8,
+      soilType: 8,
+      soilPH: 4,
+      moisture: 5,
+      native: 5,
+      biodiversity: 5,
+      carbon: 20,
+      growthRate: 10
+    },
+    useKeywords: [],
+    constraints: {
+      minCarbonSequestration: 20
+    }
+  },
+  biodiversity: {
+    id: 'biodiversity',
+    name: 'Biodiversity',
+    icon: '🦋',
+    description: 'Restore habitat with native species of high wildlife value',
+    weights: {
+      temperature: 20,
+      rainfall: 15,
+      altitude: 8,
+      soilType: 8,
+      soilPH: 4,
+      moisture: 5,
+      native: 20,
+      biodiversity: 20
+    },
+    useKeywords: [],
+    constraints: {
+      minBiodiversityValue: 70
+    }
+  },
+  timber: {
+    id: 'timber',
+    name: 'Timber',
+    icon: '🪵',
+    description: 'Woodlots and plantations producing saleable timber',
+    weights: {
+      temperature: 20,
+      rainfall: 15,
+      altitude: 8,
+      soilType: 8,
+      soilPH: 4,
+      moisture: 5,
+      native: 5,
+      carbon: 5,
+      growthRate: 10,
+      uses: 20
+    },
+    useKeywords: ['timber', 'wood'],
+    constraints: {
+      requireUseMatch: true
+    }
+  },
+  food: {
+    id: 'food',
+    name: 'Fruit & food',
+    icon: '🥭',
+    description: 'Smallholder agroforestry with fruit, nut, fodder and honey trees',
+    weights: {
+      temperature: 20,
+      rainfall: 15,
+      altitude: 8,
+      soilType: 8,
+      soilPH: 4,
+      moisture: 10,
+      native: 5,
+      biodiversity: 5,
+      uses: 25
+    },
+    useKeywords: ['fruit', 'food', 'nut', 'edible', 'fodder', 'bee', 'honey', 'agroforestry'],
+    constraints: {
+      requireUseMatch: true
+    }
+  },
+  erosion: {
+    id: 'erosion',
+    name: 'Erosion control',
+    icon: '⛰️',
+    description: 'Stabilise slopes and degraded soils with fast cover and soil-building species',
+    weights: {
+      temperature: 20,
+      rainfall: 15,
+      altitude: 8,
+      soilType: 10,
+      soilPH: 4,
+      moisture: 5,
+      native: 10,
+      growthRate: 10,
+      nitrogen: 8,
+      uses: 10
+    },
+    useKeywords: ['soil', 'erosion', 'nitrogen'],
+    constraints: {
+      excludeGrowthRates: ['slow']
+    }
+  },
+  water: {
+    id: 'water',
+    name: 'Water protection',
+    icon: '💧',
+    description: 'Riparian and watershed restoration avoiding high water-use species',
+    weights: {
+      temperature: 20,
+      rainfall: 15,
+      altitude: 8,
+      soilType: 8,
+      soilPH: 4,
+      moisture: 15,
+      native: 15,
+      biodiversity: 10,
+      uses: 5
+    },
+    useKeywords: ['water', 'riparian', 'soil'],
+    constraints: {
+      excludeWaterNeeds: ['moderate-high', 'high']
+    }
+  }
+};
+
+/**
+ * Get an objective profile by ID, falling back to the default profile
+ * @param {string} objectiveId - Profile identifier
+ * @returns {Object} Objective profile
+ */
+export const getObjectiveProfile = (objectiveId) => {
+  return OBJECTIVE_PROFILES[objectiveId] || OBJECTIVE_PROFILES[DEFAULT_OBJECTIVE];
+};
+
+export default OBJECTIVE_PROFILES;
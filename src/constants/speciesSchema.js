@@ -0,0 +1,62 @@
+/**
+ * Species Catalogue Schema
+ * Species live in versioned region packs (src/data/species/*.json):
+ *
+ *   {
+ *     "schemaVersion": 1,          // Record format below; packs on other versions are skipped
+ *     "id": "east-africa",         // Pack id, also used by getRegionalSpecies
+ *     "name": "East Africa",
+ *     "version": "1.0.0",          // Bumped whenever the pack's data changes
+ *     "updated": "2026-10-19",
+ *     "description": "...",
+ *     "countries": ["KE", "UG"],   // ISO codes the pack is written for
+ *     "species": [ ...records ]
+ *   }
+ *
+ * A species may appear in several packs under the same id; the first record
+ * wins and the species lists every pack it appears in.
+ * Ranges are { min, max } objects. Temperatures are mean annual °C, rainfall
+ * is mm/year, altitude is metres above sea level.
+ */
+
+export const SPECIES_SCHEMA_VERSION = 1;
+
+export const SOIL_TYPES = ['clay', 'loam', 'sandy', 'rocky', 'poor'];
+export const GROWTH_RATES = ['slow', 'moderate', 'fast', 'very-fast'];
+export const WATER_NEEDS = ['very-low', 'low', 'moderate', 'moderate-high', 'high'];
+export const SUNLIGHT_LEVELS = ['full', 'full-partial', 'partial', 'shade'];
+export const HARDINESS_LEVELS = ['low', 'moderate', 'high'];
+
+export const SPECIES_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+// Genus Species, optionally a hybrid sign and an infraspecific rank (subsp., var., f.)
+export const SCIENTIFIC_NAME_PATTERN = /^[A-Z][a-z]+ (× ?)?[a-z][a-z-]+( (subsp\.|var\.|f\.) [a-z][a-z-]+)?$/;
+
+// type: 'string', 'number', 'boolean', 'range' ({ min, max }) or 'list' (strings)
+// bounds: plausible values; anything outside is almost certainly a typo or wrong unit
+export const SPECIES_FIELDS = [
+  { key: 'id', type: 'string', required: true, description: 'Unique kebab-case id, usually the scientific name' },
+  { key: 'commonName', type: 'string', required: true, description: 'Display name; the species mix is keyed by it, so it must be unique' },
+  { key: 'scientificName', type: 'string', required: true, description: 'Binomial used for API lookups' },
+  { key: 'localName', type: 'string', required: false, description: 'Vernacular name' },
+  { key: 'family', type: 'string', required: true, description: 'Botanical family' },
+  { key: 'tempRange', type: 'range', required: true, bounds: { min: -30, max: 40 }, description: 'Mean annual temperature (°C)' },
+  { key: 'rainfallRange', type: 'range', required: true, bounds: { min: 0, max: 12000 }, description: 'Annual rainfall (mm)' },
+  { key: 'altitudeRange', type: 'range', required: false, bounds: { min: -100, max: 5500 }, description: 'Elevation band (m)' },
+  { key: 'soilTypes', type: 'list', required: true, values: SOIL_TYPES, description: 'Soils the species grows on' },
+  { key: 'soilPH', type: 'range', required: false, bounds: { min: 3, max: 10 }, description: 'Topsoil pH' },
+  { key: 'growthRate', type: 'string', required: true, values: GROWTH_RATES, description: 'Growth rate class' },
+  { key: 'maxHeight', type: 'number', required: true, bounds: { min: 1, max: 120 }, description: 'Mature height (m)' },
+  { key: 'lifespan', type: 'number', required: true, bounds: { min: 1, max: 5000 }, description: 'Typical lifespan (years)' },
+  { key: 'carbonSequestration', type: 'number', required: true, bounds: { min: 0, max: 500 }, description: 'Indicative kg CO₂ per tree per year' },
+  { key: 'nitrogenFixing', type: 'boolean', required: true, description: 'Fixes atmospheric nitrogen' },
+  { key: 'biodiversityValue', type: 'number', required: true, bounds: { min: 0, max: 100 }, description: 'Habitat value, 0-100' },
+  { key: 'waterNeeds', type: 'string', required: true, values: WATER_NEEDS, description: 'Water demand class' },
+  { key: 'sunlight', type: 'string', required: true, values: SUNLIGHT_LEVELS, description: 'Light requirement' },
+  { key: 'hardiness', type: 'string', required: false, values: HARDINESS_LEVELS, description: 'Tolerance of harsh sites; "high" species are accepted on rocky soil in relaxed mode' },
+  { key: 'benefits', type: 'list', required: true, description: 'Uses and benefits; matched by objective and revenue keywords' },
+  { key: 'plantingSeason', type: 'string', required: true, description: 'Usual planting months, e.g. "March-May"' },
+  { key: 'spacing', type: 'range', required: true, bounds: { min: 0.5, max: 30 }, description: 'Planting distance (m)' },
+  { key: 'nativeRegions', type: 'list', required: false, description: 'Countries or regions of the native range, in English' }
+];
+
+export default SPECIES_FIELDS;
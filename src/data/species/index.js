@@ -0,0 +1,23 @@
+/**
+ * Species Region Packs
+ * Versioned species data loaded into the catalogue in this order
+ * (see constants/speciesSchema.js for the format)
+ */
+
+import eastAfrica from './east-africa.json';
+import sahel from './sahel.json';
+import andes from './andes.json';
+import southeastAsia from './southeast-asia.json';
+import mediterranean from './mediterranean.json';
+import temperate from './temperate.json';
+
+export const SPECIES_PACKS = [
+  eastAfrica,
+  sahel,
+  andes,
+  southeastAsia,
+  mediterranean,
+  temperate
+];
+
+export default SPECIES_PACKS;
@@ -12,9 +12,19 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import imageService from '../services/imageService';
 import climateService from '../services/climateService';
+import climateNormalsService from '../services/climateNormalsService';
 import locationService from '../services/locationService';
+import soilService from '../services/soilService';
 import recommendationService from '../services/recommendationService';
 import openAIService from '../services/openAIService';
+import projectStorageService from '../services/projectStorageService';
+import scenarioService from '../services/scenarioService';
+import speciesMixService from '../services/speciesMixService';
+import treeDataService, { getRegulatoryStatus, getSpeciesPacks } from '../services/treeDataService';
+import { DEFAULT_OBJECTIVE } from '../constants/objectiveProfiles';
+import { PLAN_SCHEMA_VERSION } from '../utils/planSchema';
+import { createPlantingSchedule, usesSuccessionalPlanting } from '../utils/plantingSchedule';
+import { applyNurseryStock, applyNurseryPrices } from '../services/nurseryStockService';
 
 const useReforestation = () => {
   const isMounted = useRef(true);
@@ -42,7 +52,16 @@ const useReforestation = () => {
     climateData: null,
     climateAnalysis: null,
     suitability: null,
+    siteConditions: null,
+    objective: DEFAULT_OBJECTIVE,
+    customWeights: null,
+    economicAssumptions: null,
+    plantingApproach: 'auto', // 'auto', 'single' or 'successional' (see plantingSchedule)
+    nurseryStock: null, // Partner nursery's species list (see nurseryStockService)
+    nurseryMode: 'flag', // 'restrict' to stocked species, or 'flag' the others
+    siteBoundary: null,
     recommendations: null,
+    excludedSpecies: [],
     selectedTree: null,
     plantingStrategy: null,
     impactMetrics: null,
@@ -54,9 +73,21 @@ const useReforestation = () => {
     openAIKey: '',
     needsManualLocation: false,
     usingFallbackLocation: false,
-    natureValidation: null // Store nature validation results
+    natureValidation: null, // Store nature validation results
+    projectId: null,
+    projectName: '',
+    projectSavedAt: null,
+    importedPlan: null, // { fileName, fromVersion, warnings } when loaded from a JSON export
+    scenarios: [], // What-if variants of this plan (see scenarioService)
+    promotedScenarioId: null,
+    mixLocks: {} // Locked mix percentages by species commonName (see speciesMixService)
   });
 
+  // Serialised snapshot of the last save, so unchanged or just-restored plans are not re-saved
+  const lastSavedSnapshot = useRef(null);
+  // Project id of the open plan, set as soon as one is created so overlapping autosaves share it
+  const projectIdRef = useRef(null);
+
   const updateState = useCallback((updates) => {
     if (!isMounted.current) {
       console.warn('⚠️ Attempting state update after unmount (might be StrictMode)');
@@ -151,36 +182,48 @@ const useReforestation = () => {
   }, []);
 
   /**
-   * Get hardy fallback species
+   * Get hardy fallback species for the site's region packs and climate,
+   * leaving out species banned at the location (and, in 'restrict' mode,
+   * species the nursery cannot supply)
    */
-  const getHardyFallbackSpecies = useCallback(async () => {
-    try {
-      const { default: TREE_DATABASE } = await import('../constants/treeDatabase');
-      
-      return TREE_DATABASE
-        .filter(tree => 
-          tree.hardiness === 'high' || 
-          tree.waterNeeds === 'low' ||
-          tree.adaptability === 'high'
-        )
-        .slice(0, 5)
-        .map(tree => ({
-          ...tree,
-          compatibilityScore: 60,
-          finalScore: 60,
-          fallbackSpecies: true
-        }));
-    } catch (error) {
-      console.error('Failed to load fallback species:', error);
-      return [];
-    }
+  const getHardyFallbackSpecies = useCallback((location, climateData, nurseryStock = null, nurseryMode = 'flag') => {
+    const jurisdiction = { countryCode: location?.countryCode, region: location?.state };
+    const hardyTrees = treeDataService.getHardyFallbackSpecies({
+      temperature: climateData ? recommendationService.getSiteTemperature(climateData) : undefined,
+      rainfall: climateData?.annualRainfall,
+      ...jurisdiction
+    }, null).map(tree => ({ ...tree, regulatoryStatus: getRegulatoryStatus(tree, jurisdiction) }));
+
+    return applyNurseryStock(hardyTrees, nurseryStock, nurseryMode).kept
+      .slice(0, 5)
+      .map(tree => ({
+        ...tree,
+        compatibilityScore: 60,
+        finalScore: 60,
+        fallbackSpecies: true
+      }));
   }, []);
 
   /**
    * Generate recommendations with fallback strategies
    */
   const generateRecommendationsWithFallback = useCallback(async (params) => {
-    const { location, climateData, imageAnalysis, useAI, usingFallbackLocation, manualLocation } = params;
+    const {
+      location,
+      climateData,
+      imageAnalysis,
+      siteConditions,
+      objective,
+      weights,
+      economicAssumptions,
+      hectares,
+      useAI,
+      usingFallbackLocation,
+      manualLocation,
+      plantingApproach,
+      nurseryStock,
+      nurseryMode
+    } = params;
 
     try {
       // Try 1: Standard recommendation
@@ -189,8 +232,19 @@ const useReforestation = () => {
         location,
         climateData,
         imageAnalysis,
+        siteConditions,
+        objective,
+        weights,
+        economicAssumptions,
+        hectares,
         useAI,
-        manualLocation
+        // Photos and observations; only fetched when API enrichment is enabled,
+        // and served from the enrichment cache when offline
+        enrichWithAPIs: true,
+        manualLocation,
+        plantingApproach,
+        nurseryStock,
+        nurseryMode
       });
 
       if (result.success && result.recommendations?.length > 0) {
@@ -206,8 +260,17 @@ const useReforestation = () => {
           location,
           climateData,
           imageAnalysis,
+          siteConditions,
+          objective,
+          weights,
+          economicAssumptions,
+          hectares,
           useAI,
+          enrichWithAPIs: true,
           manualLocation,
+          plantingApproach,
+          nurseryStock,
+          nurseryMode,
           relaxed: true,
           toleranceBuffer: 5
         });
@@ -224,27 +287,29 @@ const useReforestation = () => {
 
       // Try 3: Hardy species fallback
       console.warn('⚠️ Using hardy species fallback...');
-      const hardySpecies = await getHardyFallbackSpecies();
+      const hardySpecies = getHardyFallbackSpecies(location, climateData, nurseryStock, nurseryMode);
+      const density = '300-400 trees/hectare';
+      const mixRatio = recommendationService.calculateMixRatio(hardySpecies);
       
       return {
         success: true,
         recommendations: hardySpecies,
+        excludedSpecies: result.excludedSpecies || [],
         fallbackMode: true,
         warning: 'Showing general hardy species. Set exact location for better recommendations.',
         plantingStrategy: {
-          density: '300-400 trees/hectare',
-          bestMonths: ['March', 'April', 'May', 'October', 'November'],
+          density,
+          bestMonths: climateData?.suitability?.bestPlantingMonths || ['March', 'April', 'May', 'October', 'November'],
           spacing: '3-4 meters',
-          mixRatio: {},
+          mixRatio,
+          plantingWindows: climateData?.suitability?.seasonality?.plantingWindows || [],
+          seasonality: climateData?.suitability?.seasonality || null,
           source: 'fallback'
         },
-        impactMetrics: {
-          carbonSequestration: { year1: 150, year10: 1425, perTree: 5, unit: 'kg CO2' },
-          biodiversity: { score: 70, level: 'good' },
-          density: { treesPerHectare: 350, survivalRate: 90 },
-          economicValue: { carbonCredits: 14250, timber: 17500, total: 31750, currency: 'USD' },
-          ecosystem: { soilImprovement: 'moderate', waterRetention: 'moderate', habitatCreation: 'good' }
-        }
+        impactMetrics: recommendationService.calculateImpactMetrics(hardySpecies, density, mixRatio, {
+          economicAssumptions,
+          hectares
+        })
       };
     } catch (error) {
       console.error('Failed to generate recommendations:', error);
@@ -257,16 +322,19 @@ const useReforestation = () => {
 
   /**
    * Main processing function - handles both GPS and manual location
+   * A site boundary only carries over from the boundary-import path; a new
+   * photo or location starts without one
    */
-  const processWithLocation = useCallback(async (file, preview, gpsData, isManual = false) => {
+  const processWithLocation = useCallback(async (file, preview, gpsData, isManual = false, siteBoundary = null) => {
     try {
-      console.log(`🚀 Processing with ${isManual ? 'manual' : 'GPS'} location:`, {
+      console.log(`🚀 Processing with ${gpsData.source === 'boundary' ? 'boundary' : isManual ? 'manual' : 'GPS'} location:`, {
         lat: gpsData.latitude?.toFixed(4),
         lon: gpsData.longitude?.toFixed(4)
       });
 
       updateState({
         gpsData,
+        siteBoundary,
         imagePreview: preview,
         usingFallbackLocation: isManual,
         loadingMessage: 'Analyzing location and image...',
@@ -279,7 +347,9 @@ const useReforestation = () => {
       console.log('⚡ Step 1: Getting location & analyzing image...');
       const [locationData, imageAnalysis] = await Promise.all([
         locationService.reverseGeocode(gpsData.latitude, gpsData.longitude),
-        imageService.analyzeImageBasic(file)
+        file
+          ? imageService.analyzeImageBasic(file)
+          : Promise.resolve(imageService.getDefaultAnalysis('No site photo'))
       ]);
 
       if (!isMounted.current) return;
@@ -292,24 +362,52 @@ const useReforestation = () => {
         loadingMessage: 'Fetching climate data...'
       });
 
-      // Step 2: Climate data
+      // Step 2: Climate data (forecast + long-term normals + soil pH in parallel)
       console.log('⚡ Step 2: Fetching climate data...');
-      const climateData = await climateService.fetchClimateWithRetry(
-        gpsData.latitude,
-        gpsData.longitude
-      );
+      const [climateData, climateNormals, soilPH] = await Promise.all([
+        climateService.fetchClimateWithRetry(gpsData.latitude, gpsData.longitude),
+        climateNormalsService.getClimateNormals(gpsData.latitude, gpsData.longitude),
+        soilService.fetchSoilPH(gpsData.latitude, gpsData.longitude)
+      ]);
+
+      if (!isMounted.current) return;
+
+      if (!climateNormals.success) {
+        console.warn('⚠️ Climate normals unavailable, using forecast estimate:', climateNormals.error);
+      }
+
+      // Altitude: Open-Meteo grid elevation, falling back to the elevation API
+      let altitude = climateData.isMock ? null : climateData.elevation ?? null;
+      let altitudeSource = altitude !== null ? 'open-meteo' : null;
+      if (altitude === null) {
+        altitude = await locationService.getElevation(gpsData.latitude, gpsData.longitude);
+        altitudeSource = altitude !== null ? 'open-elevation' : null;
+      }
 
       if (!isMounted.current) return;
 
-      const climateAnalysis = climateService.analyzeClimate(climateData);
+      const siteConditions = {
+        altitude,
+        altitudeSource,
+        soilPH: soilPH.success ? soilPH.pH : null,
+        soilPHSource: soilPH.success ? soilPH.source : null
+      };
+      console.log('⛰️ Site conditions:', siteConditions);
+
+      const climateAnalysis = climateService.analyzeClimate(
+        climateData,
+        climateNormals.success ? climateNormals : null
+      );
       const suitability = calculateSuitability(climateAnalysis, imageAnalysis);
 
       console.log('✅ Climate data complete');
 
       updateState({
+        locationData: { ...locationData, elevation: altitude },
         climateData,
         climateAnalysis,
         suitability,
+        siteConditions,
         loadingMessage: 'Generating tree recommendations...'
       });
 
@@ -319,9 +417,17 @@ const useReforestation = () => {
         location: locationData,
         climateData: { ...climateData, ...climateAnalysis },
         imageAnalysis,
+        siteConditions,
+        objective: state.objective,
+        weights: state.customWeights,
+        economicAssumptions: state.economicAssumptions,
+        hectares: siteBoundary?.areaHectares,
         useAI: state.useAI && openAIService.isOpenAIConfigured(),
         usingFallbackLocation: isManual,
-        manualLocation: isManual
+        manualLocation: isManual,
+        plantingApproach: state.plantingApproach,
+        nurseryStock: state.nurseryStock,
+        nurseryMode: state.nurseryMode
       });
 
       if (!isMounted.current) return;
@@ -338,6 +444,7 @@ const useReforestation = () => {
       console.log(`✅ Analysis complete! Found ${recommendationResult.recommendations.length} trees`);
       updateState({
         recommendations: recommendationResult.recommendations,
+        excludedSpecies: recommendationResult.excludedSpecies || [],
         selectedTree: recommendationResult.recommendations[0],
         plantingStrategy: recommendationResult.plantingStrategy,
         impactMetrics: recommendationResult.impactMetrics,
@@ -359,7 +466,7 @@ const useReforestation = () => {
         currentStep: 'processing'
       });
     }
-  }, [state.useAI, updateState, calculateSuitability, generateRecommendationsWithFallback]);
+  }, [state.useAI, state.objective, state.customWeights, state.economicAssumptions, state.plantingApproach, state.nurseryStock, state.nurseryMode, updateState, calculateSuitability, generateRecommendationsWithFallback]);
 
   /**
    * Handle image upload with nature validation
@@ -378,13 +485,22 @@ const useReforestation = () => {
     }
 
     try {
+      projectIdRef.current = null;
       updateState({
         isLoading: true,
         loadingMessage: 'Validating image...',
         error: null,
         currentStep: 'processing',
         imageFile: file,
-        needsManualLocation: false
+        needsManualLocation: false,
+        siteBoundary: null,
+        projectId: null,
+        projectName: '',
+        projectSavedAt: null,
+        importedPlan: null,
+        scenarios: [],
+        promotedScenarioId: null,
+        mixLocks: {}
       });
 
       // Step 1: Validate that it's a nature image
@@ -510,44 +626,149 @@ const useReforestation = () => {
     }
   }, [state.imageFile, state.imagePreview, updateState, processWithLocation]);
 
+  /**
+   * Plan from an imported boundary file instead of a photo.
+   * The centroid locates the site; the polygon sets the planting area.
+   */
+  const importSiteBoundary = useCallback(async (boundary) => {
+    console.log('🗺️ Planning from imported boundary:', boundary.source);
+    projectIdRef.current = null;
+
+    updateState({
+      siteBoundary: boundary,
+      imageFile: null,
+      error: null,
+      natureValidation: null,
+      projectId: null,
+      projectName: '',
+      projectSavedAt: null,
+      importedPlan: null,
+      scenarios: [],
+      promotedScenarioId: null,
+      mixLocks: {}
+    });
+
+    const boundaryGpsData = {
+      latitude: boundary.centroid.latitude,
+      longitude: boundary.centroid.longitude,
+      altitude: null,
+      timestamp: new Date().toISOString(),
+      hasGPS: false,
+      source: 'boundary'
+    };
+
+    await processWithLocation(null, null, boundaryGpsData, false, boundary);
+  }, [updateState, processWithLocation]);
+
   const selectTree = useCallback((tree) => {
     updateState({ selectedTree: tree });
   }, [updateState]);
 
+  /**
+   * Replace the recommended mix with a hand-picked one and recompute the
+   * mix ratio, planting strategy and impact metrics around it
+   * @param {Array} speciesIds - Species ids in mix order
+   * @param {Object} lockedShares - Percentage per locked species commonName
+   * @returns {Promise<Object>} { success } or { success: false, error }
+   */
+  const updateSpeciesMix = useCallback(async (speciesIds, lockedShares = {}) => {
+    const result = await speciesMixService.buildSpeciesMix(speciesIds, lockedShares, state);
+    if (!result.success) {
+      updateState({ error: result.error });
+      return result;
+    }
+
+    const { recommendations, excludedSpecies, plantingStrategy, impactMetrics, mixLocks } = result;
+    updateState({
+      recommendations,
+      excludedSpecies,
+      plantingStrategy,
+      impactMetrics,
+      mixLocks,
+      selectedTree: recommendations.find(tree => tree.id === state.selectedTree?.id) || recommendations[0],
+      promotedScenarioId: null
+    });
+    return result;
+  }, [state, updateState]);
+
   const recalculateRecommendations = useCallback(async (params = {}) => {
-    if (!state.locationData || !state.climateData || !state.imageAnalysis) {
-      updateState({ error: 'Missing required data' });
+    const climateData = params.climateData ?? state.climateData;
+    const climateAnalysis = params.climateAnalysis ?? state.climateAnalysis;
+
+    if (!state.locationData || !climateData || !state.imageAnalysis) {
+      updateState({ error: 'Missing required data', isLoading: false, loadingMessage: '' });
       return;
     }
 
     try {
+      const objective = params.objective ?? state.objective;
+      // Switching objective drops custom weights unless new ones are given
+      const weights = params.weights !== undefined
+        ? params.weights
+        : params.objective !== undefined && params.objective !== state.objective
+          ? null
+          : state.customWeights;
+      const nurseryStock = params.nurseryStock !== undefined ? params.nurseryStock : state.nurseryStock;
+      const nurseryMode = params.nurseryMode ?? state.nurseryMode;
+      const economicAssumptions = params.economicAssumptions !== undefined
+        ? params.economicAssumptions
+        : state.economicAssumptions;
+
       updateState({
         isLoading: true,
         loadingMessage: 'Recalculating...',
         error: null
       });
 
-      const result = await generateRecommendationsWithFallback({
+      const context = {
         location: state.locationData,
-        climateData: state.climateData,
+        climateData: { ...climateData, ...climateAnalysis },
         imageAnalysis: state.imageAnalysis,
-        useAI: params.useAI ?? state.useAI,
-        usingFallbackLocation: state.usingFallbackLocation,
-        manualLocation: state.gpsData?.source === 'manual'
-      });
+        siteConditions: params.siteConditions ?? state.siteConditions,
+        economicAssumptions,
+        hectares: state.siteBoundary?.areaHectares,
+        manualLocation: state.gpsData?.source === 'manual',
+        plantingApproach: state.plantingApproach,
+        nurseryStock,
+        nurseryMode
+      };
+
+      // A promoted scenario keeps its relaxed tolerance, density and species list
+      const promoted = state.scenarios.find(scenario => scenario.id === state.promotedScenarioId);
+      let result;
+      if (promoted) {
+        const run = await scenarioService.runScenario({ ...promoted.params, objective, weights }, context);
+        result = run.success ? { success: true, ...run.result, aiInsights: null } : run;
+      } else {
+        result = await generateRecommendationsWithFallback({
+          ...context,
+          objective,
+          weights,
+          useAI: params.useAI ?? state.useAI,
+          usingFallbackLocation: state.usingFallbackLocation
+        });
+      }
 
       if (!isMounted.current) return;
 
       if (!result.success || !result.recommendations?.length) {
-        throw new Error('Failed to generate recommendations');
+        throw new Error(result.error || 'Failed to generate recommendations');
       }
 
       updateState({
         recommendations: result.recommendations,
+        excludedSpecies: result.excludedSpecies || [],
+        objective,
+        customWeights: weights,
+        economicAssumptions,
+        nurseryStock,
+        nurseryMode,
         selectedTree: result.recommendations[0],
         plantingStrategy: result.plantingStrategy,
         impactMetrics: result.impactMetrics,
         aiInsights: result.aiInsights,
+        promotedScenarioId: promoted ? promoted.id : null,
+        mixLocks: {},
         isLoading: false,
         loadingMessage: ''
       });
@@ -561,7 +782,196 @@ const useReforestation = () => {
         loadingMessage: ''
       });
     }
-  }, [state.locationData, state.climateData, state.imageAnalysis, state.useAI, state.usingFallbackLocation, state.gpsData, updateState, generateRecommendationsWithFallback]);
+  }, [state.locationData, state.climateData, state.climateAnalysis, state.imageAnalysis, state.siteConditions, state.objective, state.customWeights, state.economicAssumptions, state.plantingApproach, state.nurseryStock, state.nurseryMode, state.siteBoundary, state.useAI, state.usingFallbackLocation, state.gpsData, state.scenarios, state.promotedScenarioId, updateState, generateRecommendationsWithFallback]);
+
+  /**
+   * Override the site soil pH (e.g. from a field test kit) and rescore
+   */
+  const updateSoilPH = useCallback(async (pH) => {
+    const value = pH === '' || pH === null ? null : parseFloat(pH);
+
+    if (value !== null && !soilService.isValidSoilPH(value)) {
+      updateState({ error: 'Soil pH must be between 3 and 10' });
+      return;
+    }
+
+    const siteConditions = {
+      ...state.siteConditions,
+      soilPH: value,
+      soilPHSource: value !== null ? 'user' : null
+    };
+
+    updateState({ siteConditions });
+    await recalculateRecommendations({ siteConditions });
+  }, [state.siteConditions, updateState, recalculateRecommendations]);
+
+  /**
+   * Apply an edited cost sheet and revenue assumptions, then rebuild the impact metrics
+   */
+  const updateEconomicAssumptions = useCallback((economicAssumptions) => {
+    if (!state.recommendations?.length || !state.plantingStrategy) {
+      updateState({ economicAssumptions });
+      return;
+    }
+
+    const impactMetrics = recommendationService.calculateImpactMetrics(
+      state.recommendations,
+      state.plantingStrategy.density,
+      state.plantingStrategy.mixRatio,
+      { economicAssumptions, hectares: state.siteBoundary?.areaHectares, schedule: state.plantingStrategy.schedule }
+    );
+
+    updateState({ economicAssumptions, impactMetrics });
+  }, [state.recommendations, state.plantingStrategy, state.siteBoundary, updateState]);
+
+  /**
+   * Set (or clear) the site boundary and scale counts, costs and impact to its area
+   */
+  const updateSiteBoundary = useCallback((siteBoundary) => {
+    if (!state.recommendations?.length || !state.plantingStrategy) {
+      updateState({ siteBoundary });
+      return;
+    }
+
+    const impactMetrics = recommendationService.calculateImpactMetrics(
+      state.recommendations,
+      state.plantingStrategy.density,
+      state.plantingStrategy.mixRatio,
+      { economicAssumptions: state.economicAssumptions, hectares: siteBoundary?.areaHectares, schedule: state.plantingStrategy.schedule }
+    );
+
+    updateState({ siteBoundary, impactMetrics });
+  }, [state.recommendations, state.plantingStrategy, state.economicAssumptions, updateState]);
+
+  /**
+   * Switch between a single planting and successional phases, and
+   * re-project carbon and costs for the new schedule
+   * @param {string} plantingApproach - 'auto', 'single' or 'successional'
+   */
+  const updatePlantingApproach = useCallback((plantingApproach) => {
+    if (!state.recommendations?.length || !state.plantingStrategy) {
+      updateState({ plantingApproach });
+      return;
+    }
+
+    const plantingStrategy = {
+      ...state.plantingStrategy,
+      schedule: createPlantingSchedule(state.recommendations, state.plantingStrategy.mixRatio, {
+        successional: usesSuccessionalPlanting(plantingApproach, state.imageAnalysis)
+      })
+    };
+    const impactMetrics = recommendationService.calculateImpactMetrics(
+      state.recommendations,
+      plantingStrategy.density,
+      plantingStrategy.mixRatio,
+      { economicAssumptions: state.economicAssumptions, hectares: state.siteBoundary?.areaHectares, schedule: plantingStrategy.schedule }
+    );
+
+    console.log(`🗓️ Planting approach: ${plantingApproach} (${plantingStrategy.schedule.phases.length} phase(s))`);
+    updateState({ plantingApproach, plantingStrategy, impactMetrics });
+  }, [state.recommendations, state.plantingStrategy, state.imageAnalysis, state.economicAssumptions, state.siteBoundary, updateState]);
+
+  /**
+   * Set (or clear) the partner nursery's stock list and rescore: its seedling
+   * prices go into the cost sheet (when in the plan's currency), and species it
+   * cannot supply are left out ('restrict') or flagged ('flag')
+   * @param {Object} nurseryStock - Stock from nurseryStockService, or null to clear
+   * @param {string} nurseryMode - 'restrict' or 'flag'
+   */
+  const updateNurseryStock = useCallback(async (nurseryStock, nurseryMode = state.nurseryMode) => {
+    // Prices are copied once per new list, so later edits in the cost sheet survive a mode switch
+    const economicAssumptions = nurseryStock && nurseryStock !== state.nurseryStock
+      ? applyNurseryPrices(state.economicAssumptions, nurseryStock)
+      : state.economicAssumptions;
+
+    console.log(`🌱 Nursery stock: ${nurseryStock ? `${nurseryStock.name}, ${nurseryStock.items.length} species (${nurseryMode})` : 'cleared'}`);
+
+    if (!state.recommendations?.length) {
+      updateState({ nurseryStock, nurseryMode, economicAssumptions });
+      return;
+    }
+
+    await recalculateRecommendations({ nurseryStock, nurseryMode, economicAssumptions });
+  }, [state.recommendations, state.economicAssumptions, state.nurseryStock, state.nurseryMode, updateState, recalculateRecommendations]);
+
+  /**
+   * Run a what-if scenario on this site and add it to the list.
+   * The current plan is left unchanged until the scenario is promoted.
+   * @param {string} name - Scenario name
+   * @param {Object} params - { objective, weights, relaxed, toleranceBuffer, density, speciesIds }
+   * @returns {Promise<Object>} { success, scenario } or { success: false, error }
+   */
+  const addScenario = useCallback(async (name, params) => {
+    if (!state.locationData || !state.climateData || !state.imageAnalysis) {
+      return { success: false, error: 'Missing required data' };
+    }
+
+    updateState({ isLoading: true, loadingMessage: 'Running scenario...', error: null });
+
+    const run = await scenarioService.runScenario(params, {
+      location: state.locationData,
+      climateData: { ...state.climateData, ...state.climateAnalysis },
+      imageAnalysis: state.imageAnalysis,
+      siteConditions: state.siteConditions,
+      economicAssumptions: state.economicAssumptions,
+      hectares: state.siteBoundary?.areaHectares,
+      manualLocation: state.gpsData?.source === 'manual',
+      plantingApproach: state.plantingApproach,
+      nurseryStock: state.nurseryStock,
+      nurseryMode: state.nurseryMode
+    });
+
+    if (!isMounted.current) return run;
+
+    if (!run.success) {
+      updateState({ isLoading: false, loadingMessage: '' });
+      return run;
+    }
+
+    const scenario = scenarioService.createScenario(name, params, run.result);
+    console.log(`🧪 Scenario added: ${scenario.name}`);
+    setState(prev => ({
+      ...prev,
+      scenarios: [...prev.scenarios, scenario],
+      isLoading: false,
+      loadingMessage: ''
+    }));
+
+    return { success: true, scenario };
+  }, [state.locationData, state.climateData, state.climateAnalysis, state.imageAnalysis, state.siteConditions, state.economicAssumptions, state.plantingApproach, state.nurseryStock, state.nurseryMode, state.siteBoundary, state.gpsData, updateState]);
+
+  const deleteScenario = useCallback((id) => {
+    setState(prev => ({
+      ...prev,
+      scenarios: prev.scenarios.filter(scenario => scenario.id !== id),
+      promotedScenarioId: prev.promotedScenarioId === id ? null : prev.promotedScenarioId
+    }));
+  }, []);
+
+  /**
+   * Make a scenario the final plan: its parameters and results replace the current ones.
+   * Later recalculations keep its relaxed tolerance, density and species list
+   * (see recalculateRecommendations) until the plan is rebuilt another way
+   */
+  const promoteScenario = useCallback((id) => {
+    const scenario = state.scenarios.find(entry => entry.id === id);
+    if (!scenario) return;
+
+    const { recommendations, excludedSpecies, plantingStrategy, impactMetrics } = scenario.result;
+    console.log(`⭐ Scenario promoted: ${scenario.name}`);
+    updateState({
+      recommendations,
+      excludedSpecies,
+      plantingStrategy,
+      impactMetrics,
+      selectedTree: recommendations[0],
+      objective: scenario.params.objective,
+      customWeights: scenario.params.weights,
+      aiInsights: null,
+      promotedScenarioId: id,
+      mixLocks: {}
+    });
+  }, [state.scenarios, updateState]);
 
   const generatePlantingGuide = useCallback(async () => {
     if (!state.selectedTree || !openAIService.isOpenAIConfigured()) {
@@ -584,21 +994,39 @@ const useReforestation = () => {
 
   const getCompletePlan = useCallback(() => {
     return {
+      schemaVersion: PLAN_SCHEMA_VERSION,
       metadata: {
         generatedAt: new Date().toISOString(),
-        version: '2.0',
+        version: `${PLAN_SCHEMA_VERSION}.0`,
         generator: 'ReForest.AI',
         usingFallbackLocation: state.usingFallbackLocation,
         locationSource: state.gpsData?.source || 'unknown',
-        natureValidation: state.natureValidation
+        natureValidation: state.natureValidation,
+        objective: recommendationService.resolveObjective(state.objective, state.customWeights),
+        speciesCatalog: getSpeciesPacks().map(({ id, version }) => ({ id, version }))
+      },
+      settings: {
+        objective: state.objective,
+        customWeights: state.customWeights,
+        economicAssumptions: state.economicAssumptions,
+        plantingApproach: state.plantingApproach,
+        nurseryStock: state.nurseryStock,
+        nurseryMode: state.nurseryMode,
+        mixLocks: state.mixLocks
       },
       location: state.locationData,
       gps: state.gpsData,
       climate: state.climateData,
+      climateData: state.climateData && { ...state.climateData, ...state.climateAnalysis },
       climateAnalysis: state.climateAnalysis,
       suitability: state.suitability,
+      siteConditions: state.siteConditions,
+      siteBoundary: state.siteBoundary,
       imageAnalysis: state.imageAnalysis,
+      scenarios: state.scenarios,
+      promotedScenarioId: state.promotedScenarioId,
       recommendations: state.recommendations,
+      excludedSpecies: state.excludedSpecies,
       selectedTree: state.selectedTree,
       plantingStrategy: state.plantingStrategy,
       impactMetrics: state.impactMetrics,
@@ -607,6 +1035,7 @@ const useReforestation = () => {
   }, [state]);
 
   const resetWorkflow = useCallback(() => {
+    projectIdRef.current = null;
     setState({
       currentStep: 'upload',
       imageFile: null,
@@ -617,7 +1046,10 @@ const useReforestation = () => {
       climateData: null,
       climateAnalysis: null,
       suitability: null,
+      siteConditions: null,
+      siteBoundary: null,
       recommendations: null,
+      excludedSpecies: [],
       selectedTree: null,
       plantingStrategy: null,
       impactMetrics: null,
@@ -627,11 +1059,283 @@ const useReforestation = () => {
       error: null,
       useAI: state.useAI,
       openAIKey: state.openAIKey,
+      objective: state.objective,
+      customWeights: state.customWeights,
+      economicAssumptions: state.economicAssumptions,
+      plantingApproach: state.plantingApproach,
+      nurseryStock: state.nurseryStock,
+      nurseryMode: state.nurseryMode,
       needsManualLocation: false,
       usingFallbackLocation: false,
-      natureValidation: null
+      natureValidation: null,
+      projectId: null,
+      projectName: '',
+      projectSavedAt: null,
+      importedPlan: null,
+      scenarios: [],
+      promotedScenarioId: null,
+      mixLocks: {}
     });
-  }, [state.useAI, state.openAIKey]);
+    lastSavedSnapshot.current = null;
+    projectStorageService.clearLastSession();
+  }, [state.useAI, state.openAIKey, state.objective, state.customWeights, state.economicAssumptions, state.plantingApproach, state.nurseryStock, state.nurseryMode]);
+
+  /**
+   * Restore a saved project into the results screen
+   * @param {string} id - Project id
+   * @returns {Promise<boolean>} True if the project was opened
+   */
+  const openProject = useCallback(async (id) => {
+    const result = await projectStorageService.getProject(id);
+    if (!result.success || !isMounted.current) {
+      if (result.error) updateState({ error: `Could not open project: ${result.error}` });
+      return false;
+    }
+
+    const { project } = result;
+    lastSavedSnapshot.current = JSON.stringify(project.data);
+    projectIdRef.current = project.id;
+
+    setState(prev => ({
+      ...prev,
+      ...project.data,
+      scenarios: project.data.scenarios || [],
+      mixLocks: project.data.mixLocks || {},
+      imageFile: null,
+      imagePreview: project.thumbnail,
+      currentStep: 'results',
+      isLoading: false,
+      loadingMessage: '',
+      error: null,
+      needsManualLocation: false,
+      projectId: project.id,
+      projectName: project.name,
+      projectSavedAt: project.updatedAt,
+      importedPlan: null
+    }));
+
+    projectStorageService.setLastSession(project.id);
+    console.log(`📂 Project opened: ${project.name}`);
+    return true;
+  }, [updateState]);
+
+  const renameProject = useCallback(async (id, name) => {
+    const result = await projectStorageService.renameProject(id, name);
+    if (result.success && id === state.projectId) {
+      updateState({ projectName: result.project.name, projectSavedAt: result.project.updatedAt });
+    }
+    return result;
+  }, [state.projectId, updateState]);
+
+  const duplicateProject = useCallback((id) => projectStorageService.duplicateProject(id), []);
+
+  const deleteProject = useCallback(async (id) => {
+    const result = await projectStorageService.deleteProject(id);
+    // Detach the open plan; further edits will save it as a new project
+    if (result.success && id === state.projectId) {
+      updateState({ projectId: null, projectName: '', projectSavedAt: null });
+      lastSavedSnapshot.current = null;
+      projectIdRef.current = null;
+    }
+    return result;
+  }, [state.projectId, updateState]);
+
+  /**
+   * Load a plan imported from a JSON export (see planImportService).
+   * It opens on the results screen and is saved as a new project.
+   */
+  const importPlan = useCallback(({ state: planState, fileName, fromVersion, warnings = [] }) => {
+    lastSavedSnapshot.current = null;
+    projectIdRef.current = null;
+
+    setState(prev => ({
+      ...prev,
+      ...planState,
+      // Plans from before image analysis was exported still need one to recalculate
+      imageAnalysis: planState.imageAnalysis || imageService.getDefaultAnalysis('Imported plan'),
+      imageFile: null,
+      imagePreview: null,
+      currentStep: 'results',
+      isLoading: false,
+      loadingMessage: '',
+      error: null,
+      needsManualLocation: false,
+      projectId: null,
+      projectName: '',
+      projectSavedAt: null,
+      importedPlan: { fileName, fromVersion, warnings }
+    }));
+
+    console.log(`📥 Plan loaded from ${fileName}`);
+  }, []);
+
+  /**
+   * Re-fetch climate data for the site and recalculate recommendations against it
+   */
+  const refreshClimateData = useCallback(async () => {
+    const { latitude, longitude } = state.gpsData || {};
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      updateState({ error: 'No site coordinates to fetch climate data for' });
+      return;
+    }
+
+    try {
+      updateState({ isLoading: true, loadingMessage: 'Refreshing climate data...', error: null });
+
+      const [climateData, climateNormals] = await Promise.all([
+        climateService.fetchClimateWithRetry(latitude, longitude),
+        climateNormalsService.getClimateNormals(latitude, longitude)
+      ]);
+
+      if (!isMounted.current) return;
+
+      const climateAnalysis = climateService.analyzeClimate(
+        climateData,
+        climateNormals.success ? climateNormals : null
+      );
+      const suitability = calculateSuitability(climateAnalysis, state.imageAnalysis);
+
+      console.log('🌦️ Climate data refreshed');
+      updateState({ climateData, climateAnalysis, suitability });
+      await recalculateRecommendations({ climateData, climateAnalysis });
+    } catch (error) {
+      console.error('❌ Climate refresh error:', error);
+      if (!isMounted.current) return;
+
+      updateState({
+        error: error.message || 'Failed to refresh climate data',
+        isLoading: false,
+        loadingMessage: ''
+      });
+    }
+  }, [state.gpsData, state.imageAnalysis, updateState, calculateSuitability, recalculateRecommendations]);
+
+  // Restore the last in-progress project on first load
+  useEffect(() => {
+    let cancelled = false;
+
+    const restoreSession = async () => {
+      const session = await projectStorageService.getLastSession();
+      if (!session?.projectId || cancelled) return;
+
+      const result = await projectStorageService.getProject(session.projectId);
+      if (!result.success || cancelled) return;
+
+      const { project } = result;
+      setState(prev => {
+        // The user already started something new; keep it
+        if (prev.currentStep !== 'upload' || prev.imageFile || prev.recommendations) return prev;
+
+        lastSavedSnapshot.current = JSON.stringify(project.data);
+        projectIdRef.current = project.id;
+        console.log(`♻️ Restored last session: ${project.name}`);
+        return {
+          ...prev,
+          ...project.data,
+          scenarios: project.data.scenarios || [],
+          mixLocks: project.data.mixLocks || {},
+          imagePreview: project.thumbnail,
+          currentStep: 'results',
+          projectId: project.id,
+          projectName: project.name,
+          projectSavedAt: project.updatedAt
+        };
+      });
+    };
+
+    restoreSession();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Fill in P10/P50/P90 ranges in the background whenever impact metrics are recalculated
+  useEffect(() => {
+    const impactMetrics = state.impactMetrics;
+    if (!impactMetrics || impactMetrics.uncertainty || !state.recommendations?.length || !state.plantingStrategy) return;
+
+    recommendationService.simulateImpactRanges(
+      state.recommendations,
+      state.plantingStrategy.density,
+      state.plantingStrategy.mixRatio,
+      {
+        economicAssumptions: state.economicAssumptions,
+        hectares: state.siteBoundary?.areaHectares,
+        schedule: state.plantingStrategy.schedule
+      }
+    )
+      .then(uncertainty => {
+        if (!isMounted.current) return;
+        // Skip results for metrics that have since been replaced
+        setState(prev => prev.impactMetrics === impactMetrics
+          ? { ...prev, impactMetrics: { ...impactMetrics, uncertainty } }
+          : prev);
+      })
+      .catch(error => console.warn('⚠️ Impact ranges unavailable:', error.message));
+    // Metrics are rebuilt together with the inputs read here
+  }, [state.impactMetrics]);
+
+  // Autosave finished analyses (and later edits to them) as a project
+  useEffect(() => {
+    if (state.currentStep !== 'results' || !state.recommendations?.length || state.isLoading) return;
+
+    const timer = setTimeout(async () => {
+      const data = projectStorageService.createSnapshot(state);
+      const serialised = JSON.stringify(data);
+      if (serialised === lastSavedSnapshot.current) return;
+
+      // Read and mint the id synchronously: state.projectId may not have caught up with an earlier save
+      const isNew = !projectIdRef.current;
+      const id = projectIdRef.current || projectStorageService.createProjectId();
+      projectIdRef.current = id;
+      const result = await projectStorageService.saveProject({
+        id,
+        name: state.projectName || projectStorageService.getDefaultProjectName(state),
+        thumbnail: isNew ? await projectStorageService.createThumbnail(state.imagePreview) : null,
+        data
+      });
+
+      // Stop if the save failed or another plan was opened meanwhile
+      if (!result.success || !isMounted.current || projectIdRef.current !== id) return;
+
+      lastSavedSnapshot.current = serialised;
+      projectStorageService.setLastSession(id);
+      updateState({
+        projectId: id,
+        projectName: result.project.name,
+        projectSavedAt: result.project.updatedAt
+      });
+    }, 800);
+
+    return () => clearTimeout(timer);
+    // Only persisted fields trigger a save; project metadata updates do not
+  }, [
+    state.currentStep,
+    state.isLoading,
+    state.imageAnalysis,
+    state.gpsData,
+    state.locationData,
+    state.climateData,
+    state.climateAnalysis,
+    state.suitability,
+    state.siteConditions,
+    state.objective,
+    state.customWeights,
+    state.economicAssumptions,
+    state.plantingApproach,
+    state.nurseryStock,
+    state.nurseryMode,
+    state.siteBoundary,
+    state.recommendations,
+    state.excludedSpecies,
+    state.selectedTree,
+    state.plantingStrategy,
+    state.impactMetrics,
+    state.aiInsights,
+    state.scenarios,
+    state.promotedScenarioId,
+    state.mixLocks
+  ]);
 
   const clearError = useCallback(() => {
     updateState({ error: null });
@@ -687,13 +1391,29 @@ const useReforestation = () => {
     state,
     handleImageUpload,
     setManualLocation,
+    importSiteBoundary,
     selectTree,
+    updateSpeciesMix,
     recalculateRecommendations,
+    updateSoilPH,
+    updateEconomicAssumptions,
+    updateSiteBoundary,
+    updatePlantingApproach,
+    updateNurseryStock,
     generatePlantingGuide,
     resetWorkflow,
     clearError,
     toggleAI,
     setOpenAIKey,
+    openProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    importPlan,
+    refreshClimateData,
+    addScenario,
+    deleteScenario,
+    promoteScenario,
     getCompletePlan,
     getProgress,
     isComplete,
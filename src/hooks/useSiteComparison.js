@@ -0,0 +1,81 @@
+/**
+ * useSiteComparison Hook
+ * Manages the list of candidate sites and runs the analysis for each
+ * so they can be compared side by side
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import siteComparisonService, { MAX_COMPARISON_SITES } from '../services/siteComparisonService';
+
+const useSiteComparison = () => {
+  const isMounted = useRef(true);
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  const [sites, setSites] = useState(() => [
+    siteComparisonService.createSiteInput(0),
+    siteComparisonService.createSiteInput(1)
+  ]);
+  const [results, setResults] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const addSite = useCallback(() => {
+    setSites(prev => prev.length >= MAX_COMPARISON_SITES
+      ? prev
+      : [...prev, siteComparisonService.createSiteInput(prev.length)]);
+  }, []);
+
+  const updateSite = useCallback((id, updates) => {
+    setSites(prev => prev.map(site => site.id === id ? { ...site, ...updates } : site));
+  }, []);
+
+  const removeSite = useCallback((id) => {
+    setSites(prev => prev.length > 1 ? prev.filter(site => site.id !== id) : prev);
+  }, []);
+
+  /**
+   * Analyse every site in order
+   * @param {Object} options - { objective, weights, economicAssumptions, nurseryStock, nurseryMode } shared by all sites
+   */
+  const runComparison = useCallback(async (options = {}) => {
+    setIsRunning(true);
+    setResults([]);
+    console.log(`🔀 Comparing ${sites.length} sites`);
+
+    const analysed = await siteComparisonService.compareSites(sites, options, (index, total, label) => {
+      if (isMounted.current) setProgress({ index, total, label });
+    });
+
+    if (!isMounted.current) return;
+
+    setResults(analysed);
+    setProgress(null);
+    setIsRunning(false);
+  }, [sites]);
+
+  const clearResults = useCallback(() => {
+    setResults([]);
+  }, []);
+
+  return {
+    sites,
+    results,
+    rows: results.map(siteComparisonService.summarizeSite),
+    isRunning,
+    progress,
+    canAddSite: sites.length < MAX_COMPARISON_SITES,
+    addSite,
+    updateSite,
+    removeSite,
+    runComparison,
+    clearResults
+  };
+};
+
+export default useSiteComparison;
@@ -1,8 +1,12 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import { restoreSpeciesPacks } from "./services/speciesPackService";
 // import "./index.css"; // optional if you plan to use styles
 
+// Load species packs imported in earlier sessions before the first analysis
+restoreSpeciesPacks();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
@@ -0,0 +1,292 @@
+/**
+ * Boundary Import Service
+ * Reads site boundaries from GeoJSON (QGIS), KML (Google Earth) and GPX
+ * (handheld GPS tracks) and validates them before planning
+ */
+
+import { validateRing, createBoundary, pixelToLonLat } from '../utils/geometry';
+import { calculateDistance } from './locationService';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const TRACK_CLOSE_TOLERANCE_M = 50; // Gap allowed between a walked track's start and end
+
+// CRS names that mean plain WGS84 longitude/latitude
+const WGS84_CRS = [
+  'urn:ogc:def:crs:OGC:1.3:CRS84',
+  'urn:ogc:def:crs:OGC::CRS84',
+  'urn:ogc:def:crs:EPSG::4326',
+  'EPSG:4326'
+];
+const WEB_MERCATOR_CRS = [
+  'urn:ogc:def:crs:EPSG::3857',
+  'EPSG:3857',
+  'urn:ogc:def:crs:EPSG::900913'
+];
+const WEB_MERCATOR_HALF_WORLD = 20037508.342789244;
+
+/**
+ * Detect the boundary file format from its name and content
+ * @param {string} fileName - File name
+ * @param {string} text - File content
+ * @returns {string|null} 'geojson', 'kml', 'gpx' or null
+ */
+export const detectFormat = (fileName, text) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (['geojson', 'json'].includes(extension)) return 'geojson';
+  if (extension === 'kml') return 'kml';
+  if (extension === 'gpx') return 'gpx';
+
+  const start = text.trimStart().slice(0, 500);
+  if (start.startsWith('{')) return 'geojson';
+  if (start.includes('<kml')) return 'kml';
+  if (start.includes('<gpx')) return 'gpx';
+  return null;
+};
+
+/**
+ * Convert a Web Mercator (EPSG:3857) coordinate to longitude/latitude
+ * @param {Array} coordinate - [x, y] in metres
+ * @returns {Array} [lon, lat]
+ */
+const fromWebMercator = ([x, y]) => {
+  // Reuse the tile projection at zoom 0 (256 px world)
+  const scale = 256 / (2 * WEB_MERCATOR_HALF_WORLD);
+  return pixelToLonLat((x + WEB_MERCATOR_HALF_WORLD) * scale, (WEB_MERCATOR_HALF_WORLD - y) * scale, 0);
+};
+
+/**
+ * Pick the outer ring of the largest polygon in a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Array} warnings - Warning list to append to
+ * @returns {Array|null} Ring of [lon, lat]
+ */
+const ringFromGeometry = (geometry, warnings) => {
+  if (!geometry) return null;
+
+  switch (geometry.type) {
+    case 'Polygon':
+      if (geometry.coordinates.length > 1) {
+        warnings.push('Holes in the polygon were ignored; the full outer boundary is used');
+      }
+      return geometry.coordinates[0];
+    case 'MultiPolygon': {
+      const rings = geometry.coordinates.map(polygon => polygon[0]);
+      if (rings.length > 1) {
+        warnings.push(`File has ${rings.length} polygons; using the largest`);
+      }
+      return rings.reduce((largest, ring) =>
+        Math.abs(ringExtent(ring)) > Math.abs(ringExtent(largest)) ? ring : largest
+      );
+    }
+    case 'LineString':
+      warnings.push('Line geometry was closed into a polygon');
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      for (const child of geometry.geometries) {
+        const ring = ringFromGeometry(child, warnings);
+        if (ring) return ring;
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Bounding-box area, enough to rank polygons by size
+const ringExtent = (ring) => {
+  const lons = ring.map(p => p[0]);
+  const lats = ring.map(p => p[1]);
+  return (Math.max(...lons) - Math.min(...lons)) * (Math.max(...lats) - Math.min(...lats));
+};
+
+/**
+ * Parse a GeoJSON boundary
+ * @param {string} text - File content
+ * @returns {Object} { ring, warnings }
+ */
+export const parseGeoJSON = (text) => {
+  const warnings = [];
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  // Legacy GeoJSON "crs" member; RFC 7946 files are always WGS84
+  const crsName = data.crs?.properties?.name;
+  let project = (coordinate) => coordinate;
+  if (crsName && !WGS84_CRS.includes(crsName)) {
+    if (WEB_MERCATOR_CRS.includes(crsName)) {
+      project = fromWebMercator;
+      warnings.push('Converted from Web Mercator (EPSG:3857) to WGS84');
+    } else {
+      throw new Error(`Unsupported coordinate system ${crsName}. Export the boundary in WGS84 (EPSG:4326).`);
+    }
+  }
+
+  const geometries = data.type === 'FeatureCollection'
+    ? data.features.map(feature => feature.geometry)
+    : data.type === 'Feature' ? [data.geometry] : [data];
+
+  const polygons = geometries.filter(g => g && ['Polygon', 'MultiPolygon'].includes(g.type));
+  if (polygons.length > 1) {
+    warnings.push(`File has ${polygons.length} features; using the first polygon`);
+  }
+
+  const ring = ringFromGeometry(polygons[0] || geometries.find(Boolean), warnings);
+  if (!ring) {
+    throw new Error('No polygon or line found in the GeoJSON file');
+  }
+
+  return { ring: ring.map(coordinate => project(coordinate.slice(0, 2))), warnings };
+};
+
+/**
+ * Parse "lon,lat[,alt]" tuples from a KML coordinates element
+ * @param {string} text - Coordinates text
+ * @returns {Array} Ring of [lon, lat]
+ */
+const parseKMLCoordinates = (text) =>
+  text.trim().split(/\s+/).map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+/**
+ * Parse a KML boundary (first Polygon, or a LineString path)
+ * @param {string} text - File content
+ * @returns {Object} { ring, warnings }
+ */
+export const parseKML = (text) => {
+  const warnings = [];
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('File is not valid KML');
+  }
+
+  const polygons = doc.getElementsByTagNameNS('*', 'Polygon');
+  if (polygons.length) {
+    if (polygons.length > 1) {
+      warnings.push(`File has ${polygons.length} polygons; using the first`);
+    }
+    const outer = polygons[0].getElementsByTagNameNS('*', 'outerBoundaryIs')[0] || polygons[0];
+    const coordinates = outer.getElementsByTagNameNS('*', 'coordinates')[0];
+    if (coordinates) {
+      return { ring: parseKMLCoordinates(coordinates.textContent), warnings };
+    }
+  }
+
+  const line = doc.getElementsByTagNameNS('*', 'LineString')[0];
+  if (line) {
+    warnings.push('Path was closed into a polygon');
+    return { ring: parseKMLCoordinates(line.getElementsByTagNameNS('*', 'coordinates')[0].textContent), warnings };
+  }
+
+  throw new Error('No Polygon or LineString found in the KML file');
+};
+
+/**
+ * Parse a GPX track (or route/waypoints) walked around the site
+ * @param {string} text - File content
+ * @returns {Object} { ring, warnings }
+ */
+export const parseGPX = (text) => {
+  const warnings = [];
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('File is not valid GPX');
+  }
+
+  const pointSets = [
+    ['trkpt', 'track'],
+    ['rtept', 'route'],
+    ['wpt', 'waypoints']
+  ];
+
+  for (const [tag, label] of pointSets) {
+    const points = Array.from(doc.getElementsByTagNameNS('*', tag));
+    if (points.length >= 3) {
+      const ring = points.map(point => [
+        parseFloat(point.getAttribute('lon')),
+        parseFloat(point.getAttribute('lat'))
+      ]);
+
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      const gap = calculateDistance(first[1], first[0], last[1], last[0]) * 1000;
+      if (gap > TRACK_CLOSE_TOLERANCE_M) {
+        warnings.push(`The ${label} ends ${Math.round(gap)} m from where it started; it was closed with a straight line`);
+      }
+      if (label !== 'track') {
+        warnings.push(`Using GPX ${label} points as the boundary`);
+      }
+
+      return { ring, warnings };
+    }
+  }
+
+  throw new Error('GPX file needs at least 3 track, route or waypoint points');
+};
+
+/**
+ * Read, parse and validate a boundary file
+ * @param {File} file - GeoJSON, KML or GPX file
+ * @returns {Promise<Object>} { success, boundary, warnings } or { success, error, errors }
+ */
+export const importBoundaryFile = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error('Boundary file is larger than 5 MB');
+    }
+
+    const text = await file.text();
+    const format = detectFormat(file.name, text);
+    console.log(`🗺️ Importing ${format || 'unknown'} boundary from ${file.name}`);
+
+    const parsers = { geojson: parseGeoJSON, kml: parseKML, gpx: parseGPX };
+    if (!parsers[format]) {
+      throw new Error('Unsupported file. Use GeoJSON (.geojson/.json), KML (.kml) or GPX (.gpx).');
+    }
+
+    const { ring, warnings } = parsers[format](text);
+    const validation = validateRing(ring);
+
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.errors[0],
+        errors: validation.errors,
+        warnings: [...warnings, ...validation.warnings]
+      };
+    }
+
+    const boundary = {
+      ...createBoundary(validation.ring, file.name),
+      format
+    };
+
+    console.log('✅ Boundary imported:', { area: boundary.areaHectares, vertices: boundary.vertexCount });
+
+    return {
+      success: true,
+      boundary,
+      warnings: [...warnings, ...validation.warnings]
+    };
+  } catch (error) {
+    console.error('❌ Boundary import error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import boundary',
+      errors: [error.message],
+      warnings: []
+    };
+  }
+};
+
+export default {
+  detectFormat,
+  parseGeoJSON,
+  parseKML,
+  parseGPX,
+  importBoundaryFile
+};
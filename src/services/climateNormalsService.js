@@ -0,0 +1,275 @@
+/**
+ * Climate Normals Service
+ * Builds multi-year monthly rainfall and temperature normals from the
+ * Open-Meteo archive and caches them per grid cell
+ */
+
+import { fetchHistoricalClimate } from './climateService';
+import { MONTH_NAMES } from '../constants/calendar';
+
+const DEFAULT_NORMALS_YEARS = 30;
+const GRID_CELL_SIZE = 0.1; // degrees (~11 km at the equator)
+const MIN_DAYS_PER_MONTH = 20; // Skip months with patchy archive coverage
+const CACHE_PREFIX = 'reforest-ai:normals:';
+const CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// In-memory cache, backed by localStorage when available
+const memoryCache = new Map();
+
+// South-west corner of the grid cell containing a coordinate. Rounds before
+// flooring so values on a cell edge (36.9 / 0.1 = 368.99999999999994) stay in
+// their own cell
+const snapToCell = (value) =>
+  Math.floor(Math.round((value / GRID_CELL_SIZE) * 1e6) / 1e6) * GRID_CELL_SIZE;
+
+/**
+ * Build a cache key for the grid cell containing a coordinate
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} years - Number of years in the normals period
+ * @returns {string} Grid cell key
+ */
+export const getGridCellKey = (latitude, longitude, years = DEFAULT_NORMALS_YEARS) => {
+  const snap = (value) => snapToCell(value).toFixed(1);
+  return `${snap(latitude)}:${snap(longitude)}:${years}y`;
+};
+
+/**
+ * Get centre coordinates of the grid cell containing a coordinate
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @returns {Object} Cell centre coordinates
+ */
+const getGridCellCentre = (latitude, longitude) => {
+  const centre = (value) =>
+    Math.round((snapToCell(value) + GRID_CELL_SIZE / 2) * 1000) / 1000;
+  return {
+    latitude: centre(latitude),
+    longitude: centre(longitude)
+  };
+};
+
+/**
+ * Compute monthly normals from a daily archive series
+ * @param {Object} dailyData - Daily archive data (time, precipitation_sum, temperature_2m_max/min)
+ * @returns {Object|null} Monthly normals and annual summaries
+ */
+export const computeMonthlyNormals = (dailyData) => {
+  if (!dailyData?.time?.length || !dailyData.precipitation_sum) {
+    return null;
+  }
+
+  // Aggregate daily values into year-month buckets
+  const buckets = {};
+  dailyData.time.forEach((date, idx) => {
+    const year = date.slice(0, 4);
+    const month = parseInt(date.slice(5, 7), 10) - 1;
+    const key = `${year}-${month}`;
+
+    if (!buckets[key]) {
+      buckets[key] = { year, month, days: 0, rainfall: 0, maxSum: 0, minSum: 0, tempDays: 0 };
+    }
+
+    const bucket = buckets[key];
+    const precip = dailyData.precipitation_sum[idx];
+    const tMax = dailyData.temperature_2m_max?.[idx];
+    const tMin = dailyData.temperature_2m_min?.[idx];
+
+    if (precip !== null && precip !== undefined) {
+      bucket.days += 1;
+      bucket.rainfall += precip;
+    }
+    if (tMax !== null && tMax !== undefined && tMin !== null && tMin !== undefined) {
+      bucket.tempDays += 1;
+      bucket.maxSum += tMax;
+      bucket.minSum += tMin;
+    }
+  });
+
+  const average = (values) =>
+    values.length ? values.reduce((sum, val) => sum + val, 0) / values.length : null;
+  const round1 = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+  const months = MONTH_NAMES.map((name, month) => {
+    const complete = Object.values(buckets).filter(
+      b => b.month === month && b.days >= MIN_DAYS_PER_MONTH
+    );
+
+    // Scale partially covered months up to a full month
+    const daysInMonth = (b) => new Date(Number(b.year), month + 1, 0).getDate();
+    const rainfallByYear = complete.map(b => ({
+      year: Number(b.year),
+      rainfall: Math.round((b.rainfall / b.days) * daysInMonth(b))
+    }));
+
+    const withTemps = complete.filter(b => b.tempDays > 0);
+    const meanMax = average(withTemps.map(b => b.maxSum / b.tempDays));
+    const meanMin = average(withTemps.map(b => b.minSum / b.tempDays));
+
+    return {
+      month,
+      name,
+      rainfall: Math.round(average(rainfallByYear.map(r => r.rainfall)) || 0),
+      meanTemp: meanMax !== null && meanMin !== null ? round1((meanMax + meanMin) / 2) : null,
+      meanMax: round1(meanMax),
+      meanMin: round1(meanMin),
+      yearsSampled: complete.length,
+      rainfallByYear
+    };
+  });
+
+  const sampledMonths = months.filter(m => m.yearsSampled > 0);
+  if (sampledMonths.length < 12) {
+    return null;
+  }
+
+  const temps = months.map(m => m.meanTemp).filter(t => t !== null);
+  const years = [...new Set(Object.values(buckets).map(b => Number(b.year)))].sort();
+
+  return {
+    months,
+    annualRainfall: months.reduce((sum, m) => sum + m.rainfall, 0),
+    annualMeanTemp: round1(average(temps)),
+    warmestMonthMax: round1(Math.max(...months.map(m => m.meanMax ?? -Infinity))),
+    coldestMonthMin: round1(Math.min(...months.map(m => m.meanMin ?? Infinity))),
+    yearsCovered: Math.min(...months.map(m => m.yearsSampled)),
+    period: {
+      startYear: years[0],
+      endYear: years[years.length - 1]
+    }
+  };
+};
+
+/**
+ * Fetch and compute climate normals for a location (no caching)
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} years - Number of complete calendar years to average
+ * @returns {Promise<Object>} Climate normals result
+ */
+export const fetchClimateNormals = async (latitude, longitude, years = DEFAULT_NORMALS_YEARS) => {
+  // Use complete calendar years so every month is sampled equally
+  const lastYear = new Date().getFullYear() - 1;
+  const startDate = new Date(Date.UTC(lastYear - years + 1, 0, 1));
+  const endDate = new Date(Date.UTC(lastYear, 11, 31));
+
+  const historical = await fetchHistoricalClimate(latitude, longitude, { startDate, endDate });
+
+  if (!historical.success) {
+    return {
+      success: false,
+      error: historical.error || 'Historical climate unavailable'
+    };
+  }
+
+  const normals = computeMonthlyNormals(historical.daily);
+
+  if (!normals) {
+    return {
+      success: false,
+      error: 'Insufficient archive coverage to compute climate normals'
+    };
+  }
+
+  return {
+    success: true,
+    ...normals,
+    source: 'open-meteo-archive',
+    fetchedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Read cached normals for a grid cell
+ * @param {string} key - Grid cell key
+ * @returns {Object|null} Cached normals if fresh
+ */
+const readCache = (key) => {
+  let entry = memoryCache.get(key);
+
+  if (!entry && typeof localStorage !== 'undefined') {
+    try {
+      const stored = localStorage.getItem(CACHE_PREFIX + key);
+      entry = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('Climate normals cache read failed:', error);
+    }
+  }
+
+  if (!entry || Date.now() - new Date(entry.fetchedAt).getTime() > CACHE_TTL) {
+    return null;
+  }
+
+  memoryCache.set(key, entry);
+  return entry;
+};
+
+/**
+ * Store normals for a grid cell
+ * @param {string} key - Grid cell key
+ * @param {Object} normals - Normals result
+ */
+const writeCache = (key, normals) => {
+  memoryCache.set(key, normals);
+
+  if (typeof localStorage !== 'undefined') {
+    try {
+      localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(normals));
+    } catch (error) {
+      console.warn('Climate normals cache write failed:', error);
+    }
+  }
+};
+
+/**
+ * Get climate normals for a location, served from the grid cell cache when possible
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {Object} options - Options
+ * @param {number} options.years - Number of years to average (default: 30)
+ * @param {boolean} options.forceRefresh - Ignore cached values
+ * @returns {Promise<Object>} Climate normals result
+ */
+export const getClimateNormals = async (latitude, longitude, options = {}) => {
+  const { years = DEFAULT_NORMALS_YEARS, forceRefresh = false } = options;
+  const key = getGridCellKey(latitude, longitude, years);
+
+  if (!forceRefresh) {
+    const cached = readCache(key);
+    if (cached) {
+      return { ...cached, fromCache: true };
+    }
+  }
+
+  // Query the cell centre so every point in the cell shares one normals record
+  const centre = getGridCellCentre(latitude, longitude);
+  const normals = await fetchClimateNormals(centre.latitude, centre.longitude, years);
+
+  if (normals.success) {
+    writeCache(key, { ...normals, gridCell: key });
+    return { ...normals, gridCell: key, fromCache: false };
+  }
+
+  return normals;
+};
+
+/**
+ * Clear all cached climate normals
+ */
+export const clearClimateNormalsCache = () => {
+  memoryCache.clear();
+
+  if (typeof localStorage !== 'undefined') {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  }
+};
+
+export default {
+  getGridCellKey,
+  computeMonthlyNormals,
+  fetchClimateNormals,
+  getClimateNormals,
+  clearClimateNormalsCache
+};
@@ -5,6 +5,7 @@
  */
 
 import CONFIG from '../constants/config';
+import { analyzeSeasonality } from './seasonalityService';
 
 /**
  * Fetch current and forecast climate data
@@ -48,16 +49,21 @@ export const fetchClimateData = async (latitude, longitude) => {
 };
 
 /**
- * Fetch historical climate data (past year)
+ * Fetch historical climate data (past year by default)
  * @param {number} latitude - Location latitude
  * @param {number} longitude - Location longitude
+ * @param {Object} options - Optional date range
+ * @param {Date} options.startDate - First day to fetch (default: one year ago)
+ * @param {Date} options.endDate - Last day to fetch (default: today)
  * @returns {Promise<Object>} Historical climate data
  */
-export const fetchHistoricalClimate = async (latitude, longitude) => {
+export const fetchHistoricalClimate = async (latitude, longitude, options = {}) => {
   try {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setFullYear(startDate.getFullYear() - 1);
+    const endDate = options.endDate ? new Date(options.endDate) : new Date();
+    const startDate = options.startDate ? new Date(options.startDate) : new Date();
+    if (!options.startDate) {
+      startDate.setFullYear(startDate.getFullYear() - 1);
+    }
     
     const formatDate = (date) => date.toISOString().split('T')[0];
     
@@ -136,19 +142,41 @@ export const calculateTemperatureStats = (dailyData) => {
   };
 };
 
+/**
+ * Calculate temperature statistics from monthly climate normals
+ * @param {Object} normals - Climate normals (see climateNormalsService)
+ * @returns {Object} Average, min, and max temperatures
+ */
+export const calculateNormalsTemperatureStats = (normals) => {
+  const maxTemps = normals.months.map(m => m.meanMax).filter(t => t !== null);
+  const minTemps = normals.months.map(m => m.meanMin).filter(t => t !== null);
+  
+  return {
+    average: Math.round(normals.annualMeanTemp),
+    max: Math.round(normals.warmestMonthMax),
+    min: Math.round(normals.coldestMonthMin),
+    avgMax: Math.round(maxTemps.reduce((sum, val) => sum + val, 0) / maxTemps.length),
+    avgMin: Math.round(minTemps.reduce((sum, val) => sum + val, 0) / minTemps.length)
+  };
+};
+
 /**
  * Analyze climate suitability for reforestation
+ * Uses long-term climate normals when available and falls back to the
+ * 14-day forecast otherwise
  * @param {Object} climateData - Climate data object
+ * @param {Object} normals - Climate normals (optional)
  * @returns {Object} Climate analysis
  */
-export const analyzeClimate = (climateData) => {
+export const analyzeClimate = (climateData, normals = null) => {
   if (!climateData || !climateData.current) {
     return null;
   }
   
   const { current, daily } = climateData;
-  const annualRainfall = calculateAnnualRainfall(daily);
-  const tempStats = calculateTemperatureStats(daily);
+  const hasNormals = !!normals?.months?.length;
+  const annualRainfall = hasNormals ? normals.annualRainfall : calculateAnnualRainfall(daily);
+  const tempStats = hasNormals ? calculateNormalsTemperatureStats(normals) : calculateTemperatureStats(daily);
   
   // Determine climate classification
   let climateType;
@@ -176,8 +204,10 @@ export const analyzeClimate = (climateData) => {
     tempZone = 'hot';
   }
   
-  // Calculate growing season length (simplified)
-  const growingSeasonMonths = tempStats.average > 10 ? 12 : Math.round((tempStats.average / 10) * 12);
+  // Calculate growing season length (months with mean temperature above 10°C)
+  const growingSeasonMonths = hasNormals
+    ? normals.months.filter(m => m.meanTemp !== null && m.meanTemp > 10).length
+    : tempStats.average > 10 ? 12 : Math.round((tempStats.average / 10) * 12);
   
   // Soil moisture assessment
   const soilMoisture = current.soil_moisture_0_to_1cm || 0.3;
@@ -192,11 +222,22 @@ export const analyzeClimate = (climateData) => {
     moistureLevel = 'wet';
   }
   
+  const seasonality = hasNormals ? analyzeSeasonality(normals.months) : null;
+  
   return {
     climateType,
     tempZone,
     annualRainfall,
     temperatureStats: tempStats,
+    climateSource: hasNormals ? 'normals' : 'forecast',
+    normals: hasNormals
+      ? {
+          months: normals.months,
+          period: normals.period,
+          yearsCovered: normals.yearsCovered,
+          gridCell: normals.gridCell || null
+        }
+      : null,
     growingSeasonMonths,
     soilMoisture: {
       value: soilMoisture,
@@ -212,7 +253,8 @@ export const analyzeClimate = (climateData) => {
     },
     suitability: {
       forReforestation: annualRainfall > 400 && tempStats.average > 10 && tempStats.average < 35,
-      bestPlantingMonths: determineBestPlantingMonths(annualRainfall, tempStats),
+      bestPlantingMonths: determineBestPlantingMonths(annualRainfall, tempStats, seasonality),
+      seasonality,
       challenges: identifyClimateChallenges(climateType, tempZone, annualRainfall)
     }
   };
@@ -220,12 +262,18 @@ export const analyzeClimate = (climateData) => {
 
 /**
  * Determine best planting months based on climate
+ * Uses detected rainy seasons when available, otherwise a rainfall rule of thumb
  * @param {number} rainfall - Annual rainfall
  * @param {Object} tempStats - Temperature statistics
+ * @param {Object} seasonality - Seasonality analysis (optional)
  * @returns {Array} Best months for planting
  */
-const determineBestPlantingMonths = (rainfall, tempStats) => {
-  // Simplified logic - in production, use more detailed seasonal data
+const determineBestPlantingMonths = (rainfall, tempStats, seasonality = null) => {
+  if (seasonality?.bestPlantingMonths?.length) {
+    return seasonality.bestPlantingMonths;
+  }
+  
+  // Without monthly data, fall back to annual rainfall bands
   if (rainfall < 800) {
     // Arid/Semi-arid: Plant during rainy season
     return ['March', 'April', 'May'];
@@ -438,6 +486,7 @@ export default {
   fetchHistoricalClimate,
   calculateAnnualRainfall,
   calculateTemperatureStats,
+  calculateNormalsTemperatureStats,
   analyzeClimate,
   formatClimateForCharts,
   getWeatherDescription,
@@ -0,0 +1,378 @@
+/**
+ * Enrichment Cache Service
+ * Persistent cache for GBIF, Trefle and iNaturalist lookups, keyed by source,
+ * scientific name and (for location-specific data) a grid cell. Entries live
+ * in memory, backed by IndexedDB in the browser; the Node prefetch script
+ * plugs in a file store instead (see setEnrichmentStore).
+ *
+ * Fresh entries are served without a request. Stale entries are refreshed,
+ * and served as they are if the request fails or offline mode is on.
+ */
+
+const DB_NAME = 'reforest-ai-enrichment';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const OFFLINE_KEY = 'reforest-ai:enrichment-offline';
+const EXPORT_FORMAT = 'reforest-ai-enrichment-cache';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const ENRICHMENT_CELL_SIZE = 0.5; // degrees (~55 km at the equator, close to the iNaturalist search radius)
+
+// Finer cells where results are measured from the cell centre at short range
+export const ENRICHMENT_CELL_SIZES = {
+  'gbif-density': 0.1 // Occurrence counts from 10 km out (see constants/nativeness.js)
+};
+
+// How long each kind of lookup stays fresh
+export const ENRICHMENT_TTLS = {
+  'gbif-species': 180 * DAY,      // Taxonomy rarely changes
+  'trefle-species': 90 * DAY,
+  'gbif-distributions': 180 * DAY, // Country checklists
+  'gbif-occurrences': 30 * DAY,
+  'gbif-density': 30 * DAY,
+  'inat-observations': 14 * DAY,
+  photo: 90 * DAY
+};
+
+// Sources whose results depend on the location
+const LOCAL_SOURCES = ['gbif-occurrences', 'gbif-density', 'inat-observations', 'photo'];
+
+const getCellSize = (source) => ENRICHMENT_CELL_SIZES[source] || ENRICHMENT_CELL_SIZE;
+
+// In-memory layer in front of the persistent store
+const memoryCache = new Map();
+// Lookups in flight, so concurrent callers share one request
+const pendingLookups = new Map();
+let persistentStore;
+
+/**
+ * Snap a coordinate to its enrichment grid cell
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Object} { key, latitude, longitude, bounds } with the cell centre and edges
+ */
+export const getEnrichmentCell = (latitude, longitude, cellSize = ENRICHMENT_CELL_SIZE) => {
+  // Round before flooring so values on a cell edge stay in their own cell
+  const snap = (value) => Math.floor(Math.round((value / cellSize) * 1e6) / 1e6) * cellSize;
+  const south = snap(latitude);
+  const west = snap(longitude);
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    key: `${south.toFixed(1)}:${west.toFixed(1)}`,
+    latitude: round(south + cellSize / 2),
+    longitude: round(west + cellSize / 2),
+    bounds: {
+      south: round(south),
+      north: round(south + cellSize),
+      west: round(west),
+      east: round(west + cellSize)
+    }
+  };
+};
+
+/**
+ * Grid cells covering a circle around a point, nearest first
+ * @param {number} latitude - Centre latitude
+ * @param {number} longitude - Centre longitude
+ * @param {number} radiusKm - Radius in kilometres
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Array} Cells (see getEnrichmentCell)
+ */
+export const getEnrichmentCellsAround = (latitude, longitude, radiusKm = 0, cellSize = ENRICHMENT_CELL_SIZE) => {
+  const latSpan = radiusKm / 111;
+  const lngSpan = radiusKm / (111 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  const cells = new Map();
+
+  for (let lat = latitude - latSpan; lat <= latitude + latSpan + cellSize; lat += cellSize) {
+    for (let lng = longitude - lngSpan; lng <= longitude + lngSpan + cellSize; lng += cellSize) {
+      const cell = getEnrichmentCell(Math.min(lat, latitude + latSpan), Math.min(lng, longitude + lngSpan), cellSize);
+      cells.set(cell.key, cell);
+    }
+  }
+
+  const distance = (cell) => Math.hypot(cell.latitude - latitude, cell.longitude - longitude);
+  return [...cells.values()].sort((a, b) => distance(a) - distance(b));
+};
+
+/**
+ * Build the cache key for a lookup
+ * @param {string} source - Lookup kind (see ENRICHMENT_TTLS)
+ * @param {string} scientificName - Species name
+ * @param {number} latitude - Location latitude (location-specific sources only)
+ * @param {number} longitude - Location longitude
+ * @returns {string} Cache key
+ */
+export const getEnrichmentCacheKey = (source, scientificName, latitude = null, longitude = null) => {
+  const name = scientificName.toLowerCase().replace(/\s+/g, ' ').trim();
+  const cell = LOCAL_SOURCES.includes(source) && latitude !== null && longitude !== null
+    ? getEnrichmentCell(latitude, longitude, getCellSize(source)).key
+    : 'global';
+  return `${source}|${name}|${cell}`;
+};
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB-backed entry store for the browser
+ * @returns {Object} Store ({ get, set, entries, clear })
+ */
+export const createIndexedDBStore = () => {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(ENTRY_STORE)) {
+            request.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    const transaction = db.transaction(ENTRY_STORE, mode);
+    const result = await promisify(operation(transaction.objectStore(ENTRY_STORE)));
+
+    // Resolve writes only once they are committed
+    if (mode === 'readwrite') {
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    return result;
+  };
+
+  return {
+    get: async (key) => (await run('readonly', store => store.get(key))) || null,
+    set: (entry) => run('readwrite', store => store.put(entry)),
+    entries: () => run('readonly', store => store.getAll()),
+    clear: () => run('readwrite', store => store.clear())
+  };
+};
+
+const getStore = () => {
+  if (persistentStore === undefined) {
+    persistentStore = typeof indexedDB !== 'undefined' ? createIndexedDBStore() : null;
+  }
+  return persistentStore;
+};
+
+/**
+ * Replace the persistent store (e.g. a file store in Node)
+ * @param {Object|null} store - { get, set, entries, clear }, or null for memory only
+ */
+export const setEnrichmentStore = (store) => {
+  persistentStore = store;
+  memoryCache.clear();
+};
+
+const readEntry = async (key) => {
+  if (memoryCache.has(key)) return memoryCache.get(key);
+
+  try {
+    const entry = await getStore()?.get(key);
+    if (entry) memoryCache.set(key, entry);
+    return entry || null;
+  } catch (error) {
+    console.warn('Enrichment cache read failed:', error);
+    return null;
+  }
+};
+
+const writeEntry = async (entry) => {
+  memoryCache.set(entry.key, entry);
+  try {
+    await getStore()?.set(entry);
+  } catch (error) {
+    console.warn('Enrichment cache write failed:', error);
+  }
+};
+
+/**
+ * Whether lookups should be served from the cache only
+ * True when switched on, or when the browser reports no connection
+ * @returns {boolean} True if offline
+ */
+export const isOfflineMode = () => {
+  if (typeof localStorage !== 'undefined' && localStorage.getItem(OFFLINE_KEY) === 'true') return true;
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+};
+
+/**
+ * Switch offline mode on or off (remembered between sessions)
+ * @param {boolean} enabled - Serve enrichment from the cache only
+ */
+export const setOfflineMode = (enabled) => {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    if (enabled) {
+      localStorage.setItem(OFFLINE_KEY, 'true');
+    } else {
+      localStorage.removeItem(OFFLINE_KEY);
+    }
+  } catch (error) {
+    console.warn('Offline mode setting could not be saved:', error);
+  }
+};
+
+/**
+ * Run a lookup through the cache
+ * @param {Object} lookup - { source, scientificName, latitude, longitude }
+ * @param {Function} fetcher - Called with the grid cell (or null) when the entry is missing or stale; throws on failure
+ * @param {*} fallback - Returned when there is no cached value and the lookup fails or is
+ *   skipped offline (undefined if omitted, so callers can tell it from a cached null)
+ * @param {Object} options - { force } refresh even if the entry is fresh
+ * @returns {Promise<*>} Cached or fetched value
+ */
+export const cachedEnrichment = async (lookup, fetcher, fallback, options = {}) => {
+  const { source, scientificName, latitude = null, longitude = null } = lookup;
+  if (!scientificName) return fallback;
+
+  const key = getEnrichmentCacheKey(source, scientificName, latitude, longitude);
+  const entry = await readEntry(key);
+  const isFresh = entry && Date.now() - new Date(entry.fetchedAt).getTime() < (ENRICHMENT_TTLS[source] ?? 30 * DAY);
+
+  if (isFresh && !options.force) return entry.value;
+  if (isOfflineMode()) return entry ? entry.value : fallback;
+
+  if (!pendingLookups.has(key)) {
+    const cell = LOCAL_SOURCES.includes(source) && latitude !== null && longitude !== null
+      ? getEnrichmentCell(latitude, longitude, getCellSize(source))
+      : null;
+    const lookup = (async () => {
+      const value = await fetcher(cell);
+      await writeEntry({ key, source, scientificName, cell: cell?.key || null, fetchedAt: new Date().toISOString(), value });
+      return value;
+    })();
+    pendingLookups.set(key, lookup);
+    lookup.finally(() => pendingLookups.delete(key)).catch(() => {});
+  }
+
+  try {
+    return await pendingLookups.get(key);
+  } catch (error) {
+    console.warn(`Enrichment lookup failed (${source}, ${scientificName})${entry ? ', using cached data' : ''}:`, error.message);
+    return entry ? entry.value : fallback;
+  }
+};
+
+/**
+ * Read a cached value by key, without fetching or checking freshness
+ * @param {string} key - Cache key (see getEnrichmentCacheKey)
+ * @returns {Promise<*>} Cached value, or null if there is no entry
+ */
+export const getCachedEnrichment = async (key) => {
+  const entry = await readEntry(key);
+  return entry ? entry.value : null;
+};
+
+/**
+ * Summarise the cache contents
+ * @returns {Promise<Object>} { entries, species, cells, oldest, newest }
+ */
+export const getEnrichmentCacheStats = async () => {
+  let entries = [...memoryCache.values()];
+  try {
+    entries = (await getStore()?.entries()) || entries;
+  } catch (error) {
+    console.warn('Enrichment cache read failed:', error);
+  }
+
+  const dates = entries.map(entry => entry.fetchedAt).sort();
+  return {
+    entries: entries.length,
+    species: new Set(entries.map(entry => entry.scientificName.toLowerCase())).size,
+    cells: new Set(entries.map(entry => entry.cell).filter(Boolean)).size,
+    oldest: dates[0] || null,
+    newest: dates[dates.length - 1] || null
+  };
+};
+
+/**
+ * Export every entry, e.g. to carry a Node prefetch into the browser
+ * @returns {Promise<Object>} { format, version, exportedAt, entries }
+ */
+export const exportEnrichmentCache = async () => ({
+  format: EXPORT_FORMAT,
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  entries: (await getStore()?.entries()) || [...memoryCache.values()]
+});
+
+/**
+ * Load exported entries, keeping whichever copy of an entry is newer
+ * @param {Object} data - Result of exportEnrichmentCache
+ * @returns {Promise<Object>} { success, imported } or { success, error }
+ */
+export const importEnrichmentCache = async (data) => {
+  try {
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('The file is not a ReForest.AI enrichment cache');
+    }
+
+    let imported = 0;
+    for (const entry of data.entries) {
+      if (!entry?.key || !entry.fetchedAt || !entry.scientificName) continue;
+      const existing = await readEntry(entry.key);
+      if (existing && existing.fetchedAt >= entry.fetchedAt) continue;
+      await writeEntry(entry);
+      imported++;
+    }
+
+    console.log(`📦 Imported ${imported} enrichment cache entries`);
+    return { success: true, imported };
+  } catch (error) {
+    console.error('❌ Enrichment cache import error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove every cached entry
+ */
+export const clearEnrichmentCache = async () => {
+  memoryCache.clear();
+  try {
+    await getStore()?.clear();
+  } catch (error) {
+    console.warn('Enrichment cache clear failed:', error);
+  }
+};
+
+export default {
+  ENRICHMENT_CELL_SIZE,
+  ENRICHMENT_CELL_SIZES,
+  ENRICHMENT_TTLS,
+  getEnrichmentCell,
+  getEnrichmentCellsAround,
+  getEnrichmentCacheKey,
+  createIndexedDBStore,
+  setEnrichmentStore,
+  isOfflineMode,
+  setOfflineMode,
+  cachedEnrichment,
+  getCachedEnrichment,
+  getEnrichmentCacheStats,
+  exportEnrichmentCache,
+  importEnrichmentCache,
+  clearEnrichmentCache
+};
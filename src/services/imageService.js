@@ -551,7 +551,7 @@ export const analyzeImageBasic = async (imageFile) => {
 /**
  * Default analysis fallback
  */
-const getDefaultAnalysis = (errorMsg = '') => {
+export const getDefaultAnalysis = (errorMsg = '') => {
   return {
     soilType: 'loam',
     vegetationLevel: 'unknown',
@@ -676,5 +676,6 @@ export default {
   validateImageFileEnhanced,
   validateNatureImage,
   analyzeImageBasic,
+  getDefaultAnalysis,
   getImageMetadata
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Impact Simulation Service
+ * Runs the Monte Carlo simulation from uncertaintyService in a Web Worker so
+ * edits to a plan never wait on it, and keeps recent results so an unchanged
+ * plan is not simulated again. Falls back to the main thread without workers.
+ */
+
+import { simulateImpact } from './uncertaintyService';
+
+const MAX_CACHED_RUNS = 20;
+
+const runs = new Map(); // Simulation key → Promise of the result, oldest first
+const pendingRequests = new Map(); // Worker request id → { resolve, reject }
+let worker = null;
+let nextRequestId = 0;
+
+const getWorker = () => {
+  if (worker || typeof Worker === 'undefined') return worker;
+
+  worker = new Worker(new URL('../workers/uncertaintyWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    if (!request) return;
+    pendingRequests.delete(data.id);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+  worker.onerror = (event) => {
+    // Fail what is in flight and start a fresh worker on the next run
+    pendingRequests.forEach(request => request.reject(new Error(event.message || 'Simulation worker failed')));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+const runInWorker = (trees, mixRatio, treesPerHectare, options) => new Promise((resolve, reject) => {
+  const id = ++nextRequestId;
+  pendingRequests.set(id, { resolve, reject });
+  try {
+    getWorker().postMessage({ id, trees, mixRatio, treesPerHectare, options });
+  } catch (error) {
+    pendingRequests.delete(id);
+    reject(error);
+  }
+});
+
+/**
+ * Simulate P10/P50/P90 impact ranges in the background
+ * Takes the same arguments as uncertaintyService.simulateImpact
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName
+ * @param {number} treesPerHectare - Planting density
+ * @param {Object} options - Simulation options (see simulateImpact)
+ * @returns {Promise<Object>} Simulated ranges
+ */
+export const simulateImpactInBackground = (trees, mixRatio = {}, treesPerHectare = 400, options = {}) => {
+  const key = JSON.stringify([trees.map(tree => tree.id), mixRatio, treesPerHectare, options]);
+  if (runs.has(key)) return runs.get(key);
+
+  const run = (getWorker()
+    ? runInWorker(trees, mixRatio, treesPerHectare, options)
+    : Promise.resolve().then(() => simulateImpact(trees, mixRatio, treesPerHectare, options))
+  ).catch(error => {
+    runs.delete(key);
+    throw error;
+  });
+
+  runs.set(key, run);
+  if (runs.size > MAX_CACHED_RUNS) {
+    runs.delete(runs.keys().next().value);
+  }
+  return run;
+};
+
+export default {
+  simulateImpactInBackground
+};
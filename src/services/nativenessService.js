@@ -0,0 +1,63 @@
+/**
+ * Nativeness Service
+ * Collects GBIF country-checklist and occurrence-density evidence for species
+ * at a site and grades their nativeness and local presence
+ * (see utils/nativeness.js). Lookups go through the enrichment cache, so
+ * they work offline for prefetched areas.
+ */
+
+import CONFIG from '../constants/config';
+import { assessNativeness } from '../utils/nativeness';
+import { getCountryChecklist, getOccurrenceDensity } from './treeSpeciesAPI';
+
+/**
+ * Fetch the GBIF evidence for one species at a site
+ * @param {string} scientificName - Scientific name
+ * @param {Object} site - { latitude, longitude }
+ * @returns {Promise<Object>} { checklist, occurrences }, null for anything not available
+ */
+export const getNativenessEvidence = async (scientificName, site) => {
+  if (!CONFIG.ENABLE_API_ENRICHMENT) {
+    return { checklist: null, occurrences: null };
+  }
+
+  const hasCoordinates = Number.isFinite(site.latitude) && Number.isFinite(site.longitude);
+  const [checklist, occurrences] = await Promise.all([
+    getCountryChecklist(scientificName),
+    hasCoordinates ? getOccurrenceDensity(scientificName, site.latitude, site.longitude) : null
+  ]);
+
+  return { checklist: checklist ?? null, occurrences: occurrences ?? null };
+};
+
+/**
+ * Grade the nativeness of species at a site
+ * Uses GBIF evidence when API enrichment is enabled, otherwise the catalogue alone
+ * @param {Array} trees - Tree data
+ * @param {Object} site - { latitude, longitude, countryCode, country, region }
+ * @returns {Promise<Array>} Trees with nativeness ({ status, score, evidence, ... }) and isNative
+ */
+export const assessSiteNativeness = async (trees, site) => {
+  const evidence = await Promise.all(
+    trees.map(tree =>
+      getNativenessEvidence(tree.scientificName, site).catch(error => {
+        console.warn(`Nativeness evidence unavailable for ${tree.scientificName}:`, error.message);
+        return { checklist: null, occurrences: null };
+      })
+    )
+  );
+
+  const assessed = trees.map((tree, idx) => {
+    const nativeness = assessNativeness(tree, site, evidence[idx]);
+    return { ...tree, nativeness, isNative: nativeness.status === 'native' };
+  });
+
+  const nativeCount = assessed.filter(tree => tree.isNative).length;
+  console.log(`🌍 Nativeness: ${nativeCount} of ${assessed.length} species native to ${site.country || site.countryCode || 'the site'}`);
+  return assessed;
+};
+
+export default {
+  getNativenessEvidence,
+  assessSiteNativeness
+};
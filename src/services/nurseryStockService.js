@@ -0,0 +1,391 @@
+/**
+ * Nursery Stock Service
+ * Reads a partner nursery's species list (CSV) and matches it to the species
+ * catalogue, so recommendations can be limited to, or flag, what the nursery
+ * can supply and its seedling prices can feed the cost sheet.
+ *
+ * CSV columns (header names are case-insensitive and may add a unit, e.g. "Price (KES)";
+ * only a species column is required):
+ * - species: id, scientific_name, botanical_name, latin_name, species, common_name, name or local_name
+ * - price: price, unit_price, price_per_seedling, seedling_price, cost or cost_per_seedling
+ *   (per seedling; a currency code in the header, e.g. "Price (KES)", must match the plan's currency)
+ * - availability: available, availability, quantity, qty, stock, in_stock or seedlings
+ *   (a seedling count, or yes/no; species listed without it count as available)
+ */
+
+import TREE_DATABASE from '../constants/treeDatabase';
+import { resolveEconomicAssumptions } from '../utils/calculations';
+
+const MAX_FILE_SIZE = 1024 * 1024;
+
+const SPECIES_COLUMNS = ['species_id', 'id', 'scientific_name', 'botanical_name', 'latin_name', 'species', 'common_name', 'name', 'local_name'];
+const PRICE_COLUMNS = ['price', 'unit_price', 'price_per_seedling', 'seedling_price', 'cost', 'cost_per_seedling'];
+const AVAILABILITY_COLUMNS = ['available', 'availability', 'quantity', 'qty', 'stock', 'in_stock', 'seedlings'];
+
+const AVAILABLE_WORDS = ['yes', 'y', 'true', 'available', 'in stock', 'in-stock'];
+const UNAVAILABLE_WORDS = ['no', 'n', 'false', 'unavailable', 'out of stock', 'out-of-stock', 'sold out'];
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ * Commas or semicolons are accepted as the delimiter
+ */
+const parseCSVRows = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+const CURRENCY_CODES = typeof Intl !== 'undefined' && Intl.supportedValuesOf
+  ? new Set(Intl.supportedValuesOf('currency'))
+  : null;
+
+// Currency code at the end of a normalised header ("price_kes" → "KES"), or null
+const parseCurrency = (header) => {
+  const code = header.split('_').pop().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) && (!CURRENCY_CODES || CURRENCY_CODES.has(code)) ? code : null;
+};
+
+const normaliseHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const normaliseName = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Index catalogue species by id, scientific, common and local name
+const buildSpeciesIndex = () => {
+  const index = new Map();
+  TREE_DATABASE.forEach(tree => {
+    [tree.id, tree.scientificName, tree.commonName, ...(tree.localName || '').split(/[/,]/)]
+      .filter(Boolean)
+      .forEach(name => {
+        const key = normaliseName(name);
+        if (key && !index.has(key)) index.set(key, tree);
+      });
+  });
+  return index;
+};
+
+// Also tries the name as an id and without an authority ("Genus species L." → "genus species")
+const findSpecies = (name, index) => {
+  const key = normaliseName(name);
+  if (!key) return null;
+  const binomial = key.split(' ').slice(0, 2).join(' ');
+  return index.get(key) || index.get(key.replace(/[^a-z0-9]+/g, '-')) || index.get(binomial) || null;
+};
+
+const parsePrice = (value) => {
+  if (!value) return null;
+  const cleaned = value.replace(/[^\d.,]/g, '');
+  // "0,45" is a decimal comma; other commas separate thousands
+  const price = /^\d+,\d{1,2}$/.test(cleaned)
+    ? parseFloat(cleaned.replace(',', '.'))
+    : parseFloat(cleaned.replace(/,/g, ''));
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+const parseAvailability = (value) => {
+  if (!value) return { available: true, quantity: null };
+  const text = normaliseName(value);
+  const count = parseInt(text.replace(/[\s,]/g, ''), 10);
+  if (/^[\d\s,]+$/.test(text) && Number.isFinite(count)) {
+    return { available: count > 0, quantity: count };
+  }
+  if (UNAVAILABLE_WORDS.includes(text)) return { available: false, quantity: 0 };
+  if (AVAILABLE_WORDS.includes(text)) return { available: true, quantity: null };
+  return null;
+};
+
+/**
+ * Parse a nursery CSV and match its rows to catalogue species
+ * @param {string} text - CSV text
+ * @param {Object} options - { name } nursery name shown in warnings
+ * @returns {Object} { success, stock, warnings } or { success, error }
+ *   stock: { name, importedAt, currency, items: [{ id, listedAs, price, quantity, available }], unmatched }
+ *   (currency is null when the price header does not name one)
+ */
+export const parseNurseryCSV = (text, options = {}) => {
+  try {
+    const rows = parseCSVRows(text || '');
+    if (rows.length < 2) {
+      throw new Error('The file needs a header row and at least one species');
+    }
+
+    const headers = rows[0].map(normaliseHeader);
+    // Headers may carry a unit, e.g. "Price (KES)" → price_kes
+    const columnsFor = (aliases) => [...new Set(aliases
+      .map(alias => headers.findIndex(header => header === alias || header.startsWith(`${alias}_`)))
+      .filter(idx => idx >= 0))];
+    const speciesColumns = columnsFor(SPECIES_COLUMNS);
+    const [priceColumn] = columnsFor(PRICE_COLUMNS);
+    const [availabilityColumn] = columnsFor(AVAILABILITY_COLUMNS);
+
+    if (!speciesColumns.length) {
+      throw new Error(`No species column found (expected one of: ${SPECIES_COLUMNS.join(', ')})`);
+    }
+
+    const index = buildSpeciesIndex();
+    const items = new Map();
+    const unmatched = [];
+    const warnings = [];
+
+    rows.slice(1).forEach((cells, rowIdx) => {
+      const names = speciesColumns.map(idx => cells[idx]).filter(Boolean);
+      if (!names.length) return;
+
+      const tree = names.map(name => findSpecies(name, index)).find(Boolean);
+      if (!tree) {
+        unmatched.push(names[0]);
+        return;
+      }
+
+      const price = priceColumn !== undefined ? parsePrice(cells[priceColumn]) : null;
+      if (priceColumn !== undefined && cells[priceColumn] && price === null) {
+        warnings.push(`Row ${rowIdx + 2}: price "${cells[priceColumn]}" is not a number and was ignored`);
+      }
+      let availability = availabilityColumn !== undefined ? parseAvailability(cells[availabilityColumn]) : null;
+      if (availabilityColumn !== undefined && cells[availabilityColumn] && availability === null) {
+        warnings.push(`Row ${rowIdx + 2}: availability "${cells[availabilityColumn]}" was not understood; treated as available`);
+      }
+      availability = availability || { available: true, quantity: null };
+
+      const existing = items.get(tree.id);
+      if (existing) {
+        // Several rows for one species (e.g. different container sizes): add up the stock, keep the first price
+        existing.quantity = existing.quantity !== null || availability.quantity !== null
+          ? (existing.quantity || 0) + (availability.quantity || 0)
+          : null;
+        existing.available = existing.available || availability.available;
+        existing.price = existing.price ?? price;
+        return;
+      }
+
+      items.set(tree.id, {
+        id: tree.id,
+        listedAs: names[0],
+        price,
+        quantity: availability.quantity,
+        available: availability.available
+      });
+    });
+
+    if (!items.size) {
+      throw new Error(unmatched.length
+        ? `None of the ${unmatched.length} species matched the catalogue; use scientific names or catalogue ids`
+        : 'The file lists no species');
+    }
+    if (unmatched.length) {
+      const single = unmatched.length === 1;
+      warnings.unshift(`${unmatched.length} species ${single ? 'is' : 'are'} not in the catalogue and ${single ? 'was' : 'were'} skipped: ${unmatched.slice(0, 5).join(', ')}${unmatched.length > 5 ? ', …' : ''}. Add ${single ? 'it' : 'them'} with a species pack first.`);
+    }
+
+    return {
+      success: true,
+      stock: {
+        name: options.name || 'Nursery',
+        importedAt: new Date().toISOString(),
+        currency: priceColumn !== undefined ? parseCurrency(headers[priceColumn]) : null,
+        items: [...items.values()],
+        unmatched
+      },
+      warnings
+    };
+  } catch (error) {
+    return { success: false, error: error.message, warnings: [] };
+  }
+};
+
+/**
+ * Read and parse a nursery CSV file
+ * @param {File} file - .csv file
+ * @returns {Promise<Object>} Result of parseNurseryCSV, plus fileName
+ */
+export const importNurseryFile = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error('Nursery list is larger than 1 MB');
+    }
+
+    console.log(`📥 Importing nursery stock from ${file.name}`);
+    const name = file.name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+    const result = parseNurseryCSV(await file.text(), { name });
+
+    if (result.success) {
+      console.log('✅ Nursery stock imported:', {
+        species: result.stock.items.length,
+        unmatched: result.stock.unmatched.length
+      });
+    } else {
+      console.error('❌ Nursery import error:', result.error);
+    }
+
+    return { ...result, fileName: file.name };
+  } catch (error) {
+    console.error('❌ Nursery import error:', error);
+    return { success: false, error: error.message || 'Failed to import nursery list', warnings: [] };
+  }
+};
+
+/**
+ * Whether a nursery can supply a species
+ * @param {Object} tree - Tree data
+ * @param {Object} stock - Nursery stock, or null
+ * @returns {Object|null} { stocked, available, price, quantity, message } (message set when it cannot be supplied), or null without stock
+ */
+export const getNurseryStatus = (tree, stock) => {
+  if (!stock) return null;
+
+  const item = stock.items.find(entry => entry.id === tree.id);
+  if (!item) {
+    return { stocked: false, available: false, price: null, quantity: null, message: `Not stocked by ${stock.name}` };
+  }
+  return {
+    stocked: true,
+    available: item.available,
+    price: item.price,
+    quantity: item.quantity,
+    message: item.available ? null : `Out of stock at ${stock.name}`
+  };
+};
+
+/**
+ * Attach nursery status to candidates and, in 'restrict' mode, drop species the nursery cannot supply
+ * @param {Array} trees - Candidate trees
+ * @param {Object} stock - Nursery stock, or null
+ * @param {string} mode - 'restrict' or 'flag'
+ * @returns {Object} { kept, excluded } with exclusion reasons
+ */
+export const applyNurseryStock = (trees, stock, mode = 'flag') => {
+  if (!stock) return { kept: trees, excluded: [] };
+
+  const kept = [];
+  const excluded = [];
+  trees.forEach(tree => {
+    const nurseryStatus = getNurseryStatus(tree, stock);
+    if (mode === 'restrict' && !nurseryStatus.available) {
+      excluded.push({
+        id: tree.id,
+        commonName: tree.commonName,
+        scientificName: tree.scientificName,
+        reasons: [{
+          criterion: 'nursery',
+          label: 'Nursery stock',
+          value: null,
+          range: null,
+          unit: '',
+          message: nurseryStatus.message
+        }]
+      });
+    } else {
+      kept.push({ ...tree, nurseryStatus });
+    }
+  });
+
+  return { kept, excluded };
+};
+
+/**
+ * Warning when the nursery's prices are in another currency than the cost sheet
+ * @param {Object} economicAssumptions - Current assumptions (null for defaults)
+ * @param {Object} stock - Nursery stock
+ * @returns {string|null} Warning, or null when the prices can be used
+ */
+export const getNurseryCurrencyWarning = (economicAssumptions, stock) => {
+  const { currency } = resolveEconomicAssumptions(economicAssumptions);
+  if (!stock?.currency || stock.currency === currency) return null;
+  return `${stock.name} prices are in ${stock.currency} but the cost sheet uses ${currency}, so they were not added to it`;
+};
+
+/**
+ * Copy the nursery's seedling prices into the cost sheet
+ * Prices in another currency than the cost sheet are left out (see getNurseryCurrencyWarning)
+ * @param {Object} economicAssumptions - Current assumptions (null for defaults)
+ * @param {Object} stock - Nursery stock
+ * @returns {Object} Assumptions with costs.seedlingPrices updated for priced species
+ */
+export const applyNurseryPrices = (economicAssumptions, stock) => {
+  const currencyWarning = getNurseryCurrencyWarning(economicAssumptions, stock);
+  if (currencyWarning) {
+    console.warn(`⚠️ ${currencyWarning}`);
+    return economicAssumptions;
+  }
+
+  const prices = Object.fromEntries(
+    (stock?.items || []).filter(item => item.price !== null).map(item => [item.id, item.price])
+  );
+  if (!Object.keys(prices).length) return economicAssumptions;
+
+  return {
+    ...economicAssumptions,
+    costs: {
+      ...economicAssumptions?.costs,
+      seedlingPrices: { ...economicAssumptions?.costs?.seedlingPrices, ...prices }
+    }
+  };
+};
+
+/**
+ * Species whose seedling order is larger than the nursery's stock
+ * @param {Array} seedlingOrder - impactMetrics.site.seedlingOrder
+ * @param {Object} stock - Nursery stock
+ * @returns {Array} Entries of { id, commonName, needed, quantity, message }
+ */
+export const getStockShortfalls = (seedlingOrder = [], stock) => {
+  if (!stock) return [];
+
+  return seedlingOrder.flatMap(entry => {
+    const item = stock.items.find(stocked => stocked.id === entry.id);
+    if (!item || item.quantity === null || item.quantity >= entry.total) return [];
+    return [{
+      id: entry.id,
+      commonName: entry.commonName,
+      needed: entry.total,
+      quantity: item.quantity,
+      message: `${stock.name} has ${item.quantity.toLocaleString()} seedlings; the order needs ${entry.total.toLocaleString()}`
+    }];
+  });
+};
+
+export default {
+  parseNurseryCSV,
+  importNurseryFile,
+  getNurseryStatus,
+  applyNurseryStock,
+  getNurseryCurrencyWarning,
+  applyNurseryPrices,
+  getStockShortfalls
+};
@@ -0,0 +1,877 @@
+/**
+ * PDF Report Service
+ * Builds a multi-page plan report for landowners and funders: cover with
+ * map, climate, ranked species, planting calendar, care guide, impact and
+ * economics, and an appendix of data sources
+ */
+
+import { createPDF, wrapText, measureText } from '../utils/pdfWriter';
+import { TILE_SIZE, OSM_TILE_URL, lonLatToPixel, openRing } from '../utils/geometry';
+import { downloadFile, getRegulatoryNotes } from '../utils/exportHelpers';
+import { formatClimateForCharts } from './climateService';
+import { getPlantingSteps, CARE_SCHEDULE, WARNING_SIGNS } from '../constants/careGuide';
+import { MONTH_NAMES } from '../constants/calendar';
+import { REVENUE_STREAMS } from '../constants/economics';
+import COLORS from '../constants/colors';
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 28;
+const FOOTER_HEIGHT = 30;
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 450;
+const TILE_TIMEOUT_MS = 8000;
+
+const TEXT_COLOR = '#1F2937';
+const MUTED_COLOR = '#6B7280';
+const RULE_COLOR = '#E5E7EB';
+const PANEL_COLOR = '#F9FAFB';
+
+/**
+ * Render the site on OpenStreetMap tiles for the cover page
+ * @param {Object} center - { latitude, longitude }
+ * @param {Object} boundary - Site boundary (optional)
+ * @returns {Promise<Object|null>} { data, width, height } JPEG, or null if tiles can't be drawn
+ */
+export const captureMapSnapshot = async (center, boundary = null) => {
+  if (typeof document === 'undefined' || !center) return null;
+
+  try {
+    const ring = boundary ? openRing(boundary.coordinates[0]) : [];
+
+    // Highest zoom where the boundary fits with a margin
+    let zoom = 16;
+    if (ring.length) {
+      for (zoom = 19; zoom > 10; zoom--) {
+        const pixels = ring.map(([lon, lat]) => lonLatToPixel(lon, lat, zoom));
+        const spanX = Math.max(...pixels.map(p => p.x)) - Math.min(...pixels.map(p => p.x));
+        const spanY = Math.max(...pixels.map(p => p.y)) - Math.min(...pixels.map(p => p.y));
+        if (spanX < MAP_WIDTH * 0.8 && spanY < MAP_HEIGHT * 0.8) break;
+      }
+    }
+
+    const focus = boundary?.centroid || center;
+    const centerPixel = lonLatToPixel(focus.longitude, focus.latitude, zoom);
+    const origin = { x: centerPixel.x - MAP_WIDTH / 2, y: centerPixel.y - MAP_HEIGHT / 2 };
+    const tileCount = Math.pow(2, zoom);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = MAP_WIDTH;
+    canvas.height = MAP_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#E5E7EB';
+    ctx.fillRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
+
+    const loadTile = (url) => new Promise((resolve, reject) => {
+      const img = new Image();
+      const timer = setTimeout(() => reject(new Error('Tile timeout')), TILE_TIMEOUT_MS);
+      img.crossOrigin = 'anonymous';
+      img.onload = () => { clearTimeout(timer); resolve(img); };
+      img.onerror = () => { clearTimeout(timer); reject(new Error('Tile failed')); };
+      img.src = url;
+    });
+
+    const tiles = [];
+    for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + MAP_WIDTH) / TILE_SIZE); tx++) {
+      for (let ty = Math.floor(origin.y / TILE_SIZE); ty <= Math.floor((origin.y + MAP_HEIGHT) / TILE_SIZE); ty++) {
+        if (ty < 0 || ty >= tileCount) continue;
+        const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+        tiles.push(
+          loadTile(`${OSM_TILE_URL}/${zoom}/${wrappedX}/${ty}.png`)
+            .then(img => ctx.drawImage(img, tx * TILE_SIZE - origin.x, ty * TILE_SIZE - origin.y))
+        );
+      }
+    }
+    await Promise.all(tiles);
+
+    const toCanvas = ([lon, lat]) => {
+      const pixel = lonLatToPixel(lon, lat, zoom);
+      return [pixel.x - origin.x, pixel.y - origin.y];
+    };
+
+    if (ring.length) {
+      ctx.beginPath();
+      ring.map(toCanvas).forEach(([x, y], idx) => (idx ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(124, 179, 66, 0.3)';
+      ctx.fill();
+      ctx.strokeStyle = COLORS.primary;
+      ctx.lineWidth = 3;
+      ctx.stroke();
+    }
+
+    const [pinX, pinY] = toCanvas([center.longitude, center.latitude]);
+    ctx.beginPath();
+    ctx.arc(pinX, pinY, 7, 0, Math.PI * 2);
+    ctx.fillStyle = COLORS.error;
+    ctx.fill();
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(0, MAP_HEIGHT - 18, 190, 18);
+    ctx.fillStyle = '#374151';
+    ctx.font = '11px sans-serif';
+    ctx.fillText('© OpenStreetMap contributors', 6, MAP_HEIGHT - 5);
+
+    // Throws if any tile tainted the canvas
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+    return { data: atob(dataUrl.split(',')[1]), width: MAP_WIDTH, height: MAP_HEIGHT };
+  } catch (error) {
+    console.warn('⚠️ Map snapshot unavailable, drawing outline only:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Page layout with a moving cursor, page breaks, headings, tables and wrapped text
+ * @param {Object} pdf - Document from createPDF
+ * @param {string} title - Running header text
+ * @returns {Object} Layout helpers
+ */
+const createLayout = (pdf, title) => {
+  const contentWidth = pdf.width - MARGIN * 2;
+  const bottom = pdf.height - MARGIN - FOOTER_HEIGHT;
+  let y = MARGIN;
+
+  const newPage = () => {
+    pdf.addPage();
+    pdf.text(title, MARGIN, MARGIN - 12, { size: 8, color: MUTED_COLOR });
+    pdf.line(MARGIN, MARGIN - 6, pdf.width - MARGIN, MARGIN - 6, { color: RULE_COLOR });
+    y = MARGIN + HEADER_HEIGHT - 10;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom) newPage();
+  };
+
+  const heading = (text) => {
+    ensureSpace(60);
+    pdf.text(text, MARGIN, y + 16, { size: 16, font: 'bold', color: COLORS.textDark });
+    pdf.line(MARGIN, y + 22, pdf.width - MARGIN, y + 22, { color: COLORS.accent, width: 1.5 });
+    y += 36;
+  };
+
+  const subheading = (text) => {
+    ensureSpace(36);
+    pdf.text(text, MARGIN, y + 12, { size: 12, font: 'bold', color: COLORS.primary });
+    y += 20;
+  };
+
+  const paragraph = (text, { size = 10, color = TEXT_COLOR, font = 'regular', indent = 0 } = {}) => {
+    const lineHeight = size * 1.4;
+    wrapText(text, contentWidth - indent, size, font).forEach(line => {
+      ensureSpace(lineHeight);
+      pdf.text(line, MARGIN + indent, y + size, { size, color, font });
+      y += lineHeight;
+    });
+    y += 4;
+  };
+
+  const bullets = (items, { size = 10 } = {}) => {
+    items.forEach(item => {
+      const lines = wrapText(item, contentWidth - 14, size);
+      lines.forEach((line, idx) => {
+        ensureSpace(size * 1.4);
+        if (idx === 0) pdf.text('•', MARGIN + 2, y + size, { size, color: COLORS.accent, font: 'bold' });
+        pdf.text(line, MARGIN + 14, y + size, { size });
+        y += size * 1.4;
+      });
+    });
+    y += 4;
+  };
+
+  // Label/value pairs in columns
+  const facts = (pairs, columns = 2) => {
+    const columnWidth = contentWidth / columns;
+    for (let i = 0; i < pairs.length; i += columns) {
+      ensureSpace(30);
+      pairs.slice(i, i + columns).forEach(([label, value], idx) => {
+        const x = MARGIN + idx * columnWidth;
+        pdf.text(label, x, y + 8, { size: 8, color: MUTED_COLOR });
+        pdf.text(value ?? 'n/a', x, y + 21, { size: 11, font: 'bold' });
+      });
+      y += 30;
+    }
+    y += 4;
+  };
+
+  /**
+   * Draw a table, repeating the header after page breaks
+   * @param {Array} columns - { label, width (share of content width), align }
+   * @param {Array} rows - Arrays of cell values
+   */
+  const table = (columns, rows, { size = 9 } = {}) => {
+    const rowHeight = size + 8;
+    const widths = columns.map(column => column.width * contentWidth);
+    const cellX = (idx, align) => {
+      const left = MARGIN + widths.slice(0, idx).reduce((sum, w) => sum + w, 0);
+      return align === 'right' ? left + widths[idx] - 4 : left + 4;
+    };
+    const fit = (value, idx, font) => {
+      let text = String(value ?? '');
+      while (text.length > 1 && measureText(text, size, font) > widths[idx] - 8) {
+        text = text.slice(0, -2) + '…';
+      }
+      return text;
+    };
+
+    const drawHeader = () => {
+      pdf.rect(MARGIN, y, contentWidth, rowHeight, { fill: COLORS.background });
+      columns.forEach((column, idx) => {
+        pdf.text(fit(column.label, idx, 'bold'), cellX(idx, column.align), y + size + 3, { size, font: 'bold', align: column.align || 'left' });
+      });
+      y += rowHeight;
+    };
+
+    ensureSpace(rowHeight * 3);
+    drawHeader();
+    rows.forEach(row => {
+      if (y + rowHeight > bottom) {
+        newPage();
+        drawHeader();
+      }
+      row.forEach((value, idx) => {
+        pdf.text(fit(value, idx, 'regular'), cellX(idx, columns[idx].align), y + size + 3, { size, align: columns[idx].align || 'left' });
+      });
+      pdf.line(MARGIN, y + rowHeight, MARGIN + contentWidth, y + rowHeight, { color: RULE_COLOR });
+      y += rowHeight;
+    });
+    y += 10;
+  };
+
+  // Reserve a block (for charts and maps) and return its box
+  const block = (height) => {
+    ensureSpace(height);
+    const box = { x: MARGIN, y, width: contentWidth, height };
+    y += height + 10;
+    return box;
+  };
+
+  return {
+    contentWidth,
+    newPage,
+    ensureSpace,
+    heading,
+    subheading,
+    paragraph,
+    bullets,
+    facts,
+    table,
+    block,
+    space: (height) => { y += height; },
+    getY: () => y
+  };
+};
+
+// Round an axis step to 1, 2 or 5 times a power of ten
+const niceStep = (range, ticks) => {
+  const rough = range / ticks || 1;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const scaled = rough / power;
+  return (scaled <= 1 ? 1 : scaled <= 2 ? 2 : scaled <= 5 ? 5 : 10) * power;
+};
+
+const formatTick = (value) => Math.abs(value) >= 1000
+  ? `${Math.round(value / 100) / 10}k`
+  : `${Math.round(value * 10) / 10}`;
+
+/**
+ * Draw a chart of bars, lines and shaded bands on up to two value axes
+ * @param {Object} pdf - Document from createPDF
+ * @param {Object} box - { x, y, width, height }
+ * @param {Object} chart - { labels, series: [{ type: 'bar'|'line'|'band', values | lower/upper, color, label, axis }], axisLabels, labelEvery }
+ */
+const drawChart = (pdf, box, { labels, series, axisLabels = {}, labelEvery = 1 }) => {
+  const plot = { x: box.x + 34, y: box.y + 8, width: box.width - 68, height: box.height - 46 };
+  const axes = {};
+
+  ['left', 'right'].forEach(axis => {
+    const values = series
+      .filter(s => (s.axis || 'left') === axis)
+      .flatMap(s => s.type === 'band' ? [...s.lower, ...s.upper] : s.values)
+      .filter(Number.isFinite);
+    if (!values.length) return;
+    const step = niceStep(Math.max(...values, 0) - Math.min(...values, 0), 4);
+    const min = Math.floor(Math.min(...values, 0) / step) * step;
+    const max = Math.ceil(Math.max(...values, 0) / step) * step || step;
+    axes[axis] = { min, max, step, toY: (value) => plot.y + plot.height - ((value - min) / (max - min)) * plot.height };
+  });
+
+  // Grid and tick labels
+  const primary = axes.left || axes.right;
+  for (let value = primary.min; value <= primary.max + primary.step / 2; value += primary.step) {
+    const y = primary.toY(value);
+    pdf.line(plot.x, y, plot.x + plot.width, y, { color: value === 0 ? '#9CA3AF' : RULE_COLOR });
+  }
+  Object.entries(axes).forEach(([axis, scale]) => {
+    for (let value = scale.min; value <= scale.max + scale.step / 2; value += scale.step) {
+      const x = axis === 'left' ? plot.x - 4 : plot.x + plot.width + 4;
+      pdf.text(formatTick(value), x, scale.toY(value) + 3, { size: 7, color: MUTED_COLOR, align: axis === 'left' ? 'right' : 'left' });
+    }
+    if (axisLabels[axis]) {
+      const x = axis === 'left' ? box.x : box.x + box.width;
+      pdf.text(axisLabels[axis], x, plot.y - 2, { size: 7, color: MUTED_COLOR, align: axis === 'left' ? 'left' : 'right' });
+    }
+  });
+
+  const slot = plot.width / labels.length;
+  const centerX = (idx) => plot.x + slot * (idx + 0.5);
+  labels.forEach((label, idx) => {
+    if (idx % labelEvery === 0) {
+      pdf.text(label, centerX(idx), plot.y + plot.height + 11, { size: 7, color: MUTED_COLOR, align: 'center' });
+    }
+  });
+
+  const barSeries = series.filter(s => s.type === 'bar');
+  const barWidth = (slot * 0.7) / Math.max(barSeries.length, 1);
+
+  series.forEach(s => {
+    const scale = axes[s.axis || 'left'];
+    if (s.type === 'band') {
+      const upper = s.upper.map((value, idx) => [centerX(idx), scale.toY(value)]);
+      const lower = s.lower.map((value, idx) => [centerX(idx), scale.toY(value)]).reverse();
+      pdf.polyline([...upper, ...lower], { color: s.color, fill: s.color, width: 0.1 });
+    } else if (s.type === 'bar') {
+      const offset = barSeries.indexOf(s);
+      s.values.forEach((value, idx) => {
+        if (!Number.isFinite(value) || value === 0) return;
+        const top = scale.toY(Math.max(value, 0));
+        const height = Math.abs(scale.toY(value) - scale.toY(0));
+        const color = typeof s.color === 'function' ? s.color(value) : s.color;
+        pdf.rect(centerX(idx) - (slot * 0.35) + offset * barWidth, top, barWidth, height, { fill: color });
+      });
+    } else {
+      const points = s.values
+        .map((value, idx) => [centerX(idx), Number.isFinite(value) ? scale.toY(value) : null])
+        .filter(([, y]) => y !== null);
+      pdf.polyline(points, { color: s.color, width: 1.5 });
+    }
+  });
+
+  // Legend
+  let legendX = plot.x;
+  series.filter(s => s.label).forEach(s => {
+    const color = typeof s.color === 'function' ? s.color(1) : s.color;
+    pdf.rect(legendX, box.y + box.height - 12, 8, 8, { fill: color });
+    pdf.text(s.label, legendX + 11, box.y + box.height - 5, { size: 7, color: TEXT_COLOR });
+    legendX += measureText(s.label, 7) + 26;
+  });
+};
+
+/**
+ * Draw the boundary outline when map tiles are unavailable
+ */
+const drawOutlineMap = (pdf, box, center, boundary) => {
+  pdf.rect(box.x, box.y, box.width, box.height, { fill: PANEL_COLOR, stroke: RULE_COLOR });
+  const ring = boundary ? openRing(boundary.coordinates[0]) : [];
+  const points = [...ring, ...(center ? [[center.longitude, center.latitude]] : [])];
+  if (!points.length) return;
+
+  // Equirectangular fit, accurate enough at site scale
+  const cosLat = Math.cos(((center?.latitude ?? points[0][1]) * Math.PI) / 180);
+  const xs = points.map(([lon]) => lon * cosLat);
+  const ys = points.map(([, lat]) => lat);
+  const spanX = Math.max(...xs) - Math.min(...xs) || 0.001;
+  const spanY = Math.max(...ys) - Math.min(...ys) || 0.001;
+  const scale = Math.min((box.width * 0.8) / spanX, (box.height * 0.8) / spanY);
+  const midX = (Math.max(...xs) + Math.min(...xs)) / 2;
+  const midY = (Math.max(...ys) + Math.min(...ys)) / 2;
+  const toBox = ([lon, lat]) => [
+    box.x + box.width / 2 + (lon * cosLat - midX) * scale,
+    box.y + box.height / 2 - (lat - midY) * scale
+  ];
+
+  if (ring.length) {
+    pdf.polyline(ring.map(toBox), { color: COLORS.primary, fill: COLORS.light, width: 1.5 });
+  }
+  if (center) {
+    const [x, y] = toBox([center.longitude, center.latitude]);
+    pdf.rect(x - 3, y - 3, 6, 6, { fill: COLORS.error });
+  }
+  pdf.text('Map tiles unavailable - site outline only', box.x + 6, box.y + box.height - 6, { size: 7, color: MUTED_COLOR });
+};
+
+const formatNumber = (value, digits = 0) => Number.isFinite(value)
+  ? value.toLocaleString('en-US', { maximumFractionDigits: digits, minimumFractionDigits: digits })
+  : 'n/a';
+const formatMoney = (value) => Number.isFinite(value) ? `${value < 0 ? '-' : ''}$${formatNumber(Math.abs(value))}` : 'n/a';
+const formatTonnes = (kg) => Number.isFinite(kg) ? `${formatNumber(kg / 1000, 1)} t CO2` : 'n/a';
+const formatDate = (iso) => iso ? new Date(iso).toLocaleString() : 'n/a';
+
+// Cover Page
+const addCoverPage = (pdf, layout, plan, mapSnapshot) => {
+  const { location, impactMetrics, recommendations = [], siteBoundary, plantingStrategy } = plan;
+  const center = location?.coordinates;
+  const siteName = [location?.city, location?.country].filter(Boolean).join(', ') || 'Planting site';
+
+  pdf.addPage();
+  pdf.rect(0, 0, pdf.width, 150, { fill: COLORS.primary });
+  pdf.text('Reforestation Plan', MARGIN, 70, { size: 28, font: 'bold', color: '#FFFFFF' });
+  pdf.text(siteName, MARGIN, 100, { size: 16, color: COLORS.light });
+  pdf.text(
+    `${center ? `${center.latitude.toFixed(5)}, ${center.longitude.toFixed(5)}  -  ` : ''}Prepared ${new Date(plan.metadata?.generatedAt || Date.now()).toLocaleDateString()}`,
+    MARGIN, 124, { size: 10, color: '#FFFFFF' }
+  );
+  layout.space(150 - MARGIN + 20);
+
+  const mapBox = layout.block(layout.contentWidth * (MAP_HEIGHT / MAP_WIDTH));
+  if (mapSnapshot) {
+    pdf.image(mapSnapshot.data, mapSnapshot.width, mapSnapshot.height, mapBox.x, mapBox.y, mapBox.width, mapBox.height);
+  } else {
+    drawOutlineMap(pdf, mapBox, center, siteBoundary);
+  }
+
+  const topTree = recommendations[0];
+  const site = impactMetrics?.site;
+  layout.facts([
+    ['Top species', topTree ? `${topTree.commonName} (${Math.round(topTree.finalScore ?? topTree.compatibilityScore)}/100)` : 'n/a'],
+    ['Site area', siteBoundary ? `${siteBoundary.areaHectares} ha` : 'Per hectare'],
+    ['Trees to plant', site ? formatNumber(site.totalTrees) : `${impactMetrics?.density?.treesPerHectare ?? 'n/a'} per ha`],
+    ['Species in mix', `${Object.keys(plantingStrategy?.mixRatio || {}).length || recommendations.length}`],
+    ['Carbon stored by year 10', formatTonnes(site?.carbon?.year10 ?? impactMetrics?.carbonSequestration?.year10)],
+    ['Net present value', formatMoney(impactMetrics?.economicValue?.npv)]
+  ]);
+
+  layout.paragraph(
+    'This report summarises the site conditions, recommended species and planting plan, and the projected environmental and financial outcomes. Projections are estimates; see the appendix for data sources and assumptions.',
+    { size: 9, color: MUTED_COLOR }
+  );
+};
+
+// Climate Summary
+const addClimateSection = (pdf, layout, plan) => {
+  const analysis = plan.climateAnalysis;
+  const climate = plan.climate;
+  const siteConditions = plan.siteConditions || {};
+
+  layout.newPage();
+  layout.heading('Climate and Site');
+
+  if (!analysis) {
+    layout.paragraph('Climate data was unavailable for this plan.');
+    return;
+  }
+
+  layout.facts([
+    ['Climate type', analysis.climateType],
+    ['Temperature zone', analysis.tempZone],
+    ['Annual rainfall', `${formatNumber(analysis.annualRainfall)} mm`],
+    ['Average temperature', `${analysis.temperatureStats?.average ?? 'n/a'}°C`],
+    ['Altitude', siteConditions.altitude !== null && siteConditions.altitude !== undefined ? `${Math.round(siteConditions.altitude)} m` : 'n/a'],
+    ['Soil pH', siteConditions.soilPH ?? 'n/a'],
+    ['Soil moisture', analysis.soilMoisture ? `${analysis.soilMoisture.percentage}% (${analysis.soilMoisture.level})` : 'n/a'],
+    ['Rainfall pattern', plan.plantingStrategy?.seasonality?.pattern?.replace(/-/g, ' ') || 'n/a']
+  ]);
+
+  if (analysis.normals?.months?.length) {
+    layout.subheading(`Monthly climate normals (${analysis.normals.period.startYear}–${analysis.normals.period.endYear})`);
+    drawChart(pdf, layout.block(200), {
+      labels: analysis.normals.months.map(m => m.name.slice(0, 3)),
+      series: [
+        { type: 'bar', values: analysis.normals.months.map(m => m.rainfall), color: COLORS.info, label: 'Rainfall (mm)' },
+        { type: 'line', values: analysis.normals.months.map(m => m.meanMax), color: COLORS.error, label: 'Mean max (°C)', axis: 'right' },
+        { type: 'line', values: analysis.normals.months.map(m => m.meanMin), color: '#3B82F6', label: 'Mean min (°C)', axis: 'right' }
+      ],
+      axisLabels: { left: 'mm', right: '°C' }
+    });
+  }
+
+  const forecast = formatClimateForCharts(climate?.daily, 7);
+  if (forecast.length) {
+    layout.subheading('7-day forecast at time of analysis');
+    drawChart(pdf, layout.block(170), {
+      labels: forecast.map(day => day.date),
+      series: [
+        { type: 'bar', values: forecast.map(day => day.rainfall), color: COLORS.info, label: 'Rainfall (mm)' },
+        { type: 'line', values: forecast.map(day => day.maxTemp), color: COLORS.error, label: 'Max temp (°C)', axis: 'right' },
+        { type: 'line', values: forecast.map(day => day.minTemp), color: '#3B82F6', label: 'Min temp (°C)', axis: 'right' }
+      ],
+      axisLabels: { left: 'mm', right: '°C' }
+    });
+  }
+
+  const challenges = analysis.suitability?.challenges || [];
+  if (challenges.length) {
+    layout.subheading('Climate considerations');
+    challenges.forEach(challenge => {
+      layout.paragraph(`${challenge.type.replace(/-/g, ' ')} (${challenge.severity}): ${challenge.description}`, { font: 'bold', size: 9 });
+      layout.paragraph(`Mitigation: ${challenge.mitigation}`, { size: 9, indent: 10, color: MUTED_COLOR });
+    });
+  }
+};
+
+// Ranked Species
+const addSpeciesSection = (pdf, layout, plan) => {
+  const { recommendations = [], plantingStrategy } = plan;
+
+  layout.newPage();
+  layout.heading('Recommended Species');
+
+  layout.table(
+    [
+      { label: '#', width: 0.05 },
+      { label: 'Species', width: 0.33 },
+      { label: 'Score', width: 0.1, align: 'right' },
+      { label: 'Mix', width: 0.1, align: 'right' },
+      { label: 'Growth', width: 0.14 },
+      { label: 'Water needs', width: 0.14 },
+      { label: 'Max height', width: 0.14, align: 'right' }
+    ],
+    recommendations.map((tree, idx) => [
+      idx + 1,
+      `${tree.commonName}${tree.scientificName && tree.scientificName !== tree.commonName ? ` (${tree.scientificName})` : ''}`,
+      Math.round(tree.finalScore ?? tree.compatibilityScore),
+      plantingStrategy?.mixRatio?.[tree.commonName] ? `${plantingStrategy.mixRatio[tree.commonName]}%` : '-',
+      tree.growthRate,
+      tree.waterNeeds,
+      tree.maxHeight ? `${tree.maxHeight} m` : 'n/a'
+    ])
+  );
+
+  recommendations.forEach((tree, idx) => {
+    const factors = tree.scoreBreakdown?.factors?.filter(f => f.evaluated) || [];
+    layout.ensureSpace(60 + factors.length * 16);
+    layout.subheading(`${idx + 1}. ${tree.commonName} - ${Math.round(tree.finalScore ?? tree.compatibilityScore)}/100`);
+    if (tree.benefits?.length) {
+      layout.paragraph(`Benefits: ${tree.benefits.join(', ')}`, { size: 9, color: MUTED_COLOR });
+    }
+
+    factors.forEach(factor => {
+      layout.ensureSpace(16);
+      const box = layout.block(6);
+      const labelWidth = 130;
+      const barWidth = 120;
+      pdf.text(factor.label, box.x, box.y + 5, { size: 8 });
+      pdf.rect(box.x + labelWidth, box.y - 1, barWidth, 6, { fill: RULE_COLOR });
+      if (factor.maxPoints > 0 && factor.points > 0) {
+        pdf.rect(box.x + labelWidth, box.y - 1, barWidth * Math.min(1, factor.points / factor.maxPoints), 6, { fill: COLORS.accent });
+      }
+      pdf.text(`${factor.points}/${factor.maxPoints}`, box.x + labelWidth + barWidth + 6, box.y + 5, { size: 8, font: 'bold' });
+      pdf.text(factor.detail || '', box.x + labelWidth + barWidth + 40, box.y + 5, { size: 7, color: MUTED_COLOR });
+    });
+
+    const breakdown = tree.scoreBreakdown;
+    if (breakdown?.aiScore !== null && breakdown?.aiScore !== undefined) {
+      layout.paragraph(
+        `Final score blends ${Math.round((1 - breakdown.aiWeight) * 100)}% site match (${Math.round(breakdown.ruleScore)}) with ${Math.round(breakdown.aiWeight * 100)}% AI assessment (${breakdown.aiScore}).`,
+        { size: 8, color: MUTED_COLOR }
+      );
+    }
+    layout.space(6);
+  });
+
+  const excluded = plan.excludedSpecies || [];
+  if (excluded.length) {
+    layout.subheading('Species considered but not recommended');
+    layout.bullets(excluded.slice(0, 10).map(entry =>
+      `${entry.commonName}: ${(entry.reasons || []).map(reason => reason.message).join('; ') || 'excluded'}`
+    ), { size: 8 });
+  }
+
+  const regulatoryNotes = getRegulatoryNotes(plan);
+  if (regulatoryNotes.length) {
+    layout.subheading('Invasive and regulatory status');
+    layout.paragraph(
+      'Species banned or needing a permit at the site are never recommended. Check local rules before planting any species with a warning.',
+      { size: 8, color: MUTED_COLOR }
+    );
+    layout.bullets(regulatoryNotes.map(note =>
+      `${note.excluded ? 'Excluded' : 'Warning'} - ${note.commonName}: ${note.message}`
+    ), { size: 8 });
+  }
+};
+
+// Planting Calendar
+const addCalendarSection = (pdf, layout, plan) => {
+  const strategy = plan.plantingStrategy || {};
+  const windows = strategy.plantingWindows || [];
+
+  layout.newPage();
+  layout.heading('Planting Plan and Calendar');
+
+  layout.facts([
+    ['Density', strategy.density],
+    ['Spacing', strategy.spacing],
+    ['Best months', (strategy.bestMonths || []).slice(0, 4).join(', ')],
+    ['Strategy source', strategy.source === 'ai' ? 'AI-assisted' : 'Rules']
+  ]);
+
+  // Month grid, shaded by planting window confidence
+  const windowByMonth = {};
+  windows.forEach(window => window.months.forEach(month => {
+    if (!windowByMonth[month] || windowByMonth[month].confidence < window.confidence) windowByMonth[month] = window;
+  }));
+  const rainyMonths = new Set(strategy.seasonality?.seasons?.flatMap(season => season.months) || []);
+  const grid = layout.block(70);
+  const cellWidth = grid.width / 6;
+  MONTH_NAMES.forEach((month, idx) => {
+    const x = grid.x + (idx % 6) * cellWidth;
+    const y = grid.y + Math.floor(idx / 6) * 35;
+    const window = windowByMonth[month];
+    const isBest = windows.length ? !!window : (strategy.bestMonths || []).includes(month);
+    const fill = isBest ? COLORS.accent : rainyMonths.has(month) ? '#DBEAFE' : '#F3F4F6';
+    pdf.rect(x + 2, y + 2, cellWidth - 4, 31, { fill });
+    pdf.text(month, x + cellWidth / 2, y + 15, { size: 9, font: 'bold', align: 'center', color: isBest ? '#FFFFFF' : TEXT_COLOR });
+    const note = isBest ? (window ? `${window.confidenceLevel} confidence` : 'Best') : rainyMonths.has(month) ? 'Rainy' : '';
+    pdf.text(note, x + cellWidth / 2, y + 27, { size: 7, align: 'center', color: isBest ? '#FFFFFF' : MUTED_COLOR });
+  });
+
+  if (windows.length) {
+    layout.subheading('Planting windows');
+    windows.forEach(window => {
+      layout.paragraph(`${window.season}: ${window.months.join(', ')} - ${window.confidenceLevel} confidence (${Math.round(window.confidence * 100)}%)`, { font: 'bold', size: 9 });
+      layout.paragraph(`${window.rationale}${window.requiresIrrigation ? ' Plan supplementary watering.' : ''}`, { size: 9, indent: 10, color: MUTED_COLOR });
+    });
+  }
+
+  const mix = Object.entries(strategy.mixRatio || {});
+  if (mix.length) {
+    layout.subheading('Species mix');
+    const site = plan.impactMetrics?.site;
+    layout.table(
+      [
+        { label: 'Species', width: 0.4 },
+        { label: 'Share', width: 0.15, align: 'right' },
+        { label: 'Trees', width: 0.15, align: 'right' },
+        { label: 'Spares', width: 0.15, align: 'right' },
+        { label: 'Order', width: 0.15, align: 'right' }
+      ],
+      mix.map(([name, share]) => {
+        const order = site?.seedlingOrder?.find(entry => entry.commonName === name);
+        return [name, `${share}%`, order ? formatNumber(order.trees) : '-', order ? formatNumber(order.spares) : '-', order ? formatNumber(order.total) : '-'];
+      })
+    );
+  }
+};
+
+// Care Guide
+const addCareSection = (pdf, layout, plan) => {
+  layout.newPage();
+  layout.heading('Planting and Care Guide');
+
+  getPlantingSteps(plan.recommendations).forEach((step, idx) => {
+    layout.subheading(`${idx + 1}. ${step.title}`);
+    layout.paragraph(step.description, { size: 9 });
+    layout.bullets(step.details, { size: 9 });
+  });
+
+  layout.subheading('Aftercare schedule');
+  CARE_SCHEDULE.forEach(period => {
+    layout.paragraph(period.period, { font: 'bold', size: 10 });
+    layout.bullets(period.tasks, { size: 9 });
+  });
+
+  layout.subheading('Warning signs to watch for');
+  layout.bullets(WARNING_SIGNS, { size: 9 });
+
+  const advice = plan.aiInsights?.plantingStrategy?.detailedAdvice;
+  if (advice) {
+    layout.subheading('AI-generated planting advice');
+    layout.paragraph(advice, { size: 9 });
+  }
+};
+
+// Impact and Economics
+const addImpactSection = (pdf, layout, plan) => {
+  const metrics = plan.impactMetrics;
+  layout.newPage();
+  layout.heading('Impact and Economics');
+
+  if (!metrics) {
+    layout.paragraph('Impact metrics were unavailable for this plan.');
+    return;
+  }
+
+  const carbon = metrics.carbonSequestration;
+  const site = metrics.site;
+  const ranges = metrics.uncertainty?.carbon;
+  const scaleToSite = site ? site.areaHectares : 1;
+
+  layout.facts([
+    ['Carbon stored, year 10', formatTonnes(carbon.year10 * scaleToSite)],
+    ['Carbon stored, year 20', formatTonnes(carbon.year20 * scaleToSite)],
+    ['Biodiversity score', `${metrics.biodiversity.score}/100 (${metrics.biodiversity.level})`],
+    ['Survival to year 10', `${metrics.density.survivalRate}%`]
+  ]);
+
+  if (carbon.timeline?.length) {
+    const timeline = carbon.timeline.slice(0, 40);
+    const band = ranges?.timeline?.slice(0, timeline.length);
+    layout.subheading(`Projected carbon stock (${site ? `${site.areaHectares} ha site` : 'per hectare'}, t CO2)`);
+    drawChart(pdf, layout.block(190), {
+      labels: timeline.map(point => `${point.year}`),
+      labelEvery: 5,
+      series: [
+        ...(band?.length === timeline.length ? [{
+          type: 'band',
+          lower: band.map(point => (point.p10 * scaleToSite) / 1000),
+          upper: band.map(point => (point.p90 * scaleToSite) / 1000),
+          color: '#DCEDC8',
+          label: 'P10–P90 range'
+        }] : []),
+        { type: 'line', values: timeline.map(point => (point.stock * scaleToSite) / 1000), color: COLORS.primary, label: 'Expected' }
+      ],
+      axisLabels: { left: 't CO2' }
+    });
+  }
+
+  const economics = metrics.economics;
+  const value = metrics.economicValue;
+  if (economics) {
+    layout.subheading(`Economics over ${value.horizonYears} years (${value.currency}${site ? `, ${site.areaHectares} ha` : ', per hectare'})`);
+    layout.facts([
+      ['Net present value', formatMoney(value.npv)],
+      ['Internal rate of return', value.irr !== null && value.irr !== undefined ? `${value.irr}%` : 'n/a'],
+      ['Payback', value.paybackYear !== null && value.paybackYear !== undefined ? `Year ${value.paybackYear}` : 'Not reached'],
+      ['Total costs', formatMoney(value.totalCost)],
+      ['Total revenue', formatMoney(value.total)],
+      ['Discount rate', `${economics.assumptions.discountRate}%`]
+    ], 3);
+
+    drawChart(pdf, layout.block(180), {
+      labels: economics.yearly.map(row => `${row.year}`),
+      labelEvery: 5,
+      series: [
+        { type: 'bar', values: economics.yearly.map(row => row.netCashFlow), color: (v) => (v < 0 ? COLORS.error : COLORS.accent), label: 'Net cash flow' },
+        { type: 'line', values: economics.yearly.map(row => row.cumulativeDiscounted), color: TEXT_COLOR, label: 'Cumulative (discounted)' }
+      ],
+      axisLabels: { left: value.currency }
+    });
+
+    const streams = Object.keys(REVENUE_STREAMS).filter(id => economics.totals.revenues[id] > 0);
+    if (streams.length) {
+      layout.table(
+        [{ label: 'Revenue stream', width: 0.6 }, { label: 'Total', width: 0.4, align: 'right' }],
+        streams.map(id => [REVENUE_STREAMS[id].label, formatMoney(economics.totals.revenues[id])])
+      );
+    }
+  }
+
+  if (metrics.uncertainty) {
+    const { economicValue: economicRange } = metrics.uncertainty;
+    layout.subheading('Projection ranges (P10 / P50 / P90)');
+    layout.table(
+      [{ label: 'Measure', width: 0.4 }, { label: 'P10', width: 0.2, align: 'right' }, { label: 'P50', width: 0.2, align: 'right' }, { label: 'P90', width: 0.2, align: 'right' }],
+      [
+        ...['year10', 'year20'].filter(key => ranges?.[key]).map(key => [
+          `Carbon, ${key.replace('year', 'year ')}`,
+          formatTonnes(ranges[key].p10 * scaleToSite), formatTonnes(ranges[key].p50 * scaleToSite), formatTonnes(ranges[key].p90 * scaleToSite)
+        ]),
+        ...(economicRange?.npv ? [['Net present value', formatMoney(economicRange.npv.p10), formatMoney(economicRange.npv.p50), formatMoney(economicRange.npv.p90)]] : [])
+      ]
+    );
+    layout.paragraph(`Based on ${metrics.uncertainty.iterations} simulated outcomes varying survival, growth, drought years and carbon price.`, { size: 8, color: MUTED_COLOR });
+  }
+};
+
+// Appendix: Data Sources
+const addAppendix = (pdf, layout, plan) => {
+  const analysis = plan.climateAnalysis;
+  const conditions = plan.siteConditions || {};
+
+  layout.newPage();
+  layout.heading('Appendix: Data Sources and Assumptions');
+
+  layout.table(
+    [{ label: 'Data', width: 0.25 }, { label: 'Source', width: 0.5 }, { label: 'Retrieved', width: 0.25 }],
+    [
+      ['Site location', `${plan.metadata?.locationSource || 'unknown'} coordinates; place names from OpenStreetMap Nominatim`, formatDate(plan.location?.fetchedAt)],
+      ['Weather forecast', plan.climate?.isMock ? 'Estimated (live forecast unavailable)' : 'Open-Meteo forecast API', formatDate(plan.climate?.fetchedAt)],
+      ['Climate normals', analysis?.normals ? `Open-Meteo historical archive, ${analysis.normals.period.startYear}–${analysis.normals.period.endYear}` : 'Not available; forecast used', '-'],
+      ['Altitude', conditions.altitudeSource ? conditions.altitudeSource.replace(/-/g, ' ') : 'n/a', '-'],
+      ['Soil pH', conditions.soilPHSource ? conditions.soilPHSource : 'n/a', '-'],
+      ['Site photo', plan.imageAnalysis?.method ? `Colour analysis (${plan.imageAnalysis.method})` : 'No photo', formatDate(plan.imageAnalysis?.timestamp)],
+      ['Species data', plan.metadata?.speciesCatalog?.length ? `Region packs: ${plan.metadata.speciesCatalog.map(pack => `${pack.id} v${pack.version}`).join(', ')}` : 'Built-in species list', '-'],
+      ['Site boundary', plan.siteBoundary ? `${plan.siteBoundary.source} (${plan.siteBoundary.vertexCount} points)` : 'Not set', formatDate(plan.siteBoundary?.createdAt)],
+      ['Base map', 'OpenStreetMap contributors', '-']
+    ]
+  );
+
+  layout.subheading('Method notes');
+  layout.bullets([
+    `Species scores use the "${plan.metadata?.objective?.name || 'default'}" objective weights.`,
+    `Carbon: ${plan.impactMetrics?.carbonSequestration?.model || 'growth model'}, with establishment losses and annual mortality.`,
+    ...(plan.impactMetrics?.carbonSequestration?.genericCurveSpecies?.length
+      ? [`Generic growth-rate curves (no fitted growth data): ${plan.impactMetrics.carbonSequestration.genericCurveSpecies.join(', ')}.`]
+      : []),
+    'Economics: yearly cash flows from the cost sheet and each species\' revenue streams, discounted to present value.',
+    plan.aiInsights ? 'AI insights were used to refine rankings and planting advice.' : 'Rankings use site-matching rules only (no AI).'
+  ], { size: 9 });
+
+  layout.paragraph(`Report generated ${formatDate(plan.metadata?.generatedAt)} by ${plan.metadata?.generator || 'ReForest.AI'} (plan version ${plan.metadata?.version || 'n/a'}).`, { size: 8, color: MUTED_COLOR });
+};
+
+/**
+ * Generate the PDF report for a plan
+ * @param {Object} plan - Complete reforestation plan
+ * @param {Object} options - { size: 'a4' | 'letter', includeMap }
+ * @returns {Promise<Object>} { success, bytes, pageCount } or { success, error }
+ */
+export const generatePDFReport = async (plan, options = {}) => {
+  const { size = 'a4', includeMap = true } = options;
+
+  try {
+    if (!plan?.recommendations?.length) {
+      throw new Error('No recommendations to report');
+    }
+
+    console.log('📄 Generating PDF report...');
+    const siteName = [plan.location?.city, plan.location?.country].filter(Boolean).join(', ') || 'Planting site';
+    const title = `Reforestation Plan - ${siteName}`;
+
+    const mapSnapshot = includeMap
+      ? await captureMapSnapshot(plan.location?.coordinates, plan.siteBoundary)
+      : null;
+
+    const pdf = createPDF({ size, title, author: 'ReForest.AI' });
+    const layout = createLayout(pdf, title);
+
+    addCoverPage(pdf, layout, plan, mapSnapshot);
+    addClimateSection(pdf, layout, plan);
+    addSpeciesSection(pdf, layout, plan);
+    addCalendarSection(pdf, layout, plan);
+    addCareSection(pdf, layout, plan);
+    addImpactSection(pdf, layout, plan);
+    addAppendix(pdf, layout, plan);
+
+    // Footers once the page count is known
+    const pageCount = pdf.getPageCount();
+    for (let page = 1; page <= pageCount; page++) {
+      pdf.goToPage(page);
+      pdf.text('ReForest.AI', MARGIN, pdf.height - MARGIN + 10, { size: 8, color: MUTED_COLOR });
+      pdf.text(`Page ${page} of ${pageCount}`, pdf.width - MARGIN, pdf.height - MARGIN + 10, { size: 8, color: MUTED_COLOR, align: 'right' });
+    }
+
+    const bytes = pdf.output();
+    console.log(`✅ PDF report ready: ${pageCount} pages, ${Math.round(bytes.length / 1024)} KB`);
+
+    return { success: true, bytes, pageCount };
+  } catch (error) {
+    console.error('❌ PDF report error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to generate PDF report'
+    };
+  }
+};
+
+/**
+ * Generate and download the PDF report
+ * @param {Object} plan - Complete reforestation plan
+ * @param {string} filename - Optional filename
+ * @returns {Promise<Object>} Result from generatePDFReport
+ */
+export const exportAsPDF = async (plan, filename) => {
+  const result = await generatePDFReport(plan);
+  if (result.success) {
+    downloadFile(result.bytes, filename || `reforestation-plan-${Date.now()}.pdf`, 'application/pdf');
+  }
+  return result;
+};
+
+export default {
+  captureMapSnapshot,
+  generatePDFReport,
+  exportAsPDF
+};
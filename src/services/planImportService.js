@@ -0,0 +1,101 @@
+/**
+ * Plan Import Service
+ * Reads an exported JSON plan, migrates older schema versions and
+ * validates it so it can be loaded back into the workflow
+ */
+
+import { migratePlan, validatePlan, planToState, PLAN_SCHEMA_VERSION } from '../utils/planSchema';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Parse, migrate and validate plan JSON text
+ * @param {string} text - JSON text
+ * @returns {Object} { success, plan, state, fromVersion, migrations, warnings } or { success, error, errors }
+ */
+export const parsePlan = (text) => {
+  try {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const { plan, fromVersion, migrations } = migratePlan(raw);
+    const validation = validatePlan(plan);
+
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.errors[0],
+        errors: validation.errors,
+        warnings: validation.warnings
+      };
+    }
+
+    const warnings = [...validation.warnings];
+    if (fromVersion < PLAN_SCHEMA_VERSION) {
+      warnings.unshift(`Upgraded from plan schema ${fromVersion} to ${PLAN_SCHEMA_VERSION}`);
+    }
+
+    return {
+      success: true,
+      plan,
+      state: planToState(plan),
+      fromVersion,
+      migrations,
+      warnings
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      errors: [error.message],
+      warnings: []
+    };
+  }
+};
+
+/**
+ * Read and parse an exported plan file
+ * @param {File} file - .json plan file
+ * @returns {Promise<Object>} Result of parsePlan, plus fileName
+ */
+export const importPlanFile = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error('Plan file is larger than 10 MB');
+    }
+
+    console.log(`📥 Importing plan from ${file.name}`);
+    const result = parsePlan(await file.text());
+
+    if (result.success) {
+      console.log('✅ Plan imported:', {
+        fromVersion: result.fromVersion,
+        species: result.plan.recommendations.length
+      });
+    } else {
+      console.error('❌ Plan import error:', result.error);
+    }
+
+    return { ...result, fileName: file.name };
+  } catch (error) {
+    console.error('❌ Plan import error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import plan',
+      errors: [error.message],
+      warnings: []
+    };
+  }
+};
+
+export default {
+  parsePlan,
+  importPlanFile
+};
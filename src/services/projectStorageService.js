@@ -0,0 +1,355 @@
+/**
+ * Project Storage Service
+ * Saves analyses as named projects in IndexedDB so plans survive reloads,
+ * and remembers the last open project for automatic restore
+ */
+
+const DB_NAME = 'reforest-ai';
+const DB_VERSION = 1;
+const PROJECT_STORE = 'projects';
+const META_STORE = 'meta';
+const SESSION_KEY = 'lastSession';
+const THUMBNAIL_SIZE = 240;
+
+// Workflow state worth keeping; files, previews (a thumbnail is kept instead),
+// loading flags, errors and API keys are not
+export const PERSISTED_FIELDS = [
+  'imageAnalysis',
+  'gpsData',
+  'locationData',
+  'climateData',
+  'climateAnalysis',
+  'suitability',
+  'siteConditions',
+  'objective',
+  'customWeights',
+  'economicAssumptions',
+  'plantingApproach',
+  'nurseryStock',
+  'nurseryMode',
+  'siteBoundary',
+  'recommendations',
+  'excludedSpecies',
+  'selectedTree',
+  'plantingStrategy',
+  'impactMetrics',
+  'aiInsights',
+  'scenarios',
+  'promotedScenarioId',
+  'mixLocks',
+  'usingFallbackLocation',
+  'natureValidation'
+];
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available (private browsing can disable it)
+ * @returns {boolean} True if projects can be stored
+ */
+export const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and create or upgrade) the project database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openDatabase = () => {
+  if (!isStorageAvailable()) {
+    return Promise.reject(new Error('Local storage for projects is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+          const store = db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a request against one object store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const result = await promisify(operation(transaction.objectStore(storeName)));
+
+  // Resolve writes only once they are committed
+  if (mode === 'readwrite') {
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Create a new project id
+ * @returns {string} Unique id
+ */
+export const createProjectId = () =>
+  globalThis.crypto?.randomUUID?.() || `project-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Pick the persisted fields from workflow state
+ * @param {Object} state - useReforestation state
+ * @returns {Object} Plain snapshot safe to store
+ */
+export const createSnapshot = (state) => {
+  const snapshot = Object.fromEntries(PERSISTED_FIELDS.map(field => [field, state[field] ?? null]));
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Default project name from the location and date
+ * @param {Object} state - useReforestation state
+ * @returns {string} Project name
+ */
+export const getDefaultProjectName = (state) => {
+  const place = state.locationData?.city || state.siteBoundary?.source || 'Untitled site';
+  return `${place} – ${new Date().toLocaleDateString()}`;
+};
+
+/**
+ * Shrink an image data URL to a small JPEG thumbnail
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<string|null>} Thumbnail data URL
+ */
+export const createThumbnail = (dataUrl) => new Promise((resolve) => {
+  if (!dataUrl || typeof document === 'undefined') {
+    resolve(null);
+    return;
+  }
+
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/jpeg', 0.7));
+  };
+  img.onerror = () => resolve(null);
+  img.src = dataUrl;
+});
+
+// Project list entry without the heavy analysis data
+const summarizeProject = (project) => ({
+  id: project.id,
+  name: project.name,
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt,
+  thumbnail: project.thumbnail,
+  location: project.data?.locationData
+    ? [project.data.locationData.city, project.data.locationData.country].filter(Boolean).join(', ')
+    : null,
+  topSpecies: project.data?.recommendations?.[0]?.commonName || null,
+  speciesCount: project.data?.recommendations?.length || 0,
+  areaHectares: project.data?.siteBoundary?.areaHectares || null
+});
+
+/**
+ * List saved projects, most recently updated first
+ * @returns {Promise<Object>} { success, projects }
+ */
+export const listProjects = async () => {
+  try {
+    const projects = await withStore(PROJECT_STORE, 'readonly', store => store.getAll());
+    return {
+      success: true,
+      projects: projects
+        .map(summarizeProject)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    };
+  } catch (error) {
+    console.error('❌ Failed to list projects:', error);
+    return { success: false, error: error.message, projects: [] };
+  }
+};
+
+/**
+ * Load a project with its full analysis data
+ * @param {string} id - Project id
+ * @returns {Promise<Object>} { success, project }
+ */
+export const getProject = async (id) => {
+  try {
+    const project = await withStore(PROJECT_STORE, 'readonly', store => store.get(id));
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    return { success: true, project };
+  } catch (error) {
+    console.error('❌ Failed to load project:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create or update a project
+ * @param {Object} project - { id, name, thumbnail, data }
+ * @returns {Promise<Object>} { success, project }
+ */
+export const saveProject = async ({ id, name, thumbnail = null, data }) => {
+  try {
+    const existing = await withStore(PROJECT_STORE, 'readonly', store => store.get(id));
+    const now = new Date().toISOString();
+    const project = {
+      id,
+      name: name || existing?.name || 'Untitled project',
+      thumbnail: thumbnail || existing?.thumbnail || null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      data
+    };
+
+    await withStore(PROJECT_STORE, 'readwrite', store => store.put(project));
+    console.log(`💾 Project saved: ${project.name}`);
+    return { success: true, project };
+  } catch (error) {
+    console.error('❌ Failed to save project:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Rename a project
+ * @param {string} id - Project id
+ * @param {string} name - New name
+ * @returns {Promise<Object>} { success, project }
+ */
+export const renameProject = async (id, name) => {
+  const trimmed = name?.trim();
+  if (!trimmed) {
+    return { success: false, error: 'Project name cannot be empty' };
+  }
+
+  const result = await getProject(id);
+  if (!result.success) return result;
+  return saveProject({ ...result.project, name: trimmed });
+};
+
+/**
+ * Copy a project under a new id
+ * @param {string} id - Project id
+ * @returns {Promise<Object>} { success, project }
+ */
+export const duplicateProject = async (id) => {
+  const result = await getProject(id);
+  if (!result.success) return result;
+
+  return saveProject({
+    id: createProjectId(),
+    name: `${result.project.name} (copy)`,
+    thumbnail: result.project.thumbnail,
+    data: result.project.data
+  });
+};
+
+/**
+ * Delete a project (and forget it as the last session)
+ * @param {string} id - Project id
+ * @returns {Promise<Object>} { success }
+ */
+export const deleteProject = async (id) => {
+  try {
+    await withStore(PROJECT_STORE, 'readwrite', store => store.delete(id));
+    const session = await getLastSession();
+    if (session?.projectId === id) {
+      await clearLastSession();
+    }
+    console.log('🗑️ Project deleted:', id);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to delete project:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the last open project
+ * @returns {Promise<Object|null>} { projectId, savedAt }
+ */
+export const getLastSession = async () => {
+  try {
+    return (await withStore(META_STORE, 'readonly', store => store.get(SESSION_KEY))) || null;
+  } catch (error) {
+    console.warn('Session read failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember the open project so it is restored on the next visit
+ * @param {string} projectId - Project id
+ */
+export const setLastSession = async (projectId) => {
+  try {
+    await withStore(META_STORE, 'readwrite', store =>
+      store.put({ projectId, savedAt: new Date().toISOString() }, SESSION_KEY)
+    );
+  } catch (error) {
+    console.warn('Session write failed:', error);
+  }
+};
+
+/**
+ * Forget the last open project (e.g. when starting a new analysis)
+ */
+export const clearLastSession = async () => {
+  try {
+    await withStore(META_STORE, 'readwrite', store => store.delete(SESSION_KEY));
+  } catch (error) {
+    console.warn('Session clear failed:', error);
+  }
+};
+
+export default {
+  PERSISTED_FIELDS,
+  isStorageAvailable,
+  createProjectId,
+  createSnapshot,
+  getDefaultProjectName,
+  createThumbnail,
+  listProjects,
+  getProject,
+  saveProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  getLastSession,
+  setLastSession,
+  clearLastSession
+};
@@ -6,7 +6,20 @@
 import TREE_DATABASE from '../constants/treeDatabase';
 import CONFIG from '../constants/config';
 import openAIService from './openAIService';
-import { getSuitableTrees, enrichTreeData } from './treeDataService';
+import { getSuitableTrees, getExcludedSpecies, getExclusionReasons, getRegulatoryStatus, enrichTreeData } from './treeDataService';
+import { DEFAULT_OBJECTIVE, getObjectiveProfile } from '../constants/objectiveProfiles';
+import {
+  projectMixCarbon,
+  getSurvivalShare,
+  getMixShares,
+  calculateCashFlows,
+  ESTABLISHMENT_SURVIVAL
+} from '../utils/calculations';
+import { simulateImpactInBackground } from './impactSimulationService';
+import { designEcologicalMix, summarizeFunctionalDiversity } from '../utils/mixDesign';
+import { createPlantingSchedule, getPlantingYears, usesSuccessionalPlanting } from '../utils/plantingSchedule';
+import { assessNativeness } from '../utils/nativeness';
+import { applyNurseryStock } from './nurseryStockService';
 
 /**
  * Generate tree recommendations based on all collected data
@@ -20,55 +33,97 @@ export const generateRecommendations = async (params) => {
     imageAnalysis,
     useAI = true,
     enrichWithAPIs = false,
+    siteConditions = {},
+    objective = DEFAULT_OBJECTIVE,
+    weights = null,
+    economicAssumptions = null,
+    hectares = null,
     relaxed = false,
     toleranceBuffer = 0,
-    manualLocation = false
+    manualLocation = false,
+    speciesIds = null, // Plant only these species instead of the top-ranked ones
+    density = null, // Trees per hectare, overriding the strategy's density
+    plantingApproach = 'auto', // 'auto', 'single' or 'successional' (see plantingSchedule)
+    nurseryStock = null, // Species a partner nursery can supply (see nurseryStockService)
+    nurseryMode = 'flag' // 'restrict' to stocked species, or 'flag' the others
   } = params;
   
+  const altitude = siteConditions.altitude ?? null;
+  const soilPH = siteConditions.soilPH ?? null;
+  const profile = resolveObjective(objective, weights);
+  
   console.log('🌳 Generating recommendations with params:', {
     location: location?.city,
-    temp: climateData?.currentConditions?.temperature,
+    temp: climateData && getSiteTemperature(climateData),
     rainfall: climateData?.annualRainfall,
+    climateSource: climateData?.climateSource,
     soil: imageAnalysis?.soilType,
+    altitude,
+    soilPH,
+    objective: profile.id,
     useAI,
     relaxed,
-    manualLocation
+    manualLocation,
+    nursery: nurseryStock ? `${nurseryStock.name} (${nurseryMode})` : null
   });
   
   try {
     // Step 1: Get climate-compatible trees with optional relaxed criteria
-    const suitableTrees = await getSuitableTrees({
-      temperature: climateData.currentConditions.temperature,
+    const conditions = {
+      temperature: getSiteTemperature(climateData),
       rainfall: climateData.annualRainfall,
       soilType: imageAnalysis.soilType,
       latitude: location.coordinates.latitude,
       longitude: location.coordinates.longitude,
-      relaxed,
+      altitude,
+      soilPH,
+      countryCode: location.countryCode,
+      country: location.country,
+      region: location.state,
+      relaxedSoil: relaxed,
       toleranceBuffer
-    });
+    };
+    const siteSuitableTrees = await getSuitableTrees(conditions);
     
-    console.log(`📊 Found ${suitableTrees.length} suitable trees`);
+    // Apply the objective's hard constraints
+    const { kept: objectiveTrees, excluded: objectiveExcluded } =
+      applyObjectiveConstraints(siteSuitableTrees, profile);
+    // Limit to (or flag) what the partner nursery can supply
+    const { kept: suitableTrees, excluded: nurseryExcluded } =
+      applyNurseryStock(objectiveTrees, nurseryStock, nurseryMode);
+    const filteredOut = [
+      ...getExcludedSpecies(conditions, siteSuitableTrees),
+      ...objectiveExcluded,
+      ...nurseryExcluded
+    ];
+    
+    console.log(`📊 Found ${suitableTrees.length} suitable trees (${profile.name} objective)`);
     
     if (suitableTrees.length === 0) {
       console.warn('⚠️ No suitable trees found');
       return {
         success: false,
-        error: manualLocation 
-          ? 'No suitable trees found for this location. Try a different location or check climate data.'
-          : 'No suitable trees found. Please enable GPS and take a new photo.',
+        error: objectiveTrees.length > 0
+          ? `${nurseryStock?.name} cannot supply any of the suitable species. Flag unavailable species instead, or import another stock list.`
+          : siteSuitableTrees.length > 0
+            ? `No suitable trees meet the ${profile.name} objective. Try a different objective.`
+            : manualLocation 
+              ? 'No suitable trees found for this location. Try a different location or check climate data.'
+              : 'No suitable trees found. Please enable GPS and take a new photo.',
+        excludedSpecies: filteredOut,
         fallbackTrees: TREE_DATABASE.slice(0, 3)
       };
     }
     
     // Step 2: Calculate basic compatibility scores
-    const scoredTrees = suitableTrees.map(tree => {
-      const score = calculateCompatibilityScore(tree, {
-        location,
-        climate: climateData,
-        imageAnalysis
-      });
-      return { ...tree, compatibilityScore: score };
-    });
+    const scoredTrees = suitableTrees.map(tree => scoreTree(tree, {
+      location,
+      climate: climateData,
+      imageAnalysis,
+      siteConditions,
+      weights: profile.weights,
+      useKeywords: profile.useKeywords
+    }));
     
     // Sort by score
     scoredTrees.sort((a, b) => b.compatibilityScore - a.compatibilityScore);
@@ -107,7 +162,10 @@ export const generateRecommendations = async (params) => {
               tree.aiAdvice = aiRanking.specificAdvice;
               tree.aiRank = aiRanking.rank;
               // Boost the score with AI input
-              tree.finalScore = (tree.compatibilityScore * 0.4) + (aiRanking.compatibilityScore * 0.6);
+              tree.finalScore = (tree.compatibilityScore * (1 - AI_SCORE_WEIGHT)) +
+                (aiRanking.compatibilityScore * AI_SCORE_WEIGHT);
+              tree.scoreBreakdown.aiScore = aiRanking.compatibilityScore;
+              tree.scoreBreakdown.aiWeight = AI_SCORE_WEIGHT;
             } else {
               tree.finalScore = tree.compatibilityScore;
             }
@@ -128,8 +186,42 @@ export const generateRecommendations = async (params) => {
       });
     }
     
-    // Step 4: Get top recommendations
-    const topRecommendations = scoredTrees.slice(0, CONFIG.TOP_RECOMMENDATIONS_COUNT);
+    // Step 4: Get top recommendations (or the chosen species, kept in rank order)
+    const isChosen = (tree, idx) => speciesIds?.length
+      ? speciesIds.includes(tree.id)
+      : idx < CONFIG.TOP_RECOMMENDATIONS_COUNT;
+    const topRecommendations = scoredTrees.filter(isChosen);
+    topRecommendations.forEach(tree => {
+      tree.scoreBreakdown.finalScore = tree.finalScore;
+    });
+    
+    if (topRecommendations.length === 0) {
+      return {
+        success: false,
+        error: 'None of the selected species are suitable for this site',
+        excludedSpecies: filteredOut
+      };
+    }
+    
+    // Suitable species that ranked below the cut-off (or were not chosen) are excluded too
+    const excludedSpecies = [
+      ...filteredOut,
+      ...scoredTrees.filter((tree, idx) => !isChosen(tree, idx)).map(tree => ({
+        id: tree.id,
+        commonName: tree.commonName,
+        scientificName: tree.scientificName,
+        reasons: [{
+          criterion: 'rank',
+          label: 'Ranking',
+          value: Math.round(tree.finalScore),
+          range: null,
+          unit: '',
+          message: speciesIds?.length
+            ? `Suitable (score ${Math.round(tree.finalScore)}), but not chosen for this mix`
+            : `Suitable, but its score of ${Math.round(tree.finalScore)} is outside the top ${CONFIG.TOP_RECOMMENDATIONS_COUNT}`
+        }]
+      }))
+    ];
     
     // Step 5: Enrich with API data if requested
     if (enrichWithAPIs && CONFIG.ENABLE_API_ENRICHMENT) {
@@ -145,13 +237,20 @@ export const generateRecommendations = async (params) => {
       topRecommendations,
       climateData,
       location,
-      aiEnhancedData?.data?.plantingStrategy
+      aiEnhancedData?.data?.plantingStrategy,
+      { successional: usesSuccessionalPlanting(plantingApproach, imageAnalysis) }
     );
+    if (density) {
+      plantingStrategy.density = `${Math.round(density)} trees/hectare`;
+      plantingStrategy.spacing = `${Math.sqrt(10000 / density).toFixed(1)} meters`;
+    }
     
     // Step 7: Calculate impact metrics
     const impactMetrics = calculateImpactMetrics(
       topRecommendations,
-      plantingStrategy.density
+      plantingStrategy.density,
+      plantingStrategy.mixRatio,
+      { economicAssumptions, hectares, schedule: plantingStrategy.schedule }
     );
     
     console.log('✅ Recommendations generated successfully:', {
@@ -163,6 +262,7 @@ export const generateRecommendations = async (params) => {
     return {
       success: true,
       recommendations: topRecommendations,
+      excludedSpecies,
       plantingStrategy,
       impactMetrics,
       aiEnhanced: !!aiEnhancedData?.success,
@@ -174,7 +274,28 @@ export const generateRecommendations = async (params) => {
         generatedAt: new Date().toISOString(),
         aiTokensUsed: aiEnhancedData?.tokensUsed || 0,
         locationSource: manualLocation ? 'manual' : 'gps',
-        relaxedMode: relaxed
+        climateSource: climateData.climateSource || 'forecast',
+        objective: {
+          id: profile.id,
+          name: profile.name,
+          weights: profile.weights,
+          customWeights: profile.customWeights,
+          constraints: profile.constraints
+        },
+        siteConditions: {
+          altitude,
+          altitudeSource: siteConditions.altitudeSource || null,
+          soilPH,
+          soilPHSource: siteConditions.soilPHSource || null
+        },
+        relaxedMode: relaxed,
+        toleranceBuffer,
+        speciesIds,
+        densityOverride: density,
+        plantingApproach,
+        nursery: nurseryStock
+          ? { name: nurseryStock.name, mode: nurseryMode, speciesListed: nurseryStock.items.length }
+          : null
       }
     };
     
@@ -189,73 +310,351 @@ export const generateRecommendations = async (params) => {
 };
 
 /**
- * Calculate compatibility score for a tree
+ * Get the representative site temperature for species matching
+ * Prefers the long-term mean from climate normals over the current reading
+ * @param {Object} climate - Merged climate data and analysis
+ * @returns {number} Temperature in °C
+ */
+const getSiteTemperature = (climate) => {
+  if (climate.climateSource === 'normals' && climate.temperatureStats?.average !== undefined) {
+    return climate.temperatureStats.average;
+  }
+  return climate.currentConditions.temperature;
+};
+
+const GROWTH_RATE_SCORES = {
+  'very-fast': 1,
+  'fast': 0.8,
+  'moderate': 0.5,
+  'slow': 0.25
+};
+
+// Soil moisture levels (from climateService) that suit each water-needs class
+const SUITED_MOISTURE_LEVELS = {
+  'very-low': ['dry'],
+  'low': ['dry'],
+  'moderate': ['moderate', 'moist'],
+  'moderate-high': ['moderate', 'moist'],
+  'high': ['moist', 'wet']
+};
+
+const AI_SCORE_WEIGHT = 0.6; // Share of the final score taken from the AI ranking
+const RANGE_EDGE_PENALTY = 0.6; // Share of a factor's points lost at the edge of a species range
+
+/**
+ * Score how close a value sits to the middle of a species range
+ * Full points at the midpoint, falling to 40% at the range edges and zero outside
+ * @param {number} value - Site value
+ * @param {Object} range - Species range ({ min, max })
+ * @param {number} maxPoints - Points available
+ * @returns {number} Points earned
+ */
+const scoreRangeFit = (value, range, maxPoints) => {
+  if (value < range.min || value > range.max) return 0;
+  
+  const halfWidth = (range.max - range.min) / 2;
+  if (halfWidth <= 0) return maxPoints;
+  
+  const deviation = Math.abs(value - (range.min + range.max) / 2);
+  return maxPoints * (1 - RANGE_EDGE_PENALTY * (deviation / halfWidth));
+};
+
+/**
+ * Describe where a site value falls within a species range
+ * @param {number} value - Site value
+ * @param {Object} range - Species range ({ min, max })
+ * @param {string} unit - Display unit
+ * @returns {string} Explanation
+ */
+const describeRangeFit = (value, range, unit) => {
+  const shown = `${Math.round(value * 10) / 10}${unit}`;
+  const span = `${range.min}–${range.max}${unit}`;
+  
+  if (value < range.min) return `${shown} is below the species range ${span}`;
+  if (value > range.max) return `${shown} is above the species range ${span}`;
+  
+  const optimum = Math.round(((range.min + range.max) / 2) * 10) / 10;
+  return `${shown} is within ${span} (optimum ${optimum}${unit})`;
+};
+
+/**
+ * Resolve the objective profile and scoring weights for a run
+ * Custom weights override the profile's weights factor by factor
+ * @param {string} objective - Objective profile ID
+ * @param {Object|null} weights - Custom weights
+ * @returns {Object} Profile with resolved weights
+ */
+export const resolveObjective = (objective = DEFAULT_OBJECTIVE, weights = null) => {
+  const profile = getObjectiveProfile(objective);
+  return {
+    ...profile,
+    weights: { ...profile.weights, ...(weights || {}) },
+    customWeights: !!weights
+  };
+};
+
+/**
+ * Find the species benefits that match an objective's use keywords
  * @param {Object} tree - Tree data
- * @param {Object} context - Environmental context
- * @returns {number} Compatibility score (0-100)
+ * @param {Array<string>} keywords - Use keywords
+ * @returns {Array<string>} Matching benefits
  */
-const calculateCompatibilityScore = (tree, context) => {
-  let score = 100;
-  const { location, climate, imageAnalysis } = context;
+const getMatchingUses = (tree, keywords = []) => {
+  return (tree.benefits || []).filter(benefit =>
+    keywords.some(keyword => benefit.toLowerCase().includes(keyword))
+  );
+};
+
+/**
+ * Split trees into those meeting an objective's hard constraints and those excluded
+ * @param {Array} trees - Candidate trees
+ * @param {Object} profile - Resolved objective profile
+ * @returns {Object} { kept, excluded } with exclusion reasons
+ */
+export const applyObjectiveConstraints = (trees, profile) => {
+  const { constraints = {}, useKeywords = [] } = profile;
+  const kept = [];
+  const excluded = [];
   
-  // Temperature compatibility (30 points)
-  const temp = climate.currentConditions.temperature;
-  const tempMid = (tree.tempRange.min + tree.tempRange.max) / 2;
-  const tempDeviation = Math.abs(temp - tempMid);
-  const tempMaxDeviation = (tree.tempRange.max - tree.tempRange.min) / 2;
-  const tempScore = Math.max(0, 30 - (tempDeviation / tempMaxDeviation) * 30);
-  score = score - 30 + tempScore;
+  trees.forEach(tree => {
+    const reasons = [];
+    const reason = (value, range, message) => reasons.push({
+      criterion: 'objective',
+      label: `${profile.name} objective`,
+      value,
+      range,
+      unit: '',
+      message
+    });
+    
+    if (constraints.minCarbonSequestration !== undefined &&
+        tree.carbonSequestration < constraints.minCarbonSequestration) {
+      reason(tree.carbonSequestration, { min: constraints.minCarbonSequestration },
+        `Sequesters ${tree.carbonSequestration} kg CO₂/year, below the required ${constraints.minCarbonSequestration}`);
+    }
+    if (constraints.minBiodiversityValue !== undefined &&
+        tree.biodiversityValue < constraints.minBiodiversityValue) {
+      reason(tree.biodiversityValue, { min: constraints.minBiodiversityValue },
+        `Biodiversity value ${tree.biodiversityValue}/100 is below the required ${constraints.minBiodiversityValue}`);
+    }
+    if (constraints.requireUseMatch && getMatchingUses(tree, useKeywords).length === 0) {
+      reason(null, useKeywords,
+        `None of its benefits match ${useKeywords.join(', ')}`);
+    }
+    if (constraints.excludeGrowthRates?.includes(tree.growthRate)) {
+      reason(tree.growthRate, constraints.excludeGrowthRates,
+        `${tree.growthRate} growth is excluded for this objective`);
+    }
+    if (constraints.excludeWaterNeeds?.includes(tree.waterNeeds)) {
+      reason(tree.waterNeeds, constraints.excludeWaterNeeds,
+        `${tree.waterNeeds} water use is excluded for this objective`);
+    }
+    
+    if (reasons.length) {
+      excluded.push({
+        id: tree.id,
+        commonName: tree.commonName,
+        scientificName: tree.scientificName,
+        reasons
+      });
+    } else {
+      kept.push(tree);
+    }
+  });
   
-  // Rainfall compatibility (25 points)
-  const rainfall = climate.annualRainfall;
-  if (rainfall < tree.rainfallRange.min || rainfall > tree.rainfallRange.max) {
-    score -= 25;
-  } else {
-    const rainMid = (tree.rainfallRange.min + tree.rainfallRange.max) / 2;
-    const rainDeviation = Math.abs(rainfall - rainMid);
-    const rainMaxDeviation = (tree.rainfallRange.max - tree.rainfallRange.min) / 2;
-    const rainScore = Math.max(0, 25 - (rainDeviation / rainMaxDeviation) * 25);
-    score = score - 25 + rainScore;
-  }
+  return { kept, excluded };
+};
+
+/**
+ * Calculate the points each factor contributes to a tree's compatibility
+ * Factors without site data (e.g. unknown altitude) are marked as not evaluated;
+ * factors with no weight in the objective profile are left out
+ * @param {Object} tree - Tree data
+ * @param {Object} context - Environmental context (weights/useKeywords default to the balanced profile)
+ * @returns {Array} Scoring factors ({ key, label, points, maxPoints, evaluated, value, range, unit, detail })
+ */
+const calculateScoreFactors = (tree, context) => {
+  const { location, climate, imageAnalysis, siteConditions = {} } = context;
+  const defaultProfile = getObjectiveProfile(DEFAULT_OBJECTIVE);
+  const weights = context.weights || defaultProfile.weights;
+  const useKeywords = context.useKeywords || defaultProfile.useKeywords;
   
-  // Soil compatibility (15 points)
-  if (tree.soilTypes.includes(imageAnalysis.soilType.toLowerCase())) {
-    score += 0; // Keep the points
-  } else {
-    score -= 15;
-  }
+  // share: fraction (0-1) of the factor's points earned
+  const factor = (key, label, share, { evaluated = true, value = null, range = null, unit = '', detail = '' } = {}) => ({
+    key,
+    label,
+    points: evaluated ? Math.round(share * (weights[key] || 0) * 10) / 10 : 0,
+    maxPoints: weights[key] || 0,
+    evaluated,
+    value,
+    range,
+    unit,
+    detail
+  });
+  const rangeFactor = (key, label, value, range, unit) => {
+    const evaluated = value !== null && value !== undefined && !!range;
+    return factor(key, label, evaluated ? scoreRangeFit(value, range, 1) : 0, {
+      evaluated,
+      value: evaluated ? Math.round(value * 10) / 10 : null,
+      range,
+      unit,
+      detail: evaluated
+        ? describeRangeFit(value, range, unit)
+        : range ? 'No site data available' : 'No species range recorded'
+    });
+  };
   
-  // Soil moisture compatibility (10 points)
-  const moistureLevel = climate.soilMoisture?.level || 'moderate';
-  if (
-    (tree.waterNeeds === 'low' && moistureLevel === 'dry') ||
-    (tree.waterNeeds === 'moderate' && (moistureLevel === 'moderate' || moistureLevel === 'moist')) ||
-    (tree.waterNeeds === 'high' && (moistureLevel === 'moist' || moistureLevel === 'wet'))
-  ) {
-    // Good match - keep points
-  } else {
-    score -= 10;
-  }
+  const siteTemperature = getSiteTemperature(climate);
+  const soilType = imageAnalysis.soilType.toLowerCase();
   
-  // Native species bonus (10 points)
-  if (tree.nativeBonus) {
-    score += tree.nativeBonus;
-  } else if (tree.nativeRegions?.some(region => 
-    location.country?.toLowerCase().includes(region.toLowerCase()) ||
-    location.region?.toLowerCase().includes(region.toLowerCase())
-  )) {
-    score += 10;
-  }
+  // Soil moisture match
+  const moistureLevel = climate.soilMoisture?.level || 'moderate';
+  const moistureMatch = !!SUITED_MOISTURE_LEVELS[tree.waterNeeds]?.includes(moistureLevel);
   
-  // Biodiversity value (5 points)
-  score += (tree.biodiversityValue / 100) * 5;
+  // Nativeness and local presence, graded by getSuitableTrees; trees added
+  // another way (fallbacks, hand-built mixes) are graded from the catalogue
+  const nativeness = tree.nativeness || assessNativeness(tree, {
+    countryCode: location.countryCode,
+    country: location.country,
+    region: location.state
+  });
   
-  // Carbon sequestration (5 points)
   const maxCarbon = 70; // Maximum realistic value in database
-  score += (tree.carbonSequestration / maxCarbon) * 5;
+  const growthShare = GROWTH_RATE_SCORES[tree.growthRate] ?? 0.5;
+  const matchingUses = getMatchingUses(tree, useKeywords);
   
-  // Ensure score is within bounds
-  return Math.max(0, Math.min(100, score));
+  return [
+    rangeFactor('temperature', 'Temperature', siteTemperature, tree.tempRange, '°C'),
+    rangeFactor('rainfall', 'Rainfall', climate.annualRainfall, tree.rainfallRange, ' mm/year'),
+    rangeFactor('altitude', 'Altitude', siteConditions.altitude ?? null, tree.altitudeRange, ' m'),
+    factor('soilType', 'Soil type', tree.soilTypes.includes(soilType) ? 1 : 0, {
+      value: soilType,
+      range: tree.soilTypes,
+      detail: tree.soilTypes.includes(soilType)
+        ? `${soilType} is one of the species' soil types`
+        : `${soilType} is not one of the species' soil types (accepted in relaxed mode)`
+    }),
+    rangeFactor('soilPH', 'Soil pH', siteConditions.soilPH ?? null, tree.soilPH, ''),
+    factor('moisture', 'Soil moisture', moistureMatch ? 1 : 0, {
+      value: moistureLevel,
+      range: tree.waterNeeds,
+      detail: `${moistureLevel} soil ${moistureMatch ? 'suits' : 'does not suit'} a species with ${tree.waterNeeds} water needs`
+    }),
+    factor('native', 'Native species', nativeness.score, {
+      value: location.country || null,
+      range: tree.nativeRegions || [],
+      detail: `${nativeness.summary} (${nativeness.confidence} confidence)`
+    }),
+    factor('biodiversity', 'Biodiversity value', tree.biodiversityValue / 100, {
+      value: tree.biodiversityValue,
+      range: { min: 0, max: 100 },
+      detail: `Biodiversity value ${tree.biodiversityValue}/100`
+    }),
+    factor('carbon', 'Carbon sequestration', Math.min(1, tree.carbonSequestration / maxCarbon), {
+      value: tree.carbonSequestration,
+      range: { min: 0, max: maxCarbon },
+      unit: ' kg CO₂/year',
+      detail: `${tree.carbonSequestration} kg CO₂/year against a database maximum of ${maxCarbon}`
+    }),
+    factor('growthRate', 'Growth rate', growthShare, {
+      value: tree.growthRate,
+      range: Object.keys(GROWTH_RATE_SCORES),
+      detail: `${tree.growthRate} growth earns ${Math.round(growthShare * 100)}% of the points`
+    }),
+    factor('nitrogen', 'Nitrogen fixing', tree.nitrogenFixing ? 1 : 0, {
+      value: tree.nitrogenFixing ? 'yes' : 'no',
+      detail: tree.nitrogenFixing ? 'Fixes nitrogen and improves degraded soil' : 'Does not fix nitrogen'
+    }),
+    factor('uses', 'Objective uses', useKeywords.length ? Math.min(1, matchingUses.length / 2) : 0, {
+      value: matchingUses.length ? matchingUses.join(', ') : null,
+      range: useKeywords,
+      detail: matchingUses.length
+        ? `Benefits matching the objective: ${matchingUses.join(', ')}`
+        : 'No benefits match the objective'
+    })
+  ].filter(f => f.maxPoints > 0);
+};
+
+/**
+ * Combine scoring factors into a 0-100 score
+ * Only evaluated factors count towards the maximum
+ * @param {Array} factors - Scoring factors
+ * @returns {number} Compatibility score (0-100)
+ */
+const sumScoreFactors = (factors) => {
+  const evaluated = factors.filter(f => f.evaluated);
+  const maxPoints = evaluated.reduce((sum, f) => sum + f.maxPoints, 0);
+  const points = evaluated.reduce((sum, f) => sum + f.points, 0);
+  
+  if (maxPoints === 0) return 0;
+  return Math.max(0, Math.min(100, (points / maxPoints) * 100));
+};
+
+/**
+ * Calculate compatibility score for a tree
+ * @param {Object} tree - Tree data
+ * @param {Object} context - Environmental context
+ * @returns {number} Compatibility score (0-100)
+ */
+const calculateCompatibilityScore = (tree, context) => {
+  return sumScoreFactors(calculateScoreFactors(tree, context));
+};
+
+/**
+ * Score a tree for a site and attach the score breakdown
+ * @param {Object} tree - Tree data
+ * @param {Object} context - Environmental context (see calculateScoreFactors)
+ * @returns {Object} Tree with compatibilityScore, scoreBreakdown and regulatoryStatus (null if unrestricted)
+ */
+export const scoreTree = (tree, context) => {
+  const scoreFactors = calculateScoreFactors(tree, context);
+  const compatibilityScore = sumScoreFactors(scoreFactors);
+  return {
+    ...tree,
+    regulatoryStatus: getRegulatoryStatus(tree, {
+      countryCode: context.location?.countryCode,
+      region: context.location?.state
+    }),
+    compatibilityScore,
+    scoreBreakdown: {
+      factors: scoreFactors,
+      ruleScore: compatibilityScore,
+      aiScore: null,
+      aiWeight: 0
+    }
+  };
+};
+
+/**
+ * Check a species against the site's climate, altitude, soil and jurisdiction
+ * Uses the same ranges as the suitability filters, without any tolerance
+ * @param {Object} tree - Tree data
+ * @param {Object} context - { location, climateData, imageAnalysis, siteConditions }
+ * @returns {Array} Reasons the site is outside the species' envelope (or bans it), empty if it fits
+ */
+export const checkSpeciesFit = (tree, { location, climateData, imageAnalysis, siteConditions = {} }) => {
+  return getExclusionReasons(tree, {
+    temperature: getSiteTemperature(climateData),
+    rainfall: climateData.annualRainfall,
+    soilType: imageAnalysis?.soilType,
+    altitude: siteConditions?.altitude ?? null,
+    soilPH: siteConditions?.soilPH ?? null,
+    countryCode: location?.countryCode,
+    region: location?.state
+  });
+};
+
+/**
+ * Keep proposed planting months that fall inside the planting windows
+ * @param {Array} months - Proposed month names (e.g. from the AI strategy)
+ * @param {Array} windowMonths - Month names covered by the site's planting windows
+ * @returns {Array} Proposed months inside the windows; the window months if none
+ *   are, or the proposed months when the site has no windows
+ */
+const restrictToPlantingWindows = (months, windowMonths) => {
+  if (!windowMonths.length) return months || [];
+  const inside = (months || []).filter(month => windowMonths.includes(month));
+  return inside.length ? inside : windowMonths;
 };
 
 /**
@@ -264,16 +663,29 @@ const calculateCompatibilityScore = (tree, context) => {
  * @param {Object} climateData - Climate information
  * @param {Object} location - Location data
  * @param {Object} aiStrategy - AI-generated strategy (optional)
+ * @param {Object} options - { successional } plant pioneers first and enrichment species later
  * @returns {Object} Planting strategy
  */
-const generatePlantingStrategy = (trees, climateData, location, aiStrategy = null) => {
+const generatePlantingStrategy = (trees, climateData, location, aiStrategy = null, options = {}) => {
+  // Planting windows always come from the site's own rainfall seasons
+  const seasonality = climateData.suitability?.seasonality || null;
+  const plantingWindows = seasonality?.plantingWindows || [];
+  const windowMonths = [...new Set(plantingWindows.flatMap(window => window.months))];
+  const mixRatio = calculateMixRatio(trees);
+  const schedule = createPlantingSchedule(trees, mixRatio, { successional: options.successional });
+  
   // Use AI strategy if available
   if (aiStrategy) {
     return {
       density: aiStrategy.density,
-      bestMonths: aiStrategy.bestMonths,
+      // AI months only where they fall inside the site's planting windows
+      bestMonths: restrictToPlantingWindows(aiStrategy.bestMonths, windowMonths),
       spacing: aiStrategy.spacing,
-      mixRatio: calculateMixRatio(trees),
+      mixRatio,
+      functionalDiversity: summarizeFunctionalDiversity(trees, mixRatio),
+      schedule,
+      plantingWindows,
+      seasonality,
       source: 'ai'
     };
   }
@@ -294,9 +706,10 @@ const generatePlantingStrategy = (trees, climateData, location, aiStrategy = nul
     density = '400-500 trees/hectare'; // Slow growing, denser
   }
   
-  // Best planting months based on climate
-  const bestMonths = climateData.suitability?.bestPlantingMonths || 
-    ['March', 'April', 'May', 'October', 'November'];
+  // Best planting months from the planting windows, else the climate summary
+  const bestMonths = windowMonths.length
+    ? windowMonths
+    : climateData.suitability?.bestPlantingMonths || ['March', 'April', 'May', 'October', 'November'];
   
   // Spacing based on average max height
   const avgHeight = trees.reduce((sum, t) => sum + t.maxHeight, 0) / trees.length;
@@ -310,67 +723,122 @@ const generatePlantingStrategy = (trees, climateData, location, aiStrategy = nul
     density,
     bestMonths,
     spacing,
-    mixRatio: calculateMixRatio(trees),
+    mixRatio,
+    functionalDiversity: summarizeFunctionalDiversity(trees, mixRatio),
+    schedule,
+    plantingWindows,
+    seasonality,
     source: 'rules'
   };
 };
 
 /**
  * Calculate recommended species mix ratio
+ * Balances nitrogen fixers, canopy and pioneer species and family shares
+ * (see MIX_DESIGN_RULES); locked shares from a hand-built mix are kept as set
  * @param {Array} trees - Recommended trees
+ * @param {Object} lockedShares - Percentage per locked tree commonName (optional)
  * @returns {Object} Mix ratios
  */
-const calculateMixRatio = (trees) => {
-  if (trees.length === 0) return {};
-  
-  const total = 100;
-  const ratios = {};
-  
-  // Primary tree gets 40-50%
-  ratios[trees[0].commonName] = 45;
-  
-  // Distribute rest among others
-  const remaining = total - 45;
-  const othersCount = Math.min(trees.length - 1, 3);
-  
-  for (let i = 1; i <= othersCount; i++) {
-    const share = Math.floor(remaining / othersCount);
-    ratios[trees[i].commonName] = share;
-  }
-  
-  return ratios;
+export const calculateMixRatio = (trees, lockedShares = null) => {
+  return designEcologicalMix(trees, { lockedShares: lockedShares || {} });
 };
 
 /**
- * Calculate environmental impact metrics
+ * Scale per-hectare results to a site: tree counts, seedling order and carbon totals
  * @param {Array} trees - Selected trees
- * @param {string} densityStr - Planting density string
- * @returns {Object} Impact metrics
+ * @param {Object} mixRatio - Percentage per tree commonName
+ * @param {number} density - Trees per hectare
+ * @param {number} hectares - Site area
+ * @param {Object} projection - Per-hectare carbon projection
+ * @param {Object} plantingYears - Project year each species is planted
+ * @returns {Object} Site totals
  */
-const calculateImpactMetrics = (trees, densityStr) => {
-  // Extract numeric density (take midpoint of range)
+const calculateSiteTotals = (trees, mixRatio, density, hectares, projection, plantingYears = {}) => {
+  // Spare seedlings to replace first-year losses
+  const spareShare = 1 - ESTABLISHMENT_SURVIVAL;
+
+  const seedlingOrder = getMixShares(trees, mixRatio, density).map(({ tree, planted }) => {
+    const count = Math.round(planted * hectares);
+    const spares = Math.ceil(count * spareShare);
+    return {
+      id: tree.id,
+      commonName: tree.commonName,
+      plantingYear: plantingYears[tree.commonName] || 0,
+      trees: count,
+      spares,
+      total: count + spares
+    };
+  });
+
+  return {
+    areaHectares: hectares,
+    totalTrees: seedlingOrder.reduce((sum, entry) => sum + entry.trees, 0),
+    totalSeedlings: seedlingOrder.reduce((sum, entry) => sum + entry.total, 0),
+    seedlingOrder,
+    carbon: Object.fromEntries(
+      Object.entries(projection.horizons).map(([key, stock]) => [key, Math.round(stock * hectares)])
+    ),
+    unit: 'kg CO2'
+  };
+};
+
+// Numeric density from a density string (midpoint of a range, or a single figure)
+const parseDensity = (densityStr) => {
   const densityMatch = densityStr.match(/(\d+)-(\d+)/);
-  const density = densityMatch 
+  const singleMatch = densityStr.match(/(\d+)/);
+  return densityMatch
     ? (parseInt(densityMatch[1]) + parseInt(densityMatch[2])) / 2
-    : 400;
+    : singleMatch ? parseInt(singleMatch[1]) : 400;
+};
+
+/**
+ * Calculate environmental impact metrics
+ * Carbon follows each species' growth curve, weighted by the mix ratio.
+ * P10/P50/P90 ranges are simulated separately (see simulateImpactRanges)
+ * @param {Array} trees - Selected trees
+ * @param {string} densityStr - Planting density string
+ * @param {Object} mixRatio - Percentage per tree commonName
+ * @param {Object} options - { economicAssumptions, hectares, schedule } (site area scales totals and
+ *   costs; a successional schedule delays later phases in the carbon and cost projections)
+ * @returns {Object} Impact metrics (carbon per hectare, economics for the whole site)
+ */
+const calculateImpactMetrics = (trees, densityStr, mixRatio = {}, options = {}) => {
+  const { economicAssumptions = null, hectares = null, schedule = null } = options;
+  const plantingYears = getPlantingYears(schedule);
+  const density = parseDensity(densityStr);
   
   // Calculate for 1 hectare
-  const avgCarbonPerTree = trees.reduce((sum, t) => sum + t.carbonSequestration, 0) / trees.length;
-  const totalCarbonYear1 = Math.round(avgCarbonPerTree * density);
-  const totalCarbon10Years = Math.round(totalCarbonYear1 * 10 * 0.95); // 5% mortality
+  const projection = projectMixCarbon(trees, mixRatio, density, { plantingYears });
+  const totalCarbonYear1 = projection.horizons.year1 ?? projection.yearly[0].stock;
+  const totalCarbon10Years = projection.horizons.year10;
+  // Average yearly capture per planted tree over the first 10 years
+  const avgCarbonPerTree = totalCarbon10Years / density / 10;
   
   const avgBiodiversity = Math.round(
     trees.reduce((sum, t) => sum + t.biodiversityValue, 0) / trees.length
   );
   
-  // Calculate ecosystem service value (simplified)
-  const economicValue = totalCarbon10Years * 10; // $10 per ton CO2
+  // Cash flows from the cost sheet and the mix's revenue streams
+  const economics = calculateCashFlows(trees, mixRatio, density, {
+    assumptions: economicAssumptions,
+    hectares: hectares || 1,
+    plantingYears
+  });
   
   return {
     carbonSequestration: {
       year1: totalCarbonYear1,
+      year5: projection.horizons.year5,
       year10: totalCarbon10Years,
+      year20: projection.horizons.year20,
+      year40: projection.horizons.year40,
       perTree: Math.round(avgCarbonPerTree),
+      timeline: projection.yearly.map(({ year, stock, bySpecies }) => ({ year, stock, bySpecies })),
+      bySpecies: projection.species,
+      // Species projected with a generic growth-rate curve rather than fitted parameters
+      genericCurveSpecies: projection.species.filter(entry => entry.genericModel).map(entry => entry.commonName),
+      model: 'Chapman-Richards growth + Chave et al. (2014) allometry',
       unit: 'kg CO2'
     },
     biodiversity: {
@@ -379,14 +847,23 @@ const calculateImpactMetrics = (trees, densityStr) => {
     },
     density: {
       treesPerHectare: Math.round(density),
-      survivalRate: 95
+      survivalRate: Math.round(getSurvivalShare(10) * 100)
     },
     economicValue: {
-      carbonCredits: economicValue,
-      timber: Math.round(density * 50), // Simplified timber value
-      total: Math.round(economicValue + (density * 50)),
-      currency: 'USD'
+      carbonCredits: economics.totals.revenues.carbon,
+      timber: economics.totals.revenues.timber,
+      fruit: economics.totals.revenues.fruit,
+      fodder: economics.totals.revenues.fodder,
+      total: economics.totals.totalRevenue,
+      totalCost: economics.totals.totalCost,
+      npv: economics.npv,
+      irr: economics.irr,
+      paybackYear: economics.paybackYear,
+      horizonYears: economics.assumptions.projectYears,
+      currency: economics.assumptions.currency
     },
+    economics,
+    site: hectares ? calculateSiteTotals(trees, mixRatio, density, hectares, projection, plantingYears) : null,
     ecosystem: {
       soilImprovement: trees.some(t => t.nitrogenFixing) ? 'high' : 'moderate',
       waterRetention: 'moderate',
@@ -395,9 +872,35 @@ const calculateImpactMetrics = (trees, densityStr) => {
   };
 };
 
+/**
+ * Simulate P10/P50/P90 ranges for impact metrics by sampling survival, growth
+ * and climate variability, off the main thread
+ * @param {Array} trees - Selected trees
+ * @param {string} densityStr - Planting density string
+ * @param {Object} mixRatio - Percentage per tree commonName
+ * @param {Object} options - { economicAssumptions, hectares, schedule } as for calculateImpactMetrics
+ * @returns {Promise<Object>} Ranges for impactMetrics.uncertainty
+ */
+const simulateImpactRanges = (trees, densityStr, mixRatio = {}, options = {}) => {
+  const { economicAssumptions = null, hectares = null, schedule = null } = options;
+  return simulateImpactInBackground(trees, mixRatio, parseDensity(densityStr), {
+    economicAssumptions,
+    hectares: hectares || 1,
+    plantingYears: getPlantingYears(schedule)
+  });
+};
+
 export default {
   generateRecommendations,
   calculateCompatibilityScore,
+  calculateScoreFactors,
+  resolveObjective,
+  applyObjectiveConstraints,
   generatePlantingStrategy,
-  calculateImpactMetrics
+  calculateMixRatio,
+  calculateImpactMetrics,
+  simulateImpactRanges,
+  getSiteTemperature,
+  scoreTree,
+  checkSpeciesFit
 };
\ No newline at end of file
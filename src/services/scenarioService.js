@@ -0,0 +1,197 @@
+/**
+ * Scenario Service
+ * What-if variants of one site's plan: each scenario keeps its own
+ * parameters (objective, relaxed mode, tolerance, density, species) and
+ * results so they can be compared and one promoted to the final plan
+ */
+
+import recommendationService from './recommendationService';
+import { getObjectiveProfile } from '../constants/objectiveProfiles';
+
+export const MAX_SCENARIOS = 6;
+
+// Metrics compared between scenarios; `better` marks which direction is an improvement
+export const SCENARIO_METRICS = [
+  { key: 'speciesCount', label: 'Species in mix', better: 'high' },
+  { key: 'treesPerHectare', label: 'Density', unit: 'trees/ha' },
+  { key: 'averageScore', label: 'Average site fit', unit: '/100', better: 'high' },
+  { key: 'survivalRate', label: 'Survival at year 10', unit: '%', better: 'high' },
+  { key: 'carbonYear10', label: 'Carbon at year 10', unit: 't CO₂/ha', better: 'high' },
+  { key: 'carbonYear40', label: 'Carbon at year 40', unit: 't CO₂/ha', better: 'high' },
+  { key: 'biodiversityScore', label: 'Biodiversity score', better: 'high' },
+  { key: 'mixDesignScore', label: 'Mix design rules met', unit: '%', better: 'high' },
+  { key: 'totalCost', label: 'Total cost', money: true, better: 'low' },
+  { key: 'totalRevenue', label: 'Total revenue', money: true, better: 'high' },
+  { key: 'npv', label: 'NPV', money: true, better: 'high' }
+];
+
+/**
+ * Default parameters for a new scenario, starting from the current plan
+ * @param {Object} state - useReforestation state
+ * @returns {Object} Scenario parameters
+ */
+export const getDefaultScenarioParams = (state) => ({
+  objective: state.objective,
+  weights: state.customWeights,
+  relaxed: false,
+  toleranceBuffer: 0,
+  density: state.impactMetrics?.density?.treesPerHectare || null,
+  speciesIds: (state.recommendations || []).map(tree => tree.id)
+});
+
+/**
+ * Describe scenario parameters in one line
+ * @param {Object} params - Scenario parameters
+ * @returns {string} Summary such as "Carbon · 400/ha · relaxed ±5 · 3 species"
+ */
+export const describeScenarioParams = (params) => [
+  getObjectiveProfile(params.objective).name,
+  params.weights ? 'custom weights' : null,
+  params.density ? `${params.density}/ha` : null,
+  params.relaxed ? `relaxed ±${params.toleranceBuffer}` : null,
+  params.speciesIds?.length ? `${params.speciesIds.length} species` : null
+].filter(Boolean).join(' · ');
+
+/**
+ * Run the recommendation engine with a scenario's parameters
+ * @param {Object} params - Scenario parameters
+ * @param {Object} context - { location, climateData, imageAnalysis, siteConditions, economicAssumptions, hectares, manualLocation, plantingApproach, nurseryStock, nurseryMode }
+ * @returns {Promise<Object>} { success, result } or { success: false, error }
+ */
+export const runScenario = async (params, context) => {
+  const result = await recommendationService.generateRecommendations({
+    ...context,
+    objective: params.objective,
+    weights: params.weights,
+    relaxed: params.relaxed,
+    toleranceBuffer: params.relaxed ? params.toleranceBuffer : 0,
+    density: params.density,
+    speciesIds: params.speciesIds,
+    useAI: false
+  });
+
+  if (!result.success || !result.recommendations?.length) {
+    return { success: false, error: result.error || 'No suitable trees for this scenario' };
+  }
+
+  return {
+    success: true,
+    result: {
+      recommendations: result.recommendations,
+      excludedSpecies: result.excludedSpecies || [],
+      plantingStrategy: result.plantingStrategy,
+      impactMetrics: result.impactMetrics
+    }
+  };
+};
+
+/**
+ * Create a scenario record
+ * @param {string} name - Scenario name
+ * @param {Object} params - Scenario parameters
+ * @param {Object} result - Output of runScenario
+ * @returns {Object} Scenario
+ */
+export const createScenario = (name, params, result) => ({
+  id: `scenario-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name?.trim() || describeScenarioParams(params),
+  params,
+  result,
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Key figures for a scenario (or the current plan)
+ * @param {Object} result - { recommendations, plantingStrategy, impactMetrics }
+ * @returns {Object} Values keyed by SCENARIO_METRICS key, plus currency
+ */
+export const getScenarioMetrics = ({ recommendations = [], plantingStrategy, impactMetrics }) => {
+  const carbon = impactMetrics?.carbonSequestration || {};
+  const economicValue = impactMetrics?.economicValue || {};
+  const scores = recommendations.map(tree => tree.finalScore ?? tree.compatibilityScore).filter(Number.isFinite);
+
+  return {
+    speciesCount: recommendations.length,
+    treesPerHectare: impactMetrics?.density?.treesPerHectare ?? null,
+    averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    survivalRate: impactMetrics?.uncertainty?.survival?.year10?.p50 ?? impactMetrics?.density?.survivalRate ?? null,
+    carbonYear10: carbon.year10 != null ? Math.round(carbon.year10 / 1000) : null,
+    carbonYear40: carbon.year40 != null ? Math.round(carbon.year40 / 1000) : null,
+    biodiversityScore: impactMetrics?.biodiversity?.score ?? null,
+    mixDesignScore: plantingStrategy?.functionalDiversity?.score ?? null,
+    totalCost: economicValue.totalCost ?? null,
+    totalRevenue: economicValue.total ?? null,
+    npv: economicValue.npv ?? null,
+    currency: economicValue.currency || 'USD'
+  };
+};
+
+/**
+ * Compare two scenarios' species and metrics
+ * @param {Object} a - Baseline { recommendations, plantingStrategy, impactMetrics }
+ * @param {Object} b - Scenario compared against the baseline
+ * @returns {Object} { metrics: [{ key, label, a, b, delta, change }], species: { added, removed, kept } }
+ */
+export const diffScenarios = (a, b) => {
+  const metricsA = getScenarioMetrics(a);
+  const metricsB = getScenarioMetrics(b);
+
+  const metrics = SCENARIO_METRICS.map(metric => {
+    const valueA = metricsA[metric.key];
+    const valueB = metricsB[metric.key];
+    const delta = Number.isFinite(valueA) && Number.isFinite(valueB) ? valueB - valueA : null;
+    let change = 'same';
+    if (delta && metric.better) {
+      change = (delta > 0) === (metric.better === 'high') ? 'better' : 'worse';
+    } else if (delta) {
+      change = 'changed';
+    }
+    return { ...metric, a: valueA, b: valueB, delta, change };
+  });
+
+  const mixA = a.plantingStrategy?.mixRatio || {};
+  const mixB = b.plantingStrategy?.mixRatio || {};
+  const idsA = new Set(a.recommendations.map(tree => tree.id));
+  const idsB = new Set(b.recommendations.map(tree => tree.id));
+
+  const describe = (tree, rank, mix) => ({
+    id: tree.id,
+    commonName: tree.commonName,
+    rank,
+    score: Math.round(tree.finalScore ?? tree.compatibilityScore),
+    share: mix[tree.commonName] ?? 0
+  });
+
+  return {
+    metrics,
+    currency: metricsB.currency,
+    species: {
+      added: b.recommendations
+        .map((tree, idx) => describe(tree, idx + 1, mixB))
+        .filter(tree => !idsA.has(tree.id)),
+      removed: a.recommendations
+        .map((tree, idx) => describe(tree, idx + 1, mixA))
+        .filter(tree => !idsB.has(tree.id)),
+      kept: a.recommendations
+        .map((tree, idx) => {
+          if (!idsB.has(tree.id)) return null;
+          const rankB = b.recommendations.findIndex(other => other.id === tree.id);
+          const inB = describe(b.recommendations[rankB], rankB + 1, mixB);
+          const inA = describe(tree, idx + 1, mixA);
+          return { id: tree.id, commonName: tree.commonName, a: inA, b: inB };
+        })
+        .filter(Boolean)
+    }
+  };
+};
+
+export default {
+  MAX_SCENARIOS,
+  SCENARIO_METRICS,
+  getDefaultScenarioParams,
+  describeScenarioParams,
+  runScenario,
+  createScenario,
+  getScenarioMetrics,
+  diffScenarios
+};
@@ -0,0 +1,269 @@
+/**
+ * Seasonality Service
+ * Detects rainy seasons from monthly climate series and derives
+ * planting windows with a confidence rating
+ */
+
+import { MONTH_NAMES } from '../constants/calendar';
+
+const MIN_WET_MONTH_RAINFALL = 50; // mm - below this a month is never "wet"
+const WET_MONTH_FACTOR = 0.8; // Wet if rainfall >= 80% of the monthly mean
+const FROST_RISK_MIN_TEMP = 2; // °C mean minimum - too cold to plant
+const SEASON_SUCCESS_SHARE = 0.7; // Year counts as reliable at >= 70% of normal rain
+
+/**
+ * Determine the wet-month rainfall threshold for a series
+ * @param {Array} months - Monthly series ({ rainfall })
+ * @returns {number} Threshold in mm
+ */
+export const getWetMonthThreshold = (months) => {
+  const monthlyMean = months.reduce((sum, m) => sum + m.rainfall, 0) / months.length;
+  return Math.round(Math.max(MIN_WET_MONTH_RAINFALL, monthlyMean * WET_MONTH_FACTOR));
+};
+
+/**
+ * Find contiguous runs of wet months, wrapping December into January
+ * @param {Array<boolean>} wetFlags - Wet flag per month (length 12)
+ * @returns {Array<Array<number>>} Runs of month indexes
+ */
+const findWetRuns = (wetFlags) => {
+  if (wetFlags.every(Boolean)) {
+    return [MONTH_NAMES.map((_, idx) => idx)];
+  }
+
+  // Start scanning just after a dry month so wrapped runs stay whole
+  const start = (wetFlags.indexOf(false) + 1) % 12;
+  const runs = [];
+  let current = [];
+
+  for (let i = 0; i < 12; i++) {
+    const month = (start + i) % 12;
+    if (wetFlags[month]) {
+      current.push(month);
+    } else if (current.length) {
+      runs.push(current);
+      current = [];
+    }
+  }
+  if (current.length) runs.push(current);
+
+  return runs;
+};
+
+/**
+ * Estimate how reliably a season delivers its rain from year-by-year totals
+ * @param {Array} months - Monthly series with rainfallByYear
+ * @param {Array<number>} seasonMonths - Month indexes in the season
+ * @param {number} threshold - Wet month threshold
+ * @returns {Object} Season and onset reliability (0-1), or nulls when no yearly data
+ */
+const calculateSeasonReliability = (months, seasonMonths, threshold) => {
+  const onsetSeries = months[seasonMonths[0]].rainfallByYear || [];
+  if (!onsetSeries.length) {
+    return { reliability: null, onsetReliability: null, yearsAnalysed: 0 };
+  }
+
+  // Sum each year's season rainfall (a season that wraps the new year uses the onset year)
+  const totalsByYear = {};
+  seasonMonths.forEach((monthIdx, position) => {
+    const wraps = position > 0 && monthIdx < seasonMonths[0];
+    (months[monthIdx].rainfallByYear || []).forEach(({ year, rainfall }) => {
+      const seasonYear = wraps ? year - 1 : year;
+      totalsByYear[seasonYear] = totalsByYear[seasonYear] || { total: 0, count: 0 };
+      totalsByYear[seasonYear].total += rainfall;
+      totalsByYear[seasonYear].count += 1;
+    });
+  });
+
+  const completeYears = Object.values(totalsByYear).filter(y => y.count === seasonMonths.length);
+  const normalTotal = seasonMonths.reduce((sum, idx) => sum + months[idx].rainfall, 0);
+  const reliableYears = completeYears.filter(y => y.total >= normalTotal * SEASON_SUCCESS_SHARE);
+  const timelyOnsets = onsetSeries.filter(r => r.rainfall >= threshold);
+
+  return {
+    reliability: completeYears.length ? reliableYears.length / completeYears.length : null,
+    onsetReliability: timelyOnsets.length / onsetSeries.length,
+    yearsAnalysed: completeYears.length
+  };
+};
+
+/**
+ * Convert a confidence value to a label
+ * @param {number} confidence - Confidence (0-1)
+ * @returns {string} Confidence level
+ */
+const getConfidenceLevel = (confidence) => {
+  if (confidence >= 0.75) return 'high';
+  if (confidence >= 0.5) return 'medium';
+  return 'low';
+};
+
+/**
+ * Detect rainy seasons from a monthly rainfall/temperature series
+ * @param {Array} months - 12 monthly entries ({ month, rainfall, meanTemp, meanMin, rainfallByYear })
+ * @returns {Object} Seasonality analysis
+ */
+export const detectRainySeasons = (months) => {
+  const threshold = getWetMonthThreshold(months);
+  const wetFlags = months.map(m => m.rainfall >= threshold);
+  const runs = wetFlags.some(Boolean) ? findWetRuns(wetFlags) : [];
+
+  const seasons = runs
+    .map(run => {
+      const totalRainfall = run.reduce((sum, idx) => sum + months[idx].rainfall, 0);
+      const { reliability, onsetReliability, yearsAnalysed } =
+        calculateSeasonReliability(months, run, threshold);
+
+      return {
+        onsetMonth: run[0],
+        cessationMonth: run[run.length - 1],
+        onset: MONTH_NAMES[run[0]],
+        cessation: MONTH_NAMES[run[run.length - 1]],
+        months: run.map(idx => MONTH_NAMES[idx]),
+        monthIndexes: run,
+        lengthMonths: run.length,
+        totalRainfall,
+        reliability,
+        onsetReliability,
+        yearsAnalysed
+      };
+    })
+    .sort((a, b) => b.totalRainfall - a.totalRainfall);
+
+  // Name seasons by the rain they bring
+  seasons.forEach((season, idx) => {
+    if (season.lengthMonths === 12) {
+      season.name = 'Year-round rains';
+    } else if (seasons.length === 1) {
+      season.name = 'Rainy season';
+    } else {
+      season.name = idx === 0 ? 'Long rains' : idx === 1 ? 'Short rains' : `Minor rains ${idx - 1}`;
+    }
+  });
+
+  let pattern;
+  if (seasons.length === 0) pattern = 'arid';
+  else if (seasons[0].lengthMonths === 12) pattern = 'year-round';
+  else if (seasons.length === 1) pattern = 'unimodal';
+  else if (seasons.length === 2) pattern = 'bimodal';
+  else pattern = 'multimodal';
+
+  return {
+    pattern,
+    wetMonthThreshold: threshold,
+    wetMonths: months.filter((_, idx) => wetFlags[idx]).map(m => MONTH_NAMES[m.month]),
+    seasons
+  };
+};
+
+/**
+ * Derive planting windows from detected seasons
+ * Seedlings are planted in the first (up to two) months of a season, leaving
+ * at least one more wet month after the last planting month so they establish
+ * before the dry season; a one-month season is its own window and is marked
+ * as needing irrigation
+ * @param {Array} months - Monthly series
+ * @param {Object} seasonality - Result of detectRainySeasons
+ * @returns {Array} Planting windows sorted by confidence
+ */
+export const derivePlantingWindows = (months, seasonality) => {
+  const isFrostFree = (idx) =>
+    months[idx].meanMin === null || months[idx].meanMin === undefined ||
+    months[idx].meanMin > FROST_RISK_MIN_TEMP;
+
+  // Arid sites: fall back to the wettest frost-free month with low confidence
+  if (seasonality.pattern === 'arid') {
+    const wettest = months
+      .filter(m => isFrostFree(m.month))
+      .sort((a, b) => b.rainfall - a.rainfall)[0];
+
+    if (!wettest) return [];
+
+    return [{
+      season: 'Wettest month',
+      months: [MONTH_NAMES[wettest.month]],
+      confidence: 0.2,
+      confidenceLevel: 'low',
+      requiresIrrigation: true,
+      rationale: `No month reliably exceeds ${seasonality.wetMonthThreshold} mm; plant in ${MONTH_NAMES[wettest.month]} with supplementary irrigation`
+    }];
+  }
+
+  // Year-round rain: plant in the wetter, frost-free half of the year
+  if (seasonality.pattern === 'year-round') {
+    const median = [...months].sort((a, b) => a.rainfall - b.rainfall)[6].rainfall;
+    const windowMonths = months
+      .filter(m => m.rainfall >= median && isFrostFree(m.month))
+      .map(m => MONTH_NAMES[m.month]);
+
+    return windowMonths.length ? [{
+      season: seasonality.seasons[0].name,
+      months: windowMonths,
+      confidence: 0.85,
+      confidenceLevel: 'high',
+      requiresIrrigation: false,
+      rationale: 'Rain falls in every month; the wetter months give seedlings the best start'
+    }] : [];
+  }
+
+  return seasonality.seasons
+    .map(season => {
+      // Leave at least one wet month after the last planting month
+      const plantable = season.monthIndexes
+        .slice(0, Math.max(1, Math.min(2, season.lengthMonths - 1)))
+        .filter(isFrostFree);
+
+      if (!plantable.length) return null;
+
+      const lengthFactor = season.lengthMonths >= 3 ? 1 : season.lengthMonths === 2 ? 0.8 : 0.5;
+      const reliability = season.reliability ?? 0.6;
+      const onsetReliability = season.onsetReliability ?? 0.6;
+      const confidence = Math.round(
+        (reliability * 0.6 + onsetReliability * 0.4) * lengthFactor * 100
+      ) / 100;
+
+      return {
+        season: season.name,
+        months: plantable.map(idx => MONTH_NAMES[idx]),
+        confidence,
+        confidenceLevel: getConfidenceLevel(confidence),
+        requiresIrrigation: season.lengthMonths < 3,
+        rationale: `${season.name} ${season.onset}–${season.cessation} (${season.totalRainfall} mm); ` +
+          (season.reliability !== null
+            ? `delivered at least ${Math.round(SEASON_SUCCESS_SHARE * 100)}% of normal rain in ${Math.round(season.reliability * 100)}% of years`
+            : 'no year-by-year data to check reliability')
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Full seasonality analysis: seasons, planting windows and best months
+ * @param {Array} months - 12 monthly entries from climate normals
+ * @returns {Object|null} Seasonality analysis, or null for incomplete series
+ */
+export const analyzeSeasonality = (months) => {
+  if (!Array.isArray(months) || months.length !== 12) {
+    return null;
+  }
+
+  const seasonality = detectRainySeasons(months);
+  const plantingWindows = derivePlantingWindows(months, seasonality);
+
+  // Best months ordered by window confidence, without duplicates
+  const bestPlantingMonths = [...new Set(plantingWindows.flatMap(w => w.months))];
+
+  return {
+    ...seasonality,
+    plantingWindows,
+    bestPlantingMonths
+  };
+};
+
+export default {
+  getWetMonthThreshold,
+  detectRainySeasons,
+  derivePlantingWindows,
+  analyzeSeasonality
+};
@@ -0,0 +1,221 @@
+/**
+ * Site Comparison Service
+ * Runs the analysis pipeline for several candidate sites (photos or
+ * coordinates) and summarises them side by side
+ */
+
+import imageService from './imageService';
+import climateService from './climateService';
+import climateNormalsService from './climateNormalsService';
+import locationService, { assessLocationSuitability } from './locationService';
+import soilService from './soilService';
+import recommendationService from './recommendationService';
+
+export const MAX_COMPARISON_SITES = 5;
+
+/**
+ * Create an empty site entry for the comparison form
+ * @param {number} index - Position in the list (used for the default label)
+ * @returns {Object} Site input
+ */
+export const createSiteInput = (index = 0) => ({
+  id: `site-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  label: `Site ${String.fromCharCode(65 + index)}`,
+  mode: 'coordinates',
+  latitude: '',
+  longitude: '',
+  file: null
+});
+
+/**
+ * Get coordinates for a site from its photo GPS or typed coordinates
+ * @param {Object} site - Site input
+ * @returns {Promise<Object>} { latitude, longitude, source }
+ */
+const resolveSiteCoordinates = async (site) => {
+  if (site.mode === 'photo') {
+    if (!site.file) {
+      throw new Error('Choose a photo for this site');
+    }
+    const gps = await imageService.extractGPSFromImage(site.file);
+    if (!gps.hasGPS) {
+      throw new Error('This photo has no GPS data; enter the coordinates instead');
+    }
+    return { latitude: gps.latitude, longitude: gps.longitude, source: 'gps' };
+  }
+
+  const latitude = parseFloat(site.latitude);
+  const longitude = parseFloat(site.longitude);
+  if (!locationService.isValidCoordinates(latitude, longitude)) {
+    throw new Error('Enter a valid latitude (-90 to 90) and longitude (-180 to 180)');
+  }
+  return { latitude, longitude, source: 'manual' };
+};
+
+/**
+ * Analyse one candidate site
+ * @param {Object} site - Site input
+ * @param {Object} options - { objective, weights, economicAssumptions, nurseryStock, nurseryMode }
+ * @returns {Promise<Object>} { success, site, ... } or { success: false, site, error }
+ */
+export const analyzeSite = async (site, options = {}) => {
+  const { objective, weights = null, economicAssumptions = null, nurseryStock = null, nurseryMode = 'flag' } = options;
+
+  try {
+    const coordinates = await resolveSiteCoordinates(site);
+    const { latitude, longitude } = coordinates;
+
+    const [locationData, imageAnalysis] = await Promise.all([
+      locationService.reverseGeocode(latitude, longitude),
+      site.mode === 'photo'
+        ? imageService.analyzeImageBasic(site.file)
+        : Promise.resolve(imageService.getDefaultAnalysis('No site photo'))
+    ]);
+
+    const [climateData, climateNormals, soilPH] = await Promise.all([
+      climateService.fetchClimateWithRetry(latitude, longitude),
+      climateNormalsService.getClimateNormals(latitude, longitude),
+      soilService.fetchSoilPH(latitude, longitude)
+    ]);
+
+    // Altitude: Open-Meteo grid elevation, falling back to the elevation API
+    let altitude = climateData.isMock ? null : climateData.elevation ?? null;
+    let altitudeSource = altitude !== null ? 'open-meteo' : null;
+    if (altitude === null) {
+      altitude = await locationService.getElevation(latitude, longitude);
+      altitudeSource = altitude !== null ? 'open-elevation' : null;
+    }
+
+    const siteConditions = {
+      altitude,
+      altitudeSource,
+      soilPH: soilPH.success ? soilPH.pH : null,
+      soilPHSource: soilPH.success ? soilPH.source : null
+    };
+
+    const climateAnalysis = climateService.analyzeClimate(
+      climateData,
+      climateNormals.success ? climateNormals : null
+    );
+    const locationSuitability = assessLocationSuitability(locationData, altitude);
+
+    const recommendationParams = {
+      location: locationData,
+      climateData: { ...climateData, ...climateAnalysis },
+      imageAnalysis,
+      siteConditions,
+      objective,
+      weights,
+      economicAssumptions,
+      nurseryStock,
+      nurseryMode,
+      useAI: false,
+      manualLocation: coordinates.source === 'manual'
+    };
+
+    // Retry with relaxed ranges before giving up, as the main workflow does
+    let result = await recommendationService.generateRecommendations(recommendationParams);
+    if (!result.success || !result.recommendations?.length) {
+      result = await recommendationService.generateRecommendations({
+        ...recommendationParams,
+        relaxed: true,
+        toleranceBuffer: 5
+      });
+    }
+
+    if (!result.success || !result.recommendations?.length) {
+      throw new Error(result.error || 'No suitable trees found for this site');
+    }
+
+    console.log(`✅ Compared site analysed: ${site.label}`);
+
+    return {
+      success: true,
+      site: { id: site.id, label: site.label, ...coordinates },
+      location: locationData,
+      climateData,
+      climateAnalysis,
+      siteConditions,
+      locationSuitability,
+      recommendations: result.recommendations,
+      plantingStrategy: result.plantingStrategy,
+      impactMetrics: result.impactMetrics
+    };
+  } catch (error) {
+    console.error(`❌ Site analysis failed (${site.label}):`, error);
+    return {
+      success: false,
+      site: { id: site.id, label: site.label },
+      error: error.message || 'Site analysis failed'
+    };
+  }
+};
+
+/**
+ * Analyse several sites one after another (keeps within geocoding rate limits)
+ * @param {Array} sites - Site inputs
+ * @param {Object} options - Passed to analyzeSite
+ * @param {Function} onProgress - Called with (index, total, label) before each site
+ * @returns {Promise<Array>} analyzeSite results in input order
+ */
+export const compareSites = async (sites, options = {}, onProgress = () => {}) => {
+  const results = [];
+  for (let i = 0; i < sites.length; i++) {
+    onProgress(i, sites.length, sites[i].label);
+    results.push(await analyzeSite(sites[i], options));
+  }
+  return results;
+};
+
+/**
+ * Flatten an analysed site into one comparison row
+ * @param {Object} result - analyzeSite result
+ * @returns {Object} Row of comparable per-hectare figures
+ */
+export const summarizeSite = (result) => {
+  if (!result.success) {
+    return { id: result.site.id, label: result.site.label, error: result.error };
+  }
+
+  const { location, climateAnalysis, locationSuitability, recommendations, impactMetrics } = result;
+  const carbon = impactMetrics?.carbonSequestration || {};
+  const economicValue = impactMetrics?.economicValue || {};
+  const survival = impactMetrics?.uncertainty?.survival?.year10?.p50 ?? impactMetrics?.density?.survivalRate ?? null;
+  const carbon40 = carbon.year40 ?? null;
+
+  return {
+    id: result.site.id,
+    label: result.site.label,
+    place: [location.city, location.country].filter(Boolean).join(', '),
+    latitude: result.site.latitude,
+    longitude: result.site.longitude,
+    elevation: result.siteConditions.altitude,
+    climateType: climateAnalysis.climateType,
+    averageTemperature: climateAnalysis.temperatureStats?.average ?? null,
+    annualRainfall: climateAnalysis.annualRainfall,
+    climateSource: climateAnalysis.climateSource,
+    suitabilityScore: locationSuitability.suitabilityScore,
+    suitabilityLevel: locationSuitability.suitabilityLevel,
+    climateZone: locationSuitability.climateZone,
+    suitabilityWarnings: locationSuitability.warnings.map(warning => warning.message),
+    topSpecies: recommendations.slice(0, 3).map(tree => tree.commonName),
+    topScore: recommendations[0]?.finalScore ?? recommendations[0]?.compatibilityScore ?? null,
+    speciesCount: recommendations.length,
+    treesPerHectare: impactMetrics?.density?.treesPerHectare ?? null,
+    survivalRate: survival,
+    carbonYear10: carbon.year10 != null ? Math.round(carbon.year10 / 1000) : null,
+    carbonYear40: carbon40 != null ? Math.round(carbon40 / 1000) : null,
+    totalCost: economicValue.totalCost ?? null,
+    costPerTonne: carbon40 ? Math.round(economicValue.totalCost / (carbon40 / 1000)) : null,
+    npv: economicValue.npv ?? null,
+    currency: economicValue.currency || 'USD'
+  };
+};
+
+export default {
+  MAX_COMPARISON_SITES,
+  createSiteInput,
+  analyzeSite,
+  compareSites,
+  summarizeSite
+};
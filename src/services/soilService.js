@@ -0,0 +1,68 @@
+/**
+ * Soil Service
+ * Looks up topsoil properties (pH) from the ISRIC SoilGrids API
+ */
+
+const SOILGRIDS_API = 'https://rest.isric.org/soilgrids/v2.0/properties/query';
+
+/**
+ * Check that a pH value is plausible for soil
+ * @param {number} pH - Soil pH
+ * @returns {boolean} True if valid
+ */
+export const isValidSoilPH = (pH) => {
+  const value = parseFloat(pH);
+  return !isNaN(value) && value >= 3 && value <= 10;
+};
+
+/**
+ * Fetch topsoil pH (0-15cm, in water) for a location
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @returns {Promise<Object>} Soil pH result
+ */
+export const fetchSoilPH = async (latitude, longitude) => {
+  try {
+    const url = `${SOILGRIDS_API}?lon=${longitude}&lat=${latitude}&property=phh2o&depth=0-5cm&depth=5-15cm&value=mean`;
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`SoilGrids API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const layer = data.properties?.layers?.find(l => l.name === 'phh2o');
+    const dFactor = layer?.unit_measure?.d_factor || 10; // SoilGrids stores pH x 10
+    const means = (layer?.depths || [])
+      .map(depth => depth.values?.mean)
+      .filter(value => value !== null && value !== undefined);
+
+    if (means.length === 0) {
+      throw new Error('No pH data for this location');
+    }
+
+    const pH = means.reduce((sum, val) => sum + val, 0) / means.length / dFactor;
+
+    return {
+      success: true,
+      pH: Math.round(pH * 10) / 10,
+      depth: '0-15cm',
+      source: 'soilgrids',
+      fetchedAt: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('Soil pH fetch error:', error);
+    return {
+      success: false,
+      error: error.message,
+      pH: null
+    };
+  }
+};
+
+export default {
+  isValidSoilPH,
+  fetchSoilPH
+};
@@ -0,0 +1,230 @@
+/**
+ * Species Mix Service
+ * Hand-built planting mixes: species picked from the recommendations or the
+ * full database, percentages locked by the user, and warnings for species
+ * that fall outside the site's climate envelope, are invasive there or
+ * cannot be supplied by the partner nursery
+ */
+
+import TREE_DATABASE from '../constants/treeDatabase';
+import recommendationService from './recommendationService';
+import { getRegulatoryStatus } from './treeDataService';
+import { assessSiteNativeness } from './nativenessService';
+import { getNurseryStatus, getStockShortfalls } from './nurseryStockService';
+import { summarizeFunctionalDiversity } from '../utils/mixDesign';
+import { createPlantingSchedule, usesSuccessionalPlanting } from '../utils/plantingSchedule';
+
+/**
+ * Site context for scoring and fit checks, taken from useReforestation state
+ * @param {Object} state - useReforestation state
+ * @returns {Object} Context
+ */
+const getMixContext = (state) => {
+  const profile = recommendationService.resolveObjective(state.objective, state.customWeights);
+  return {
+    location: state.locationData,
+    climateData: { ...state.climateData, ...state.climateAnalysis },
+    imageAnalysis: state.imageAnalysis,
+    siteConditions: state.siteConditions || {},
+    weights: profile.weights,
+    useKeywords: profile.useKeywords
+  };
+};
+
+/**
+ * Species that can be added to the current mix
+ * Species banned or needing a permit in the site's jurisdiction are left out,
+ * as are species the nursery cannot supply when stock is restricted
+ * @param {Object} state - useReforestation state
+ * @returns {Array} Entries of { tree, suitable, warnings, nurseryStatus }; suitable species first
+ */
+export const getMixCandidates = (state) => {
+  if (!state.climateData || !state.imageAnalysis) return [];
+
+  const context = getMixContext(state);
+  const inMix = new Set((state.recommendations || []).map(tree => tree.id));
+  // Species that passed every filter but ranked below the cut-off (or were removed from the mix)
+  const suitableIds = new Set((state.excludedSpecies || [])
+    .filter(entry => entry.reasons?.some(reason => reason.criterion === 'rank'))
+    .map(entry => entry.id));
+
+  const jurisdiction = { countryCode: context.location?.countryCode, region: context.location?.state };
+
+  return TREE_DATABASE
+    .filter(tree => !inMix.has(tree.id) && !getRegulatoryStatus(tree, jurisdiction)?.exclude)
+    .map(tree => ({
+      tree,
+      suitable: suitableIds.has(tree.id),
+      warnings: recommendationService.checkSpeciesFit(tree, context),
+      nurseryStatus: getNurseryStatus(tree, state.nurseryStock)
+    }))
+    .filter(entry => state.nurseryMode !== 'restrict' || !entry.nurseryStatus || entry.nurseryStatus.available)
+    .sort((a, b) =>
+      (b.suitable - a.suitable) ||
+      (a.warnings.length - b.warnings.length) ||
+      a.tree.commonName.localeCompare(b.tree.commonName)
+    );
+};
+
+/**
+ * Warnings for the current mix: species outside the site envelope, invasive
+ * species, species the nursery cannot supply (or not in the numbers ordered)
+ * and locks that do not add up
+ * @param {Object} state - useReforestation state
+ * @returns {Array} Entries of { id, commonName, message }; id is null for mix-wide warnings
+ */
+export const getMixWarnings = (state) => {
+  const trees = state.recommendations || [];
+  if (!trees.length || !state.climateData || !state.imageAnalysis) return [];
+
+  const context = getMixContext(state);
+  const warnings = trees.flatMap(tree =>
+    recommendationService.checkSpeciesFit(tree, context).map(reason => ({
+      id: tree.id,
+      commonName: tree.commonName,
+      message: reason.message
+    }))
+  );
+  trees
+    .filter(tree => tree.regulatoryStatus)
+    .forEach(tree => warnings.push({ id: tree.id, commonName: tree.commonName, message: tree.regulatoryStatus.message }));
+  trees.forEach(tree => {
+    const message = getNurseryStatus(tree, state.nurseryStock)?.message;
+    if (message) warnings.push({ id: tree.id, commonName: tree.commonName, message });
+  });
+  getStockShortfalls(state.impactMetrics?.site?.seedlingOrder, state.nurseryStock)
+    .forEach(({ id, commonName, message }) => warnings.push({ id, commonName, message }));
+
+  const mixLocks = state.mixLocks || {};
+  const lockedTotal = trees.reduce((sum, tree) => sum + (mixLocks[tree.commonName] ?? 0), 0);
+  const allLocked = trees.every(tree => Number.isFinite(mixLocks[tree.commonName]));
+  if (lockedTotal > 100) {
+    warnings.push({ id: null, commonName: null, message: `Locked shares add up to ${lockedTotal}%; later species were cut to fit 100%` });
+  } else if (allLocked && lockedTotal < 100) {
+    warnings.push({ id: null, commonName: null, message: `Every species is locked but the shares only add up to ${lockedTotal}%; unlock one to fill the rest` });
+  }
+
+  return warnings;
+};
+
+/**
+ * Rebuild the plan around a hand-picked species list
+ * Species joining the mix leave the excluded list; species leaving it join
+ * the list with the reason they were dropped. Species added from the
+ * database get the same nativeness and regulatory assessment as recommended ones
+ * @param {Array} speciesIds - Species ids in mix order
+ * @param {Object} lockedShares - Percentage per locked species commonName
+ * @param {Object} state - useReforestation state
+ * @returns {Promise<Object>} { success, recommendations, excludedSpecies, plantingStrategy, impactMetrics, mixLocks } or { success: false, error }
+ */
+export const buildSpeciesMix = async (speciesIds, lockedShares, state) => {
+  if (!speciesIds.length) {
+    return { success: false, error: 'Add at least one species to the mix' };
+  }
+
+  try {
+    const context = getMixContext(state);
+    const current = new Map((state.recommendations || []).map(tree => [tree.id, tree]));
+
+    const location = context.location || {};
+    const added = await assessSiteNativeness(
+      TREE_DATABASE.filter(tree => speciesIds.includes(tree.id) && !current.has(tree.id)),
+      {
+        latitude: location.coordinates?.latitude,
+        longitude: location.coordinates?.longitude,
+        countryCode: location.countryCode,
+        country: location.country,
+        region: location.state
+      }
+    );
+
+    const recommendations = speciesIds
+      .map(id => {
+        if (current.has(id)) return current.get(id);
+        const tree = added.find(entry => entry.id === id);
+        if (!tree) return null;
+        const scored = recommendationService.scoreTree(tree, { ...context, climate: context.climateData });
+        scored.nurseryStatus = getNurseryStatus(tree, state.nurseryStock);
+        scored.finalScore = scored.compatibilityScore;
+        scored.scoreBreakdown.finalScore = scored.finalScore;
+        return scored;
+      })
+      .filter(Boolean);
+
+    if (!recommendations.length) {
+      return { success: false, error: 'None of the selected species are in the database' };
+    }
+
+    // Locks only apply to species still in the mix
+    const mixLocks = Object.fromEntries(
+      Object.entries(lockedShares || {})
+        .filter(([name, share]) => Number.isFinite(share) && recommendations.some(tree => tree.commonName === name))
+    );
+
+    const mixRatio = recommendationService.calculateMixRatio(recommendations, mixLocks);
+    const plantingStrategy = {
+      ...recommendationService.generatePlantingStrategy(recommendations, context.climateData, context.location),
+      mixRatio,
+      functionalDiversity: summarizeFunctionalDiversity(recommendations, mixRatio),
+      schedule: createPlantingSchedule(recommendations, mixRatio, {
+        successional: usesSuccessionalPlanting(state.plantingApproach, state.imageAnalysis)
+      }),
+      source: 'custom'
+    };
+
+    const impactMetrics = recommendationService.calculateImpactMetrics(
+      recommendations,
+      plantingStrategy.density,
+      plantingStrategy.mixRatio,
+      {
+        economicAssumptions: state.economicAssumptions,
+        hectares: state.siteBoundary?.areaHectares,
+        schedule: plantingStrategy.schedule
+      }
+    );
+
+    const chosen = new Set(recommendations.map(tree => tree.id));
+    const removed = [...current.values()]
+      .filter(tree => !chosen.has(tree.id))
+      .map(tree => {
+        const reasons = recommendationService.checkSpeciesFit(tree, context);
+        const score = Math.round(tree.finalScore ?? tree.compatibilityScore);
+        return {
+          id: tree.id,
+          commonName: tree.commonName,
+          scientificName: tree.scientificName,
+          reasons: reasons.length ? reasons : [{
+            criterion: 'rank',
+            label: 'Ranking',
+            value: score,
+            range: null,
+            unit: '',
+            message: `Suitable (score ${score}), but removed from the mix`
+          }]
+        };
+      });
+
+    console.log(`🧩 Custom mix: ${recommendations.length} species, ${Object.keys(mixLocks).length} locked`);
+
+    return {
+      success: true,
+      recommendations,
+      excludedSpecies: [
+        ...(state.excludedSpecies || []).filter(entry => !chosen.has(entry.id)),
+        ...removed
+      ],
+      plantingStrategy,
+      impactMetrics,
+      mixLocks
+    };
+  } catch (error) {
+    console.error('❌ Species mix error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getMixCandidates,
+  getMixWarnings,
+  buildSpeciesMix
+};
@@ -0,0 +1,188 @@
+/**
+ * Species Pack Service
+ * Imports region packs (JSON, see constants/speciesSchema.js) into the
+ * species catalogue, validating them against the schema and the species
+ * already loaded. Imported packs are kept in localStorage when available.
+ */
+
+import SPECIES_PACKS from '../data/species';
+import TREE_DATABASE, { rebuildSpeciesCatalog } from '../constants/treeDatabase';
+import { validateSpeciesPacks, formatValidationReport } from '../utils/speciesValidation';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const STORAGE_KEY = 'reforest-ai:species-packs';
+
+let importedPacks = [];
+
+const persistPacks = () => {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(importedPacks));
+  } catch (error) {
+    console.warn('Species pack storage write failed:', error);
+  }
+};
+
+/**
+ * Parse and validate species pack JSON text
+ * Records with errors are reported and left out when the pack is added
+ * @param {string} text - JSON text
+ * @returns {Object} { success, pack, report, reportText } or { success, error, report, reportText }
+ */
+export const parseSpeciesPack = (text) => {
+  try {
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (SPECIES_PACKS.some(builtIn => builtIn.id === pack?.id)) {
+      throw new Error(`"${pack.id}" is a built-in pack; give the imported pack its own id`);
+    }
+
+    // Check against the catalogue as it would be without an earlier import of this pack
+    const knownSpecies = TREE_DATABASE
+      .map(tree => ({ ...tree, packs: tree.packs.filter(id => id !== pack?.id) }))
+      .filter(tree => tree.packs.length > 0);
+    const report = validateSpeciesPacks([pack], { knownSpecies });
+    const reportText = formatValidationReport(report);
+
+    if (report.validCount === 0 || report.issues.some(entry => entry.index === null && entry.severity === 'error')) {
+      return {
+        success: false,
+        error: 'The pack has no usable species',
+        report,
+        reportText
+      };
+    }
+
+    return { success: true, pack, report, reportText };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      report: null,
+      reportText: error.message
+    };
+  }
+};
+
+/**
+ * Read and validate a species pack file
+ * @param {File} file - .json pack file
+ * @returns {Promise<Object>} Result of parseSpeciesPack, plus fileName
+ */
+export const importSpeciesPackFile = async (file) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error('Species pack is larger than 5 MB');
+    }
+
+    console.log(`📥 Reading species pack from ${file.name}`);
+    const result = parseSpeciesPack(await file.text());
+
+    if (result.success) {
+      console.log('✅ Species pack checked:', {
+        id: result.pack.id,
+        valid: result.report.validCount,
+        errors: result.report.errorCount,
+        warnings: result.report.warningCount
+      });
+    } else {
+      console.error('❌ Species pack import error:', result.error);
+    }
+
+    return { ...result, fileName: file.name };
+  } catch (error) {
+    console.error('❌ Species pack import error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to read species pack',
+      report: null,
+      reportText: error.message
+    };
+  }
+};
+
+/**
+ * Add a validated pack to the catalogue, replacing an earlier import with the same id
+ * @param {Object} pack - Pack returned by parseSpeciesPack
+ * @returns {Object} { success, summary } or { success, error }
+ */
+export const addSpeciesPack = (pack) => {
+  try {
+    importedPacks = [...importedPacks.filter(existing => existing.id !== pack.id), pack];
+    const catalog = rebuildSpeciesCatalog(importedPacks);
+    persistPacks();
+
+    const summary = catalog.packs.find(entry => entry.id === pack.id);
+    console.log(`🌿 Added species pack ${pack.id} (${summary?.speciesCount ?? 0} species)`);
+    return { success: true, summary };
+  } catch (error) {
+    console.error('❌ Add species pack error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an imported pack from the catalogue
+ * @param {string} packId - Pack id
+ */
+export const removeSpeciesPack = (packId) => {
+  importedPacks = importedPacks.filter(pack => pack.id !== packId);
+  rebuildSpeciesCatalog(importedPacks);
+  persistPacks();
+  console.log(`🗑️ Removed species pack ${packId}`);
+};
+
+/**
+ * List imported packs
+ * @returns {Array} Pack summaries ({ id, name, version, updated, countries, speciesCount })
+ */
+export const getImportedSpeciesPacks = () =>
+  importedPacks.map(pack => ({
+    id: pack.id,
+    name: pack.name || pack.id,
+    version: pack.version,
+    updated: pack.updated,
+    countries: pack.countries || [],
+    speciesCount: TREE_DATABASE.filter(tree => tree.packs.includes(pack.id)).length
+  }));
+
+/**
+ * Load packs imported in an earlier session into the catalogue
+ * @returns {number} Number of packs restored
+ */
+export const restoreSpeciesPacks = () => {
+  if (typeof localStorage === 'undefined') return 0;
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    importedPacks = Array.isArray(stored)
+      ? stored.filter(pack => !SPECIES_PACKS.some(builtIn => builtIn.id === pack?.id))
+      : [];
+  } catch (error) {
+    console.warn('Species pack storage read failed:', error);
+    importedPacks = [];
+  }
+
+  if (importedPacks.length) {
+    rebuildSpeciesCatalog(importedPacks);
+    console.log(`🌿 Restored ${importedPacks.length} imported species pack(s)`);
+  }
+  return importedPacks.length;
+};
+
+export default {
+  parseSpeciesPack,
+  importSpeciesPackFile,
+  addSpeciesPack,
+  removeSpeciesPack,
+  getImportedSpeciesPacks,
+  restoreSpeciesPacks
+};
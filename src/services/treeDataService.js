@@ -1,11 +1,22 @@
 /**
  * Tree Data Service - Hybrid approach with relaxed filtering
- * Uses local database + API enrichment + tolerance buffer
+ * Uses the species catalogue (region packs) + API enrichment + tolerance buffer
  */
 
-import TREE_DATABASE from '../constants/treeDatabase';
+import TREE_DATABASE, { SPECIES_CATALOG } from '../constants/treeDatabase';
 import { enrichTreeData, isSpeciesNative } from './treeSpeciesAPI';
+import { assessSiteNativeness } from './nativenessService';
 import CONFIG from '../constants/config';
+import SPECIES_REGULATORY_STATUS, { REGULATORY_LEVELS } from '../constants/invasiveSpecies';
+
+// Tolerance buffer scaling, per °C of buffer
+const RAIN_BUFFER_PER_DEGREE = 40;        // mm/year
+const ALTITUDE_BUFFER_PER_DEGREE = 150;   // m (approximate lapse rate)
+const PH_BUFFER_PER_DEGREE = 0.1;         // pH units
+
+// Furthest a hardy fallback species may sit outside its climate envelope, in °C
+// (rainfall converted at RAIN_BUFFER_PER_DEGREE)
+const FALLBACK_CLIMATE_GAP = 8;
 
 /**
  * Get all available tree species
@@ -54,7 +65,7 @@ export const filterTreesByClimate = (temperature, rainfall, toleranceBuffer = 0)
     const tempMax = tree.tempRange.max + toleranceBuffer;
     
     // Apply tolerance to rainfall range (scaled: 1°C = ~40mm rain)
-    const rainBuffer = toleranceBuffer * 40;
+    const rainBuffer = toleranceBuffer * RAIN_BUFFER_PER_DEGREE;
     const rainMin = tree.rainfallRange.min - rainBuffer;
     const rainMax = tree.rainfallRange.max + rainBuffer;
     
@@ -65,6 +76,42 @@ export const filterTreesByClimate = (temperature, rainfall, toleranceBuffer = 0)
   });
 };
 
+/**
+ * Filter trees by altitude with optional tolerance
+ * @param {number} altitude - Site elevation in meters
+ * @param {number} toleranceBuffer - Tolerance in degrees (scaled: 1°C = ~150m lapse rate)
+ * @returns {Array} Compatible trees
+ */
+export const filterTreesByAltitude = (altitude, toleranceBuffer = 0) => {
+  if (altitude === null || altitude === undefined) return TREE_DATABASE;
+  
+  const altitudeBuffer = toleranceBuffer * ALTITUDE_BUFFER_PER_DEGREE;
+  
+  return TREE_DATABASE.filter(tree => {
+    if (!tree.altitudeRange) return true;
+    return altitude >= tree.altitudeRange.min - altitudeBuffer &&
+      altitude <= tree.altitudeRange.max + altitudeBuffer;
+  });
+};
+
+/**
+ * Filter trees by soil pH with optional tolerance
+ * @param {number} soilPH - Site soil pH
+ * @param {number} toleranceBuffer - Tolerance in degrees (scaled: 1°C = 0.1 pH)
+ * @returns {Array} Compatible trees
+ */
+export const filterTreesBySoilPH = (soilPH, toleranceBuffer = 0) => {
+  if (soilPH === null || soilPH === undefined) return TREE_DATABASE;
+  
+  const pHBuffer = toleranceBuffer * PH_BUFFER_PER_DEGREE;
+  
+  return TREE_DATABASE.filter(tree => {
+    if (!tree.soilPH) return true;
+    return soilPH >= tree.soilPH.min - pHBuffer &&
+      soilPH <= tree.soilPH.max + pHBuffer;
+  });
+};
+
 /**
  * Filter trees by soil type (with relaxed matching)
  * @param {string} soilType - Soil type (clay, loam, sandy, rocky)
@@ -104,6 +151,50 @@ export const filterTreesBySoil = (soilType, strict = true) => {
   });
 };
 
+/**
+ * Look up a species' invasiveness or regulatory status for a site
+ * The strictest matching jurisdiction wins; a region-specific entry only
+ * matches when the site's state includes the region name
+ * @param {Object} tree - Tree data
+ * @param {Object} jurisdiction - { countryCode, region } (region is the site's state)
+ * @returns {Object|null} { status, label, exclude, jurisdiction, authority, note, message } or null if unrestricted
+ */
+export const getRegulatoryStatus = (tree, jurisdiction = {}) => {
+  const entry = SPECIES_REGULATORY_STATUS[tree.id];
+  if (!entry) return null;
+
+  const countryCode = jurisdiction.countryCode?.toUpperCase() || '';
+  const region = jurisdiction.region?.toLowerCase() || '';
+
+  const matches = (entry.jurisdictions || []).filter(rule =>
+    rule.countryCode === countryCode &&
+    (!rule.region || region.includes(rule.region.toLowerCase()))
+  );
+  // Global warnings apply outside listed jurisdictions and the native range
+  if (!matches.length && entry.global && countryCode && !entry.nativeCountries?.includes(countryCode)) {
+    matches.push(entry.global);
+  }
+  if (!matches.length) return null;
+
+  const rule = matches.reduce((strictest, candidate) =>
+    REGULATORY_LEVELS[candidate.status].severity > REGULATORY_LEVELS[strictest.status].severity ? candidate : strictest
+  );
+  const level = REGULATORY_LEVELS[rule.status];
+  const where = rule.countryCode
+    ? [rule.region, rule.countryCode].filter(Boolean).join(', ')
+    : 'worldwide';
+
+  return {
+    status: rule.status,
+    label: level.label,
+    exclude: level.exclude,
+    jurisdiction: where,
+    authority: rule.authority,
+    note: rule.note,
+    message: `${level.label}${rule.countryCode ? ` in ${where}` : ''}: ${rule.note} (${rule.authority})`
+  };
+};
+
 /**
  * Get trees suitable for specific conditions with optional tolerance
  * @param {Object} conditions - Environmental conditions
@@ -116,6 +207,11 @@ export const getSuitableTrees = async (conditions) => {
     soilType, 
     latitude, 
     longitude,
+    altitude = null,      // Site elevation in meters (skipped if unknown)
+    soilPH = null,        // Topsoil pH (skipped if unknown)
+    countryCode = '',     // Jurisdiction for invasive species rules (skipped if unknown)
+    country = '',         // Country name, for matching native ranges
+    region = '',
     toleranceBuffer = 0,  // NEW: Tolerance for relaxed mode
     relaxedSoil = false   // NEW: Relaxed soil matching
   } = conditions;
@@ -123,7 +219,9 @@ export const getSuitableTrees = async (conditions) => {
   console.log('🔍 Finding suitable trees:', {
     temperature,
     rainfall,
+    altitude,
     soilType,
+    soilPH,
     toleranceBuffer,
     relaxedSoil
   });
@@ -133,6 +231,22 @@ export const getSuitableTrees = async (conditions) => {
   
   console.log(`📊 After climate filter: ${suitableTrees.length} trees`);
 
+  // Filter by altitude band
+  if (altitude !== null && altitude !== undefined) {
+    const altitudeCompatible = filterTreesByAltitude(altitude, toleranceBuffer);
+    suitableTrees = suitableTrees.filter(tree => altitudeCompatible.includes(tree));
+    
+    console.log(`📊 After altitude filter: ${suitableTrees.length} trees`);
+  }
+
+  // Filter by soil pH
+  if (soilPH !== null && soilPH !== undefined) {
+    const pHCompatible = filterTreesBySoilPH(soilPH, toleranceBuffer);
+    suitableTrees = suitableTrees.filter(tree => pHCompatible.includes(tree));
+    
+    console.log(`📊 After soil pH filter: ${suitableTrees.length} trees`);
+  }
+
   // Further filter by soil if available
   if (soilType) {
     suitableTrees = suitableTrees.filter(tree => {
@@ -148,91 +262,191 @@ export const getSuitableTrees = async (conditions) => {
     console.log(`📊 After soil filter: ${suitableTrees.length} trees`);
   }
 
-  // Optionally check nativeness via API
-  if (CONFIG.ENABLE_API_ENRICHMENT && latitude && longitude) {
-    try {
-      const nativeChecks = await Promise.all(
-        suitableTrees.map(tree =>
-          isSpeciesNative(tree.scientificName, latitude, longitude)
-        )
-      );
-
-      suitableTrees = suitableTrees.map((tree, idx) => ({
-        ...tree,
-        isNative: nativeChecks[idx],
-        nativeBonus: nativeChecks[idx] ? 20 : 0
-      }));
-    } catch (error) {
-      console.warn('Native check failed, continuing without:', error);
+  // Species that are banned or need a permit here are never recommended,
+  // whatever the tolerance
+  if (countryCode) {
+    suitableTrees = suitableTrees.filter(tree =>
+      !getRegulatoryStatus(tree, { countryCode, region })?.exclude
+    );
+
+    console.log(`📊 After regulatory filter: ${suitableTrees.length} trees`);
+  }
+
+  // Grade nativeness and local presence (GBIF evidence when API enrichment is on)
+  return assessSiteNativeness(suitableTrees, { latitude, longitude, countryCode, country, region });
+};
+
+/**
+ * Explain why a tree fails the suitability filters for a set of conditions
+ * Mirrors the checks in getSuitableTrees
+ * @param {Object} tree - Tree data
+ * @param {Object} conditions - Same conditions passed to getSuitableTrees
+ * @returns {Array} Reasons ({ criterion, label, value, range, unit, message }), empty if suitable
+ */
+export const getExclusionReasons = (tree, conditions) => {
+  const {
+    temperature,
+    rainfall,
+    soilType,
+    altitude = null,
+    soilPH = null,
+    countryCode = '',
+    region = '',
+    toleranceBuffer = 0,
+    relaxedSoil = false
+  } = conditions;
+  const reasons = [];
+
+  const checkRange = (criterion, label, value, range, buffer, unit) => {
+    if (value === null || value === undefined || !range) return;
+    if (value >= range.min - buffer && value <= range.max + buffer) return;
+
+    const shown = Math.round(value * 10) / 10;
+    reasons.push({
+      criterion,
+      label,
+      value: shown,
+      range,
+      unit,
+      message: `Site ${label.toLowerCase()} ${shown}${unit} is ${value < range.min ? 'below' : 'above'} the species range ${range.min}–${range.max}${unit}`
+    });
+  };
+
+  checkRange('temperature', 'Temperature', temperature, tree.tempRange,
+    toleranceBuffer, '°C');
+  checkRange('rainfall', 'Rainfall', rainfall, tree.rainfallRange,
+    toleranceBuffer * RAIN_BUFFER_PER_DEGREE, ' mm');
+  checkRange('altitude', 'Altitude', altitude, tree.altitudeRange,
+    toleranceBuffer * ALTITUDE_BUFFER_PER_DEGREE, ' m');
+  checkRange('soilPH', 'Soil pH', soilPH, tree.soilPH,
+    toleranceBuffer * PH_BUFFER_PER_DEGREE, '');
+
+  if (soilType) {
+    const soilOk = relaxedSoil
+      ? filterTreesBySoil(soilType, false).includes(tree)
+      : tree.soilTypes.includes(soilType.toLowerCase());
+
+    if (!soilOk) {
+      reasons.push({
+        criterion: 'soilType',
+        label: 'Soil type',
+        value: soilType,
+        range: tree.soilTypes,
+        unit: '',
+        message: `${soilType} soil is not among the species' soil types (${tree.soilTypes.join(', ')})`
+      });
     }
   }
 
-  return suitableTrees;
+  const regulatory = getRegulatoryStatus(tree, { countryCode, region });
+  if (regulatory?.exclude) {
+    reasons.push({
+      criterion: 'regulatory',
+      label: 'Regulatory status',
+      value: regulatory.label,
+      range: null,
+      unit: '',
+      message: regulatory.message
+    });
+  }
+
+  return reasons;
 };
 
 /**
- * Get hardy fallback species for any condition
- * @param {number} temperature - Current temperature (for basic filtering)
+ * List database species that did not pass the suitability filters, with reasons
+ * @param {Object} conditions - Same conditions passed to getSuitableTrees
+ * @param {Array} suitableTrees - Trees returned by getSuitableTrees
+ * @returns {Array} Excluded species ({ id, commonName, scientificName, reasons })
+ */
+export const getExcludedSpecies = (conditions, suitableTrees = []) => {
+  const suitableIds = new Set(suitableTrees.map(tree => tree.id));
+
+  return TREE_DATABASE
+    .filter(tree => !suitableIds.has(tree.id))
+    .map(tree => ({
+      id: tree.id,
+      commonName: tree.commonName,
+      scientificName: tree.scientificName,
+      reasons: getExclusionReasons(tree, conditions)
+    }));
+};
+
+/**
+ * Get hardy fallback species for a site
+ * Candidates come from the site country's region packs and must sit within
+ * FALLBACK_CLIMATE_GAP of their temperature and rainfall envelope; the closest
+ * fits come first, then the most versatile. Species banned or needing a permit
+ * in the jurisdiction are left out
+ * @param {Object} conditions - { temperature, rainfall, countryCode, region }
+ * @param {number} limit - Maximum number of species (null for all)
  * @returns {Array} Hardy, versatile tree species
  */
-export const getHardyFallbackSpecies = (temperature = 20) => {
+export const getHardyFallbackSpecies = (conditions = {}, limit = 7) => {
+  const { temperature = 20, rainfall = null, countryCode = '', region = '' } = conditions;
   console.log('🌳 Getting hardy fallback species...');
-  
-  // Select trees with high adaptability and low water needs
-  const hardyTrees = TREE_DATABASE.filter(tree => {
-    // Must be hardy or have low water needs
-    const isHardy = tree.hardiness === 'high' || tree.waterNeeds === 'low';
-    
-    // Must have wide temperature tolerance (>15°C range)
-    const tempRange = tree.tempRange.max - tree.tempRange.min;
-    const wideTempRange = tempRange > 15;
-    
-    // Must have wide rainfall tolerance (>500mm range)
-    const rainRange = tree.rainfallRange.max - tree.rainfallRange.min;
-    const wideRainRange = rainRange > 500;
-    
-    return isHardy || (wideTempRange && wideRainRange);
-  });
 
-  // Sort by versatility
-  hardyTrees.sort((a, b) => {
-    const scoreA = (a.tempRange.max - a.tempRange.min) + 
-                   (a.rainfallRange.max - a.rainfallRange.min) / 10;
-    const scoreB = (b.tempRange.max - b.tempRange.min) + 
-                   (b.rainfallRange.max - b.rainfallRange.min) / 10;
-    return scoreB - scoreA;
-  });
+  // Degrees outside the temperature range, plus rainfall shortfall or excess
+  // converted at the relaxed-mode rate
+  const climateGap = (tree) => {
+    const tempGap = Math.max(0, tree.tempRange.min - temperature, temperature - tree.tempRange.max);
+    const rainGap = rainfall === null || rainfall === undefined
+      ? 0
+      : Math.max(0, tree.rainfallRange.min - rainfall, rainfall - tree.rainfallRange.max);
+    return tempGap + rainGap / RAIN_BUFFER_PER_DEGREE;
+  };
+  const versatility = (tree) =>
+    (tree.tempRange.max - tree.tempRange.min) +
+    (tree.rainfallRange.max - tree.rainfallRange.min) / 10;
+
+  const hardyTrees = getCountrySpecies(countryCode)
+    .filter(tree => {
+      // Must be hardy or have low water needs
+      const isHardy = tree.hardiness === 'high' || tree.waterNeeds === 'low' || tree.adaptability === 'high';
 
-  // Return top 5-7 hardy species
-  return hardyTrees.slice(0, 7);
+      // ...or have wide temperature (>15°C) and rainfall (>500mm) tolerance
+      const wideTempRange = tree.tempRange.max - tree.tempRange.min > 15;
+      const wideRainRange = tree.rainfallRange.max - tree.rainfallRange.min > 500;
+
+      return isHardy || (wideTempRange && wideRainRange);
+    })
+    .filter(tree => climateGap(tree) <= FALLBACK_CLIMATE_GAP)
+    .filter(tree => !countryCode || !getRegulatoryStatus(tree, { countryCode, region })?.exclude)
+    .sort((a, b) => (climateGap(a) - climateGap(b)) || (versatility(b) - versatility(a)));
+
+  console.log(`📊 Hardy fallback: ${hardyTrees.length} species near the site's climate`);
+  return limit ? hardyTrees.slice(0, limit) : hardyTrees;
 };
 
 /**
- * Get species by region (for better defaults)
- * @param {string} region - Region code (e.g., 'East Africa', 'West Africa')
- * @returns {Array} Region-appropriate trees
+ * Get species by region pack (for better defaults)
+ * @param {string} region - Pack id (e.g., 'east-africa', 'sahel', 'temperate')
+ * @returns {Array} Trees in the pack
  */
 export const getRegionalSpecies = (region) => {
-  const regionMap = {
-    'east-africa': ['kenya', 'tanzania', 'uganda', 'ethiopia'],
-    'west-africa': ['nigeria', 'ghana', 'senegal', 'ivory coast'],
-    'southern-africa': ['south africa', 'zimbabwe', 'mozambique'],
-    'tropical': ['tropical', 'equatorial'],
-    'subtropical': ['subtropical', 'mediterranean'],
-    'temperate': ['temperate']
-  };
+  const packId = region.toLowerCase().replace(/\s+/g, '-');
+  return TREE_DATABASE.filter(tree => tree.packs?.includes(packId));
+};
 
-  const keywords = regionMap[region.toLowerCase()] || [];
-  
-  return TREE_DATABASE.filter(tree => {
-    if (!tree.nativeRegions) return false;
-    
-    return tree.nativeRegions.some(nativeRegion =>
-      keywords.some(keyword => 
-        nativeRegion.toLowerCase().includes(keyword)
-      )
-    );
-  });
+/**
+ * List the region packs loaded into the catalogue
+ * @param {string} countryCode - Optional ISO code; only packs written for it are returned
+ * @returns {Array} Packs ({ id, name, version, updated, countries, speciesCount })
+ */
+export const getSpeciesPacks = (countryCode = null) => {
+  if (!countryCode) return SPECIES_CATALOG.packs;
+  return SPECIES_CATALOG.packs.filter(pack => pack.countries.includes(countryCode.toUpperCase()));
+};
+
+/**
+ * Species from the packs written for a country
+ * @param {string} countryCode - ISO code
+ * @returns {Array} Trees; the whole catalogue if no pack covers the country
+ */
+export const getCountrySpecies = (countryCode = null) => {
+  const packIds = countryCode ? getSpeciesPacks(countryCode).map(pack => pack.id) : [];
+  if (packIds.length === 0) return TREE_DATABASE;
+  return TREE_DATABASE.filter(tree => tree.packs?.some(id => packIds.includes(id)));
 };
 
 /* ✅ Named Exports */
@@ -246,10 +460,17 @@ export default {
   getAllTreeSpecies,
   getTreeById,
   filterTreesByClimate,
+  filterTreesByAltitude,
+  filterTreesBySoilPH,
   filterTreesBySoil,
+  getRegulatoryStatus,
   getSuitableTrees,
+  getExclusionReasons,
+  getExcludedSpecies,
   getHardyFallbackSpecies,
   getRegionalSpecies,
+  getSpeciesPacks,
+  getCountrySpecies,
   enrichTreeData,
   isSpeciesNative
 };
\ No newline at end of file
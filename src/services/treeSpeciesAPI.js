@@ -1,17 +1,33 @@
 /**
  * Tree Species API Service
- * Fetches tree data from external APIs (GBIF, Trefle, iNaturalist)
+ * Fetches tree data from external APIs (GBIF, Trefle, iNaturalist),
+ * through the persistent enrichment cache
  */
 
 import CONFIG from '../constants/config';
+import { RADIUS_BANDS } from '../constants/nativeness';
+import {
+  ENRICHMENT_CELL_SIZES,
+  cachedEnrichment,
+  getCachedEnrichment,
+  getEnrichmentCacheKey,
+  getEnrichmentCell,
+  getEnrichmentCellsAround,
+  isOfflineMode
+} from './enrichmentCacheService';
+
+// How many occurrence records to keep per species and grid cell
+const OCCURRENCE_SAMPLE_SIZE = 10;
 
 /**
  * Search for tree species on GBIF
+ * Results are cached (see enrichmentCacheService)
  * @param {string} scientificName - Scientific name of the tree
- * @returns {Promise<Object>} Species data from GBIF
+ * @returns {Promise<Object>} Species data from GBIF; null if GBIF has no match,
+ *   undefined if GBIF could not be reached and nothing is cached
  */
-export const searchGBIFSpecies = async (scientificName) => {
-  try {
+export const searchGBIFSpecies = (scientificName) =>
+  cachedEnrichment({ source: 'gbif-species', scientificName }, async () => {
     const response = await fetch(
       `${CONFIG.GBIF_API}/species/match?name=${encodeURIComponent(scientificName)}&kingdom=Plantae`
     );
@@ -19,6 +35,9 @@ export const searchGBIFSpecies = async (scientificName) => {
     if (!response.ok) throw new Error('GBIF API error');
     
     const data = await response.json();
+    // No match is a valid answer worth caching
+    if (!data.usageKey) return null;
+    
     return {
       scientificName: data.scientificName,
       family: data.family,
@@ -28,29 +47,39 @@ export const searchGBIFSpecies = async (scientificName) => {
       nativeRegions: data.nativeRegions || [],
       gbifKey: data.usageKey
     };
-  } catch (error) {
-    console.error('GBIF fetch error:', error);
-    return null;
-  }
+  });
+
+/**
+ * Fetch GBIF occurrences of a species inside a bounding box
+ * @param {number} gbifKey - GBIF species key
+ * @param {Object} bounds - { south, north, west, east }
+ * @returns {Promise<Object>} { count, results }; throws on failure
+ */
+const fetchOccurrences = async (gbifKey, bounds) => {
+  const response = await fetch(
+    `${CONFIG.GBIF_API}/occurrence/search?speciesKey=${gbifKey}&decimalLatitude=${bounds.south},${bounds.north}&decimalLongitude=${bounds.west},${bounds.east}&limit=${OCCURRENCE_SAMPLE_SIZE}`
+  );
+  
+  if (!response.ok) throw new Error('GBIF occurrence error');
+  
+  const data = await response.json();
+  return { count: data.count ?? data.results?.length ?? 0, results: data.results || [] };
 };
 
 /**
  * Get species occurrences from GBIF (where the tree is found)
+ * Searches the enrichment grid cell containing the location
  * @param {number} gbifKey - GBIF species key
  * @param {number} latitude - Location latitude
  * @param {number} longitude - Location longitude
  * @returns {Promise<Array>} Occurrence records
  */
 export const getSpeciesOccurrences = async (gbifKey, latitude, longitude) => {
+  if (isOfflineMode()) return [];
+  
   try {
-    const response = await fetch(
-      `${CONFIG.GBIF_API}/occurrence/search?speciesKey=${gbifKey}&decimalLatitude=${latitude}&decimalLongitude=${longitude}&limit=10`
-    );
-    
-    if (!response.ok) throw new Error('GBIF occurrence error');
-    
-    const data = await response.json();
-    return data.results || [];
+    const { results } = await fetchOccurrences(gbifKey, getEnrichmentCell(latitude, longitude).bounds);
+    return results;
   } catch (error) {
     console.error('GBIF occurrence error:', error);
     return [];
@@ -59,31 +88,116 @@ export const getSpeciesOccurrences = async (gbifKey, latitude, longitude) => {
 
 /**
  * Check if species is native to a location using GBIF
+ * The occurrence summary is cached per grid cell, so the answer is
+ * available offline once the area has been looked up or prefetched
  * @param {string} scientificName - Scientific name
  * @param {number} latitude - Location latitude
  * @param {number} longitude - Location longitude
  * @returns {Promise<boolean>} True if native
  */
 export const isSpeciesNative = async (scientificName, latitude, longitude) => {
-  try {
+  const summary = await cachedEnrichment(
+    { source: 'gbif-occurrences', scientificName, latitude, longitude },
+    async (cell) => {
+      const species = await searchGBIFSpecies(scientificName);
+      // Don't cache "not native" just because the species lookup failed
+      if (species === undefined) throw new Error('GBIF species lookup failed');
+      if (!species) return { gbifKey: null, count: 0, records: [] };
+      
+      const { count, results } = await fetchOccurrences(species.gbifKey, cell.bounds);
+      return {
+        gbifKey: species.gbifKey,
+        count,
+        records: results.map(record => ({
+          key: record.key,
+          latitude: record.decimalLatitude,
+          longitude: record.decimalLongitude,
+          eventDate: record.eventDate || null,
+          basisOfRecord: record.basisOfRecord || null,
+          establishmentMeans: record.establishmentMeans || null,
+          countryCode: record.countryCode || null
+        }))
+      };
+    }
+  );
+  
+  return (summary?.count || 0) > 0;
+};
+
+/**
+ * Get the country checklist entries GBIF holds for a species
+ * Results are cached (species-level, see enrichmentCacheService)
+ * @param {string} scientificName - Scientific name
+ * @returns {Promise<Array>} [{ countryCode, locality, establishmentMeans, source }];
+ *   undefined if GBIF could not be reached and nothing is cached
+ */
+export const getCountryChecklist = (scientificName) =>
+  cachedEnrichment({ source: 'gbif-distributions', scientificName }, async () => {
     const species = await searchGBIFSpecies(scientificName);
-    if (!species) return false;
+    if (species === undefined) throw new Error('GBIF species lookup failed');
+    if (!species) return [];
     
-    const occurrences = await getSpeciesOccurrences(species.gbifKey, latitude, longitude);
-    return occurrences.length > 0;
-  } catch (error) {
-    console.error('Native check error:', error);
-    return false;
-  }
-};
+    const response = await fetch(`${CONFIG.GBIF_API}/species/${species.gbifKey}/distributions?limit=200`);
+    if (!response.ok) throw new Error('GBIF distribution error');
+    
+    const data = await response.json();
+    return (data.results || [])
+      .filter(entry => entry.country && entry.establishmentMeans)
+      .map(entry => ({
+        countryCode: entry.country.toUpperCase(),
+        locality: entry.locality || null,
+        establishmentMeans: entry.establishmentMeans.toUpperCase(),
+        source: entry.source || null
+      }));
+  });
+
+/**
+ * Count GBIF occurrences of a species within each nativeness radius band
+ * Bands are measured from the centre of the location's (0.1°) grid cell;
+ * results are cached per cell
+ * @param {string} scientificName - Scientific name
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @returns {Promise<Object>} { bands: [{ id, radiusKm, count, establishmentMeans }], checkedAt };
+ *   undefined if GBIF could not be reached and nothing is cached
+ */
+export const getOccurrenceDensity = (scientificName, latitude, longitude) =>
+  cachedEnrichment({ source: 'gbif-density', scientificName, latitude, longitude }, async (cell) => {
+    const species = await searchGBIFSpecies(scientificName);
+    if (species === undefined) throw new Error('GBIF species lookup failed');
+    
+    const bands = await Promise.all(RADIUS_BANDS.map(async (band) => {
+      if (!species) return { id: band.id, radiusKm: band.radiusKm, count: 0, establishmentMeans: {} };
+      
+      // Counts only (limit=0), with the establishment means of the records as a facet
+      const response = await fetch(
+        `${CONFIG.GBIF_API}/occurrence/search?taxonKey=${species.gbifKey}&geoDistance=${cell.latitude},${cell.longitude},${band.radiusKm}km&hasGeospatialIssue=false&limit=0&facet=establishmentMeans`
+      );
+      if (!response.ok) throw new Error('GBIF occurrence count error');
+      
+      const data = await response.json();
+      const facet = data.facets?.find(entry => entry.field === 'ESTABLISHMENT_MEANS');
+      return {
+        id: band.id,
+        radiusKm: band.radiusKm,
+        count: data.count || 0,
+        establishmentMeans: Object.fromEntries((facet?.counts || []).map(entry => [entry.name, entry.count]))
+      };
+    }));
+    
+    return { bands, checkedAt: new Date().toISOString() };
+  });
 
 /**
  * Search for tree on Trefle API
+ * Results are cached; skipped when no Trefle token is configured
  * @param {string} scientificName - Scientific name
  * @returns {Promise<Object>} Plant data from Trefle
  */
-export const searchTrefleSpecies = async (scientificName) => {
-  try {
+export const searchTrefleSpecies = (scientificName) => {
+  if (!CONFIG.TREFLE_API_KEY) return Promise.resolve(null);
+  
+  return cachedEnrichment({ source: 'trefle-species', scientificName }, async () => {
     const response = await fetch(
       `${CONFIG.TREFLE_API}/plants/search?token=${CONFIG.TREFLE_API_KEY}&q=${encodeURIComponent(scientificName)}`
     );
@@ -103,10 +217,7 @@ export const searchTrefleSpecies = async (scientificName) => {
       };
     }
     return null;
-  } catch (error) {
-    console.error('Trefle fetch error:', error);
-    return null;
-  }
+  });
 };
 
 /**
@@ -137,17 +248,11 @@ export const getTrefleDetails = async (trefleId) => {
   }
 };
 
-/**
- * Search iNaturalist for tree observations
- * @param {string} scientificName - Scientific name
- * @param {number} latitude - Location latitude
- * @param {number} longitude - Location longitude
- * @returns {Promise<Array>} Observation records
- */
-export const searchINaturalistObservations = async (scientificName, latitude, longitude, radius = 50) => {
-  try {
+// iNaturalist observations around the centre of the location's grid cell
+const lookupObservations = (scientificName, latitude, longitude, radius, fallback) =>
+  cachedEnrichment({ source: 'inat-observations', scientificName, latitude, longitude }, async (cell) => {
     const response = await fetch(
-      `${CONFIG.INATURALIST_API}/observations?taxon_name=${encodeURIComponent(scientificName)}&lat=${latitude}&lng=${longitude}&radius=${radius}&per_page=20`
+      `${CONFIG.INATURALIST_API}/observations?taxon_name=${encodeURIComponent(scientificName)}&lat=${cell.latitude}&lng=${cell.longitude}&radius=${radius}&per_page=20`
     );
     
     if (!response.ok) throw new Error('iNaturalist API error');
@@ -163,14 +268,81 @@ export const searchINaturalistObservations = async (scientificName, latitude, lo
       photos: obs.photos.map(p => p.url),
       quality: obs.quality_grade
     }));
-  } catch (error) {
-    console.error('iNaturalist fetch error:', error);
-    return [];
+  }, fallback);
+
+/**
+ * Search iNaturalist for tree observations
+ * Results are cached per grid cell and searched around the cell centre
+ * @param {string} scientificName - Scientific name
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} radius - Search radius in km
+ * @returns {Promise<Array>} Observation records
+ */
+export const searchINaturalistObservations = (scientificName, latitude, longitude, radius = 50) =>
+  lookupObservations(scientificName, latitude, longitude, radius, []);
+
+/**
+ * Download an image and encode it as a data URL
+ * @param {string} url - Image URL
+ * @returns {Promise<string>} Data URL; throws on failure
+ */
+const fetchImageAsDataUrl = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error('Photo download error');
+  
+  const type = response.headers.get('content-type') || 'image/jpeg';
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  
+  if (typeof Buffer !== 'undefined') {
+    return `data:${type};base64,${Buffer.from(bytes).toString('base64')}`;
   }
+  
+  // btoa needs a binary string; build it in chunks to stay within argument limits
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+};
+
+/**
+ * Get a small photo of the species, stored in the cache so it shows offline
+ * Uses the first iNaturalist observation photo near the location (square thumbnails)
+ * @param {string} scientificName - Scientific name
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @returns {Promise<Object|null>} { dataUrl, sourceUrl }
+ */
+export const getSpeciesPhoto = (scientificName, latitude, longitude) =>
+  cachedEnrichment({ source: 'photo', scientificName, latitude, longitude }, async () => {
+    const nearby = await lookupObservations(scientificName, latitude, longitude, 50);
+    // Don't cache "no photo" just because the observation lookup failed
+    if (!nearby) throw new Error('iNaturalist observation lookup failed');
+    
+    const sourceUrl = nearby.flatMap(o => o.photos)[0];
+    if (!sourceUrl) return null;
+    
+    return { dataUrl: await fetchImageAsDataUrl(sourceUrl), sourceUrl };
+  });
+
+/**
+ * Load a species photo saved by getSpeciesPhoto
+ * Trees only carry the photo's cache key (photoRef), so plans, autosaves and
+ * exports stay free of image data
+ * @param {string} photoRef - Cache key from enrichTreeData
+ * @returns {Promise<string|null>} Image data URL, or null if not cached
+ */
+export const getCachedSpeciesPhoto = async (photoRef) => {
+  if (!photoRef) return null;
+  const photo = await getCachedEnrichment(photoRef);
+  return photo?.dataUrl || null;
 };
 
 /**
  * Enrich local tree data with API information
+ * Every lookup goes through the enrichment cache, so repeat runs and
+ * offline mode are served from cached data
  * @param {Object} localTreeData - Tree from local database
  * @param {number} latitude - Location latitude
  * @param {number} longitude - Location longitude
@@ -186,6 +358,7 @@ export const enrichTreeData = async (localTreeData, latitude, longitude) => {
       searchTrefleSpecies(localTreeData.scientificName),
       searchINaturalistObservations(localTreeData.scientificName, latitude, longitude)
     ]);
+    const photo = await getSpeciesPhoto(localTreeData.scientificName, latitude, longitude);
     
     return {
       ...localTreeData,
@@ -201,6 +374,8 @@ export const enrichTreeData = async (localTreeData, latitude, longitude) => {
       localObservations: observations.length,
       recentObservations: observations.slice(0, 5),
       observationPhotos: observations.flatMap(o => o.photos).slice(0, 3),
+      // Reference only; the image stays in the enrichment cache
+      photoRef: photo ? getEnrichmentCacheKey('photo', localTreeData.scientificName, latitude, longitude) : null,
       
       // Metadata
       dataEnriched: true,
@@ -212,12 +387,70 @@ export const enrichTreeData = async (localTreeData, latitude, longitude) => {
   }
 };
 
+/**
+ * Fill the enrichment cache for an area so it can be used offline
+ * @param {Object} options - { latitude, longitude, radiusKm, trees, onProgress }
+ * @returns {Promise<Object>} { success, cells, species, lookups, failed }
+ */
+export const prefetchEnrichment = async ({ latitude, longitude, radiusKm = 0, trees, onProgress = null }) => {
+  try {
+    if (isOfflineMode()) {
+      throw new Error('Turn off offline mode to download species data');
+    }
+    if (!trees?.length) {
+      throw new Error('No species to download data for');
+    }
+    
+    const cells = getEnrichmentCellsAround(latitude, longitude, radiusKm);
+    // Occurrence density uses finer cells, so it is fetched for those separately
+    const densityCells = getEnrichmentCellsAround(latitude, longitude, radiusKm, ENRICHMENT_CELL_SIZES['gbif-density']);
+    const total = trees.length * (cells.length + densityCells.length);
+    let done = 0;
+    let failed = 0;
+    
+    console.log(`📥 Prefetching enrichment for ${trees.length} species across ${cells.length + densityCells.length} cell(s)`);
+    
+    for (const tree of trees) {
+      const { scientificName } = tree;
+      // Species-level lookups once, then the location-specific ones per cell
+      const gbifData = await searchGBIFSpecies(scientificName);
+      await Promise.all([
+        searchTrefleSpecies(scientificName),
+        getCountryChecklist(scientificName)
+      ]);
+      if (!gbifData) failed++;
+      
+      for (const cell of cells) {
+        await getSpeciesPhoto(scientificName, cell.latitude, cell.longitude);
+        done++;
+        onProgress?.({ done, total, species: scientificName });
+      }
+      for (const cell of densityCells) {
+        await getOccurrenceDensity(scientificName, cell.latitude, cell.longitude);
+        done++;
+        onProgress?.({ done, total, species: scientificName });
+      }
+    }
+    
+    console.log(`✅ Prefetch complete (${failed} species without GBIF data)`);
+    return { success: true, cells: cells.length, species: trees.length, lookups: done, failed };
+  } catch (error) {
+    console.error('❌ Prefetch error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
   searchGBIFSpecies,
   getSpeciesOccurrences,
   isSpeciesNative,
+  getCountryChecklist,
+  getOccurrenceDensity,
   searchTrefleSpecies,
   getTrefleDetails,
   searchINaturalistObservations,
-  enrichTreeData
+  getSpeciesPhoto,
+  getCachedSpeciesPhoto,
+  enrichTreeData,
+  prefetchEnrichment
 };
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * Uncertainty Service
+ * Monte Carlo simulation of survival, growth and climate variability to give
+ * P10/P50/P90 ranges for carbon, survival and economic value
+ */
+
+import {
+  calculateTreeCarbonStock,
+  calculateCashFlows,
+  getMixShares,
+  resolveEconomicAssumptions,
+  ESTABLISHMENT_SURVIVAL,
+  ANNUAL_MORTALITY,
+  DROUGHT_PROBABILITY,
+  DROUGHT_MORTALITY,
+  DROUGHT_GROWTH_LOSS
+} from '../utils/calculations';
+
+const DEFAULT_ITERATIONS = 500;
+const DEFAULT_SEED = 20240601; // Fixed seed so the same plan always reports the same ranges
+
+// Sampling distributions per simulated planting. Means and drought rates are the
+// ones the point estimates use (with drought losses at their expected value)
+export const DEFAULT_ASSUMPTIONS = {
+  establishmentSurvival: { mean: ESTABLISHMENT_SURVIVAL, sd: 0.08, min: 0.4, max: 0.98 },
+  annualMortality: { mean: ANNUAL_MORTALITY, sd: 0.007, min: 0, max: 0.05 },
+  growthMultiplier: { sd: 0.2 },            // Lognormal spread on growth speed
+  droughtProbability: DROUGHT_PROBABILITY,  // Chance of a drought year
+  droughtMortality: DROUGHT_MORTALITY,      // Extra losses in a drought year
+  droughtGrowthLoss: DROUGHT_GROWTH_LOSS,   // Share of a year's growth lost in drought
+  carbonPriceSpread: 0.3                    // Relative spread on the plan's carbon price
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createRandom = (seed = DEFAULT_SEED) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Sample a normal distribution, clamped to [min, max]
+ * @param {Function} random - Random generator
+ * @param {Object} dist - { mean, sd, min, max }
+ * @returns {number} Sample
+ */
+const sampleNormal = (random, { mean, sd, min = -Infinity, max = Infinity }) => {
+  // Box-Muller transform
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return Math.min(max, Math.max(min, mean + z * sd));
+};
+
+/**
+ * Get a percentile from sorted values (linear interpolation)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+export const percentile = (sorted, p) => {
+  if (!sorted.length) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+/**
+ * Summarise samples as P10/P50/P90
+ * @param {Array<number>} samples - Sampled values
+ * @returns {Object} { p10, p50, p90 }
+ */
+export const summarizeSamples = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    p10: Math.round(percentile(sorted, 10)),
+    p50: Math.round(percentile(sorted, 50)),
+    p90: Math.round(percentile(sorted, 90))
+  };
+};
+
+/**
+ * Simulate one planting: yearly carbon stock and surviving share
+ * @param {Array} species - Species entries ({ tree, model, planted, plantingYear })
+ * @param {number} years - Years to simulate
+ * @param {Function} random - Random generator
+ * @param {Object} assumptions - Sampling assumptions plus the plan's carbonPrice
+ * @returns {Object} { stock: [], survival: [], ages: [], carbonPrice }
+ */
+const simulatePlanting = (species, years, random, assumptions) => {
+  const establishment = sampleNormal(random, assumptions.establishmentSurvival);
+  const mortality = sampleNormal(random, assumptions.annualMortality);
+  // Lognormal with median 1: faster or slower growth than the curve
+  const growthMultiplier = Math.exp(sampleNormal(random, { mean: 0, sd: assumptions.growthMultiplier.sd }));
+  const carbonPrice = sampleNormal(random, {
+    mean: assumptions.carbonPrice,
+    sd: assumptions.carbonPrice * assumptions.carbonPriceSpread,
+    min: 0
+  });
+
+  const survival = [];
+  const ages = [];
+  let surviving = 1;
+  let effectiveAge = 0;
+
+  for (let year = 1; year <= years; year++) {
+    const drought = random() < assumptions.droughtProbability;
+    const { min, max } = assumptions.droughtMortality;
+
+    surviving *= year === 1 ? establishment : 1 - mortality;
+    if (drought) {
+      surviving *= 1 - (min + random() * (max - min));
+    }
+
+    // Drought years add less growth; effective age drives the growth curve
+    effectiveAge += growthMultiplier * (drought ? 1 - assumptions.droughtGrowthLoss : 1);
+
+    survival.push(surviving);
+    ages.push(effectiveAge);
+  }
+
+  // Species planted in later phases follow the same sampled stand history from their planting year
+  const stock = survival.map((_, idx) => species.reduce((sum, entry) => {
+    const standIdx = idx - entry.plantingYear;
+    if (standIdx < 0) return sum;
+    const age = Math.min(ages[standIdx], entry.tree.lifespan || ages[standIdx]);
+    return sum + entry.planted * survival[standIdx] * calculateTreeCarbonStock(entry.model, age);
+  }, 0));
+
+  return { stock, survival, ages, carbonPrice };
+};
+
+/**
+ * Run a Monte Carlo simulation of impact for a species mix
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName (equal split if empty)
+ * @param {number} treesPerHectare - Planting density
+ * @param {Object} options - { iterations, seed, years, horizons, assumptions, economicAssumptions, hectares, plantingYears }
+ * @returns {Object} P10/P50/P90 ranges for carbon, survival and economic value
+ */
+export const simulateImpact = (trees, mixRatio = {}, treesPerHectare = 400, options = {}) => {
+  const {
+    iterations = DEFAULT_ITERATIONS,
+    seed = DEFAULT_SEED,
+    years = 40,
+    horizons = [5, 10, 20, 40]
+  } = options;
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, ...(options.assumptions || {}) };
+  const economicAssumptions = resolveEconomicAssumptions(options.economicAssumptions);
+  const carbonPrice = economicAssumptions.revenues.carbon.pricePerTonne;
+  const simYears = Math.max(years, ...horizons, economicAssumptions.projectYears);
+
+  const plantingYears = options.plantingYears || {};
+  const species = getMixShares(trees, mixRatio, treesPerHectare).map(entry => ({
+    ...entry,
+    plantingYear: plantingYears[entry.tree.commonName] || 0
+  }));
+
+  const random = createRandom(seed);
+  const runs = [];
+  for (let i = 0; i < iterations; i++) {
+    runs.push(simulatePlanting(species, simYears, random, { ...assumptions, carbonPrice }));
+  }
+
+  const carbonAt = (year) => summarizeSamples(runs.map(run => run.stock[year - 1]));
+  const survivalAt = (year) => summarizeSamples(runs.map(run => run.survival[year - 1] * 100));
+
+  // Re-run the cash-flow model with each simulated survival, growth and carbon price
+  const cashFlows = runs.map(run => calculateCashFlows(trees, mixRatio, treesPerHectare, {
+    assumptions: {
+      ...economicAssumptions,
+      revenues: {
+        ...economicAssumptions.revenues,
+        carbon: { ...economicAssumptions.revenues.carbon, pricePerTonne: run.carbonPrice }
+      }
+    },
+    hectares: options.hectares || 1,
+    plantingYears,
+    survivalAt: (age) => run.survival[Math.max(age, 1) - 1],
+    ageAt: (age) => run.ages[Math.max(age, 1) - 1]
+  }));
+
+  return {
+    iterations,
+    seed,
+    carbon: {
+      ...horizons.reduce((acc, year) => ({ ...acc, [`year${year}`]: carbonAt(year) }), {}),
+      timeline: Array.from({ length: simYears }, (_, idx) => ({ year: idx + 1, ...carbonAt(idx + 1) })),
+      unit: 'kg CO2'
+    },
+    survival: {
+      year1: survivalAt(1),
+      year10: survivalAt(10),
+      unit: '%'
+    },
+    economicValue: {
+      carbonCredits: summarizeSamples(cashFlows.map(flow => flow.totals.revenues.carbon)),
+      timber: summarizeSamples(cashFlows.map(flow => flow.totals.revenues.timber)),
+      total: summarizeSamples(cashFlows.map(flow => flow.totals.totalRevenue)),
+      npv: summarizeSamples(cashFlows.map(flow => flow.npv)),
+      horizonYears: economicAssumptions.projectYears,
+      currency: economicAssumptions.currency
+    },
+    assumptions
+  };
+};
+
+export default {
+  createRandom,
+  percentile,
+  summarizeSamples,
+  simulateImpact,
+  DEFAULT_ASSUMPTIONS
+};
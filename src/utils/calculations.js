@@ -3,28 +3,197 @@
  * Common calculation functions for reforestation metrics
  */
 
+import { getGrowthModel, CARBON_FRACTION, CO2_PER_CARBON } from '../constants/growthModels';
+import { isNativeSpecies } from './nativeness';
+import {
+  DEFAULT_ECONOMIC_ASSUMPTIONS,
+  REVENUE_STREAMS,
+  TIMBER_ROTATIONS,
+  STEM_FORM_FACTOR,
+  COST_LABELS
+} from '../constants/economics';
+
+export const ESTABLISHMENT_SURVIVAL = 0.85; // Share of seedlings surviving the first year
+export const ANNUAL_MORTALITY = 0.015; // Yearly losses once established
+export const DROUGHT_PROBABILITY = 0.1; // Chance of a drought year
+export const DROUGHT_MORTALITY = { min: 0.02, max: 0.1 }; // Extra losses in a drought year
+export const DROUGHT_GROWTH_LOSS = 0.5; // Share of a year's growth lost in drought
+
+// Expected yearly drought losses, so point estimates match the centre of the simulated ranges
+const EXPECTED_DROUGHT_MORTALITY = DROUGHT_PROBABILITY * (DROUGHT_MORTALITY.min + DROUGHT_MORTALITY.max) / 2;
+const EXPECTED_GROWTH_RATE = 1 - DROUGHT_PROBABILITY * DROUGHT_GROWTH_LOSS;
+
+/**
+ * Evaluate a Chapman-Richards growth curve
+ * @param {Object} curve - Curve parameters ({ max, k, p })
+ * @param {number} age - Age in years
+ * @returns {number} Size at age
+ */
+const chapmanRichards = (curve, age) => {
+  if (age <= 0) return 0;
+  return curve.max * Math.pow(1 - Math.exp(-curve.k * age), curve.p);
+};
+
+/**
+ * Predict tree height and stem diameter at an age
+ * @param {Object} model - Growth model from getGrowthModel
+ * @param {number} age - Age in years
+ * @returns {Object} { height (m), dbh (cm) }
+ */
+export const predictTreeSize = (model, age) => ({
+  height: Math.round(chapmanRichards(model.height, age) * 10) / 10,
+  dbh: Math.round(chapmanRichards(model.dbh, age) * 10) / 10
+});
+
+/**
+ * Calculate the CO2 stored in one tree at an age
+ * Above-ground biomass from Chave et al. (2014), roots from the root:shoot ratio
+ * @param {Object} model - Growth model from getGrowthModel
+ * @param {number} age - Age in years
+ * @returns {number} kg CO2 stored in the tree
+ */
+export const calculateTreeCarbonStock = (model, age) => {
+  const height = chapmanRichards(model.height, age);
+  const dbh = chapmanRichards(model.dbh, age);
+  if (height <= 0 || dbh <= 0) return 0;
+
+  const aboveGround = 0.0673 * Math.pow(model.woodDensity * dbh * dbh * height, 0.976);
+  const totalBiomass = aboveGround * (1 + (model.rootShootRatio ?? 0.24));
+
+  return totalBiomass * CARBON_FRACTION * CO2_PER_CARBON;
+};
+
+/**
+ * Trees surviving per planted tree after a number of years, with expected drought losses
+ * @param {number} year - Years since planting
+ * @returns {number} Surviving share (0-1)
+ */
+export const getSurvivalShare = (year) => {
+  if (year <= 0) return 1;
+  return ESTABLISHMENT_SURVIVAL * Math.pow(1 - ANNUAL_MORTALITY, year - 1) *
+    Math.pow(1 - EXPECTED_DROUGHT_MORTALITY, year);
+};
+
+/**
+ * Effective growth age after a number of years, with expected drought growth losses
+ * @param {number} year - Years since planting
+ * @returns {number} Age to read off the growth curve
+ */
+export const getGrowthAge = (year) => Math.max(0, year) * EXPECTED_GROWTH_RATE;
+
+/**
+ * Normalise a planting mix so shares sum to 1
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName (equal split if empty)
+ * @param {number} treesPerHectare - Planting density
+ * @returns {Array} Entries of { tree, model, share, planted }
+ */
+export const getMixShares = (trees, mixRatio = {}, treesPerHectare = 400) => {
+  const mixTrees = trees.filter(t => mixRatio[t.commonName] > 0);
+  const members = mixTrees.length ? mixTrees : trees;
+  const totalShare = members.reduce((sum, t) => sum + (mixRatio[t.commonName] || 1), 0);
+
+  return members.map(tree => {
+    const share = (mixRatio[tree.commonName] || 1) / totalShare;
+    return { tree, model: getGrowthModel(tree), share, planted: treesPerHectare * share };
+  });
+};
+
+/**
+ * Project carbon stocks for a species mix using each species' growth curve
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName (equal split if empty)
+ * @param {number} treesPerHectare - Planting density
+ * @param {Object} options - { years, horizons, plantingYears } (plantingYears: project year per commonName, 0 if absent)
+ * @returns {Object} Carbon projection per hectare
+ */
+export const projectMixCarbon = (trees, mixRatio = {}, treesPerHectare = 400, options = {}) => {
+  const { years = 40, horizons = [5, 10, 20, 40], plantingYears = {} } = options;
+
+  const species = getMixShares(trees, mixRatio, treesPerHectare);
+
+  // Age on the growth curve after drought losses; trees stop adding biomass once they reach their lifespan
+  const curveAge = (tree, age) => Math.min(getGrowthAge(age), tree.lifespan || Infinity);
+
+  // Later phases start growing when planted
+  const speciesStockAt = (entry, year) => {
+    const age = year - (plantingYears[entry.tree.commonName] || 0);
+    if (age <= 0) return 0;
+    return entry.planted * getSurvivalShare(age) * calculateTreeCarbonStock(entry.model, curveAge(entry.tree, age));
+  };
+
+  const yearly = [];
+  let previousStock = 0;
+  for (let year = 1; year <= Math.max(years, ...horizons); year++) {
+    const bySpecies = {};
+    species.forEach(entry => {
+      bySpecies[entry.tree.commonName] = Math.round(speciesStockAt(entry, year));
+    });
+    const stock = Object.values(bySpecies).reduce((sum, val) => sum + val, 0);
+
+    yearly.push({
+      year,
+      stock,
+      annual: stock - previousStock,
+      bySpecies
+    });
+    previousStock = stock;
+  }
+
+  const stockAt = (year) => yearly[year - 1]?.stock || 0;
+
+  return {
+    horizons: horizons.reduce((acc, year) => ({ ...acc, [`year${year}`]: stockAt(year) }), {}),
+    yearly,
+    species: species.map(({ tree, model, share, planted }) => ({
+      id: tree.id,
+      commonName: tree.commonName,
+      share: Math.round(share * 1000) / 10,
+      treesPerHectare: Math.round(planted),
+      plantingYear: plantingYears[tree.commonName] || 0,
+      woodDensity: model.woodDensity,
+      genericModel: model.isDefault,
+      modelSource: model.source,
+      sizeAt20: predictTreeSize(model, curveAge(tree, 20)),
+      perTreeStock: horizons.reduce((acc, year) => ({
+        ...acc,
+        [`year${year}`]: Math.round(calculateTreeCarbonStock(model, curveAge(tree, year)))
+      }), {})
+    }))
+  };
+};
+
 /**
  * Calculate carbon sequestration over time
+ * With a tree (or growth model), yearly capture follows the species growth
+ * curve; otherwise a generic linear ramp on carbonPerTreePerYear is used
  * @param {number} carbonPerTreePerYear - Annual carbon capture per tree (kg CO2)
  * @param {number} numberOfTrees - Total number of trees
  * @param {number} years - Time period in years
  * @param {number} survivalRate - Expected survival rate (0-1)
+ * @param {Object} tree - Optional tree data for a species growth curve
  * @returns {Object} Carbon sequestration data
  */
 export const calculateCarbonSequestration = (
   carbonPerTreePerYear,
   numberOfTrees,
   years = 10,
-  survivalRate = 0.95
+  survivalRate = 0.95,
+  tree = null
 ) => {
   const yearlyData = [];
   let cumulativeCarbon = 0;
+  const model = tree ? getGrowthModel(tree) : null;
   
   for (let year = 1; year <= years; year++) {
-    // Trees grow, so carbon capture increases over time
-    const growthFactor = Math.min(1, 0.5 + (year * 0.05)); // Starts at 50%, reaches 100% by year 10
     const survivingTrees = numberOfTrees * Math.pow(survivalRate, year);
-    const yearlyCapture = carbonPerTreePerYear * survivingTrees * growthFactor;
+    // Per-tree capture this year: growth curve increment, or a ramp that
+    // starts at 50% and reaches 100% of the nominal rate by year 10
+    const perTreeCapture = model
+      ? calculateTreeCarbonStock(model, year) - calculateTreeCarbonStock(model, year - 1)
+      : carbonPerTreePerYear * Math.min(1, 0.5 + (year * 0.05));
+    const growthFactor = carbonPerTreePerYear > 0 ? perTreeCapture / carbonPerTreePerYear : 0;
+    const yearlyCapture = perTreeCapture * survivingTrees;
     cumulativeCarbon += yearlyCapture;
     
     yearlyData.push({
@@ -116,10 +285,8 @@ export const calculateBiodiversityImpact = (trees) => {
   const uniqueFamilies = new Set(trees.map(t => t.family)).size;
   const diversityBonus = uniqueFamilies * 5;
   
-  // Native species bonus
-  const nativeCount = trees.filter(t => 
-    t.nativeRegions && t.nativeRegions.length > 0
-  ).length;
+  // Native species bonus (native to the site when graded, see utils/nativeness)
+  const nativeCount = trees.filter(isNativeSpecies).length;
   const nativeBonus = (nativeCount / trees.length) * 10;
   
   // Nitrogen-fixing bonus
@@ -160,89 +327,254 @@ export const calculateBiodiversityImpact = (trees) => {
 };
 
 /**
- * Calculate economic value of reforestation
- * @param {Object} params - Calculation parameters
- * @returns {Object} Economic valuation
+ * Merge economic assumptions over the defaults
+ * @param {Object} assumptions - Partial assumptions (nested objects merge key by key)
+ * @returns {Object} Complete assumptions
  */
-export const calculateEconomicValue = (params) => {
-  const {
-    numberOfTrees = 400,
-    carbonPerTreePerYear = 45,
-    years = 10,
-    timberValue = 50, // USD per tree
-    carbonCreditPrice = 10, // USD per ton CO2
-    survivalRate = 0.95
-  } = params;
-  
-  // Carbon credits
-  const carbonData = calculateCarbonSequestration(
-    carbonPerTreePerYear,
-    numberOfTrees,
-    years,
-    survivalRate
-  );
-  const carbonValue = (carbonData.totalCarbonSequestered / 1000) * carbonCreditPrice;
-  
-  // Timber value (at maturity)
-  const matureTrees = numberOfTrees * Math.pow(survivalRate, years);
-  const timberValueTotal = matureTrees * timberValue;
-  
-  // Ecosystem services value (simplified)
-  const waterRetention = numberOfTrees * 2; // $2 per tree annually
-  const soilConservation = numberOfTrees * 1.5; // $1.5 per tree annually
-  const biodiversityValue = numberOfTrees * 1; // $1 per tree annually
-  const ecosystemServicesTotal = (waterRetention + soilConservation + biodiversityValue) * years;
-  
-  // Total value
-  const totalValue = carbonValue + timberValueTotal + ecosystemServicesTotal;
-  
-  // Cost estimates
-  const plantingCost = numberOfTrees * 2; // $2 per seedling + planting
-  const maintenanceCost = (numberOfTrees * 0.5) * 3; // $0.5 per tree for 3 years
-  const totalCost = plantingCost + maintenanceCost;
-  
-  // ROI
-  const netValue = totalValue - totalCost;
-  const roi = ((netValue / totalCost) * 100).toFixed(1);
-  
-  return {
-    revenue: {
-      carbonCredits: Math.round(carbonValue),
-      timberValue: Math.round(timberValueTotal),
-      ecosystemServices: Math.round(ecosystemServicesTotal),
-      total: Math.round(totalValue)
-    },
-    costs: {
-      planting: Math.round(plantingCost),
-      maintenance: Math.round(maintenanceCost),
-      total: Math.round(totalCost)
-    },
-    netValue: Math.round(netValue),
-    roi: parseFloat(roi),
-    paybackPeriod: Math.round(totalCost / (totalValue / years)), // years
-    breakdownByYear: generateYearlyEconomics(params)
+export const resolveEconomicAssumptions = (assumptions = {}) => {
+  const merge = (base, override) => {
+    if (!override) return base;
+    return Object.keys({ ...base, ...override }).reduce((acc, key) => {
+      const value = override[key];
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      acc[key] = isObject ? merge(base[key] || {}, value) : value ?? base[key];
+      return acc;
+    }, {});
   };
+  return merge(DEFAULT_ECONOMIC_ASSUMPTIONS, assumptions);
 };
 
 /**
- * Generate yearly economic breakdown
- * @param {Object} params - Parameters
- * @returns {Array} Yearly economics
+ * Net present value of yearly cash flows (year 0 undiscounted)
+ * @param {Array<number>} cashFlows - Net cash flow per year from year 0
+ * @param {number} ratePercent - Discount rate in % per year
+ * @returns {number} NPV
  */
-const generateYearlyEconomics = (params) => {
-  const { years = 10 } = params;
-  const yearlyData = [];
-  
-  for (let year = 1; year <= years; year++) {
-    yearlyData.push({
-      year,
-      costs: year <= 3 ? 200 : 0, // Maintenance only first 3 years
-      revenue: year === years ? 2000 : 150, // Major revenue at harvest
-      netCashFlow: year === years ? 1800 : -50
+export const calculateNPV = (cashFlows, ratePercent) => {
+  const rate = ratePercent / 100;
+  return cashFlows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+};
+
+/**
+ * Internal rate of return by bisection
+ * @param {Array<number>} cashFlows - Net cash flow per year from year 0
+ * @returns {number|null} IRR in %, or null when NPV never changes sign
+ */
+export const calculateIRR = (cashFlows) => {
+  let low = -99;
+  let high = 1000;
+  const npvLow = calculateNPV(cashFlows, low);
+  if (Math.sign(npvLow) === Math.sign(calculateNPV(cashFlows, high))) return null;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = calculateNPV(cashFlows, mid);
+    if (Math.abs(npvMid) < 0.01) return Math.round(mid * 10) / 10;
+    if (Math.sign(npvMid) === Math.sign(npvLow)) low = mid;
+    else high = mid;
+  }
+  return Math.round(((low + high) / 2) * 10) / 10;
+};
+
+/**
+ * First year in which cumulative cash flow turns non-negative
+ * @param {Array<number>} cashFlows - Cash flow per year from year 0
+ * @returns {number|null} Payback year, or null if never repaid
+ */
+export const findPaybackYear = (cashFlows) => {
+  let cumulative = 0;
+  for (let year = 0; year < cashFlows.length; year++) {
+    cumulative += cashFlows[year];
+    if (year > 0 && cumulative >= 0) return year;
+  }
+  return null;
+};
+
+/**
+ * Revenue streams a tree qualifies for, from its listed benefits
+ * @param {Object} tree - Tree data
+ * @returns {Array<string>} Stream ids (carbon always included)
+ */
+export const getRevenueStreams = (tree) => {
+  const benefits = (tree.benefits || []).join(' ').toLowerCase();
+  return Object.entries(REVENUE_STREAMS)
+    .filter(([, stream]) => !stream.keywords.length || stream.keywords.some(k => benefits.includes(k)))
+    .map(([id]) => id);
+};
+
+/**
+ * Merchantable stem volume of one tree
+ * @param {Object} model - Growth model from getGrowthModel
+ * @param {number} age - Age in years
+ * @returns {number} Volume in m³
+ */
+export const calculateStemVolume = (model, age) => {
+  const height = chapmanRichards(model.height, age);
+  const dbhMetres = chapmanRichards(model.dbh, age) / 100;
+  return STEM_FORM_FACTOR * Math.PI * Math.pow(dbhMetres / 2, 2) * height;
+};
+
+// Round every value of a flat object to whole currency units
+const roundValues = (obj) =>
+  Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, Math.round(value)]));
+
+/**
+ * Project yearly costs and revenues for a species mix and derive NPV, IRR and payback
+ * Timber species are clear-felled at their rotation age and replanted; carbon
+ * credits are paid on CO2 stored above the previous peak so regrowth after a
+ * harvest is not credited twice
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName (equal split if empty)
+ * @param {number} treesPerHectare - Planting density
+ * @param {Object} options - { hectares, assumptions, survivalAt, ageAt, plantingYears }
+ * @returns {Object} Cash-flow model
+ */
+export const calculateCashFlows = (trees, mixRatio = {}, treesPerHectare = 400, options = {}) => {
+  const {
+    hectares = 1,
+    survivalAt = getSurvivalShare, // Surviving share by stand age
+    ageAt = getGrowthAge,          // Effective growth age by stand age
+    plantingYears = {}             // Project year each species is first planted (successional phases)
+  } = options;
+  const assumptions = resolveEconomicAssumptions(options.assumptions);
+  const { projectYears, discountRate, costs, revenues } = assumptions;
+
+  const species = getMixShares(trees, mixRatio, treesPerHectare).map(entry => {
+    const streams = getRevenueStreams(entry.tree).filter(id => revenues[id]?.enabled);
+    return {
+      ...entry,
+      planted: entry.planted * hectares,
+      streams,
+      seedlingPrice: costs.seedlingPrices[entry.tree.id] ?? costs.defaultSeedlingPrice,
+      plantingYear: plantingYears[entry.tree.commonName] || 0,
+      rotation: streams.includes('timber')
+        ? TIMBER_ROTATIONS[entry.tree.id] || revenues.timber.defaultRotation
+        : null
+    };
+  });
+
+  const emptyCosts = () => Object.keys(COST_LABELS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+  const emptyRevenues = () => Object.keys(REVENUE_STREAMS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+
+  const yearly = [];
+  let peakStock = 0;
+
+  for (let year = 0; year <= projectYears; year++) {
+    const yearCosts = emptyCosts();
+    const yearRevenues = emptyRevenues();
+    let stock = 0;
+
+    if (year === 0) {
+      yearCosts.sitePreparation = costs.sitePreparation * hectares;
+      yearCosts.fencing = costs.fencing * hectares;
+    } else {
+      if (year <= costs.irrigation.years) yearCosts.irrigation = costs.irrigation.perHectare * hectares;
+      yearCosts.monitoring = costs.monitoring.perHectare * hectares;
+    }
+
+    species.forEach(entry => {
+      if (year < entry.plantingYear) return;
+
+      // Establishment (and replanting after each harvest)
+      if (year === entry.plantingYear) {
+        yearCosts.seedlings += entry.planted * entry.seedlingPrice;
+        yearCosts.plantingLabour += entry.planted * costs.plantingLabour;
+        return;
+      }
+
+      // Stand age restarts after each timber harvest
+      const yearsGrowing = year - entry.plantingYear;
+      const standAge = entry.rotation ? ((yearsGrowing - 1) % entry.rotation) + 1 : yearsGrowing;
+      const age = Math.min(ageAt(standAge), entry.tree.lifespan || Infinity);
+      const alive = entry.planted * survivalAt(standAge);
+
+      if (standAge <= costs.maintenance.years) {
+        yearCosts.maintenance += entry.planted * costs.maintenance.perTree;
+      }
+      if (entry.streams.includes('fruit') && standAge >= revenues.fruit.startYear) {
+        yearRevenues.fruit += alive * revenues.fruit.valuePerTree;
+      }
+      if (entry.streams.includes('fodder') && standAge >= revenues.fodder.startYear) {
+        yearRevenues.fodder += alive * revenues.fodder.valuePerTree;
+      }
+
+      if (entry.rotation && standAge === entry.rotation) {
+        yearRevenues.timber += alive * calculateStemVolume(entry.model, age) * revenues.timber.pricePerCubicMetre;
+        if (year < projectYears) {
+          yearCosts.seedlings += entry.planted * entry.seedlingPrice;
+          yearCosts.plantingLabour += entry.planted * costs.plantingLabour;
+        }
+      } else {
+        stock += alive * calculateTreeCarbonStock(entry.model, age);
+      }
     });
+
+    if (revenues.carbon.enabled && stock > peakStock) {
+      yearRevenues.carbon = ((stock - peakStock) / 1000) * revenues.carbon.pricePerTonne;
+    }
+    peakStock = Math.max(peakStock, stock);
+
+    const totalCost = Object.values(yearCosts).reduce((sum, val) => sum + val, 0);
+    const totalRevenue = Object.values(yearRevenues).reduce((sum, val) => sum + val, 0);
+    yearly.push({ year, costs: yearCosts, revenues: yearRevenues, totalCost, totalRevenue });
   }
-  
-  return yearlyData;
+
+  // Discounting and running totals
+  const rate = discountRate / 100;
+  let cumulative = 0;
+  let cumulativeDiscounted = 0;
+  const rows = yearly.map(row => {
+    const netCashFlow = row.totalRevenue - row.totalCost;
+    const discounted = netCashFlow / Math.pow(1 + rate, row.year);
+    cumulative += netCashFlow;
+    cumulativeDiscounted += discounted;
+    return {
+      year: row.year,
+      costs: roundValues(row.costs),
+      revenues: roundValues(row.revenues),
+      totalCost: Math.round(row.totalCost),
+      totalRevenue: Math.round(row.totalRevenue),
+      netCashFlow: Math.round(netCashFlow),
+      discountedCashFlow: Math.round(discounted),
+      cumulativeCashFlow: Math.round(cumulative),
+      cumulativeDiscounted: Math.round(cumulativeDiscounted)
+    };
+  });
+
+  const sumBy = (key) => roundValues(yearly.reduce((acc, row) => {
+    Object.entries(row[key]).forEach(([item, value]) => { acc[item] = (acc[item] || 0) + value; });
+    return acc;
+  }, {}));
+  const netFlows = yearly.map(row => row.totalRevenue - row.totalCost);
+  const discountedFlows = netFlows.map((flow, year) => flow / Math.pow(1 + rate, year));
+  const totalCost = yearly.reduce((sum, row) => sum + row.totalCost, 0);
+  const totalRevenue = yearly.reduce((sum, row) => sum + row.totalRevenue, 0);
+
+  return {
+    yearly: rows,
+    totals: {
+      costs: sumBy('costs'),
+      revenues: sumBy('revenues'),
+      totalCost: Math.round(totalCost),
+      totalRevenue: Math.round(totalRevenue),
+      netValue: Math.round(totalRevenue - totalCost)
+    },
+    npv: Math.round(calculateNPV(netFlows, discountRate)),
+    irr: calculateIRR(netFlows),
+    paybackYear: findPaybackYear(netFlows),
+    discountedPaybackYear: findPaybackYear(discountedFlows),
+    species: species.map(entry => ({
+      id: entry.tree.id,
+      commonName: entry.tree.commonName,
+      treesPlanted: Math.round(entry.planted),
+      plantingYear: entry.plantingYear,
+      seedlingPrice: entry.seedlingPrice,
+      streams: entry.streams,
+      rotation: entry.rotation
+    })),
+    hectares,
+    assumptions
+  };
 };
 
 /**
@@ -407,10 +739,21 @@ export const calculateProjectTimeline = (tree, numberOfTrees) => {
 };
 
 export default {
+  predictTreeSize,
+  calculateTreeCarbonStock,
+  getSurvivalShare,
+  getMixShares,
+  projectMixCarbon,
   calculateCarbonSequestration,
   calculatePlantingDensity,
   calculateBiodiversityImpact,
-  calculateEconomicValue,
+  resolveEconomicAssumptions,
+  calculateNPV,
+  calculateIRR,
+  findPaybackYear,
+  getRevenueStreams,
+  calculateStemVolume,
+  calculateCashFlows,
   calculateWaterImpact,
   calculateSoilImprovement,
   calculateProjectTimeline
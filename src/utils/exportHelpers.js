@@ -3,6 +3,37 @@
  * Utilities for exporting reforestation plans to various formats
  */
 
+import { boundaryToWKT, generatePlantingGrid } from './geometry';
+import { getMixShares } from './calculations';
+import COLORS, { SPECIES_PALETTE } from '../constants/colors';
+
+/**
+ * Invasive and regulatory notes for a plan: species excluded because they are
+ * banned or need a permit at the site, and recommended species with a warning
+ * @param {Object} plan - Complete reforestation plan
+ * @returns {Array} Notes ({ commonName, scientificName, excluded, message })
+ */
+export const getRegulatoryNotes = (plan) => [
+  ...(plan.excludedSpecies || []).flatMap(species =>
+    (species.reasons || [])
+      .filter(reason => reason.criterion === 'regulatory')
+      .map(reason => ({
+        commonName: species.commonName,
+        scientificName: species.scientificName,
+        excluded: true,
+        message: reason.message
+      }))
+  ),
+  ...(plan.recommendations || [])
+    .filter(tree => tree.regulatoryStatus)
+    .map(tree => ({
+      commonName: tree.commonName,
+      scientificName: tree.scientificName,
+      excluded: false,
+      message: tree.regulatoryStatus.message
+    }))
+];
+
 /**
  * Generate CSV content from reforestation plan
  * @param {Object} plan - Complete reforestation plan
@@ -26,6 +57,14 @@ export const generateCSV = (plan) => {
   csv += `Climate Type,${climateData.climateType}\n`;
   csv += `Annual Rainfall,${climateData.annualRainfall} mm\n\n`;
   
+  // Objective
+  if (plan.metadata?.objective) {
+    const { name, weights, customWeights } = plan.metadata.objective;
+    csv += 'PLANTING OBJECTIVE\n';
+    csv += `Profile,${name}${customWeights ? ' (custom weights)' : ''}\n`;
+    csv += `Weights,"${Object.entries(weights).map(([key, value]) => `${key}: ${value}`).join('; ')}"\n\n`;
+  }
+  
   // Recommended Trees
   csv += 'RECOMMENDED TREE SPECIES\n';
   csv += 'Rank,Common Name,Scientific Name,Compatibility Score,Growth Rate,Carbon (kg/year),Water Needs\n';
@@ -34,6 +73,28 @@ export const generateCSV = (plan) => {
   });
   csv += '\n';
   
+  // Invasive / Regulatory Status
+  const regulatoryNotes = getRegulatoryNotes(plan);
+  if (regulatoryNotes.length) {
+    csv += 'INVASIVE AND REGULATORY STATUS\n';
+    csv += 'Species,Scientific Name,Action,Note\n';
+    regulatoryNotes.forEach(note => {
+      csv += `${note.commonName},${note.scientificName},${note.excluded ? 'Excluded' : 'Warning'},"${note.message.replace(/"/g, '""')}"\n`;
+    });
+    csv += '\n';
+  }
+  
+  // Site Boundary
+  if (plan.siteBoundary) {
+    const { siteBoundary } = plan;
+    csv += 'SITE BOUNDARY\n';
+    csv += `Area,${siteBoundary.areaHectares} ha\n`;
+    csv += `Perimeter,${siteBoundary.perimeterMetres} m\n`;
+    csv += `Centroid,${siteBoundary.centroid.latitude.toFixed(6)},${siteBoundary.centroid.longitude.toFixed(6)}\n`;
+    csv += `Source,${siteBoundary.source}\n`;
+    csv += `Boundary (WKT),"${boundaryToWKT(siteBoundary)}"\n\n`;
+  }
+  
   // Planting Strategy
   csv += 'PLANTING STRATEGY\n';
   csv += `Density,${plantingStrategy.density}\n`;
@@ -44,10 +105,74 @@ export const generateCSV = (plan) => {
   csv += 'EXPECTED IMPACT (10 YEARS)\n';
   csv += `Carbon Sequestration Year 1,${impactMetrics.carbonSequestration.year1} kg CO2\n`;
   csv += `Carbon Sequestration Year 10,${impactMetrics.carbonSequestration.year10} kg CO2\n`;
+  [5, 20, 40].forEach(year => {
+    const stock = impactMetrics.carbonSequestration[`year${year}`];
+    if (stock !== undefined) csv += `Carbon Stored Year ${year},${stock} kg CO2\n`;
+  });
+  if (impactMetrics.carbonSequestration.genericCurveSpecies?.length) {
+    csv += `Generic Growth Curve,${csvCell(impactMetrics.carbonSequestration.genericCurveSpecies.join(', '))}\n`;
+  }
   csv += `Biodiversity Score,${impactMetrics.biodiversity.score}/100\n`;
   csv += `Trees Per Hectare,${impactMetrics.density.treesPerHectare}\n`;
   csv += `Economic Value,${impactMetrics.economicValue.total} USD\n`;
   
+  // Site Totals
+  if (impactMetrics.site) {
+    const { site } = impactMetrics;
+    csv += `\nSEEDLING ORDER (${site.areaHectares} HA)\n`;
+    csv += 'Species,Trees,Spares,Order\n';
+    site.seedlingOrder.forEach(entry => {
+      csv += `${entry.commonName},${entry.trees},${entry.spares},${entry.total}\n`;
+    });
+    csv += `Total,${site.totalTrees},${site.totalSeedlings - site.totalTrees},${site.totalSeedlings}\n`;
+    [10, 20, 40].forEach(year => {
+      const stock = site.carbon[`year${year}`];
+      if (stock !== undefined) csv += `Site Carbon Stored Year ${year},${stock} kg CO2\n`;
+    });
+  }
+  
+  // Uncertainty Ranges
+  const { uncertainty } = impactMetrics;
+  if (uncertainty) {
+    csv += '\nUNCERTAINTY (P10/P50/P90)\n';
+    csv += 'Metric,P10,P50,P90,Unit\n';
+    [5, 10, 20, 40].forEach(year => {
+      const range = uncertainty.carbon[`year${year}`];
+      if (range) csv += `Carbon Stored Year ${year},${range.p10},${range.p50},${range.p90},kg CO2\n`;
+    });
+    ['year1', 'year10'].forEach(key => {
+      const range = uncertainty.survival[key];
+      csv += `Survival ${key.replace('year', 'Year ')},${range.p10},${range.p50},${range.p90},%\n`;
+    });
+    const economic = uncertainty.economicValue;
+    csv += `Carbon Credits,${economic.carbonCredits.p10},${economic.carbonCredits.p50},${economic.carbonCredits.p90},USD\n`;
+    csv += `Timber Value,${economic.timber.p10},${economic.timber.p50},${economic.timber.p90},USD\n`;
+    csv += `Economic Value,${economic.total.p10},${economic.total.p50},${economic.total.p90},USD\n`;
+    if (economic.npv) csv += `Net Present Value,${economic.npv.p10},${economic.npv.p50},${economic.npv.p90},USD\n`;
+    csv += `Simulations,${uncertainty.iterations} (seed ${uncertainty.seed})\n`;
+  }
+  
+  // Project Economics
+  const { economics } = impactMetrics;
+  if (economics) {
+    const { assumptions } = economics;
+    csv += '\nPROJECT ECONOMICS\n';
+    csv += `Project Length,${assumptions.projectYears} years\n`;
+    csv += `Discount Rate,${assumptions.discountRate}%\n`;
+    csv += `Net Present Value,${economics.npv} ${assumptions.currency}\n`;
+    csv += `IRR,${economics.irr !== null ? `${economics.irr}%` : 'n/a'}\n`;
+    csv += `Payback Year,${economics.paybackYear ?? 'not reached'}\n`;
+    csv += `Total Costs,${economics.totals.totalCost} ${assumptions.currency}\n`;
+    csv += `Total Revenue,${economics.totals.totalRevenue} ${assumptions.currency}\n`;
+    
+    const costKeys = Object.keys(economics.totals.costs);
+    const revenueKeys = Object.keys(economics.totals.revenues);
+    csv += `\nYear,${costKeys.map(key => `Cost: ${key}`).join(',')},${revenueKeys.map(key => `Revenue: ${key}`).join(',')},Net Cash Flow,Discounted,Cumulative Discounted\n`;
+    economics.yearly.forEach(row => {
+      csv += `${row.year},${costKeys.map(key => row.costs[key]).join(',')},${revenueKeys.map(key => row.revenues[key]).join(',')},${row.netCashFlow},${row.discountedCashFlow},${row.cumulativeDiscounted}\n`;
+    });
+  }
+  
   return csv;
 };
 
@@ -77,6 +202,15 @@ export const generateTXTReport = (plan) => {
   txt += `   Annual Rainfall: ${climateData.annualRainfall} mm\n`;
   txt += `   Soil Type: ${climateData.soilMoisture.level}\n\n`;
   
+  // Objective
+  if (plan.metadata?.objective) {
+    const { name, description, weights, customWeights } = plan.metadata.objective;
+    txt += '━━━ PLANTING OBJECTIVE ━━━\n\n';
+    txt += `🎯 ${name}${customWeights ? ' (custom weights)' : ''}\n`;
+    if (description) txt += `   ${description}\n`;
+    txt += `   Weights: ${Object.entries(weights).map(([key, value]) => `${key} ${value}`).join(', ')}\n\n`;
+  }
+  
   // Recommendations
   txt += '━━━ TOP RECOMMENDED TREE SPECIES ━━━\n\n';
   recommendations.forEach((tree, idx) => {
@@ -92,10 +226,59 @@ export const generateTXTReport = (plan) => {
     if (tree.aiReasoning) {
       txt += `   🤖 AI Insight: ${tree.aiReasoning}\n`;
     }
+    
+    if (tree.scoreBreakdown) {
+      txt += `   Why this tree:\n`;
+      tree.scoreBreakdown.factors
+        .filter(factor => factor.evaluated)
+        .forEach(factor => {
+          txt += `     • ${factor.label}: ${factor.points}/${factor.maxPoints} pts - ${factor.detail}\n`;
+        });
+    }
     txt += '\n';
   });
   
+  // Excluded species
+  if (plan.excludedSpecies?.length) {
+    txt += '━━━ SPECIES NOT RECOMMENDED ━━━\n\n';
+    plan.excludedSpecies.forEach(species => {
+      txt += `✗ ${species.commonName} (${species.scientificName})\n`;
+      species.reasons.forEach(reason => {
+        txt += `   • ${reason.message}\n`;
+      });
+    });
+    txt += '\n';
+  }
+  
+  // Invasive / Regulatory Status
+  const regulatoryNotes = getRegulatoryNotes(plan);
+  if (regulatoryNotes.length) {
+    txt += '━━━ INVASIVE AND REGULATORY STATUS ━━━\n\n';
+    regulatoryNotes.forEach(note => {
+      txt += `${note.excluded ? '⛔ Excluded' : '⚠️ Warning'}: ${note.commonName} (${note.scientificName})\n`;
+      txt += `   ${note.message}\n`;
+    });
+    txt += '   Species banned or needing a permit at the site are never recommended; check local rules before planting any species with a warning.\n\n';
+  }
+  
   // Planting Strategy
+  // Site Boundary
+  if (plan.siteBoundary) {
+    const { siteBoundary } = plan;
+    txt += '━━━ SITE BOUNDARY ━━━\n\n';
+    txt += `📐 Area: ${siteBoundary.areaHectares} ha (perimeter ${siteBoundary.perimeterMetres.toLocaleString()} m)\n`;
+    txt += `📍 Centroid: ${siteBoundary.centroid.latitude.toFixed(6)}, ${siteBoundary.centroid.longitude.toFixed(6)}\n`;
+    txt += `🗺️ Boundary: ${boundaryToWKT(siteBoundary)}\n`;
+    if (impactMetrics.site) {
+      txt += `🌱 Seedling Order:\n`;
+      impactMetrics.site.seedlingOrder.forEach(entry => {
+        txt += `   • ${entry.commonName}: ${entry.total.toLocaleString()} (${entry.trees.toLocaleString()} + ${entry.spares.toLocaleString()} spares)\n`;
+      });
+      txt += `   • Total: ${impactMetrics.site.totalSeedlings.toLocaleString()} seedlings for ${impactMetrics.site.totalTrees.toLocaleString()} planting spots\n`;
+    }
+    txt += '\n';
+  }
+  
   txt += '━━━ PLANTING STRATEGY ━━━\n\n';
   txt += `🌱 Planting Density: ${plantingStrategy.density}\n`;
   txt += `📏 Tree Spacing: ${plantingStrategy.spacing}\n`;
@@ -111,6 +294,16 @@ export const generateTXTReport = (plan) => {
   txt += `🌍 CARBON SEQUESTRATION:\n`;
   txt += `   • Year 1: ${impactMetrics.carbonSequestration.year1.toLocaleString()} kg CO2\n`;
   txt += `   • Year 10: ${impactMetrics.carbonSequestration.year10.toLocaleString()} kg CO2\n`;
+  [20, 40].forEach(year => {
+    const stock = impactMetrics.carbonSequestration[`year${year}`];
+    if (stock !== undefined) txt += `   • Year ${year}: ${stock.toLocaleString()} kg CO2\n`;
+  });
+  if (impactMetrics.carbonSequestration.model) {
+    txt += `   • Model: ${impactMetrics.carbonSequestration.model}\n`;
+  }
+  if (impactMetrics.carbonSequestration.genericCurveSpecies?.length) {
+    txt += `   • Generic growth curve (no fitted data): ${impactMetrics.carbonSequestration.genericCurveSpecies.join(', ')}\n`;
+  }
   txt += `   • Per Tree: ${impactMetrics.carbonSequestration.perTree} kg CO2/year\n\n`;
   
   txt += `🦋 BIODIVERSITY:\n`;
@@ -119,12 +312,39 @@ export const generateTXTReport = (plan) => {
   txt += `💰 ECONOMIC VALUE:\n`;
   txt += `   • Carbon Credits: $${impactMetrics.economicValue.carbonCredits.toLocaleString()}\n`;
   txt += `   • Timber Value: $${impactMetrics.economicValue.timber.toLocaleString()}\n`;
-  txt += `   • Total Value: $${impactMetrics.economicValue.total.toLocaleString()}\n\n`;
+  if (impactMetrics.economicValue.fruit) txt += `   • Fruit & Nuts: $${impactMetrics.economicValue.fruit.toLocaleString()}\n`;
+  if (impactMetrics.economicValue.fodder) txt += `   • Fodder: $${impactMetrics.economicValue.fodder.toLocaleString()}\n`;
+  txt += `   • Total Revenue: $${impactMetrics.economicValue.total.toLocaleString()}\n`;
+  const { economics } = impactMetrics;
+  if (economics) {
+    txt += `   • Total Costs: $${economics.totals.totalCost.toLocaleString()}\n`;
+    txt += `   • Net Present Value: $${economics.npv.toLocaleString()} (${economics.assumptions.discountRate}% over ${economics.assumptions.projectYears} years)\n`;
+    txt += `   • IRR: ${economics.irr !== null ? `${economics.irr}%` : 'n/a'}\n`;
+    txt += `   • Payback: ${economics.paybackYear !== null ? `year ${economics.paybackYear}` : 'not reached'}\n`;
+  }
+  txt += '\n';
   
   txt += `🌳 PLANTING DETAILS:\n`;
   txt += `   • Trees per Hectare: ${impactMetrics.density.treesPerHectare}\n`;
   txt += `   • Expected Survival: ${impactMetrics.density.survivalRate}%\n\n`;
   
+  const { uncertainty } = impactMetrics;
+  if (uncertainty) {
+    const formatRange = ({ p10, p50, p90 }, unit) =>
+      `${p10.toLocaleString()} / ${p50.toLocaleString()} / ${p90.toLocaleString()} ${unit}`;
+    txt += `📊 PROJECTION RANGES (P10 / P50 / P90):\n`;
+    [5, 10, 20, 40].forEach(year => {
+      const range = uncertainty.carbon[`year${year}`];
+      if (range) txt += `   • Carbon Year ${year}: ${formatRange(range, 'kg CO2')}\n`;
+    });
+    txt += `   • Survival Year 10: ${formatRange(uncertainty.survival.year10, '%')}\n`;
+    txt += `   • Economic Value: ${formatRange(uncertainty.economicValue.total, 'USD')}\n`;
+    if (uncertainty.economicValue.npv) {
+      txt += `   • Net Present Value: ${formatRange(uncertainty.economicValue.npv, 'USD')}\n`;
+    }
+    txt += `   • Based on ${uncertainty.iterations} simulations of survival, growth, drought and carbon price\n\n`;
+  }
+  
   // AI Insights
   if (aiInsights) {
     txt += '━━━ AI-POWERED INSIGHTS ━━━\n\n';
@@ -161,8 +381,59 @@ export const generateTXTReport = (plan) => {
   return txt;
 };
 
+// Quote a CSV cell when it contains a delimiter, quote or line break
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generate a CSV comparing several candidate sites, one row per site
+ * @param {Array} rows - Rows from siteComparisonService.summarizeSite
+ * @returns {string} CSV content
+ */
+export const generateComparisonCSV = (rows) => {
+  const columns = [
+    ['Site', row => row.label],
+    ['Location', row => row.place],
+    ['Latitude', row => row.latitude?.toFixed(5)],
+    ['Longitude', row => row.longitude?.toFixed(5)],
+    ['Elevation (m)', row => row.elevation],
+    ['Climate Type', row => row.climateType],
+    ['Avg Temperature (°C)', row => row.averageTemperature],
+    ['Annual Rainfall (mm)', row => row.annualRainfall],
+    ['Climate Source', row => row.climateSource],
+    ['Suitability Score', row => row.suitabilityScore],
+    ['Suitability Level', row => row.suitabilityLevel],
+    ['Climate Zone', row => row.climateZone],
+    ['Suitability Warnings', row => row.suitabilityWarnings?.join('; ')],
+    ['Top Species', row => row.topSpecies?.join('; ')],
+    ['Top Species Score', row => row.topScore?.toFixed?.(1)],
+    ['Suitable Species', row => row.speciesCount],
+    ['Trees per Hectare', row => row.treesPerHectare],
+    ['Survival Year 10 (%)', row => row.survivalRate],
+    ['Carbon Year 10 (t CO2/ha)', row => row.carbonYear10],
+    ['Carbon Year 40 (t CO2/ha)', row => row.carbonYear40],
+    ['Total Cost per Hectare', row => row.totalCost],
+    ['Cost per t CO2 (40 yr)', row => row.costPerTonne],
+    ['NPV per Hectare', row => row.npv],
+    ['Currency', row => row.currency],
+    ['Error', row => row.error]
+  ];
+
+  let csv = 'SITE COMPARISON\n';
+  csv += `Generated: ${new Date().toLocaleString()}\n\n`;
+  csv += columns.map(([header]) => csvCell(header)).join(',') + '\n';
+  rows.forEach(row => {
+    csv += columns.map(([, getValue]) => csvCell(getValue(row))).join(',') + '\n';
+  });
+
+  return csv;
+};
+
 /**
  * Generate JSON export
+ * Versioned by plan.schemaVersion so it can be imported again (see planSchema)
  * @param {Object} plan - Complete reforestation plan
  * @returns {string} JSON string
  */
@@ -170,6 +441,170 @@ export const generateJSON = (plan) => {
   return JSON.stringify(plan, null, 2);
 };
 
+/**
+ * Lay out the planting grid for a plan, one entry per tree position
+ * @param {Object} plan - Complete reforestation plan
+ * @returns {Object} Grid from generatePlantingGrid with species colors
+ */
+export const buildPlantingLayout = (plan) => {
+  const { recommendations = [], plantingStrategy, impactMetrics, siteBoundary, location } = plan;
+  const treesPerHectare = impactMetrics?.density?.treesPerHectare || 400;
+
+  const species = getMixShares(recommendations, plantingStrategy?.mixRatio, treesPerHectare)
+    .map(({ tree, share }, idx) => ({
+      id: tree.id,
+      commonName: tree.commonName,
+      scientificName: tree.scientificName,
+      share,
+      color: SPECIES_PALETTE[idx % SPECIES_PALETTE.length]
+    }));
+
+  const layout = generatePlantingGrid({
+    boundary: siteBoundary,
+    center: location?.coordinates,
+    spacing: plantingStrategy?.spacing,
+    treesPerHectare,
+    species
+  });
+
+  return { ...layout, species };
+};
+
+const roundCoordinate = ([lon, lat]) => [Number(lon.toFixed(7)), Number(lat.toFixed(7))];
+
+/**
+ * Generate GeoJSON export: site point, boundary and planting grid
+ * @param {Object} plan - Complete reforestation plan
+ * @returns {string} GeoJSON FeatureCollection string
+ */
+export const generateGeoJSON = (plan) => {
+  const { location, siteBoundary, plantingStrategy } = plan;
+  const layout = buildPlantingLayout(plan);
+  const features = [];
+
+  if (location?.coordinates) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: roundCoordinate([location.coordinates.longitude, location.coordinates.latitude])
+      },
+      properties: {
+        kind: 'site',
+        name: [location.city, location.country].filter(Boolean).join(', ') || 'Planting site'
+      }
+    });
+  }
+
+  if (siteBoundary) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [siteBoundary.coordinates[0].map(roundCoordinate)] },
+      properties: {
+        kind: 'boundary',
+        areaHectares: siteBoundary.areaHectares,
+        perimeterMetres: siteBoundary.perimeterMetres,
+        source: siteBoundary.source
+      }
+    });
+  }
+
+  layout.trees.forEach(({ row, column, position, species }) => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: roundCoordinate(position) },
+      properties: {
+        kind: 'tree',
+        id: `R${row}-C${column}`,
+        row,
+        column,
+        speciesId: species.id,
+        commonName: species.commonName,
+        scientificName: species.scientificName,
+        'marker-color': species.color
+      }
+    });
+  });
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name: 'Reforestation planting layout',
+    properties: {
+      generatedAt: new Date().toISOString(),
+      spacing: plantingStrategy?.spacing,
+      gridSpacingMetres: layout.spacingMetres,
+      treeCount: layout.trees.length,
+      truncated: layout.truncated,
+      areaHectares: layout.areaHectares
+    },
+    features
+  }, null, 2);
+};
+
+const escapeXML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colors are aabbggrr
+const toKMLColor = (hex, alpha = 'ff') => {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+const toKMLCoordinates = (ring) => ring.map(point => roundCoordinate(point).join(',')).join(' ');
+
+/**
+ * Generate KML export with one styled folder per species
+ * @param {Object} plan - Complete reforestation plan
+ * @returns {string} KML document string
+ */
+export const generateKML = (plan) => {
+  const { location, siteBoundary, plantingStrategy } = plan;
+  const layout = buildPlantingLayout(plan);
+  const siteName = [location?.city, location?.country].filter(Boolean).join(', ') || 'Planting site';
+
+  let kml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  kml += '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n';
+  kml += `  <name>${escapeXML(`Reforestation plan - ${siteName}`)}</name>\n`;
+  kml += `  <description>${escapeXML(`${layout.trees.length} trees on a ${layout.spacingMetres} m grid (recommended spacing ${plantingStrategy?.spacing || 'n/a'})${layout.truncated ? '. Layout truncated; plan large sites in sections.' : ''}`)}</description>\n`;
+
+  // Styles
+  kml += `  <Style id="boundary"><LineStyle><color>${toKMLColor(COLORS.primary)}</color><width>3</width></LineStyle>`;
+  kml += `<PolyStyle><color>${toKMLColor(COLORS.accent, '40')}</color></PolyStyle></Style>\n`;
+  layout.species.forEach(species => {
+    kml += `  <Style id="species-${escapeXML(species.id)}"><IconStyle><color>${toKMLColor(species.color)}</color><scale>0.6</scale>`;
+    kml += '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png</href></Icon></IconStyle>';
+    kml += '<LabelStyle><scale>0</scale></LabelStyle></Style>\n';
+  });
+
+  // Site
+  kml += '  <Folder>\n    <name>Site</name>\n';
+  if (location?.coordinates) {
+    kml += `    <Placemark><name>${escapeXML(siteName)}</name><Point><coordinates>${toKMLCoordinates([[location.coordinates.longitude, location.coordinates.latitude]])}</coordinates></Point></Placemark>\n`;
+  }
+  if (siteBoundary) {
+    kml += `    <Placemark><name>Site boundary (${siteBoundary.areaHectares} ha)</name><styleUrl>#boundary</styleUrl>`;
+    kml += `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toKMLCoordinates(siteBoundary.coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>\n`;
+  }
+  kml += '  </Folder>\n';
+
+  // Planting layout
+  layout.species.forEach(species => {
+    const trees = layout.trees.filter(tree => tree.species === species);
+    kml += `  <Folder>\n    <name>${escapeXML(`${species.commonName} (${trees.length})`)}</name>\n`;
+    trees.forEach(({ row, column, position }) => {
+      kml += `    <Placemark><name>${escapeXML(`${species.commonName} R${row}-C${column}`)}</name><styleUrl>#species-${escapeXML(species.id)}</styleUrl>`;
+      kml += `<Point><coordinates>${toKMLCoordinates([position])}</coordinates></Point></Placemark>\n`;
+    });
+    kml += '  </Folder>\n';
+  });
+
+  kml += '</Document>\n</kml>\n';
+  return kml;
+};
+
 /**
  * Download file to user's computer
  * @param {string} content - File content
@@ -199,6 +634,17 @@ export const exportAsCSV = (plan, filename) => {
   downloadFile(csv, name, 'text/csv');
 };
 
+/**
+ * Export a site comparison as CSV
+ * @param {Array} rows - Rows from siteComparisonService.summarizeSite
+ * @param {string} filename - Optional filename
+ */
+export const exportComparisonCSV = (rows, filename) => {
+  const csv = generateComparisonCSV(rows);
+  const name = filename || `site-comparison-${Date.now()}.csv`;
+  downloadFile(csv, name, 'text/csv');
+};
+
 /**
  * Export plan as TXT
  * @param {Object} plan - Reforestation plan
@@ -221,10 +667,32 @@ export const exportAsJSON = (plan, filename) => {
   downloadFile(json, name, 'application/json');
 };
 
+/**
+ * Export plan as GeoJSON (site, boundary and planting grid)
+ * @param {Object} plan - Reforestation plan
+ * @param {string} filename - Optional filename
+ */
+export const exportAsGeoJSON = (plan, filename) => {
+  const geojson = generateGeoJSON(plan);
+  const name = filename || `reforestation-plan-${Date.now()}.geojson`;
+  downloadFile(geojson, name, 'application/geo+json');
+};
+
+/**
+ * Export plan as KML (Google Earth and field GPS apps)
+ * @param {Object} plan - Reforestation plan
+ * @param {string} filename - Optional filename
+ */
+export const exportAsKML = (plan, filename) => {
+  const kml = generateKML(plan);
+  const name = filename || `reforestation-plan-${Date.now()}.kml`;
+  downloadFile(kml, name, 'application/vnd.google-earth.kml+xml');
+};
+
 /**
  * Copy plan to clipboard
  * @param {Object} plan - Reforestation plan
- * @param {string} format - Format (txt, json, csv)
+ * @param {string} format - Format (txt, json, csv, geojson, kml)
  * @returns {Promise<boolean>} Success status
  */
 export const copyToClipboard = async (plan, format = 'txt') => {
@@ -237,6 +705,12 @@ export const copyToClipboard = async (plan, format = 'txt') => {
     case 'json':
       content = generateJSON(plan);
       break;
+    case 'geojson':
+      content = generateGeoJSON(plan);
+      break;
+    case 'kml':
+      content = generateKML(plan);
+      break;
     case 'txt':
     default:
       content = generateTXTReport(plan);
@@ -272,13 +746,21 @@ Join me in climate action with ReForest.AI 🌍
 };
 
 export default {
+  getRegulatoryNotes,
   generateCSV,
   generateTXTReport,
+  generateComparisonCSV,
   generateJSON,
+  buildPlantingLayout,
+  generateGeoJSON,
+  generateKML,
   downloadFile,
   exportAsCSV,
+  exportComparisonCSV,
   exportAsTXT,
   exportAsJSON,
+  exportAsGeoJSON,
+  exportAsKML,
   copyToClipboard,
   generateShareText
 };
\ No newline at end of file
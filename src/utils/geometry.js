@@ -0,0 +1,427 @@
+/**
+ * Geometry Utility
+ * Site boundary polygons: area, perimeter, centroid and map projection.
+ * Rings are arrays of [longitude, latitude] pairs (GeoJSON order).
+ */
+
+import { calculateDistance } from '../services/locationService';
+
+const EARTH_RADIUS = 6378137; // WGS84 equatorial radius in metres
+const SQUARE_METRES_PER_HECTARE = 10000;
+export const TILE_SIZE = 256; // Web Mercator map tile size in pixels
+export const OSM_TILE_URL = 'https://tile.openstreetmap.org';
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Drop the closing vertex if the ring repeats its first point
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {Array} Open ring
+ */
+export const openRing = (ring) => {
+  if (ring.length > 1) {
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] === last[0] && first[1] === last[1]) return ring.slice(0, -1);
+  }
+  return ring;
+};
+
+/**
+ * Close a ring by repeating its first point
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {Array} Closed ring
+ */
+export const closeRing = (ring) => {
+  const open = openRing(ring);
+  return open.length ? [...open, open[0]] : open;
+};
+
+/**
+ * Area of a polygon ring on the sphere (Chamberlain & Duquette, 2007)
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {number} Area in square metres
+ */
+export const calculatePolygonArea = (ring) => {
+  const points = openRing(ring);
+  if (points.length < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < points.length; i++) {
+    const previous = points[(i + points.length - 1) % points.length];
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    total += (toRadians(next[0]) - toRadians(previous[0])) * Math.sin(toRadians(current[1]));
+  }
+
+  return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+};
+
+/**
+ * Perimeter of a polygon ring
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {number} Perimeter in metres
+ */
+export const calculatePerimeter = (ring) => {
+  const points = closeRing(ring);
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += calculateDistance(points[i - 1][1], points[i - 1][0], points[i][1], points[i][0]);
+  }
+  return total * 1000;
+};
+
+/**
+ * Centroid of a polygon ring (planar, accurate for site-sized polygons)
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {Object} { latitude, longitude }
+ */
+export const calculateCentroid = (ring) => {
+  const points = openRing(ring);
+  let area = 0;
+  let x = 0;
+  let y = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    x += (x1 + x2) * cross;
+    y += (y1 + y2) * cross;
+  }
+
+  // Degenerate rings fall back to the vertex average
+  if (Math.abs(area) < 1e-12) {
+    return {
+      latitude: points.reduce((sum, p) => sum + p[1], 0) / points.length,
+      longitude: points.reduce((sum, p) => sum + p[0], 0) / points.length
+    };
+  }
+
+  return { latitude: y / (3 * area), longitude: x / (3 * area) };
+};
+
+/**
+ * Signed planar area of a ring (positive when counterclockwise)
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {number} Signed area in square degrees
+ */
+export const getSignedArea = (ring) => {
+  const points = openRing(ring);
+  let total = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    total += x1 * y2 - x2 * y1;
+  }
+  return total / 2;
+};
+
+// Orientation of the triangle a-b-c: 1 counterclockwise, -1 clockwise, 0 collinear
+const orientation = (a, b, c) => {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return Math.abs(value) < 1e-18 ? 0 : Math.sign(value);
+};
+
+const onSegment = (a, b, p) =>
+  Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+
+const segmentsIntersect = (p1, p2, q1, q2) => {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p1, p2, q1)) ||
+    (o2 === 0 && onSegment(p1, p2, q2)) ||
+    (o3 === 0 && onSegment(q1, q2, p1)) ||
+    (o4 === 0 && onSegment(q1, q2, p2));
+};
+
+/**
+ * Find edges of a ring that cross each other
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {Array} Intersecting edge index pairs [[i, j], ...]
+ */
+export const findSelfIntersections = (ring) => {
+  const points = openRing(ring);
+  const n = points.length;
+  const crossings = [];
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      // Neighbouring edges share a vertex
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+      const a = [points[i], points[(i + 1) % n]];
+      const b = [points[j], points[(j + 1) % n]];
+      if (segmentsIntersect(a[0], a[1], b[0], b[1])) crossings.push([i, j]);
+    }
+  }
+
+  return crossings;
+};
+
+/**
+ * Validate and normalise a boundary ring
+ * Drops repeated vertices, rewinds clockwise rings to the GeoJSON
+ * counterclockwise convention and rejects self-intersecting outlines
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {Object} { valid, ring, errors, warnings }
+ */
+export const validateRing = (ring) => {
+  const errors = [];
+  const warnings = [];
+
+  const outOfRange = ring.find(([lon, lat]) =>
+    !Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lon) > 180 || Math.abs(lat) > 90
+  );
+  if (outOfRange) {
+    errors.push(`Coordinate ${outOfRange.join(', ')} is not longitude/latitude. Export the boundary in WGS84 (EPSG:4326).`);
+    return { valid: false, ring, errors, warnings };
+  }
+
+  // Repeated consecutive vertices (common in GPS tracks)
+  const original = openRing(ring);
+  let points = openRing(original.filter((point, idx, all) =>
+    idx === 0 || point[0] !== all[idx - 1][0] || point[1] !== all[idx - 1][1]
+  ));
+  if (points.length < original.length) {
+    warnings.push(`Removed ${original.length - points.length} repeated points`);
+  }
+
+  if (points.length < 3) {
+    errors.push('A site boundary needs at least 3 distinct points');
+    return { valid: false, ring: points, errors, warnings };
+  }
+
+  if (getSignedArea(points) < 0) {
+    points = [...points].reverse();
+    warnings.push('Boundary was drawn clockwise and has been rewound counterclockwise');
+  }
+
+  const crossings = findSelfIntersections(points);
+  if (crossings.length) {
+    const [i, j] = crossings[0];
+    errors.push(`The boundary crosses itself (edge ${i + 1} meets edge ${j + 1}${crossings.length > 1 ? ` and ${crossings.length - 1} more` : ''}). Fix the outline so it does not overlap.`);
+  }
+
+  return { valid: errors.length === 0, ring: points, errors, warnings };
+};
+
+/**
+ * Build a site boundary record from a ring
+ * @param {Array} ring - Ring of [lon, lat]
+ * @param {string} source - How the boundary was created (drawn, pasted, file name)
+ * @returns {Object} GeoJSON-style polygon with area, perimeter and centroid
+ */
+export const createBoundary = (ring, source = 'drawn') => {
+  const points = openRing(ring);
+  if (points.length < 3) {
+    throw new Error('A site boundary needs at least 3 points');
+  }
+
+  const areaSquareMetres = calculatePolygonArea(points);
+
+  return {
+    type: 'Polygon',
+    coordinates: [closeRing(points)],
+    areaHectares: Math.round((areaSquareMetres / SQUARE_METRES_PER_HECTARE) * 100) / 100,
+    perimeterMetres: Math.round(calculatePerimeter(points)),
+    centroid: calculateCentroid(points),
+    vertexCount: points.length,
+    source,
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Parse pasted coordinates, one "latitude, longitude" pair per line
+ * @param {string} text - Pasted text
+ * @returns {Array} Ring of [lon, lat]
+ */
+export const parseCoordinateList = (text) => {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, idx) => {
+      const [lat, lon] = line.split(/[\s,;]+/).map(Number);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        throw new Error(`Line ${idx + 1} is not a "latitude, longitude" pair: ${line}`);
+      }
+      return [lon, lat];
+    });
+};
+
+/**
+ * Test whether a point lies inside a ring (ray casting)
+ * @param {Array} point - [lon, lat]
+ * @param {Array} ring - Ring of [lon, lat]
+ * @returns {boolean} True when inside
+ */
+export const pointInRing = ([x, y], ring) => {
+  const points = openRing(ring);
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Parse a spacing string such as "3-4 meters" or "5m" (midpoint of ranges)
+ * @param {string|number} spacing - Spacing from the planting strategy
+ * @returns {number|null} Spacing in metres
+ */
+export const parseSpacing = (spacing) => {
+  if (typeof spacing === 'number') return spacing > 0 ? spacing : null;
+  const match = String(spacing || '').match(/(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?/);
+  if (!match) return null;
+  const low = parseFloat(match[1]);
+  const high = match[2] ? parseFloat(match[2]) : low;
+  return low > 0 ? (low + high) / 2 : null;
+};
+
+/**
+ * Lay out individual tree positions on a square grid over the site.
+ * Without a boundary, a one-hectare square centred on the site is used.
+ * Species are interleaved in proportion to their share so the mix is
+ * spread evenly rather than planted in blocks.
+ * @param {Object} options - Layout options
+ * @param {Object} options.boundary - Site boundary (optional)
+ * @param {Object} options.center - { latitude, longitude } used without a boundary
+ * @param {number} options.spacing - Minimum distance between trees in metres
+ * @param {number} options.treesPerHectare - Planned density; widens the grid if spacing alone would overplant
+ * @param {Array} options.species - Entries of { share, ... } (e.g. from getMixShares)
+ * @param {number} options.maxTrees - Stop after this many positions
+ * @returns {Object} { trees: [{ row, column, position, species }], spacingMetres, areaHectares, truncated }
+ */
+export const generatePlantingGrid = ({ boundary = null, center, spacing, treesPerHectare, species, maxTrees = 50000 }) => {
+  const origin = boundary?.centroid || center;
+  if (!origin || !species?.length) {
+    return { trees: [], spacingMetres: null, areaHectares: 0, truncated: false };
+  }
+
+  // Local equirectangular frame in metres, accurate over site-sized areas
+  const metresPerDegreeLat = (Math.PI / 180) * EARTH_RADIUS;
+  const metresPerDegreeLon = metresPerDegreeLat * Math.cos(toRadians(origin.latitude));
+  const toLonLat = (x, y) => [
+    origin.longitude + x / metresPerDegreeLon,
+    origin.latitude + y / metresPerDegreeLat
+  ];
+
+  let ring;
+  if (boundary) {
+    ring = openRing(boundary.coordinates[0]);
+  } else {
+    const half = Math.sqrt(SQUARE_METRES_PER_HECTARE) / 2;
+    ring = [toLonLat(-half, -half), toLonLat(half, -half), toLonLat(half, half), toLonLat(-half, half)];
+  }
+
+  const densitySpacing = treesPerHectare > 0 ? Math.sqrt(SQUARE_METRES_PER_HECTARE / treesPerHectare) : 0;
+  const step = Math.max(parseSpacing(spacing) || 0, densitySpacing) || 3;
+
+  const xs = ring.map(([lon]) => (lon - origin.longitude) * metresPerDegreeLon);
+  const ys = ring.map(([, lat]) => (lat - origin.latitude) * metresPerDegreeLat);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+
+  // Smooth weighted round robin keeps every species close to its share
+  const credit = species.map(() => 0);
+  const nextSpecies = () => {
+    species.forEach((entry, idx) => { credit[idx] += entry.share; });
+    const pick = credit.indexOf(Math.max(...credit));
+    credit[pick] -= 1;
+    return species[pick];
+  };
+
+  const trees = [];
+  let truncated = false;
+  let row = 0;
+  for (let y = minY + step / 2; y <= maxY && !truncated; y += step, row++) {
+    let column = 0;
+    for (let x = minX + step / 2; x <= maxX; x += step, column++) {
+      const position = toLonLat(x, y);
+      if (!pointInRing(position, ring)) continue;
+      if (trees.length >= maxTrees) {
+        truncated = true;
+        break;
+      }
+      trees.push({ row: row + 1, column: column + 1, position, species: nextSpecies() });
+    }
+  }
+
+  return {
+    trees,
+    spacingMetres: Math.round(step * 100) / 100,
+    areaHectares: boundary ? boundary.areaHectares : 1,
+    truncated
+  };
+};
+
+/**
+ * Format a boundary as WKT for spreadsheets and GIS tools
+ * @param {Object} boundary - Site boundary
+ * @returns {string} WKT polygon
+ */
+export const boundaryToWKT = (boundary) => {
+  const ring = boundary.coordinates[0].map(([lon, lat]) => `${lon.toFixed(6)} ${lat.toFixed(6)}`);
+  return `POLYGON((${ring.join(', ')}))`;
+};
+
+/**
+ * Project longitude/latitude to Web Mercator world pixels
+ * @param {number} longitude - Longitude
+ * @param {number} latitude - Latitude
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} { x, y } in pixels
+ */
+export const lonLatToPixel = (longitude, latitude, zoom) => {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const sinLat = Math.sin(toRadians(latitude));
+  return {
+    x: ((longitude + 180) / 360) * worldSize,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize
+  };
+};
+
+/**
+ * Convert Web Mercator world pixels back to longitude/latitude
+ * @param {number} x - Pixel x
+ * @param {number} y - Pixel y
+ * @param {number} zoom - Map zoom level
+ * @returns {Array} [longitude, latitude]
+ */
+export const pixelToLonLat = (x, y, zoom) => {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const longitude = (x / worldSize) * 360 - 180;
+  const n = Math.PI - (2 * Math.PI * y) / worldSize;
+  const latitude = (180 / Math.PI) * Math.atan(Math.sinh(n));
+  return [longitude, latitude];
+};
+
+export default {
+  TILE_SIZE,
+  OSM_TILE_URL,
+  openRing,
+  closeRing,
+  calculatePolygonArea,
+  calculatePerimeter,
+  calculateCentroid,
+  getSignedArea,
+  findSelfIntersections,
+  validateRing,
+  createBoundary,
+  parseCoordinateList,
+  pointInRing,
+  parseSpacing,
+  generatePlantingGrid,
+  boundaryToWKT,
+  lonLatToPixel,
+  pixelToLonLat
+};
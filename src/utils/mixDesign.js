@@ -0,0 +1,267 @@
+/**
+ * Mix Design Utility
+ * Balances a species mix against the functional-group targets in
+ * MIX_DESIGN_RULES and summarises its functional diversity.
+ * Shares are percentages keyed by tree commonName, like mixRatio.
+ */
+
+import MIX_DESIGN_RULES, { CANOPY_MIN_HEIGHT, SUCCESSION_BY_GROWTH_RATE } from '../constants/mixDesign';
+
+const BALANCE_PASSES = 25; // Rules can pull against each other; repeat until they settle
+const SHARE_TOLERANCE = 0.5; // Percentage points a rounded share may miss a target by
+
+/**
+ * Functional traits of a species
+ * @param {Object} tree - Tree data
+ * @returns {Object} { nitrogenFixer, stratum, succession, growthRate, family }
+ */
+export const getFunctionalTraits = (tree) => ({
+  nitrogenFixer: !!tree.nitrogenFixing,
+  stratum: (tree.maxHeight || 0) >= CANOPY_MIN_HEIGHT ? 'canopy' : 'understory',
+  succession: SUCCESSION_BY_GROWTH_RATE[tree.growthRate] || 'intermediate',
+  growthRate: tree.growthRate || 'moderate',
+  family: tree.family || 'Unknown'
+});
+
+const sumShares = (shares, names) => names.reduce((sum, name) => sum + shares[name], 0);
+
+/**
+ * Move a group's total share into [min, max], taking from or giving to the
+ * other unlocked species in proportion to their shares
+ * @returns {boolean} True if any share changed
+ */
+const fitGroupShare = (shares, members, others, min, max) => {
+  const total = sumShares(shares, members.all);
+  const target = Math.min(max, Math.max(min, total));
+  const available = sumShares(shares, others);
+  const delta = Math.max(-sumShares(shares, members.unlocked), Math.min(available, target - total));
+
+  if (Math.abs(delta) < 0.01 || members.unlocked.length === 0) return false;
+
+  const groupTotal = sumShares(shares, members.unlocked);
+  members.unlocked.forEach(name => {
+    shares[name] += groupTotal > 0
+      ? delta * (shares[name] / groupTotal)
+      : delta / members.unlocked.length;
+  });
+  others.forEach(name => {
+    shares[name] -= available > 0 ? delta * (shares[name] / available) : 0;
+  });
+  return true;
+};
+
+/**
+ * Round shares to whole percentages that still add up to the same total
+ * Leftover points go to the species with the largest remainders
+ */
+const roundShares = (shares, names, total) => {
+  const rounded = Object.fromEntries(names.map(name => [name, Math.floor(shares[name] + 1e-9)]));
+  let leftover = Math.round(total) - sumShares(rounded, names);
+  [...names]
+    .sort((a, b) => (shares[b] - Math.floor(shares[b])) - (shares[a] - Math.floor(shares[a])))
+    .forEach(name => {
+      if (leftover > 0) {
+        rounded[name]++;
+        leftover--;
+      }
+    });
+  return rounded;
+};
+
+/**
+ * Design a mix that meets the functional-group targets
+ * Starts from the species' scores, then shifts shares between unlocked species
+ * until nitrogen fixers, canopy and pioneers are within range, no family is
+ * over its cap and every species has at least the minimum share.
+ * Targets a mix cannot reach (e.g. no nitrogen fixers) are left for the summary to report.
+ * @param {Array} trees - Trees in the mix, best first
+ * @param {Object} options - { lockedShares, rules }
+ * @returns {Object} Mix ratios (whole percentages adding up to 100)
+ */
+export const designEcologicalMix = (trees, options = {}) => {
+  const { lockedShares = {}, rules = MIX_DESIGN_RULES } = options;
+  if (trees.length === 0) return {};
+
+  const names = trees.map(tree => tree.commonName);
+  const traits = Object.fromEntries(trees.map(tree => [tree.commonName, getFunctionalTraits(tree)]));
+  const shares = {};
+
+  // Locked species keep their share (capped at what is left, in mix order)
+  let remaining = 100;
+  const unlocked = [];
+  trees.forEach(tree => {
+    const locked = lockedShares[tree.commonName];
+    if (Number.isFinite(locked)) {
+      shares[tree.commonName] = Math.max(0, Math.min(remaining, Math.round(locked)));
+      remaining -= shares[tree.commonName];
+    } else {
+      unlocked.push(tree);
+    }
+  });
+  if (unlocked.length === 0) return shares;
+
+  // Higher-scoring species start with a larger part of the rest
+  const scores = unlocked.map(tree => Math.max(1, tree.finalScore ?? tree.compatibilityScore ?? 50));
+  const scoreTotal = scores.reduce((sum, score) => sum + score, 0);
+  unlocked.forEach((tree, idx) => {
+    shares[tree.commonName] = remaining * (scores[idx] / scoreTotal);
+  });
+
+  const unlockedNames = unlocked.map(tree => tree.commonName);
+  const groupOf = (isMember) => ({
+    all: names.filter(isMember),
+    unlocked: unlockedNames.filter(isMember)
+  });
+  const othersOf = (group) => unlockedNames.filter(name => !group.all.includes(name));
+
+  const ruleGroups = rules.groups
+    .map(rule => ({ rule, members: groupOf(name => traits[name][rule.trait] === rule.value) }))
+    .filter(({ members }) => members.all.length > 0 && members.all.length < names.length);
+  const families = [...new Set(names.map(name => traits[name].family))]
+    .map(family => groupOf(name => traits[name].family === family));
+  const minShare = Math.min(rules.minSpeciesShare, remaining / unlocked.length);
+
+  for (let pass = 0; pass < BALANCE_PASSES; pass++) {
+    let changed = false;
+
+    ruleGroups.forEach(({ rule, members }) => {
+      changed = fitGroupShare(shares, members, othersOf(members), rule.min, rule.max) || changed;
+    });
+
+    // A family cap only applies when other families can take up the difference
+    if (families.length > 1) {
+      families.forEach(members => {
+        changed = fitGroupShare(shares, members, othersOf(members), 0, rules.maxFamilyShare) || changed;
+      });
+    }
+
+    unlockedNames.forEach(name => {
+      if (shares[name] < minShare) {
+        const members = { all: [name], unlocked: [name] };
+        changed = fitGroupShare(shares, members, othersOf(members), minShare, 100) || changed;
+      }
+    });
+
+    if (!changed) break;
+  }
+
+  // Rules that cannot all be met can leave species short; the minimum share wins
+  const short = unlockedNames.filter(name => shares[name] < minShare);
+  const donors = unlockedNames.filter(name => shares[name] > minShare);
+  const deficit = short.reduce((sum, name) => sum + (minShare - shares[name]), 0);
+  const surplus = donors.reduce((sum, name) => sum + (shares[name] - minShare), 0);
+  if (deficit > 0 && surplus >= deficit) {
+    donors.forEach(name => {
+      shares[name] -= deficit * ((shares[name] - minShare) / surplus);
+    });
+    short.forEach(name => {
+      shares[name] = minShare;
+    });
+  }
+
+  return {
+    ...shares,
+    ...roundShares(shares, unlockedNames, remaining)
+  };
+};
+
+/**
+ * Summarise a mix's functional diversity and check it against the design rules
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName (equal split if empty)
+ * @param {Object} rules - Mix design rules
+ * @returns {Object} Group, stratum, succession and family shares, diversity indices and rule checks
+ */
+export const summarizeFunctionalDiversity = (trees, mixRatio = {}, rules = MIX_DESIGN_RULES) => {
+  if (!trees.length) return null;
+
+  const inMix = trees.filter(tree => mixRatio[tree.commonName] > 0);
+  const members = inMix.length ? inMix : trees;
+  const total = members.reduce((sum, tree) => sum + (mixRatio[tree.commonName] || 1), 0);
+  const entries = members.map(tree => ({
+    tree,
+    traits: getFunctionalTraits(tree),
+    share: ((mixRatio[tree.commonName] || 1) / total) * 100
+  }));
+
+  const round = (value) => Math.round(value * 10) / 10;
+  const shareWhere = (isMember) => round(entries.filter(isMember).reduce((sum, entry) => sum + entry.share, 0));
+  const breakdown = (trait, values) =>
+    Object.fromEntries(values.map(value => [value, shareWhere(entry => entry.traits[trait] === value)]));
+
+  const groups = rules.groups.map(rule => {
+    const share = shareWhere(entry => entry.traits[rule.trait] === rule.value);
+    const met = share >= rule.min - SHARE_TOLERANCE && share <= rule.max + SHARE_TOLERANCE;
+    return {
+      id: rule.id,
+      label: rule.label,
+      share,
+      min: rule.min,
+      max: rule.max,
+      met,
+      species: entries.filter(entry => entry.traits[rule.trait] === rule.value).map(entry => entry.tree.commonName),
+      message: met
+        ? `${rule.label}: ${share}% (target ${rule.min}–${rule.max}%)`
+        : share === 0
+          ? `${rule.label}: none in the mix (target ${rule.min}–${rule.max}%)`
+          : `${rule.label}: ${share}% is ${share < rule.min ? 'below' : 'above'} the ${rule.min}–${rule.max}% target`
+    };
+  });
+
+  const families = [...new Set(entries.map(entry => entry.traits.family))]
+    .map(family => ({
+      family,
+      share: shareWhere(entry => entry.traits.family === family),
+      species: entries.filter(entry => entry.traits.family === family).map(entry => entry.tree.commonName)
+    }))
+    .sort((a, b) => b.share - a.share);
+  const largestFamily = families[0];
+  const familyCapMet = largestFamily.share <= rules.maxFamilyShare + SHARE_TOLERANCE;
+
+  const checks = [
+    ...groups.map(({ id, label, met, message }) => ({ id, label, met, message })),
+    {
+      id: 'familyCap',
+      label: 'Family cap',
+      met: familyCapMet,
+      message: familyCapMet
+        ? `No family above ${rules.maxFamilyShare}% (largest: ${largestFamily.family} ${largestFamily.share}%)`
+        : `${largestFamily.family} makes up ${largestFamily.share}% of the mix (cap ${rules.maxFamilyShare}%)`
+    },
+    {
+      id: 'families',
+      label: 'Family diversity',
+      met: families.length >= rules.minFamilies,
+      message: `${families.length} ${families.length === 1 ? 'family' : 'families'} (at least ${rules.minFamilies} recommended)`
+    }
+  ];
+
+  // Shannon index over species shares; evenness of 1 means equal shares
+  const proportions = entries.map(entry => entry.share / 100).filter(p => p > 0);
+  const shannonIndex = -proportions.reduce((sum, p) => sum + p * Math.log(p), 0);
+  const functionalGroups = new Set(entries.map(({ traits }) =>
+    `${traits.nitrogenFixer}-${traits.stratum}-${traits.succession}`
+  ));
+
+  return {
+    speciesCount: entries.length,
+    familyCount: families.length,
+    functionalGroupCount: functionalGroups.size,
+    shannonIndex: Math.round(shannonIndex * 100) / 100 || 0,
+    evenness: proportions.length > 1 ? Math.round((shannonIndex / Math.log(proportions.length)) * 100) / 100 : 0,
+    groups,
+    strata: breakdown('stratum', ['canopy', 'understory']),
+    succession: breakdown('succession', ['pioneer', 'intermediate', 'climax']),
+    growthRates: breakdown('growthRate', ['very-fast', 'fast', 'moderate', 'slow']),
+    families,
+    checks,
+    checksMet: checks.filter(check => check.met).length,
+    score: Math.round((checks.filter(check => check.met).length / checks.length) * 100)
+  };
+};
+
+export default {
+  getFunctionalTraits,
+  designEcologicalMix,
+  summarizeFunctionalDiversity
+};
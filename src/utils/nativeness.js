@@ -0,0 +1,271 @@
+/**
+ * Nativeness Utility
+ * Grades how native and locally present a species is at a site from three
+ * kinds of evidence, each recorded with its source:
+ * - the species catalogue (nativeRegions) and the invasive-species list's native range
+ * - GBIF country checklists (distribution establishment means)
+ * - GBIF occurrences within the radius bands in constants/nativeness.js,
+ *   with their recorded establishment means
+ * A GBIF checklist entry for the site's country outranks the other sources. GBIF
+ * evidence is optional; without it the catalogue decides on its own.
+ */
+
+import NATIVENESS_STATUSES, {
+  RADIUS_BANDS,
+  ESTABLISHMENT_MEANS,
+  MIN_ESTABLISHMENT_RECORDS,
+  UNCHECKED_DENSITY
+} from '../constants/nativeness';
+import SPECIES_REGULATORY_STATUS from '../constants/invasiveSpecies';
+
+const regionNames = typeof Intl !== 'undefined' && Intl.DisplayNames
+  ? new Intl.DisplayNames(['en'], { type: 'region' })
+  : null;
+
+/**
+ * English name of a country from its ISO code
+ * @param {string} countryCode - ISO code
+ * @returns {string|null} Country name
+ */
+const getCountryName = (countryCode) => {
+  if (!countryCode || !regionNames) return null;
+  try {
+    return regionNames.of(countryCode.toUpperCase());
+  } catch {
+    return null;
+  }
+};
+
+// Classify GBIF establishment means counts ({ NATIVE: 12, INTRODUCED: 3 })
+const countEstablishmentMeans = (counts = {}) => {
+  const sum = (values) => values.reduce((total, value) => total + (counts[value] || 0), 0);
+  return { native: sum(ESTABLISHMENT_MEANS.native), introduced: sum(ESTABLISHMENT_MEANS.introduced) };
+};
+
+const groupOf = (establishmentMeans) => {
+  const value = establishmentMeans?.toUpperCase();
+  if (ESTABLISHMENT_MEANS.native.includes(value)) return 'native';
+  if (ESTABLISHMENT_MEANS.introduced.includes(value)) return 'introduced';
+  return null;
+};
+
+// Lower-cased place name without a qualifier ("Myanmar (Burma)" → "myanmar")
+const normalisePlace = (name) => name.replace(/\s*\(.*\)\s*$/, '').trim().toLowerCase();
+
+// Catalogue names that differ from the English display names
+const COUNTRY_ALIASES = {
+  turkey: 'TR',
+  burma: 'MM',
+  'czech republic': 'CZ',
+  'ivory coast': 'CI',
+  swaziland: 'SZ',
+  macedonia: 'MK',
+  usa: 'US',
+  uk: 'GB'
+};
+
+// Whether a two-letter code is current (deprecated codes such as HV for
+// Burkina Faso canonicalise to their replacement)
+const isCurrentCode = (code) => {
+  try {
+    return Intl.getCanonicalLocales(`und-${code}`)[0] === `und-${code}`;
+  } catch {
+    return false;
+  }
+};
+
+// English country name → ISO code, built once from every current two-letter code
+const COUNTRY_CODES = new Map();
+if (regionNames) {
+  for (let first = 65; first <= 90; first++) {
+    for (let second = 65; second <= 90; second++) {
+      const code = String.fromCharCode(first, second);
+      const name = getCountryName(code);
+      if (name && name !== code && isCurrentCode(code)) {
+        COUNTRY_CODES.set(normalisePlace(name), code);
+      }
+    }
+  }
+}
+
+/**
+ * ISO code of a country from its English name
+ * @param {string} name - Country name, as in nativeRegions
+ * @returns {string|null} ISO code, or null if the name is not a country (e.g. a state)
+ */
+export const getCountryCode = (name) => {
+  if (!name) return null;
+  const place = normalisePlace(name);
+  return COUNTRY_ALIASES[place] || COUNTRY_CODES.get(place) || null;
+};
+
+/**
+ * Catalogue verdict: native when the species' native range includes the site's
+ * country (matched on ISO codes, so "Turkey" matches "Türkiye" and "Niger" does
+ * not match "Nigeria") or names the site's region
+ * A native range that leaves the country out is not treated as evidence either way
+ */
+const getCatalogueVerdict = (tree, site, countryLabel) => {
+  const countryCode = site.countryCode?.toUpperCase() || getCountryCode(site.country);
+  const region = site.region ? normalisePlace(site.region) : null;
+  const matchedRegion = tree.nativeRegions?.find(place => {
+    const code = getCountryCode(place);
+    return code ? code === countryCode : normalisePlace(place) === region;
+  });
+  if (matchedRegion) {
+    return { status: 'native', source: 'Species catalogue', finding: `Native range includes ${matchedRegion}` };
+  }
+
+  if (countryCode && SPECIES_REGULATORY_STATUS[tree.id]?.nativeCountries?.includes(countryCode)) {
+    return { status: 'native', source: 'Invasive species list', finding: `Native range includes ${countryLabel}` };
+  }
+  return null;
+};
+
+/**
+ * GBIF checklist verdict for the site's country
+ * @param {Array} checklist - [{ countryCode, establishmentMeans, source }]
+ */
+const getChecklistVerdict = (checklist, site, countryLabel) => {
+  const countryCode = site.countryCode?.toUpperCase();
+  if (!countryCode) return null;
+
+  const entries = checklist.filter(entry => entry.countryCode === countryCode);
+  const nativeEntry = entries.find(entry => groupOf(entry.establishmentMeans) === 'native');
+  const introducedEntry = entries.find(entry => groupOf(entry.establishmentMeans) === 'introduced');
+  const entry = nativeEntry || introducedEntry;
+  if (!entry) return null;
+
+  const status = nativeEntry ? 'native' : 'introduced';
+  return {
+    status,
+    source: 'GBIF checklist',
+    finding: `Listed as ${entry.establishmentMeans.toLowerCase()} in ${countryLabel}${entry.source ? ` (${entry.source})` : ''}`
+  };
+};
+
+/**
+ * Occurrence density (0-1) over the radius bands
+ * @param {Array} bands - [{ id, count }]
+ * @returns {number} Weighted, log-scaled share of each band's saturation count
+ */
+export const calculateOccurrenceDensity = (bands) => RADIUS_BANDS.reduce((density, band) => {
+  const count = bands.find(entry => entry.id === band.id)?.count || 0;
+  const share = Math.min(1, Math.log10(1 + count) / Math.log10(1 + band.saturation));
+  return density + band.weight * share;
+}, 0);
+
+/**
+ * Verdict from the establishment means recorded on nearby occurrences
+ * Uses the widest band, which contains the others
+ */
+const getOccurrenceVerdict = (bands) => {
+  const widest = RADIUS_BANDS
+    .map(band => ({ band, entry: bands.find(entry => entry.id === band.id) }))
+    .filter(({ entry }) => entry?.count > 0)
+    .pop();
+  if (!widest) return null;
+
+  const { native, introduced } = countEstablishmentMeans(widest.entry.establishmentMeans);
+  if (native + introduced < MIN_ESTABLISHMENT_RECORDS) return null;
+
+  return {
+    status: native >= introduced ? 'native' : 'introduced',
+    source: 'GBIF occurrences',
+    finding: `${native} of ${native + introduced} records ${widest.band.label} with an establishment means are native`
+  };
+};
+
+/**
+ * Grade a species' nativeness and local presence at a site
+ * @param {Object} tree - Tree data
+ * @param {Object} site - { countryCode, country, region }
+ * @param {Object} evidence - { checklist, occurrences: { bands, checkedAt } } from GBIF;
+ *   either may be null when it could not be checked
+ * @returns {Object} { status, label, score (0-1), density, confidence, bands, evidence, summary }
+ */
+export const assessNativeness = (tree, site = {}, evidence = {}) => {
+  const { checklist = null, occurrences = null } = evidence || {};
+  const countryLabel = site.country || getCountryName(site.countryCode) || 'this country';
+
+  const checklistVerdict = checklist ? getChecklistVerdict(checklist, site, countryLabel) : null;
+  const verdicts = [
+    getCatalogueVerdict(tree, site, countryLabel),
+    checklistVerdict,
+    occurrences ? getOccurrenceVerdict(occurrences.bands) : null
+  ].filter(Boolean);
+
+  const bands = occurrences
+    ? RADIUS_BANDS.map(band => ({
+        id: band.id,
+        label: band.label,
+        count: occurrences.bands.find(entry => entry.id === band.id)?.count || 0
+      }))
+    : [];
+  const totalRecords = bands.length ? bands[bands.length - 1].count : 0;
+  const density = occurrences ? calculateOccurrenceDensity(occurrences.bands) : null;
+
+  // A checklist entry for the country decides; otherwise any native verdict wins.
+  // Conflicting sources stay in the evidence list
+  let status = 'unknown';
+  if (checklistVerdict) {
+    status = checklistVerdict.status;
+  } else if (verdicts.some(verdict => verdict.status === 'native')) {
+    status = 'native';
+  } else if (verdicts.some(verdict => verdict.status === 'introduced')) {
+    status = 'introduced';
+  } else if (occurrences) {
+    status = totalRecords > 0 ? 'present' : 'absent';
+  }
+
+  const { label, base, presenceShare } = NATIVENESS_STATUSES[status];
+  const score = Math.round((base + presenceShare * (density ?? UNCHECKED_DENSITY)) * 100) / 100;
+
+  const gbifSources = [checklist, occurrences].filter(Boolean).length;
+  const confidence = gbifSources === 2 ? 'high' : gbifSources === 1 ? 'medium' : 'low';
+
+  const evidenceList = verdicts.map(({ source, finding }) => ({ source, finding }));
+  if (occurrences) {
+    evidenceList.push({
+      source: 'GBIF occurrences',
+      finding: bands.map(band => `${band.count} ${band.label}`).join(', ')
+    });
+  }
+
+  const presence = occurrences
+    ? `${totalRecords} GBIF record${totalRecords === 1 ? '' : 's'} within ${RADIUS_BANDS[RADIUS_BANDS.length - 1].radiusKm} km`
+    : 'local records not checked';
+  const summary = {
+    native: `Native to ${countryLabel}; ${presence}`,
+    present: `Status in ${countryLabel} unknown; ${presence}`,
+    introduced: `Introduced in ${countryLabel}; ${presence}`,
+    absent: `Not recorded within ${RADIUS_BANDS[RADIUS_BANDS.length - 1].radiusKm} km and not known to be native`,
+    unknown: `Not recorded as native to ${countryLabel}`
+  }[status];
+
+  return {
+    status,
+    label,
+    score,
+    density: density === null ? null : Math.round(density * 100) / 100,
+    confidence,
+    bands,
+    evidence: evidenceList,
+    summary
+  };
+};
+
+/**
+ * Whether a species counts as native, using its site assessment when it has one
+ * @param {Object} tree - Tree data (optionally with nativeness)
+ * @returns {boolean} True if native
+ */
+export const isNativeSpecies = (tree) =>
+  tree.nativeness ? tree.nativeness.status === 'native' : !!tree.nativeRegions?.length;
+
+export default {
+  getCountryCode,
+  assessNativeness,
+  calculateOccurrenceDensity,
+  isNativeSpecies
+};
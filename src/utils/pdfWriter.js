@@ -0,0 +1,269 @@
+/**
+ * PDF Writer
+ * Minimal PDF 1.4 generator for reports: text in the built-in Helvetica
+ * fonts, lines, rectangles, polylines and JPEG images. Coordinates are in
+ * points from the top-left corner of the page.
+ */
+
+export const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+};
+
+// Helvetica and Helvetica-Bold advance widths for ASCII 32-126 (per 1000 units)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// Unicode characters the standard fonts can show through WinAnsiEncoding
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+const SUBSTITUTES = {
+  '₂': '2', '₃': '3', '≈': '~', '≤': '<=', '≥': '>=', '→': '->', '✓': '-', '✗': 'x', '×': 'x'
+};
+
+/**
+ * Convert text to single-byte WinAnsi, replacing or dropping unsupported characters (e.g. emoji)
+ * @param {string} text - Text to encode
+ * @returns {string} Encoded text
+ */
+export const toWinAnsi = (text) => {
+  let result = '';
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) {
+      result += String.fromCharCode(WIN_ANSI[char]);
+    } else if (SUBSTITUTES[char]) {
+      result += SUBSTITUTES[char];
+    } else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+      result += char;
+    }
+  }
+  return result.replace(/\s{2,}/g, ' ');
+};
+
+const escapePDFString = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+/**
+ * Convert a hex color to PDF RGB components
+ * @param {string} hex - Color such as '#2D5016'
+ * @returns {string} "r g b" in 0-1 range
+ */
+const toRGB = (hex) => {
+  const value = hex.replace('#', '');
+  return [0, 2, 4]
+    .map(offset => (parseInt(value.slice(offset, offset + 2), 16) / 255).toFixed(3))
+    .join(' ');
+};
+
+const num = (value) => Number(value.toFixed(2));
+
+/**
+ * Measure text width in points
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size
+ * @param {string} font - 'regular' or 'bold'
+ * @returns {number} Width in points
+ */
+export const measureText = (text, size, font = 'regular') => {
+  const { widths } = FONTS[font];
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+};
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size
+ * @param {string} font - 'regular' or 'bold'
+ * @returns {Array} Lines
+ */
+export const wrapText = (text, maxWidth, size, font = 'regular') => {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, size, font) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * Create a PDF document
+ * @param {Object} options - { size: 'a4' | 'letter', title, author }
+ * @returns {Object} Document with drawing methods and output()
+ */
+export const createPDF = ({ size = 'a4', title = '', author = '' } = {}) => {
+  const { width, height } = PAGE_SIZES[size] || PAGE_SIZES.a4;
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  const flipY = (y) => num(height - y);
+  const write = (command) => {
+    if (!current) addPage();
+    current.push(command);
+  };
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+    return pages.length;
+  };
+
+  // Return to an earlier page, e.g. to add "page x of y" footers at the end
+  const goToPage = (pageNumber) => {
+    current = pages[pageNumber - 1];
+  };
+
+  const text = (value, x, y, { size: fontSize = 10, font = 'regular', color = '#1F2937', align = 'left' } = {}) => {
+    const encoded = toWinAnsi(value);
+    let left = x;
+    if (align !== 'left') {
+      const textWidth = measureText(encoded, fontSize, font);
+      left = align === 'right' ? x - textWidth : x - textWidth / 2;
+    }
+    write(`BT /${FONTS[font].resource} ${fontSize} Tf ${toRGB(color)} rg ${num(left)} ${flipY(y)} Td (${escapePDFString(encoded)}) Tj ET`);
+  };
+
+  const line = (x1, y1, x2, y2, { color = '#9CA3AF', width: lineWidth = 0.5, dash = null } = {}) => {
+    const dashPattern = dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d';
+    write(`${toRGB(color)} RG ${lineWidth} w ${dashPattern} ${num(x1)} ${flipY(y1)} m ${num(x2)} ${flipY(y2)} l S`);
+  };
+
+  const rect = (x, y, w, h, { fill = null, stroke = null, width: lineWidth = 0.5 } = {}) => {
+    const operator = fill && stroke ? 'B' : fill ? 'f' : 'S';
+    const colors = `${fill ? `${toRGB(fill)} rg ` : ''}${stroke ? `${toRGB(stroke)} RG ${lineWidth} w [] 0 d ` : ''}`;
+    write(`${colors}${num(x)} ${flipY(y + h)} ${num(w)} ${num(h)} re ${operator}`);
+  };
+
+  const polyline = (points, { color = '#1F2937', width: lineWidth = 1, fill = null, closed = false } = {}) => {
+    if (points.length < 2) return;
+    const path = points
+      .map(([px, py], idx) => `${num(px)} ${flipY(py)} ${idx === 0 ? 'm' : 'l'}`)
+      .join(' ');
+    const operator = fill ? 'b' : closed ? 's' : 'S';
+    write(`${fill ? `${toRGB(fill)} rg ` : ''}${toRGB(color)} RG ${lineWidth} w [] 0 d ${path} ${operator}`);
+  };
+
+  /**
+   * Draw a JPEG image
+   * @param {string} data - Binary string of JPEG bytes (e.g. from atob)
+   * @param {number} pixelWidth - Image width in pixels
+   * @param {number} pixelHeight - Image height in pixels
+   */
+  const image = (data, pixelWidth, pixelHeight, x, y, w, h) => {
+    const name = `Im${images.length + 1}`;
+    images.push({ name, data, pixelWidth, pixelHeight });
+    write(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${flipY(y + h)} cm /${name} Do Q`);
+  };
+
+  /**
+   * Serialise the document
+   * @returns {Uint8Array} PDF bytes
+   */
+  const output = () => {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = Object.fromEntries(Object.values(FONTS).map(font => [
+      font.resource,
+      addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+    ]));
+    const imageIds = Object.fromEntries(images.map(img => [
+      img.name,
+      addObject(`<< /Type /XObject /Subtype /Image /Width ${img.pixelWidth} /Height ${img.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>\nstream\n${img.data}\nendstream`)
+    ]));
+
+    const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+    const imageResources = Object.entries(imageIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+    const resources = `<< /Font << ${fontResources} >>${imageResources ? ` /XObject << ${imageResources} >>` : ''} >>`;
+
+    const pageIds = (pages.length ? pages : [[]]).map(commands => {
+      const content = commands.join('\n');
+      const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title (${escapePDFString(toWinAnsi(title))}) /Author (${escapePDFString(toWinAnsi(author))}) /Producer (ReForest.AI) >>`);
+
+    // Every character is a single byte, so string length equals byte offset
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, idx) => {
+      const offset = pdf.length;
+      pdf += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+    return bytes;
+  };
+
+  return {
+    width,
+    height,
+    addPage,
+    goToPage,
+    getPageCount: () => pages.length,
+    text,
+    line,
+    rect,
+    polyline,
+    image,
+    output
+  };
+};
+
+export default {
+  PAGE_SIZES,
+  toWinAnsi,
+  measureText,
+  wrapText,
+  createPDF
+};
@@ -0,0 +1,219 @@
+/**
+ * Plan Schema
+ * Versioning, migration and validation for exported JSON plans, and
+ * conversion back into useReforestation state.
+ *
+ * Schema versions:
+ * 1 - Action panel download: { location, recommendations, plantingStrategy, impactMetrics }
+ * 2 - Complete plan with metadata (metadata.version '2.0'); objective stored only as a resolved profile
+ * 3 - Adds top-level schemaVersion and settings { objective, customWeights, economicAssumptions };
+ *     optional scenarios, promotedScenarioId, settings.mixLocks, settings.plantingApproach,
+ *     settings.nurseryStock and settings.nurseryMode
+ */
+
+import { DEFAULT_OBJECTIVE } from '../constants/objectiveProfiles';
+import { validateRing, createBoundary } from './geometry';
+
+export const PLAN_SCHEMA_VERSION = 3;
+
+/**
+ * Work out which schema version a parsed plan was written with
+ * @param {Object} plan - Parsed JSON plan
+ * @returns {number|null} Schema version, or null if it is not a plan
+ */
+export const getSchemaVersion = (plan) => {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) return null;
+
+  if (Number.isInteger(plan.schemaVersion)) return plan.schemaVersion;
+
+  const metadataVersion = parseInt(plan.metadata?.version, 10);
+  if (Number.isInteger(metadataVersion)) return metadataVersion;
+
+  return Array.isArray(plan.recommendations) ? 1 : null;
+};
+
+// Each migration upgrades a plan from version N to N + 1
+const MIGRATIONS = {
+  1: (plan) => {
+    const coordinates = plan.location?.coordinates;
+    return {
+      metadata: {
+        generatedAt: null,
+        version: '2.0',
+        generator: 'ReForest.AI',
+        usingFallbackLocation: false,
+        locationSource: 'unknown',
+        natureValidation: null,
+        objective: null
+      },
+      location: plan.location || null,
+      gps: coordinates
+        ? { latitude: coordinates.latitude, longitude: coordinates.longitude, hasGPS: false, source: 'unknown' }
+        : null,
+      climate: null,
+      climateData: null,
+      climateAnalysis: null,
+      suitability: null,
+      siteConditions: null,
+      siteBoundary: null,
+      imageAnalysis: null,
+      recommendations: plan.recommendations || [],
+      excludedSpecies: [],
+      selectedTree: plan.recommendations?.[0] || null,
+      plantingStrategy: plan.plantingStrategy || null,
+      impactMetrics: plan.impactMetrics || null,
+      aiInsights: null
+    };
+  },
+  2: (plan) => {
+    const objective = plan.metadata?.objective;
+    return {
+      ...plan,
+      schemaVersion: 3,
+      metadata: { ...plan.metadata, version: '3.0' },
+      settings: {
+        objective: objective?.id || DEFAULT_OBJECTIVE,
+        customWeights: objective?.customWeights ? objective.weights : null,
+        economicAssumptions: null
+      }
+    };
+  }
+};
+
+/**
+ * Upgrade a plan to the current schema version
+ * @param {Object} plan - Parsed JSON plan
+ * @returns {Object} { plan, fromVersion, migrations }
+ */
+export const migratePlan = (plan) => {
+  const fromVersion = getSchemaVersion(plan);
+
+  if (fromVersion === null) {
+    throw new Error('This file is not a ReForest.AI plan');
+  }
+  if (fromVersion > PLAN_SCHEMA_VERSION) {
+    throw new Error(`This plan was saved by a newer version of ReForest.AI (schema ${fromVersion}); please update the app`);
+  }
+  if (fromVersion < 1) {
+    throw new Error(`Unknown plan schema version ${fromVersion}`);
+  }
+
+  let migrated = plan;
+  const migrations = [];
+  for (let version = fromVersion; version < PLAN_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+    migrations.push(`${version} → ${version + 1}`);
+  }
+
+  return { plan: migrated, fromVersion, migrations };
+};
+
+const isCoordinate = (value, limit) => Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Check that a current-version plan can be loaded
+ * @param {Object} plan - Plan at PLAN_SCHEMA_VERSION
+ * @returns {Object} { valid, errors, warnings }
+ */
+export const validatePlan = (plan) => {
+  const errors = [];
+  const warnings = [];
+
+  if (plan?.schemaVersion !== PLAN_SCHEMA_VERSION) {
+    errors.push(`Expected plan schema ${PLAN_SCHEMA_VERSION}, got ${plan?.schemaVersion ?? 'none'}`);
+    return { valid: false, errors, warnings };
+  }
+
+  if (!Array.isArray(plan.recommendations) || plan.recommendations.length === 0) {
+    errors.push('The plan has no tree recommendations');
+  } else if (plan.recommendations.some(tree => !tree?.id || !tree?.commonName)) {
+    errors.push('Some recommendations are missing a species id or name');
+  }
+
+  const { latitude, longitude } = plan.gps || plan.location?.coordinates || {};
+  if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+    errors.push('The plan has no valid site coordinates');
+  }
+
+  if (!plan.climate) {
+    warnings.push('No climate snapshot in this plan; refresh climate data before recalculating');
+  } else if (!plan.climate.fetchedAt) {
+    warnings.push('The climate snapshot has no date');
+  }
+
+  if (!plan.plantingStrategy) {
+    warnings.push('No planting strategy in this plan; recalculate to rebuild it');
+  }
+
+  if (plan.siteBoundary) {
+    const ring = plan.siteBoundary.coordinates?.[0];
+    const boundaryCheck = Array.isArray(ring) ? validateRing(ring) : null;
+    if (!boundaryCheck?.valid) {
+      warnings.push('The site boundary is invalid and was dropped');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Convert a validated plan into useReforestation state fields
+ * @param {Object} plan - Plan at PLAN_SCHEMA_VERSION
+ * @returns {Object} Partial workflow state
+ */
+export const planToState = (plan) => {
+  const recommendations = plan.recommendations;
+  const coordinates = plan.gps || plan.location?.coordinates;
+
+  // Rebuild the boundary so area and centroid match its coordinates
+  let siteBoundary = null;
+  const ring = plan.siteBoundary?.coordinates?.[0];
+  if (Array.isArray(ring)) {
+    const check = validateRing(ring);
+    if (check.valid) {
+      siteBoundary = { ...plan.siteBoundary, ...createBoundary(check.ring, plan.siteBoundary.source) };
+    }
+  }
+
+  return {
+    gpsData: {
+      hasGPS: false,
+      source: 'unknown',
+      ...plan.gps,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude
+    },
+    locationData: plan.location,
+    climateData: plan.climate,
+    climateAnalysis: plan.climateAnalysis,
+    suitability: plan.suitability,
+    siteConditions: plan.siteConditions,
+    siteBoundary,
+    imageAnalysis: plan.imageAnalysis,
+    recommendations,
+    excludedSpecies: plan.excludedSpecies || [],
+    selectedTree: recommendations.find(tree => tree.id === plan.selectedTree?.id) || recommendations[0],
+    plantingStrategy: plan.plantingStrategy,
+    impactMetrics: plan.impactMetrics,
+    aiInsights: plan.aiInsights,
+    scenarios: Array.isArray(plan.scenarios) ? plan.scenarios : [],
+    promotedScenarioId: plan.promotedScenarioId || null,
+    mixLocks: plan.settings?.mixLocks || {},
+    objective: plan.settings?.objective || DEFAULT_OBJECTIVE,
+    customWeights: plan.settings?.customWeights || null,
+    economicAssumptions: plan.settings?.economicAssumptions || null,
+    plantingApproach: plan.settings?.plantingApproach || 'auto',
+    nurseryStock: plan.settings?.nurseryStock || null,
+    nurseryMode: plan.settings?.nurseryMode || 'flag',
+    usingFallbackLocation: !!plan.metadata?.usingFallbackLocation,
+    natureValidation: plan.metadata?.natureValidation || null
+  };
+};
+
+export default {
+  PLAN_SCHEMA_VERSION,
+  getSchemaVersion,
+  migratePlan,
+  validatePlan,
+  planToState
+};
@@ -0,0 +1,147 @@
+/**
+ * Planting Schedule Utility
+ * Splits a species mix into planting phases. A successional schedule plants
+ * pioneers and nitrogen-fixing nurse trees in year 0 and enrichment species
+ * under their canopy a few years later; a single schedule plants everything at once.
+ */
+
+import { SUCCESSIONAL_PLANTING } from '../constants/mixDesign';
+import { getGrowthModel } from '../constants/growthModels';
+import { getFunctionalTraits } from './mixDesign';
+import { predictTreeSize } from './calculations';
+
+/**
+ * Check whether the site looks degraded enough to plant in phases
+ * @param {Object} imageAnalysis - Image analysis result
+ * @returns {boolean} True for bare or sparsely vegetated land
+ */
+export const isDegradedSite = (imageAnalysis) =>
+  SUCCESSIONAL_PLANTING.degradedVegetation.includes(imageAnalysis?.vegetationLevel);
+
+/**
+ * Decide whether to plant in phases
+ * @param {string} approach - 'auto' (phase on degraded land), 'single' or 'successional'
+ * @param {Object} imageAnalysis - Image analysis result
+ * @returns {boolean} True for a successional schedule
+ */
+export const usesSuccessionalPlanting = (approach = 'auto', imageAnalysis = null) =>
+  approach === 'successional' || (approach === 'auto' && isDegradedSite(imageAnalysis));
+
+/**
+ * Role of a species in a successional planting
+ * @param {Object} tree - Tree data
+ * @returns {string} 'pioneer', 'nurse' (nitrogen fixer that is not a pioneer) or 'enrichment'
+ */
+export const getSuccessionalRole = (tree) => {
+  const traits = getFunctionalTraits(tree);
+  if (traits.succession === 'pioneer') return 'pioneer';
+  if (traits.nitrogenFixer) return 'nurse';
+  return 'enrichment';
+};
+
+/**
+ * First year the nurse trees' share-weighted average height reaches the
+ * canopy height enrichment species need, within the allowed range
+ */
+const findEnrichmentYear = (nurseEntries) => {
+  const { nurseCanopyHeight, enrichmentYears } = SUCCESSIONAL_PLANTING;
+  const totalShare = nurseEntries.reduce((sum, entry) => sum + entry.share, 0);
+
+  for (let year = enrichmentYears.min; year < enrichmentYears.max; year++) {
+    const height = nurseEntries.reduce((sum, entry) =>
+      sum + predictTreeSize(getGrowthModel(entry.tree), year).height * entry.share, 0) / totalShare;
+    if (height >= nurseCanopyHeight) return year;
+  }
+  return enrichmentYears.max;
+};
+
+/**
+ * Build the planting schedule for a mix
+ * @param {Array} trees - Trees in the mix
+ * @param {Object} mixRatio - Percentage per tree commonName
+ * @param {Object} options - { successional } plant in phases when the mix allows it
+ * @returns {Object} { successional, available, phases: [{ id, label, year, description, species }] }
+ */
+export const createPlantingSchedule = (trees, mixRatio = {}, options = {}) => {
+  const entries = trees.map(tree => ({
+    tree,
+    role: getSuccessionalRole(tree),
+    share: mixRatio[tree.commonName] ?? 0
+  }));
+  const describe = ({ tree, role, share }) => ({ id: tree.id, commonName: tree.commonName, role, share });
+
+  const nurses = entries.filter(entry => entry.role !== 'enrichment');
+  const enrichment = entries.filter(entry => entry.role === 'enrichment');
+  // Phasing needs something to plant first and something to plant under it
+  const available = nurses.length > 0 && enrichment.length > 0;
+  const successional = available && !!options.successional;
+
+  if (!successional) {
+    return {
+      successional: false,
+      available,
+      phases: [{
+        id: 'single',
+        label: 'Single planting',
+        year: 0,
+        description: 'All species are planted together at the start of the project',
+        species: entries.map(describe)
+      }]
+    };
+  }
+
+  const enrichmentYear = findEnrichmentYear(nurses.some(entry => entry.share > 0)
+    ? nurses.filter(entry => entry.share > 0)
+    : nurses);
+  const climaxYear = Math.min(
+    SUCCESSIONAL_PLANTING.enrichmentYears.max,
+    enrichmentYear + SUCCESSIONAL_PLANTING.climaxDelay
+  );
+  const isClimax = (entry) => getFunctionalTraits(entry.tree).succession === 'climax';
+
+  const phases = [
+    {
+      id: 'establishment',
+      label: 'Pioneers and nurse trees',
+      year: 0,
+      description: 'Fast-growing and nitrogen-fixing species establish cover, shade the ground and improve the soil',
+      species: nurses.map(describe)
+    },
+    {
+      id: 'enrichment',
+      label: 'Enrichment under canopy',
+      year: enrichmentYear,
+      description: `Later-successional species are planted in gaps once the nurse trees reach about ${SUCCESSIONAL_PLANTING.nurseCanopyHeight} m`,
+      species: enrichment.filter(entry => !isClimax(entry) || climaxYear === enrichmentYear).map(describe)
+    },
+    {
+      id: 'climax',
+      label: 'Climax species',
+      year: climaxYear,
+      description: 'Slow-growing, shade-tolerant species go in last, under a closing canopy',
+      species: climaxYear === enrichmentYear ? [] : enrichment.filter(isClimax).map(describe)
+    }
+  ].filter(phase => phase.species.length > 0);
+
+  return { successional: true, available, phases };
+};
+
+/**
+ * Year each species is planted, for the carbon and cash-flow projections
+ * @param {Object} schedule - Planting schedule
+ * @returns {Object} Planting year per tree commonName (empty for a single planting)
+ */
+export const getPlantingYears = (schedule) => {
+  if (!schedule?.successional) return {};
+  return Object.fromEntries(schedule.phases.flatMap(phase =>
+    phase.species.map(species => [species.commonName, phase.year])
+  ));
+};
+
+export default {
+  isDegradedSite,
+  usesSuccessionalPlanting,
+  getSuccessionalRole,
+  createPlantingSchedule,
+  getPlantingYears
+};
@@ -0,0 +1,60 @@
+/**
+ * Species Catalogue Utility
+ * Merges region packs into the catalogue used by treeDataService, leaving out
+ * records that fail validation (see utils/speciesValidation.js).
+ */
+
+import { validateSpeciesPacks, isRecordValid } from './speciesValidation';
+
+/**
+ * Merge region packs into one catalogue
+ * Packs on another schema version and records with errors are left out and reported
+ * @param {Array} packs - Region packs (see constants/speciesSchema.js)
+ * @returns {Object} { species, packs: [{ id, name, version, updated, countries, speciesCount }], report }
+ */
+export const buildSpeciesCatalog = (packs) => {
+  const report = validateSpeciesPacks(packs);
+  const byId = new Map();
+  const summaries = [];
+
+  packs.forEach((pack, packIdx) => {
+    const packId = pack?.id || `pack ${packIdx + 1}`;
+    const packLevelError = report.issues.some(entry =>
+      entry.pack === packId && entry.index === null && entry.severity === 'error');
+    if (packLevelError) return;
+
+    let speciesCount = 0;
+    pack.species.forEach((record, index) => {
+      if (!isRecordValid(report, packId, index)) return;
+
+      speciesCount++;
+      const existing = byId.get(record.id);
+      if (existing) {
+        existing.packs.push(pack.id);
+      } else {
+        byId.set(record.id, { ...record, packs: [pack.id] });
+      }
+    });
+
+    summaries.push({
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      updated: pack.updated,
+      countries: pack.countries || [],
+      speciesCount
+    });
+  });
+
+  report.issues
+    .filter(entry => entry.severity === 'error')
+    .forEach(({ pack, id, field, message }) => {
+      console.warn(`⚠️ Species catalogue: skipped ${id ? `${pack}/${id}` : pack}: ${field ? `${field} ` : ''}${message}`);
+    });
+
+  return { species: [...byId.values()], packs: summaries, report };
+};
+
+export default {
+  buildSpeciesCatalog
+};
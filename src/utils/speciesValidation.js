@@ -0,0 +1,250 @@
+/**
+ * Species Validation Utility
+ * Checks species records and region packs against constants/speciesSchema.js
+ * before they reach the filters and scoring: required fields, types, allowed
+ * values, ordered ranges, id and scientific-name format, and duplicates.
+ * Used when the catalogue is built, for imported packs, and by
+ * validateSpecies.js in Node (npm run validate:species).
+ */
+
+import {
+  SPECIES_SCHEMA_VERSION,
+  SPECIES_FIELDS,
+  SPECIES_ID_PATTERN,
+  SCIENTIFIC_NAME_PATTERN
+} from '../constants/speciesSchema';
+
+const KNOWN_FIELDS = new Set([...SPECIES_FIELDS.map(field => field.key), 'packs', 'uses', 'adaptability']);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string' && value.trim() !== '',
+  number: (value) => Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  range: (value) => !!value && typeof value === 'object' && Number.isFinite(value.min) && Number.isFinite(value.max),
+  list: (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim() !== '')
+};
+
+const TYPE_NAMES = {
+  string: 'a non-empty string',
+  number: 'a number',
+  boolean: 'true or false',
+  range: 'a { min, max } range of numbers',
+  list: 'a non-empty list of strings'
+};
+
+const issue = (severity, field, message) => ({ severity, field, message });
+
+// Fields that differ between two records sharing an id
+const differingFields = (first, second) =>
+  SPECIES_FIELDS
+    .map(field => field.key)
+    .filter(key => JSON.stringify(first[key]) !== JSON.stringify(second[key]));
+
+/**
+ * Check one field's type, allowed values, bounds and (for ranges) order
+ * @returns {Array} Issues for the field
+ */
+const checkField = (field, value) => {
+  if (value === undefined || value === null) {
+    return field.required ? [issue('error', field.key, 'is required')] : [];
+  }
+  if (!TYPE_CHECKS[field.type](value)) {
+    return [issue('error', field.key, `must be ${TYPE_NAMES[field.type]}`)];
+  }
+
+  const issues = [];
+
+  if (field.values) {
+    (Array.isArray(value) ? value : [value])
+      .filter(item => !field.values.includes(item))
+      .forEach(item => issues.push(issue('error', field.key,
+        `has unknown value "${item}" (allowed: ${field.values.join(', ')})`)));
+  }
+
+  if (field.type === 'range') {
+    // Scoring divides by the range width, so it must be positive
+    if (value.min > value.max) {
+      issues.push(issue('error', field.key, `is inverted: min ${value.min} is above max ${value.max}`));
+    } else if (value.min === value.max) {
+      issues.push(issue('error', field.key, `has no width: min and max are both ${value.min}`));
+    }
+  }
+
+  if (field.bounds) {
+    const values = field.type === 'range' ? [value.min, value.max] : [value];
+    const outside = values.filter(number => number < field.bounds.min || number > field.bounds.max);
+    if (outside.length) {
+      issues.push(issue('error', field.key,
+        `${outside.join(' and ')} is outside the plausible ${field.bounds.min}–${field.bounds.max} (check the unit)`));
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Validate a single species record
+ * @param {Object} record - Species record
+ * @returns {Array} Issues ({ severity: 'error' | 'warning', field, message }); records with errors are unusable
+ */
+export const validateSpeciesRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [issue('error', null, 'is not an object')];
+  }
+
+  const issues = SPECIES_FIELDS.flatMap(field => checkField(field, record[field.key]));
+
+  if (TYPE_CHECKS.string(record.id) && !SPECIES_ID_PATTERN.test(record.id)) {
+    issues.push(issue('error', 'id', `"${record.id}" must be lower-case words joined by hyphens`));
+  }
+  if (TYPE_CHECKS.string(record.scientificName) && !SCIENTIFIC_NAME_PATTERN.test(record.scientificName.trim())) {
+    issues.push(issue('error', 'scientificName',
+      `"${record.scientificName}" is not a binomial like "Genus species" (optionally subsp./var./f.)`));
+  }
+
+  Object.keys(record)
+    .filter(key => !KNOWN_FIELDS.has(key))
+    .forEach(key => issues.push(issue('warning', key, 'is not a schema field and will be ignored (typo?)')));
+
+  return issues;
+};
+
+/**
+ * Validate region packs, including duplicates within and across packs
+ * @param {Array} packs - Region packs (see constants/speciesSchema.js)
+ * @param {Object} options - { knownSpecies } records already in the catalogue, for duplicate checks
+ * @returns {Object} { valid, packCount, recordCount, validCount, errorCount, warningCount, issues }
+ *   issues: [{ severity, pack, index, id, field, message }]; index is null for pack-level issues
+ */
+export const validateSpeciesPacks = (packs, options = {}) => {
+  const { knownSpecies = [] } = options;
+  const issues = [];
+  const seenIds = new Map(knownSpecies.map(tree => [tree.id, { pack: tree.packs?.[0] || 'catalogue', record: tree }]));
+  const seenNames = new Map(knownSpecies.map(tree => [tree.commonName, tree.id]));
+  const seenPacks = new Set(knownSpecies.flatMap(tree => tree.packs || []));
+  let recordCount = 0;
+  let validCount = 0;
+
+  packs.forEach((pack, packIdx) => {
+    const packId = pack?.id || `pack ${packIdx + 1}`;
+    const packIssue = (severity, message) =>
+      issues.push({ severity, pack: packId, index: null, id: null, field: null, message });
+
+    if (!pack || typeof pack !== 'object') {
+      packIssue('error', 'Pack is not a JSON object');
+      return;
+    }
+    if (pack.schemaVersion !== SPECIES_SCHEMA_VERSION) {
+      packIssue('error', `Schema version ${pack.schemaVersion ?? '(missing)'} is not supported (expected ${SPECIES_SCHEMA_VERSION})`);
+      return;
+    }
+    if (!TYPE_CHECKS.string(pack.id) || !SPECIES_ID_PATTERN.test(pack.id)) {
+      packIssue('error', 'Pack id must be lower-case words joined by hyphens');
+    } else if (seenPacks.has(pack.id)) {
+      packIssue('error', `Pack id "${pack.id}" is already loaded`);
+    }
+    seenPacks.add(pack.id);
+    if (!/^\d+\.\d+\.\d+$/.test(pack.version || '')) {
+      packIssue('warning', 'Pack version should look like 1.0.0');
+    }
+    if (!Array.isArray(pack.species) || pack.species.length === 0) {
+      packIssue('error', 'Pack has no species list');
+      return;
+    }
+
+    const packIds = new Set();
+    pack.species.forEach((record, index) => {
+      recordCount++;
+      const id = record?.id ?? null;
+      const recordIssues = validateSpeciesRecord(record);
+
+      if (TYPE_CHECKS.string(id)) {
+        const first = seenIds.get(id);
+        if (packIds.has(id)) {
+          recordIssues.push(issue('error', 'id', `"${id}" appears more than once in this pack`));
+        } else if (first) {
+          // Sharing a species between packs is fine; diverging copies are not used
+          const differing = differingFields(first.record, record);
+          if (differing.length) {
+            recordIssues.push(issue('warning', 'id',
+              `"${id}" differs from the record in ${first.pack} (${differing.join(', ')}); that record is used`));
+          }
+        } else if (TYPE_CHECKS.string(record.commonName) && seenNames.has(record.commonName)) {
+          // Mixes are keyed by commonName, so two species cannot share one
+          recordIssues.push(issue('error', 'commonName', `"${record.commonName}" is already used by ${seenNames.get(record.commonName)}`));
+        }
+      }
+
+      if (!recordIssues.some(entry => entry.severity === 'error')) {
+        validCount++;
+        packIds.add(id);
+        if (!seenIds.has(id)) {
+          seenIds.set(id, { pack: pack.id, record });
+          seenNames.set(record.commonName, id);
+        }
+      }
+      recordIssues.forEach(entry => issues.push({ ...entry, pack: packId, index, id }));
+    });
+  });
+
+  const errorCount = issues.filter(entry => entry.severity === 'error').length;
+  return {
+    valid: errorCount === 0,
+    packCount: packs.length,
+    recordCount,
+    validCount,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    issues
+  };
+};
+
+/**
+ * Check whether a record passed validation
+ * @param {Object} report - Result of validateSpeciesPacks
+ * @param {string} packId - Pack id
+ * @param {number} index - Record index in the pack
+ * @returns {boolean} True if the record has no errors
+ */
+export const isRecordValid = (report, packId, index) =>
+  !report.issues.some(entry => entry.severity === 'error' && entry.pack === packId && entry.index === index);
+
+/**
+ * Turn a validation report into readable text, grouped by pack and record
+ * @param {Object} report - Result of validateSpeciesPacks
+ * @returns {string} Report text
+ */
+export const formatValidationReport = (report) => {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const lines = [
+    `Species catalogue: ${plural(report.packCount, 'pack')}, ${plural(report.recordCount, 'record')} ` +
+    `(${report.validCount} valid) - ${plural(report.errorCount, 'error')}, ${plural(report.warningCount, 'warning')}`
+  ];
+
+  const groups = new Map();
+  report.issues.forEach(entry => {
+    const key = entry.index === null
+      ? entry.pack
+      : `${entry.pack} #${entry.index + 1}${entry.id ? ` (${entry.id})` : ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  groups.forEach((entries, key) => {
+    const hasError = entries.some(entry => entry.severity === 'error');
+    lines.push('', `${hasError ? '✗' : '!'} ${key}`);
+    entries.forEach(entry => {
+      lines.push(`   ${entry.severity === 'error' ? 'error  ' : 'warning'}  ${entry.field ? `${entry.field} ` : ''}${entry.message}`);
+    });
+  });
+
+  if (!report.issues.length) lines.push('✓ All records are valid');
+  return lines.join('\n');
+};
+
+export default {
+  validateSpeciesRecord,
+  validateSpeciesPacks,
+  isRecordValid,
+  formatValidationReport
+};
@@ -0,0 +1,16 @@
+/**
+ * Uncertainty Worker
+ * Runs the Monte Carlo impact simulation off the main thread
+ * (see services/impactSimulationService.js)
+ */
+
+import { simulateImpact } from '../services/uncertaintyService';
+
+self.onmessage = ({ data }) => {
+  const { id, trees, mixRatio, treesPerHectare, options } = data;
+  try {
+    self.postMessage({ id, result: simulateImpact(trees, mixRatio, treesPerHectare, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Simulation failed' });
+  }
+};
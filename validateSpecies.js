@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+
+// 🌿 Validate species region packs
+// Usage: npm run validate:species [-- path/to/pack.json ...]
+// With no arguments, checks every pack in src/data/species.
+const root = __dirname;
+const packDir = path.join(root, "src", "data", "species");
+
+function readPacks(files) {
+  const packs = [];
+  const parseErrors = [];
+  files.forEach((file) => {
+    try {
+      packs.push(JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (err) {
+      parseErrors.push(`✗ ${path.relative(root, file)}: ${err.message}`);
+    }
+  });
+  return { packs, parseErrors };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const files = args.length
+    ? args.map((file) => path.resolve(file))
+    : fs.readdirSync(packDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => path.join(packDir, file));
+
+  console.log(`🌿 Validating ${files.length} species pack file(s)...\n`);
+  const { packs, parseErrors } = readPacks(files);
+  parseErrors.forEach((message) => console.error(message));
+
+  // The validator is an ES module inside src, so load it through Vite
+  const { createServer } = await import("vite");
+  const server = await createServer({
+    configFile: false,
+    root,
+    logLevel: "error",
+    server: { middlewareMode: true, hmr: false },
+    appType: "custom",
+    optimizeDeps: { noDiscovery: true },
+  });
+
+  try {
+    const { validateSpeciesPacks, formatValidationReport } =
+      await server.ssrLoadModule("/src/utils/speciesValidation.js");
+    const report = validateSpeciesPacks(packs);
+    console.log(formatValidationReport(report));
+
+    if (!report.valid || parseErrors.length) {
+      console.error("\n❌ Species packs have errors");
+      process.exitCode = 1;
+    } else {
+      console.log("\n✅ Species packs are valid");
+    }
+  } finally {
+    await server.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Validation failed:", err.message);
+  process.exitCode = 1;
+});